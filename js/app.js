@@ -83,18 +83,80 @@ class App {
         }
     }
 
-    static etiquetaEstadoSolicitud(estado) {
+    static etiquetaEstadoSolicitud(estado, req = null) {
+        if (estado === 'aprobada' && req?.cancelacion?.estado === 'pendiente') return 'Cancelación por aprobar';
+        if (estado === 'devuelta') return 'Devuelta para corrección';
         if (estado === 'pendiente_ti') return 'En revisión TI';
         if (estado === 'pendiente_gerencia') return 'En Gerencia';
+        if (estado === 'pendiente_rrhh') return 'En RRHH';
         if (estado === 'pendiente') return 'Pend. Encargado';
+        const etapa = req ? RequestManager.getEtapaActual(req) : null;
+        if (etapa) return `En ${etapa.nombre}`;
         return estado ? estado.charAt(0).toUpperCase() + estado.slice(1) : '';
     }
 
     static claseCardEstadoSolicitud(estado) {
-        if (estado === 'pendiente_ti' || estado === 'pendiente_gerencia') return 'pendiente';
+        if (RequestManager.isEstadoPendienteEmpleado(estado)) return 'pendiente';
         return estado || 'pendiente';
     }
 
+    static iconoEstadoSolicitud(estado) {
+        if (RequestManager.isEstadoPendienteEmpleado(estado)) return 'clock';
+        return { aprobada: 'check-circle', cancelada: 'ban', devuelta: 'undo' }[estado] || 'times-circle';
+    }
+
+    /** Comprobantes adjuntos a la solicitud, con botones para abrir o descargar */
+    static renderAdjuntosSolicitud(req) {
+        const adjuntos = RequestManager.getAdjuntos(req);
+        if (adjuntos.length === 0) return '';
+        return `<div style="margin-bottom:10px;font-size:0.85rem;">
+            <strong><i class="fas fa-paperclip" style="margin-right:4px;color:var(--primary);"></i>Adjuntos (${adjuntos.length})</strong>
+            ${adjuntos.map(a => `
+                <div style="display:flex;align-items:center;gap:8px;margin-top:6px;">
+                    <i class="fas ${a.mimeType === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}" style="color:${a.mimeType === 'application/pdf' ? 'var(--danger)' : 'var(--info)'};"></i>
+                    <span style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${this.escapeHtml(a.nombreArchivo)} <small style="color:var(--text-light);">${PoliticaInternaManager.formatBytes(a.tamañoBytes)}</small></span>
+                    <button type="button" class="btn btn-sm btn-outline" onclick="App.abrirAdjuntoSolicitud('${req.id}', '${a.id}')" title="Abrir"><i class="fas fa-external-link-alt"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline" onclick="App.descargarAdjuntoSolicitud('${req.id}', '${a.id}')" title="Descargar"><i class="fas fa-download"></i></button>
+                </div>`).join('')}
+        </div>`;
+    }
+
+    /** Observaciones de una devolución para corrección y el estado de una cancelación, en la tarjeta */
+    static renderCancelacionDevolucion(req) {
+        let html = '';
+        const dev = req.devolucion;
+        if (req.estado === 'devuelta' && dev) {
+            html += `<p style="font-size:0.85rem;padding:10px;background:rgba(245,127,23,0.08);border-radius:var(--radius-sm);border-left:3px solid var(--warning);margin-bottom:10px;">
+                <strong><i class="fas fa-undo" style="margin-right:4px;"></i>Devuelta por ${this.escapeHtml(dev.nombre)}${this.textoPorDelegacion(dev)} (${this.escapeHtml(dev.etapaNombre || '')}):</strong> ${this.escapeHtml(dev.comentario)}
+                <br><small style="color:var(--text-light);">${formatDateTime(dev.fecha)}</small></p>`;
+        }
+        const c = req.cancelacion;
+        if (c) {
+            const titulo = { pendiente: 'Cancelación solicitada', aprobada: 'Cancelada', rechazada: 'Cancelación rechazada' }[c.estado] || 'Cancelación';
+            const por = c.resolucion ? ` por ${this.escapeHtml(c.resolucion.nombre)}${this.textoPorDelegacion(c.resolucion)}` : '';
+            html += `<p style="font-size:0.85rem;padding:10px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid var(--text-light);margin-bottom:10px;">
+                <strong><i class="fas fa-ban" style="margin-right:4px;"></i>${titulo}${por}</strong> — ${formatDateTime(c.fechaResolucion || c.fechaSolicitud)}
+                ${c.motivo ? `<br><strong>Motivo:</strong> ${this.escapeHtml(c.motivo)}` : ''}
+                ${c.resolucion?.comentario ? `<br><strong>Respuesta:</strong> ${this.escapeHtml(c.resolucion.comentario)}` : ''}</p>`;
+        }
+        return html;
+    }
+
+    /** " (por delegación de X)" cuando un sustituto firmó en nombre del encargado */
+    static textoPorDelegacion(registro) {
+        return registro?.porDelegacionDe ? ` (por delegación de ${this.escapeHtml(registro.porDelegacionDe.nombre)})` : '';
+    }
+
+    /** Firmas de las etapas intermedias del flujo; la de la última etapa se muestra como "Respondido por" */
+    static renderFirmasEtapasSolicitud(req, conComentario = false) {
+        const flujo = RequestManager.getFlujo(req);
+        const ultima = flujo[flujo.length - 1];
+        return RequestManager.getFirmasFlujo(req)
+            .filter(x => x.etapa.id !== ultima.id)
+            .map(({ etapa, firma }) => `<p style="font-size:0.78rem;color:var(--text-secondary);${conComentario ? 'margin-top:8px;' : 'margin-bottom:8px;'}padding:8px;background:var(--bg-main);border-radius:var(--radius-sm);"><strong>Firma ${this.escapeHtml(etapa.nombre)}:</strong> ${this.escapeHtml(firma.nombre || '—')}${this.textoPorDelegacion(firma)} — ${formatDateTime(firma.fecha)}${conComentario && firma.comentario ? `<br><em>${this.escapeHtml(firma.comentario)}</em>` : ''}</p>`)
+            .join('');
+    }
+
     // ========================================================
     // LOGIN
     // ========================================================
@@ -114,6 +176,9 @@ class App {
         this._depsLoaded = false;
         this.ensureDepsLoaded();
         EvaluacionesDesempenoManager.syncJefaturasCatalog();
+        RequestManager.syncFlujosCatalog();
+        DocumentManager.runSignatureReminders();
+        RequestManager.runEscalamientos();
         this.navigate('dashboard');
     }
 
@@ -201,6 +266,8 @@ class App {
         const contentArea = document.getElementById('contentArea');
 
         try {
+            await CalendarioLaboralManager.ensureLoaded();
+            await DelegacionManager.ensureLoaded();
             switch (view) {
                 case 'dashboard': await this.renderDashboard(); break;
                 case 'crear-documento': await this.renderCrearDocumento(); break;
@@ -213,11 +280,19 @@ class App {
                 case 'evaluacion-detalle': await this.renderEvaluacionDetalle(params.id); break;
                 case 'ver-documento': await this.renderVerDocumento(params.id); break;
                 case 'solicitudes': await this.renderSolicitudes(); break;
-                case 'nueva-solicitud': this.renderNuevaSolicitud(); break;
+                case 'nueva-solicitud': await this.renderNuevaSolicitud(params); break;
                 case 'gestionar-solicitudes': await this.renderGestionarSolicitudes(); break;
+                case 'calendario-ausencias': await this.renderCalendarioAusencias(params); break;
+                case 'delegaciones': await this.renderDelegaciones(); break;
+                case 'tiempos-solicitudes': await this.renderTiemposSolicitudes(params); break;
                 case 'estado-firmas': await this.renderEstadoFirmas(params.id); break;
+                case 'lecturas-documento': await this.renderLecturasDocumento(params.id); break;
+                case 'lotes-documentos': await this.renderLotesDocumentos(); break;
+                case 'lote-documentos': await this.renderLoteDocumentos(params.id); break;
                 case 'usuarios': await this.renderUsuarios(); break;
                 case 'departamentos': await this.renderDepartamentos(); break;
+                case 'calendario-laboral': await this.renderCalendarioLaboral(params.anio); break;
+                case 'contadores': await this.renderContadores(); break;
                 case 'seguimiento-sanciones': await this.renderSeguimientoSanciones(); break;
                 case 'seguimiento-compartidos': await this.renderSeguimientoCompartidos(); break;
                 case 'seguimiento-sanciones-detalle': await this.renderSeguimientoSancionesDetalle(params.id); break;
@@ -268,9 +343,17 @@ class App {
             'solicitudes': { title: 'Mis Solicitudes', desc: 'Vacaciones y permisos' },
             'nueva-solicitud': { title: 'Nueva Solicitud', desc: 'Solicitar vacaciones o permisos' },
             'gestionar-solicitudes': { title: 'Gestionar Solicitudes', desc: 'Aprobar o rechazar solicitudes' },
+            'calendario-ausencias': { title: 'Calendario del equipo', desc: 'Vacaciones y permisos aprobados o en trámite por área' },
+            'delegaciones': { title: 'Delegaciones', desc: 'Sustitutos que firman solicitudes durante la ausencia de un encargado' },
+            'tiempos-solicitudes': { title: 'Tiempos de aprobación', desc: 'Promedios por etapa y departamento, y solicitudes fuera de plazo' },
             'estado-firmas': { title: 'Estado de Firmas', desc: 'Ver quién ha firmado y quién no' },
+            'lecturas-documento': { title: 'Lecturas del Documento', desc: 'Ver quién ya leyó el documento y quién no' },
+            'lotes-documentos': { title: 'Emisiones Masivas', desc: 'Documentos emitidos a varios colaboradores a la vez' },
+            'lote-documentos': { title: 'Emisión Masiva', desc: 'Avance de firma de los documentos del lote' },
             'usuarios': { title: 'Usuarios', desc: 'Administración de usuarios' },
             'departamentos': { title: 'Departamentos', desc: 'Gestión de departamentos' },
+            'calendario-laboral': { title: 'Calendario laboral', desc: 'Feriados nacionales y cierres de la empresa' },
+            'contadores': { title: 'Contadores de Documentos', desc: 'Numeración anual de códigos por subcategoría' },
             'seguimiento-sanciones': { title: 'Quejas y sanciones', desc: 'Flujo: Encargado → TI → RRHH → Gerencia' },
             'seguimiento-compartidos': { title: 'Seguimientos compartidos conmigo', desc: 'Casos donde tiene permiso de lectura' },
             'seguimiento-sanciones-detalle': { title: 'Detalle del seguimiento', desc: 'Texto del caso y etapas del flujo' }
@@ -334,10 +417,8 @@ class App {
     static async renderDashboard() {
         const user = AuthManager.getUser();
         const managedDeps = AuthManager.getDepartamentosEncargado(user);
-        const myDocsNested = await Promise.all(managedDeps.map(d => DocumentManager.getByDepartment(d)));
-        const myDocsMerged = new Map();
-        myDocsNested.flat().forEach(d => myDocsMerged.set(d.id, d));
-        const myDocs = Array.from(myDocsMerged.values());
+        const visibles = await DocumentManager.getVisibles();
+        const myDocs = visibles.filter(d => managedDeps.includes(d.departamento));
         const deptStatLabel = (AuthManager.isEncargado() && managedDeps.length > 1)
             ? 'Docs. Mis áreas'
             : 'Docs. Mi Departamento';
@@ -354,12 +435,13 @@ class App {
             pendingReqs = myAllReqs.filter(r => RequestManager.isEstadoPendienteEmpleado(r.estado));
         }
 
-        const [docStats, reqStats, sharedSanctions] = await Promise.all([
-            DocumentManager.getStats(),
+        const [docStats, reqStats, sharedSanctions, vacLedger] = await Promise.all([
+            DocumentManager.getStats(visibles),
             isMgrDashboard ? RequestManager.getStats() : Promise.resolve({ aprobadas: 0 }),
             typeof SanctionFollowupManager !== 'undefined'
                 ? SanctionFollowupManager.listSharedWithMe()
-                : Promise.resolve([])
+                : Promise.resolve([]),
+            user.fechaIngreso ? VacacionesManager.getLedger(user.id) : Promise.resolve(null)
         ]);
 
         const stat3Num = isMgrDashboard ? pendingReqs.length : myAllReqs.length;
@@ -400,6 +482,14 @@ class App {
                         <p>${stat4Label}</p>
                     </div>
                 </div>
+                ${vacLedger && !vacLedger.sinFechaIngreso ? `
+                <div class="stat-card" style="cursor:pointer;" onclick="App.openVacacionesLedger('${user.id}')" title="Ver movimientos del saldo">
+                    <div class="stat-icon" style="background: linear-gradient(135deg, #00897b, #26a69a);"><i class="fas fa-umbrella-beach"></i></div>
+                    <div class="stat-info">
+                        <h3>${vacLedger.disponible}</h3>
+                        <p>Días de vacaciones disponibles</p>
+                    </div>
+                </div>` : ''}
             </div>
 
             <div class="dashboard-grid">
@@ -451,7 +541,7 @@ class App {
                                     <div class="request-card status-pendiente" style="cursor:pointer;" onclick="App.navigate('${AuthManager.isEncargado() ? 'gestionar-solicitudes' : 'solicitudes'}')">
                                         <div class="request-header">
                                             <h4>${req.tipoNombre}</h4>
-                                            <span class="status-badge pendiente"><i class="fas fa-clock"></i> ${App.etiquetaEstadoSolicitud(req.estado)}</span>
+                                            <span class="status-badge pendiente"><i class="fas fa-clock"></i> ${App.etiquetaEstadoSolicitud(req.estado, req)}</span>
                                         </div>
                                         <div style="font-size:0.82rem;color:var(--text-secondary);">
                                             <span>${req.solicitanteNombre}</span> • <span>${timeAgo(req.fechaSolicitud)}</span>
@@ -506,33 +596,7 @@ class App {
 
         await this.ensureDepsLoaded();
 
-        let depsHtml = '';
-        let depsParaHtml = '';
-        if (AuthManager.isAdmin()) {
-            Object.keys(App._depsMap).forEach(key => {
-                const dep = App._depsMap[key];
-                depsHtml += `<option value="${key}">${dep.nombre} (${dep.codigo || key})</option>`;
-                depsParaHtml += `<option value="${key}">${dep.nombre}</option>`;
-            });
-        } else if (AuthManager.isEncargado()) {
-            const codes = AuthManager.getDepartamentosEncargado(user);
-            codes.forEach(key => {
-                const dep = App._depsMap[key];
-                if (dep) {
-                    depsHtml += `<option value="${key}">${dep.nombre} (${dep.codigo || key})</option>`;
-                    depsParaHtml += `<option value="${key}">${dep.nombre}</option>`;
-                }
-            });
-            if (codes.length >= 2 && typeof DOC_PARA_ENCARGADO_TODAS_AREAS !== 'undefined') {
-                depsParaHtml += `<option value="${DOC_PARA_ENCARGADO_TODAS_AREAS}">Empleados de todas mis áreas (recepción, consulta, etc.)</option>`;
-            }
-        } else {
-            const dep = App._depsMap[user.departamento];
-            if (dep) {
-                depsHtml = `<option value="${user.departamento}">${dep.nombre} (${dep.codigo || user.departamento})</option>`;
-                depsParaHtml = `<option value="${user.departamento}">${dep.nombre}</option>`;
-            }
-        }
+        const { depsHtml, depsParaHtml } = this.docDepartamentoOptions(user);
 
         content.innerHTML = `
             <div class="card">
@@ -559,7 +623,7 @@ class App {
                         <div class="form-row">
                             <div class="form-group">
                                 <label>Tipo de Documento <span class="required">*</span></label>
-                                <select class="form-control" id="docSubcategoria" required disabled>
+                                <select class="form-control" id="docSubcategoria" onchange="App.updatePlantillas()" required disabled>
                                     <option value="">Seleccionar tipo...</option>
                                 </select>
                             </div>
@@ -568,6 +632,24 @@ class App {
                                 <input type="text" class="form-control" id="docTitulo" placeholder="Ej: Comunicado sobre nuevas políticas..." required>
                             </div>
                         </div>
+                        <div id="plantillaPanel" style="display:none;margin-bottom:16px;padding:12px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid var(--primary);">
+                            <div class="form-row" style="align-items:flex-end;">
+                                <div class="form-group" style="margin-bottom:0;">
+                                    <label><i class="fas fa-file-alt" style="margin-right:6px;color:var(--primary);"></i>Plantilla</label>
+                                    <select class="form-control" id="docPlantilla"></select>
+                                </div>
+                                <div class="form-group" style="margin-bottom:0;">
+                                    <label>Datos del colaborador</label>
+                                    <select class="form-control" id="docPlantillaEmpleado">
+                                        <option value="">Sin colaborador</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;margin-top:10px;">
+                                <small style="color:var(--text-light);">Rellena título, asunto y contenido con los datos del perfil del colaborador. Luego puede editarlos.</small>
+                                <button type="button" class="btn btn-sm btn-primary" onclick="App.aplicarPlantilla()"><i class="fas fa-magic"></i> Usar plantilla</button>
+                            </div>
+                        </div>
                         <div class="form-row">
                             <div class="form-group">
                                 <label>Para <span class="required">*</span></label>
@@ -588,59 +670,56 @@ class App {
                             <input type="text" class="form-control" id="docAsunto" placeholder="Ej: Nuevas políticas de trabajo..." required>
                         </div>
                         <div class="form-group">
-                            <label>Firmantes Requeridos <span class="required">*</span></label>
+                            <label style="display:inline-flex;align-items:center;gap:8px;cursor:pointer;">
+                                <input type="checkbox" id="docEmisionMasiva" onchange="App.toggleEmisionMasiva()">
+                                Emisión masiva: un documento por colaborador
+                            </label>
+                            <p class="form-help" id="emisionMasivaHelp" style="display:none;margin-top:6px;">
+                                Se crea un documento individual para cada colaborador marcado abajo, con su propio código y con él como único firmante.
+                                Use variables como <code>{{empleado.nombre}}</code>, <code>{{empleado.cedula}}</code> o <code>{{empleado.puesto}}</code> en título, asunto y contenido (o una plantilla): se rellenan con los datos de cada colaborador.
+                            </p>
+                        </div>
+                        <div class="form-group">
+                            <label id="firmantesLabel">Firmantes Requeridos <span class="required">*</span></label>
                             <p class="form-help" style="margin-bottom:8px;">Seleccione los usuarios que deben firmar este documento. El documento aparecerá en la lista de documentos de los usuarios seleccionados.</p>
                             <div id="firmantesContainer" style="display:flex;flex-wrap:wrap;gap:8px;margin-top:8px;">
                                 <i class="fas fa-spinner fa-spin"></i> Cargando firmantes...
                             </div>
                         </div>
+                        <div class="form-group" id="ordenFirmaGroup">
+                            <label style="display:inline-flex;align-items:center;gap:8px;cursor:pointer;">
+                                <input type="checkbox" id="docOrdenFirma" onchange="App.renderOrdenFirmas()">
+                                Firma en orden
+                            </label>
+                            <p class="form-help" style="margin-bottom:8px;">Cada firmante solo podrá firmar (y solo será notificado) cuando el anterior haya firmado. Recomendado para contratos y préstamos: empleado → encargado → Gerencia.</p>
+                            <ol id="ordenFirmasList" style="display:none;margin:8px 0 0 20px;font-size:0.85rem;"></ol>
+                        </div>
+                        <div class="form-group">
+                            <label>Fecha límite de firma</label>
+                            <input type="date" class="form-control" id="docFechaLimite" min="${DocumentManager._hoyISO()}" style="max-width:220px;">
+                            <small style="color:var(--text-light);margin-top:4px;display:block;">Opcional. Se enviarán recordatorios a quienes no hayan firmado ${DocumentManager.DIAS_RECORDATORIO_FIRMA} días antes y mientras esté vencido.</small>
+                        </div>
                         <div class="form-group">
                             <label>Contenido del Documento <span class="required">*</span></label>
                             <div class="editor-container">
-                                <div class="editor-toolbar">
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('bold')" title="Negrita"><i class="fas fa-bold"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('italic')" title="Cursiva"><i class="fas fa-italic"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('underline')" title="Subrayado"><i class="fas fa-underline"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('strikeThrough')" title="Tachado"><i class="fas fa-strikethrough"></i></button>
-                                    <div class="separator"></div>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyLeft')" title="Alinear izquierda"><i class="fas fa-align-left"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyCenter')" title="Centrar"><i class="fas fa-align-center"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyRight')" title="Alinear derecha"><i class="fas fa-align-right"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyFull')" title="Justificar"><i class="fas fa-align-justify"></i></button>
-                                    <div class="separator"></div>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('insertUnorderedList')" title="Lista"><i class="fas fa-list-ul"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('insertOrderedList')" title="Lista numerada"><i class="fas fa-list-ol"></i></button>
-                                    <div class="separator"></div>
-                                    <select class="toolbar-select" onchange="App.execCmdVal('fontSize', this.value)" title="Tamaño">
-                                        <option value="">Tamaño</option>
-                                        <option value="1">Pequeño</option>
-                                        <option value="3">Normal</option>
-                                        <option value="5">Grande</option>
-                                        <option value="7">Muy Grande</option>
-                                    </select>
-                                    <select class="toolbar-select" onchange="App.execCmdVal('formatBlock', this.value)" title="Formato">
-                                        <option value="">Formato</option>
-                                        <option value="h1">Título 1</option>
-                                        <option value="h2">Título 2</option>
-                                        <option value="h3">Título 3</option>
-                                        <option value="p">Párrafo</option>
-                                    </select>
-                                    <div class="separator"></div>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('removeFormat')" title="Limpiar formato"><i class="fas fa-eraser"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('undo')" title="Deshacer"><i class="fas fa-undo"></i></button>
-                                    <button type="button" class="toolbar-btn" onclick="App.execCmd('redo')" title="Rehacer"><i class="fas fa-redo"></i></button>
-                                </div>
+                                ${this.docEditorToolbarHtml()}
                                 <div class="editor-content" id="docEditor" contenteditable="true" data-placeholder="Escriba el contenido del documento aquí..."></div>
                             </div>
                         </div>
+                        <div class="form-group" id="adjuntosGroup">
+                            <label>Adjuntos</label>
+                            <input type="file" id="docAdjuntos" accept=".pdf,application/pdf,.png,image/png,.jpg,.jpeg,image/jpeg" multiple>
+                            <small style="color:var(--text-light);margin-top:4px;display:block;">Opcional. PDF o imágenes de respaldo (expedientes, epicrisis, contratos). Máximo ${PoliticaInternaManager.formatBytes(DocumentManager.ADJUNTO_MAX_BYTES)} por archivo.</small>
+                        </div>
                         <div style="display:flex;gap:12px;justify-content:flex-end;margin-top:20px;">
                             <button type="button" class="btn btn-outline" onclick="App.previewDocument()"><i class="fas fa-eye"></i> Vista Previa</button>
+                            <button type="button" class="btn btn-outline" id="btnBorradorDoc" onclick="App.handleCreateDocument(event, true)"><i class="fas fa-file-signature"></i> Guardar Borrador</button>
                             <button type="submit" class="btn btn-primary btn-lg" id="btnCrearDoc"><i class="fas fa-save"></i> Crear Documento</button>
                         </div>
                         <div style="margin-top:12px;padding:12px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid var(--primary);">
                             <p style="font-size:0.85rem;color:var(--text-secondary);margin:0;">
                                 <i class="fas fa-info-circle" style="margin-right:6px;color:var(--primary);"></i>
-                                Después de crear el documento, podrás generar un PDF desde la vista del documento.
+                                Después de crear el documento, podrás generar un PDF desde la vista del documento. Un borrador no se envía a firmar: puedes pedir revisión a tu departamento y publicarlo cuando lo aprueben.
                             </p>
                         </div>
                     </form>
@@ -652,6 +731,76 @@ class App {
         this.updateFirmantes();
     }
 
+    // Opciones de departamento y de destinatario ("Para") según el rol del usuario
+    static docDepartamentoOptions(user) {
+        let depsHtml = '';
+        let depsParaHtml = '';
+        if (AuthManager.isAdmin()) {
+            Object.keys(App._depsMap).forEach(key => {
+                const dep = App._depsMap[key];
+                depsHtml += `<option value="${key}">${dep.nombre} (${dep.codigo || key})</option>`;
+                depsParaHtml += `<option value="${key}">${dep.nombre}</option>`;
+            });
+        } else if (AuthManager.isEncargado()) {
+            const codes = AuthManager.getDepartamentosEncargado(user);
+            codes.forEach(key => {
+                const dep = App._depsMap[key];
+                if (dep) {
+                    depsHtml += `<option value="${key}">${dep.nombre} (${dep.codigo || key})</option>`;
+                    depsParaHtml += `<option value="${key}">${dep.nombre}</option>`;
+                }
+            });
+            if (codes.length >= 2 && typeof DOC_PARA_ENCARGADO_TODAS_AREAS !== 'undefined') {
+                depsParaHtml += `<option value="${DOC_PARA_ENCARGADO_TODAS_AREAS}">Empleados de todas mis áreas (recepción, consulta, etc.)</option>`;
+            }
+        } else {
+            const dep = App._depsMap[user.departamento];
+            if (dep) {
+                depsHtml = `<option value="${user.departamento}">${dep.nombre} (${dep.codigo || user.departamento})</option>`;
+                depsParaHtml = `<option value="${user.departamento}">${dep.nombre}</option>`;
+            }
+        }
+        return { depsHtml, depsParaHtml };
+    }
+
+    // Barra de herramientas del editor de contenido (crear / editar documento)
+    static docEditorToolbarHtml() {
+        return `
+            <div class="editor-toolbar">
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('bold')" title="Negrita"><i class="fas fa-bold"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('italic')" title="Cursiva"><i class="fas fa-italic"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('underline')" title="Subrayado"><i class="fas fa-underline"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('strikeThrough')" title="Tachado"><i class="fas fa-strikethrough"></i></button>
+                <div class="separator"></div>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyLeft')" title="Alinear izquierda"><i class="fas fa-align-left"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyCenter')" title="Centrar"><i class="fas fa-align-center"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyRight')" title="Alinear derecha"><i class="fas fa-align-right"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('justifyFull')" title="Justificar"><i class="fas fa-align-justify"></i></button>
+                <div class="separator"></div>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('insertUnorderedList')" title="Lista"><i class="fas fa-list-ul"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('insertOrderedList')" title="Lista numerada"><i class="fas fa-list-ol"></i></button>
+                <div class="separator"></div>
+                <select class="toolbar-select" onchange="App.execCmdVal('fontSize', this.value)" title="Tamaño">
+                    <option value="">Tamaño</option>
+                    <option value="1">Pequeño</option>
+                    <option value="3">Normal</option>
+                    <option value="5">Grande</option>
+                    <option value="7">Muy Grande</option>
+                </select>
+                <select class="toolbar-select" onchange="App.execCmdVal('formatBlock', this.value)" title="Formato">
+                    <option value="">Formato</option>
+                    <option value="h1">Título 1</option>
+                    <option value="h2">Título 2</option>
+                    <option value="h3">Título 3</option>
+                    <option value="p">Párrafo</option>
+                </select>
+                <div class="separator"></div>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('removeFormat')" title="Limpiar formato"><i class="fas fa-eraser"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('undo')" title="Deshacer"><i class="fas fa-undo"></i></button>
+                <button type="button" class="toolbar-btn" onclick="App.execCmd('redo')" title="Rehacer"><i class="fas fa-redo"></i></button>
+            </div>`;
+    }
+
     static execCmd(cmd) {
         document.execCommand(cmd, false, null);
         document.getElementById('docEditor').focus();
@@ -673,6 +822,7 @@ class App {
         subSelect.innerHTML = '<option value="">Seleccionar tipo...</option>';
         catSelect.disabled = true;
         subSelect.disabled = true;
+        this.updatePlantillas();
 
         if (depId && App._depsMap[depId]) {
             const dep = App._depsMap[depId];
@@ -690,6 +840,14 @@ class App {
 
         subSelect.innerHTML = '<option value="">Seleccionar tipo...</option>';
         subSelect.disabled = true;
+        this.updatePlantillas();
+
+        // Contratos y préstamos: proponer firma en orden
+        const ordenCheck = document.getElementById('docOrdenFirma');
+        if (ordenCheck && catId) {
+            ordenCheck.checked = (DOC_ORDEN_FIRMA_SUGERIDO[depId] || []).includes(String(catId));
+            this.renderOrdenFirmas();
+        }
 
         if (depId && catId && App._depsMap[depId]) {
             const cat = (App._depsMap[depId].categorias || {})[catId];
@@ -708,6 +866,8 @@ class App {
         if (!container) return;
         
         container.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Cargando firmantes...';
+        this._ordenFirmas = [];
+        this.renderOrdenFirmas();
 
         const users = await AuthManager.getAllUsers();
         const currentUser = AuthManager.getUser();
@@ -747,7 +907,7 @@ class App {
                 const dep = App._depsMap[u.departamento] || DEPARTAMENTOS[u.departamento];
                 html += `
                     <label style="display:inline-flex;align-items:center;gap:6px;padding:6px 14px;border:1px solid var(--border);border-radius:20px;cursor:pointer;font-size:0.82rem;transition:var(--transition);background:white;">
-                        <input type="checkbox" class="firmante-check" value="${u.id}">
+                        <input type="checkbox" class="firmante-check" value="${u.id}" onchange="App.syncOrdenFirmas()">
                         <span>${u.nombre} ${u.apellido}</span>
                         <small style="color:var(--text-light);">(${ROLES[u.rol]?.nombre})</small>
                     </label>
@@ -757,10 +917,201 @@ class App {
         });
         html += '</div>';
 
+        this._firmantesDisponibles = {};
+        available.forEach(u => { this._firmantesDisponibles[u.id] = u; });
         container.innerHTML = html;
+        this.renderPlantillaEmpleados();
+    }
+
+    // ── Plantillas (crear documento) ──────────────────────────────────
+    static updatePlantillas() {
+        const panel = document.getElementById('plantillaPanel');
+        const select = document.getElementById('docPlantilla');
+        if (!panel || !select) return;
+        const plantillas = DocumentManager.getPlantillas(
+            document.getElementById('docDepartamento')?.value,
+            document.getElementById('docCategoria')?.value,
+            document.getElementById('docSubcategoria')?.value
+        );
+        if (plantillas.length === 0) {
+            panel.style.display = 'none';
+            select.innerHTML = '';
+            return;
+        }
+        select.innerHTML = plantillas.map(p => `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.nombre)}</option>`).join('');
+        panel.style.display = 'block';
+        this.renderPlantillaEmpleados();
+    }
+
+    // Colaboradores disponibles según "Para"; por defecto el primer firmante marcado
+    static renderPlantillaEmpleados() {
+        const select = document.getElementById('docPlantillaEmpleado');
+        if (!select) return;
+        const previo = select.value;
+        const empleados = Object.values(this._firmantesDisponibles || {})
+            .sort((a, b) => `${a.nombre} ${a.apellido}`.localeCompare(`${b.nombre} ${b.apellido}`));
+        select.innerHTML = '<option value="">Sin colaborador</option>' + empleados.map(u =>
+            `<option value="${u.id}">${this.escapeHtml(u.nombre)} ${this.escapeHtml(u.apellido)}${u.cedula ? ` (${this.escapeHtml(u.cedula)})` : ''}</option>`
+        ).join('');
+        const primerFirmante = document.querySelector('.firmante-check:checked')?.value;
+        select.value = this._firmantesDisponibles[previo] ? previo : (primerFirmante || '');
+    }
+
+    static aplicarPlantilla() {
+        const plantilla = DocumentManager.getPlantilla(
+            document.getElementById('docDepartamento').value,
+            document.getElementById('docCategoria').value,
+            document.getElementById('docSubcategoria').value,
+            document.getElementById('docPlantilla').value
+        );
+        if (!plantilla) return;
+
+        const editor = document.getElementById('docEditor');
+        const tieneContenido = editor.innerText.trim().length > 0;
+        if (tieneContenido && !confirm('El contenido actual se reemplazará por la plantilla. ¿Desea continuar?')) return;
+
+        // Emisión masiva: se dejan las variables para rellenarlas con cada colaborador al emitir
+        if (document.getElementById('docEmisionMasiva')?.checked) {
+            document.getElementById('docTitulo').value = plantilla.titulo;
+            if (plantilla.asunto) document.getElementById('docAsunto').value = plantilla.asunto;
+            editor.innerHTML = plantilla.contenido;
+            Toast.success('Plantilla aplicada', 'Las variables se rellenarán con los datos de cada colaborador');
+            return;
+        }
+
+        const empleadoId = document.getElementById('docPlantillaEmpleado').value;
+        const contexto = DocumentManager.contextoPlantilla(this._firmantesDisponibles[empleadoId] || null);
+
+        document.getElementById('docTitulo').value = DocumentManager.rellenarPlantilla(plantilla.titulo, contexto, false);
+        if (plantilla.asunto) {
+            document.getElementById('docAsunto').value = DocumentManager.rellenarPlantilla(plantilla.asunto, contexto, false);
+        }
+        editor.innerHTML = DocumentManager.rellenarPlantilla(plantilla.contenido, contexto);
+
+        const faltantes = DocumentManager.variablesFaltantes(
+            [plantilla.titulo, plantilla.asunto, plantilla.contenido].join(' '), contexto
+        );
+        if (faltantes.length > 0) {
+            Toast.warning('Datos incompletos', `Complete a mano: ${faltantes.join(', ')}`);
+        } else {
+            Toast.success('Plantilla aplicada', plantilla.nombre);
+        }
+    }
+
+    // ── Ruta de firmas en orden (crear documento) ──────────────────────
+    static _ordenFirmas = [];
+    static _firmantesDisponibles = {};
+
+    // Mantiene el orden elegido; los nuevos se agregan según rol (empleado → encargado → admin)
+    static syncOrdenFirmas() {
+        const seleccionados = Array.from(document.querySelectorAll('.firmante-check:checked')).map(cb => cb.value);
+        const rango = (uid) => {
+            const idx = DOC_ORDEN_FIRMA_ROLES.indexOf(this._firmantesDisponibles[uid]?.rol);
+            return idx === -1 ? DOC_ORDEN_FIRMA_ROLES.length : idx;
+        };
+        const actuales = this._ordenFirmas.filter(uid => seleccionados.includes(uid));
+        const nuevos = seleccionados.filter(uid => !actuales.includes(uid)).sort((a, b) => rango(a) - rango(b));
+        nuevos.forEach(uid => {
+            const pos = actuales.findIndex(existente => rango(existente) > rango(uid));
+            if (pos === -1) actuales.push(uid); else actuales.splice(pos, 0, uid);
+        });
+        this._ordenFirmas = actuales;
+        this.renderOrdenFirmas();
+    }
+
+    static renderOrdenFirmas() {
+        const list = document.getElementById('ordenFirmasList');
+        const check = document.getElementById('docOrdenFirma');
+        if (!list || !check) return;
+        if (!check.checked || this._ordenFirmas.length === 0) {
+            list.style.display = 'none';
+            list.innerHTML = '';
+            return;
+        }
+        list.style.display = 'block';
+        list.innerHTML = this._ordenFirmas.map((uid, i) => {
+            const u = this._firmantesDisponibles[uid];
+            return `
+                <li style="margin-bottom:6px;">
+                    <span>${u ? `${this.escapeHtml(u.nombre)} ${this.escapeHtml(u.apellido)}` : uid}</span>
+                    <small style="color:var(--text-light);">(${ROLES[u?.rol]?.nombre || ''})</small>
+                    <button type="button" class="btn btn-sm btn-outline" style="padding:2px 8px;margin-left:6px;" onclick="App.moveOrdenFirma(${i}, -1)" ${i === 0 ? 'disabled' : ''} title="Subir"><i class="fas fa-arrow-up"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline" style="padding:2px 8px;" onclick="App.moveOrdenFirma(${i}, 1)" ${i === this._ordenFirmas.length - 1 ? 'disabled' : ''} title="Bajar"><i class="fas fa-arrow-down"></i></button>
+                </li>`;
+        }).join('');
+    }
+
+    static moveOrdenFirma(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= this._ordenFirmas.length) return;
+        const orden = this._ordenFirmas.slice();
+        [orden[index], orden[target]] = [orden[target], orden[index]];
+        this._ordenFirmas = orden;
+        this.renderOrdenFirmas();
+    }
+
+    // ── Emisión masiva (crear documento) ──────────────────────────────
+    static toggleEmisionMasiva() {
+        const masiva = !!document.getElementById('docEmisionMasiva')?.checked;
+        document.getElementById('emisionMasivaHelp').style.display = masiva ? 'block' : 'none';
+        document.getElementById('ordenFirmaGroup').style.display = masiva ? 'none' : '';
+        document.getElementById('adjuntosGroup').style.display = masiva ? 'none' : '';
+        document.getElementById('btnBorradorDoc').style.display = masiva ? 'none' : '';
+        document.getElementById('firmantesLabel').innerHTML = masiva
+            ? 'Colaboradores <span class="required">*</span>'
+            : 'Firmantes Requeridos <span class="required">*</span>';
+        document.getElementById('btnCrearDoc').innerHTML = masiva
+            ? '<i class="fas fa-copy"></i> Emitir Documentos'
+            : '<i class="fas fa-save"></i> Crear Documento';
+        const plantillaEmpleado = document.getElementById('docPlantillaEmpleado');
+        if (plantillaEmpleado) plantillaEmpleado.disabled = masiva;
+    }
+
+    static async handleCreateBatch(base, empleadoIds) {
+        const empleados = empleadoIds.map(uid => this._firmantesDisponibles[uid]).filter(Boolean);
+        if (empleados.length === 0) {
+            Toast.error('Error', 'Debe seleccionar al menos un colaborador');
+            return;
+        }
+
+        // Avisar antes de emitir si a algún perfil le faltan datos usados en el texto
+        const texto = [base.titulo, base.asunto, base.contenido].join(' ');
+        const incompletos = empleados
+            .map(u => ({ u, faltantes: DocumentManager.variablesFaltantes(texto, DocumentManager.contextoPlantilla(u)) }))
+            .filter(x => x.faltantes.length > 0);
+        if (incompletos.length > 0) {
+            const detalle = incompletos.slice(0, 10)
+                .map(x => `• ${x.u.nombre} ${x.u.apellido}: ${x.faltantes.join(', ')}`).join('\n');
+            const mas = incompletos.length > 10 ? `\n… y ${incompletos.length - 10} más` : '';
+            if (!confirm(`A ${incompletos.length} colaborador(es) les faltan datos; esos campos quedarán en blanco:\n${detalle}${mas}\n\n¿Emitir de todos modos?`)) return;
+        } else if (!confirm(`Se crearán ${empleados.length} documentos, uno por colaborador. ¿Continuar?`)) {
+            return;
+        }
+
+        const btn = document.getElementById('btnCrearDoc');
+        const btnHtml = btn.innerHTML;
+        btn.disabled = true;
+
+        try {
+            const result = await DocumentManager.createBatch(base, empleados, (hechos, total) => {
+                btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Emitiendo ${Math.min(hechos + 1, total)} de ${total}...`;
+            });
+            if (result.fallidos.length > 0) {
+                Toast.warning('Emisión incompleta', `${result.creados.length} creados, ${result.fallidos.length} con error`);
+            } else {
+                Toast.success('Documentos emitidos', `${result.creados.length} documentos creados`);
+            }
+            this.navigate('lote-documentos', { id: result.loteId });
+        } catch (error) {
+            console.error('Error en emisión masiva:', error);
+            Toast.error('Error', 'No se pudo completar la emisión masiva');
+            btn.disabled = false;
+            btn.innerHTML = btnHtml;
+        }
     }
 
-    static async handleCreateDocument(e) {
+    // borrador: se guarda sin publicar ni notificar a los firmantes
+    static async handleCreateDocument(e, borrador = false) {
         e.preventDefault();
 
         const depId = document.getElementById('docDepartamento').value;
@@ -786,14 +1137,54 @@ class App {
             firmasRequeridas.push(cb.value);
         });
 
-        if (firmasRequeridas.length === 0) {
+        if (document.getElementById('docEmisionMasiva')?.checked && !borrador) {
+            const fechaLimite = document.getElementById('docFechaLimite')?.value || null;
+            if (fechaLimite && fechaLimite < DocumentManager._hoyISO()) {
+                Toast.error('Error', 'La fecha límite de firma no puede ser anterior a hoy');
+                return;
+            }
+            await this.handleCreateBatch({
+                departamento: depId,
+                categoria: catId,
+                subcategoria: subId,
+                tipoNombre: tipoNombre,
+                titulo: titulo,
+                de: de,
+                asunto: asunto,
+                contenido: contenido,
+                fechaLimiteFirma: fechaLimite
+            }, firmasRequeridas);
+            return;
+        }
+
+        if (firmasRequeridas.length === 0 && !borrador) {
             Toast.error('Error', 'Debe seleccionar al menos un firmante requerido');
             return;
         }
 
-        const btn = document.getElementById('btnCrearDoc');
+        const fechaLimiteFirma = document.getElementById('docFechaLimite')?.value || null;
+        if (fechaLimiteFirma && fechaLimiteFirma < DocumentManager._hoyISO()) {
+            Toast.error('Error', 'La fecha límite de firma no puede ser anterior a hoy');
+            return;
+        }
+
+        const ordenFirma = !!document.getElementById('docOrdenFirma')?.checked;
+        if (ordenFirma) {
+            this.syncOrdenFirmas();
+            firmasRequeridas.splice(0, firmasRequeridas.length, ...this._ordenFirmas);
+        }
+
+        const adjuntos = Array.from(document.getElementById('docAdjuntos')?.files || []);
+        const errorAdjunto = adjuntos.map(f => DocumentManager.validarAdjunto(f)).find(Boolean);
+        if (errorAdjunto) {
+            Toast.error('Adjunto no válido', errorAdjunto);
+            return;
+        }
+
+        const btn = document.getElementById(borrador ? 'btnBorradorDoc' : 'btnCrearDoc');
+        const btnHtml = btn.innerHTML;
         btn.disabled = true;
-        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creando...';
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
 
         try {
             const doc = await DocumentManager.create({
@@ -806,15 +1197,24 @@ class App {
                 de: de,
                 asunto: asunto,
                 contenido: contenido,
-                firmasRequeridas: firmasRequeridas
+                firmasRequeridas: firmasRequeridas,
+                ordenFirma: ordenFirma,
+                fechaLimiteFirma: fechaLimiteFirma,
+                borrador: borrador
             });
 
-            Toast.success('Documento creado', `Código: ${doc.codigo}`);
+            for (const file of adjuntos) {
+                btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Adjuntando ${this.escapeHtml(file.name)}...`;
+                const res = await DocumentManager.addAttachment(doc.id, file);
+                if (!res.success) Toast.warning('Adjunto no guardado', res.message);
+            }
+
+            Toast.success(borrador ? 'Borrador guardado' : 'Documento creado', `Código: ${doc.codigo}`);
             this.navigate('ver-documento', { id: doc.id });
         } catch (error) {
             Toast.error('Error', 'No se pudo crear el documento');
             btn.disabled = false;
-            btn.innerHTML = '<i class="fas fa-save"></i> Crear Documento';
+            btn.innerHTML = btnHtml;
         }
     }
 
@@ -824,7 +1224,7 @@ class App {
         const depId = document.getElementById('docDepartamento').value;
         const subId = document.getElementById('docSubcategoria').value;
         const dep = App._depsMap[depId] || DEPARTAMENTOS[depId];
-        const previewCode = depId && subId ? `${depId}-${subId}-XXX` : 'Código pendiente';
+        const previewCode = depId && subId ? `${depId}-${subId}-${new Date().getFullYear()}-XXX` : 'Código pendiente';
 
         this.showModal('Vista Previa del Documento', `
             <div class="doc-preview" style="box-shadow:none;">
@@ -845,17 +1245,24 @@ class App {
     // DOCUMENTOS (LISTA)
     // ========================================================
     static async renderDocumentos() {
-        const allDocs = await DocumentManager.getAll();
+        const allDocs = await DocumentManager.getVisibles();
         const user = AuthManager.getUser();
         
         // Filtrar documentos: mostrar solo los que requieren la firma del usuario (o todos si es admin)
-        let filteredDocs = allDocs.filter(d => d.estado === 'activo');
+        // Los anulados siguen listados (filtro "Anulados") para consultar su motivo
+        let filteredDocs = allDocs.filter(d => d.estado !== 'eliminado');
         
         if (!AuthManager.isAdmin()) {
-            // Los usuarios solo ven documentos donde están en firmasRequeridas o que ellos crearon
+            // Los usuarios ven los documentos que crearon o de los que son destinatarios
+            // (firmantes, entregados a ellos o dirigidos a su departamento).
+            // Los borradores solo los ven su creador y sus revisores.
+            const usuarios = await AuthManager.getAllUsers();
+            const porId = {};
+            usuarios.forEach(u => { porId[u.id] = u; });
             filteredDocs = filteredDocs.filter(d => {
-                const firmasRequeridas = d.firmasRequeridas || [];
-                return firmasRequeridas.includes(user.id) || d.creadoPor === user.id;
+                if (d.creadoPor === user.id) return true;
+                if (DocumentManager.esBorrador(d)) return !!d.revisores?.[user.id];
+                return DocumentManager.esDestinatario(d, user, porId[d.creadoPor]);
             });
         }
 
@@ -868,31 +1275,71 @@ class App {
             depFilterHtml += `<option value="${key}">${App._depsMap[key].nombre}</option>`;
         });
 
+        // Creadores presentes en la lista visible
+        const creadores = {};
+        filteredDocs.forEach(d => { if (d.creadoPor) creadores[d.creadoPor] = d.creadoPorNombre || d.creadoPor; });
+        const creadorFilterHtml = '<option value="">Todos los creadores</option>' + Object.entries(creadores)
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([uid, nombre]) => `<option value="${uid}">${this.escapeHtml(nombre)}</option>`)
+            .join('');
+
         content.innerHTML = `
             <div class="card">
                 <div class="card-header">
                     <h3><i class="fas fa-folder-open" style="margin-right:8px;color:var(--primary);"></i>Documentos</h3>
                     ${AuthManager.hasPermission('crear_documento') ? `
-                        <button class="btn btn-primary btn-sm" onclick="App.navigate('crear-documento')"><i class="fas fa-plus"></i> Nuevo</button>
+                        <div style="display:flex;gap:8px;">
+                            <button class="btn btn-outline btn-sm" onclick="App.navigate('lotes-documentos')"><i class="fas fa-copy"></i> Emisiones masivas</button>
+                            <button class="btn btn-primary btn-sm" onclick="App.navigate('crear-documento')"><i class="fas fa-plus"></i> Nuevo</button>
+                        </div>
                     ` : ''}
                 </div>
                 <div class="card-body">
                     <div class="filters-bar">
                         <div class="search-input">
                             <i class="fas fa-search"></i>
-                            <input type="text" placeholder="Buscar documentos..." id="docSearchInput" oninput="App.filterDocuments()">
+                            <input type="text" placeholder="Buscar en título, código, asunto, contenido, fechas..." id="docSearchInput" oninput="App.filterDocumentsDebounced()">
                         </div>
-                        <select class="filter-select" id="docDepFilter" onchange="App.filterDocuments()">
+                        <select class="filter-select" id="docDepFilter" onchange="App.updateDocSubFilter();App.filterDocuments()">
                             ${depFilterHtml}
                         </select>
+                        <select class="filter-select" id="docSubFilter" onchange="App.filterDocuments()" disabled>
+                            <option value="">Todas las subcategorías</option>
+                        </select>
+                        <select class="filter-select" id="docCreadorFilter" onchange="App.filterDocuments()">
+                            ${creadorFilterHtml}
+                        </select>
+                    </div>
+                    <div class="filters-bar">
+                        <label style="font-size:0.82rem;color:var(--text-secondary);">Desde</label>
+                        <input type="date" class="filter-date" id="docDesdeFilter" onchange="App.filterDocuments()">
+                        <label style="font-size:0.82rem;color:var(--text-secondary);">Hasta</label>
+                        <input type="date" class="filter-date" id="docHastaFilter" onchange="App.filterDocuments()">
+                        <select class="filter-select" id="docFirmaFilter" onchange="App.filterDocuments()">
+                            <option value="">Cualquier estado de firma</option>
+                            <option value="mi_firma">Pendientes de mi firma</option>
+                            <option value="pendiente">Con firmas pendientes</option>
+                            <option value="rechazada">Con firmas rechazadas</option>
+                            <option value="completo">Firmas completas</option>
+                            <option value="vencido">Plazo de firma vencido</option>
+                        </select>
+                        <select class="filter-select" id="docEstadoFilter" onchange="App.filterDocuments()">
+                            <option value="activo">Vigentes</option>
+                            <option value="borrador">Borradores</option>
+                            <option value="en_revision">En revisión</option>
+                            <option value="anulado">Anulados</option>
+                            <option value="">Todos</option>
+                        </select>
+                        <button class="btn btn-outline btn-sm" onclick="App.clearDocFilters()"><i class="fas fa-times"></i> Limpiar</button>
                     </div>
-                    <div id="docListContainer">${this.renderDocList(filteredDocs)}</div>
+                    <div id="docListContainer"></div>
                 </div>
             </div>
         `;
 
         // Store docs for filtering (todos los documentos para admins, filtrados para usuarios)
-        this._cachedDocs = filteredDocs;
+        this._cachedDocs = DocumentManager.indexarBusqueda(filteredDocs);
+        await this.filterDocuments();
     }
 
     // ========================================================
@@ -1262,9 +1709,10 @@ class App {
                     </div>`;
                 return;
             }
-            const [resumen, docsFirma] = await Promise.all([
+            const [resumen, docsFirma, incap] = await Promise.all([
                 ExpedienteEmpleadoManager.getResumenParaUsuario(userId),
-                DocumentManager.getActivosRequiriendoFirmaDe(userId)
+                DocumentManager.getActivosRequiriendoFirmaDe(userId),
+                ExpedienteEmpleadoManager.getIncapacidades(userId)
             ]);
             const nome = App.escapeHtml(`${emp.nombre || ''} ${emp.apellido || ''}`.trim());
             const dep = App.escapeHtml(App._depsMap[emp.departamento]?.nombre || emp.departamento || '—');
@@ -1289,6 +1737,25 @@ class App {
                         <td><button type="button" class="btn btn-sm btn-outline" onclick="App.navigate('ver-documento', { id: '${App.escapeHtml(d.id)}' })"><i class="fas fa-file-alt"></i> Ver</button></td>
                     </tr>`).join('');
 
+            const incapRows = incap.incapacidades.length === 0
+                ? '<tr><td colspan="6" style="text-align:center;color:var(--text-secondary);">Sin incapacidades registradas</td></tr>'
+                : incap.incapacidades.map((r) => {
+                    const d = r.datos || {};
+                    const certificados = RequestManager.getAdjuntos(r).map(a =>
+                        `<button type="button" class="btn btn-sm btn-outline" onclick="App.abrirAdjuntoSolicitud('${App.escapeJsString(r.id)}','${App.escapeJsString(a.id)}')" title="${App.escapeHtml(a.nombreArchivo || '')}"><i class="fas fa-paperclip"></i></button>`).join(' ');
+                    return `<tr>
+                        <td>${App.escapeHtml(RequestManager.getEntidadIncapacidad(r).nombre)}</td>
+                        <td>${App.escapeHtml(d.numero_certificado || '—')}</td>
+                        <td>${formatDate(d.fecha_inicio)} al ${formatDate(d.fecha_fin)}</td>
+                        <td>${RequestManager.calcDiasNaturales(d.fecha_inicio, d.fecha_fin)}</td>
+                        <td><span class="status-badge ${App.claseCardEstadoSolicitud(r.estado)}">${App.escapeHtml(App.etiquetaEstadoSolicitud(r.estado, r))}</span></td>
+                        <td>${certificados || '—'}</td>
+                    </tr>`;
+                }).join('');
+            const incapResumen = Object.entries(incap.diasAnioPorEntidad)
+                .map(([clave, dias]) => `${App.escapeHtml(INCAPACIDAD_CONFIG.entidades[clave]?.nombre || clave)}: <strong>${dias}</strong> día(s)`)
+                .join(' · ');
+
             const registrosRows = (resumen.registros || []).length === 0
                 ? '<tr><td colspan="5" style="text-align:center;color:var(--text-secondary);">Sin registros todavía</td></tr>'
                 : resumen.registros.map((r) => {
@@ -1345,6 +1812,19 @@ class App {
                 </div>
             </div>
 
+            <div class="card" style="margin-bottom:16px;">
+                <div class="card-header"><h3 style="font-size:1.05rem;"><i class="${TIPOS_SOLICITUD.incapacidad.icono}" style="margin-right:8px;color:var(--primary);"></i>Incapacidades</h3></div>
+                <div class="card-body no-padding">
+                    <p style="padding:12px 16px 0;font-size:0.85rem;color:var(--text-secondary);">Días naturales aprobados en ${new Date().getFullYear()}: ${incapResumen || 'ninguno'}</p>
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead><tr><th>Entidad</th><th>Boleta</th><th>Período</th><th>Días</th><th>Estado</th><th>Certificado</th></tr></thead>
+                            <tbody>${incapRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
             <div class="card" style="margin-bottom:16px;">
                 <div class="card-header"><h3 style="font-size:1.05rem;"><i class="fas fa-clipboard-list" style="margin-right:8px;color:var(--primary);"></i>Avisos, amonestaciones y notas</h3></div>
                 <div class="card-body">
@@ -1852,7 +2332,7 @@ class App {
         return `<div class="doc-list">
             ${docs.sort((a, b) => new Date(b.fechaCreacion) - new Date(a.fechaCreacion)).map(doc => {
                 const dep = App._depsMap[doc.departamento] || DEPARTAMENTOS[doc.departamento];
-                const firmas = doc.firmas ? Object.keys(doc.firmas).length : 0;
+                const firmas = DocumentManager.getFirmasVigentes(doc).length;
                 const firmasRequeridas = doc.firmasRequeridas ? doc.firmasRequeridas.length : 0;
                 const canManage = AuthManager.isAdmin() || AuthManager.isEncargado();
                 return `
@@ -1867,6 +2347,10 @@ class App {
                                 <span>${doc.creadoPorNombre}</span><span>•</span>
                                 <span>${timeAgo(doc.fechaCreacion)}</span><span>•</span>
                                 <span><i class="fas fa-signature" style="margin-right:3px;"></i>${firmas}${firmasRequeridas > 0 ? `/${firmasRequeridas}` : ''} firma(s)</span>
+                                ${doc.estado === 'anulado' ? `<span class="status-badge rechazada" title="${this.escapeHtml(doc.anulacion?.motivo || '')}"><i class="fas fa-ban"></i> Anulado</span>`
+                                    : doc.estado === 'borrador' ? '<span class="status-badge pendiente"><i class="fas fa-file-signature"></i> Borrador</span>'
+                                    : doc.estado === 'en_revision' ? '<span class="status-badge pendiente"><i class="fas fa-user-check"></i> En revisión</span>'
+                                    : this.plazoFirmaBadge(doc)}
                             </div>
                         </div>
                         <span class="doc-code">${doc.codigo}</span>
@@ -1883,22 +2367,97 @@ class App {
         </div>`;
     }
 
-    static filterDocuments() {
-        const query = document.getElementById('docSearchInput').value.toLowerCase();
-        const depFilter = document.getElementById('docDepFilter').value;
-        let docs = this._cachedDocs;
-
-        // Filtrar por departamento del documento (solo para admins)
-        if (depFilter) docs = docs.filter(d => d.departamento === depFilter);
-        if (query) {
-            docs = docs.filter(d =>
-                d.titulo.toLowerCase().includes(query) ||
-                d.codigo.toLowerCase().includes(query) ||
-                d.tipoNombre.toLowerCase().includes(query) ||
-                d.creadoPorNombre.toLowerCase().includes(query)
-            );
+    // Insignia de plazo de firma: vencido / próximo a vencer / con fecha límite
+    static plazoFirmaBadge(doc) {
+        const plazo = DocumentManager.getEstadoPlazoFirma(doc);
+        if (!plazo) return '';
+        if (plazo.vencido) {
+            return `<span class="status-badge rechazada" title="Fecha límite: ${formatDate(plazo.fechaLimite)}"><i class="fas fa-exclamation-circle"></i> Firma vencida</span>`;
+        }
+        if (plazo.proximo) {
+            const texto = plazo.diasRestantes === 0 ? 'Vence hoy' : `Vence en ${plazo.diasRestantes} día(s)`;
+            return `<span class="status-badge pendiente" title="Fecha límite: ${formatDate(plazo.fechaLimite)}"><i class="fas fa-hourglass-half"></i> ${texto}</span>`;
         }
-        document.getElementById('docListContainer').innerHTML = this.renderDocList(docs);
+        return `<span style="color:var(--text-light);"><i class="far fa-calendar" style="margin-right:3px;"></i>Firmar antes del ${formatDate(plazo.fechaLimite)}</span>`;
+    }
+
+    static DOCS_POR_PAGINA = 20;
+    static _filteredDocs = [];
+    static _docPage = 1;
+    static _docSearchTimer = null;
+
+    // Evita buscar en cada tecla cuando la colección es grande
+    static filterDocumentsDebounced() {
+        clearTimeout(this._docSearchTimer);
+        this._docSearchTimer = setTimeout(() => this.filterDocuments(), 250);
+    }
+
+    static async filterDocuments() {
+        const query = document.getElementById('docSearchInput').value;
+        const filtros = {
+            departamento: document.getElementById('docDepFilter').value,
+            subcategoria: document.getElementById('docSubFilter').value,
+            creadoPor: document.getElementById('docCreadorFilter').value,
+            desde: document.getElementById('docDesdeFilter').value,
+            hasta: document.getElementById('docHastaFilter').value,
+            estadoFirma: document.getElementById('docFirmaFilter').value,
+            estado: document.getElementById('docEstadoFilter').value
+        };
+
+        this._filteredDocs = await DocumentManager.search(query, filtros, this._cachedDocs);
+        this.goToDocPage(1);
+    }
+
+    static goToDocPage(page) {
+        const total = this._filteredDocs.length;
+        const totalPaginas = Math.max(1, Math.ceil(total / this.DOCS_POR_PAGINA));
+        this._docPage = Math.min(Math.max(1, page), totalPaginas);
+        const inicio = (this._docPage - 1) * this.DOCS_POR_PAGINA;
+        const pagina = this._filteredDocs.slice(inicio, inicio + this.DOCS_POR_PAGINA);
+
+        document.getElementById('docListContainer').innerHTML = `
+            ${total > 0 ? `<p class="filters-summary">${total} documento(s)${totalPaginas > 1 ? ` • mostrando ${inicio + 1}–${inicio + pagina.length}` : ''}</p>` : ''}
+            ${this.renderDocList(pagina)}
+            ${this.renderPagination(this._docPage, totalPaginas, 'App.goToDocPage')}
+        `;
+    }
+
+    // Controles de paginación: primera, anteriores/siguientes cercanas y última
+    static renderPagination(page, totalPaginas, handler) {
+        if (totalPaginas <= 1) return '';
+        const paginas = [...new Set([1, page - 2, page - 1, page, page + 1, page + 2, totalPaginas])]
+            .filter(p => p >= 1 && p <= totalPaginas)
+            .sort((a, b) => a - b);
+        let html = `<button class="btn btn-outline btn-sm" onclick="${handler}(${page - 1})" ${page === 1 ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>`;
+        paginas.forEach((p, i) => {
+            if (i > 0 && p - paginas[i - 1] > 1) html += '<span class="pagination-gap">…</span>';
+            html += `<button class="btn btn-outline btn-sm ${p === page ? 'active' : ''}" onclick="${handler}(${p})">${p}</button>`;
+        });
+        html += `<button class="btn btn-outline btn-sm" onclick="${handler}(${page + 1})" ${page === totalPaginas ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>`;
+        return `<div class="pagination">${html}</div>`;
+    }
+
+    // Subcategorías del departamento elegido en el filtro
+    static updateDocSubFilter() {
+        const depId = document.getElementById('docDepFilter').value;
+        const subSelect = document.getElementById('docSubFilter');
+        const dep = App._depsMap[depId] || DEPARTAMENTOS[depId];
+        let html = '<option value="">Todas las subcategorías</option>';
+        Object.values(dep?.categorias || {}).forEach(cat => {
+            Object.entries(cat.subcategorias || {}).forEach(([subId, nombre]) => {
+                html += `<option value="${subId}">${subId} — ${this.escapeHtml(nombre)}</option>`;
+            });
+        });
+        subSelect.innerHTML = html;
+        subSelect.disabled = !dep;
+    }
+
+    static clearDocFilters() {
+        ['docSearchInput', 'docDepFilter', 'docCreadorFilter', 'docDesdeFilter', 'docHastaFilter', 'docFirmaFilter']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('docEstadoFilter').value = 'activo';
+        this.updateDocSubFilter();
+        this.filterDocuments();
     }
 
     // ========================================================
@@ -1915,10 +2474,37 @@ class App {
 
         const dep = App._depsMap[doc.departamento] || DEPARTAMENTOS[doc.departamento];
         const user = AuthManager.getUser();
-        const allFirmas = doc.firmas ? Object.values(doc.firmas) : [];
+        // Solo cuentan las firmas hechas sobre la revisión vigente
+        const allFirmas = DocumentManager.getFirmasVigentes(doc);
         // En "Firmas Digitales" solo mostrar la firma del encargado (creador del documento)
         const firmas = allFirmas.filter(f => f.userId === doc.creadoPor);
-        const canSign = !allFirmas.some(f => f.userId === user.id);
+        // Documentos entregados (constancias) solo se consultan, no los firma el destinatario
+        const anulado = doc.estado === 'anulado';
+        // Borradores: no se firman hasta publicarlos
+        const borrador = DocumentManager.esBorrador(doc);
+        // Quien rechazó la firma de esta revisión ya no la firma (salvo que se edite el documento)
+        const miRechazo = DocumentManager.getRechazoDeUsuario(doc, user.id);
+        const canSign = !anulado && !borrador && !miRechazo && !allFirmas.some(f => f.userId === user.id) && doc.entregadoA !== user.id;
+        const puedeRechazar = canSign && DocumentManager.firmasRequeridasIncluyeUsuario(doc.firmasRequeridas, user.id);
+        const firmoRevisionAnterior = canSign && Object.values(doc.firmas || {}).some(f => f.userId === user.id);
+        const canEdit = (doc.estado === 'activo' || borrador) && (AuthManager.isAdmin() || doc.creadoPor === user.id);
+        const revisionActual = DocumentManager.getRevisionActual(doc);
+        const revisiones = await DocumentManager.getRevisions(docId).catch(error => {
+            console.error('Error obteniendo revisiones:', error);
+            return null;
+        });
+        const adjuntos = DocumentManager.getAdjuntos(doc);
+        const adjuntosEliminados = DocumentManager.getAdjuntosEliminados(doc);
+        const canEditAdjuntos = canEdit && DocumentManager.puedeCambiarAdjuntos(doc);
+        if (canEdit && !borrador) DocumentManager.ensureVerification(doc);
+        // Comentarios internos: creador, revisores y admins
+        const veComentarios = AuthManager.isAdmin() || doc.creadoPor === user.id || !!doc.revisores?.[user.id];
+        const comentarios = veComentarios ? await DocumentManager.getComments(docId) : [];
+        // Firma en orden: si no es su turno se muestra a quién se espera
+        const turno = canSign ? DocumentManager.getTurnoFirma(doc, user.id) : null;
+        const esperandoA = turno && !turno.enTurno ? await AuthManager.getUserById(turno.siguiente) : null;
+        // Acuse de lectura: solo se guarda la primera vez que el destinatario lo abre
+        DocumentManager.registrarLectura(doc);
         const content = document.getElementById('contentArea');
 
         content.innerHTML = `
@@ -1930,9 +2516,59 @@ class App {
                     <p style="font-size:0.85rem;opacity:0.8;">${dep?.nombre || 'Departamento'} — ${doc.tipoNombre}</p>
                     <h2>${doc.titulo}</h2>
                     <span class="doc-preview-code">${doc.codigo}</span>
-                    <p style="font-size:0.8rem;opacity:0.7;margin-top:8px;">Creado por ${doc.creadoPorNombre} • ${formatDateTime(doc.fechaCreacion)}</p>
+                    <p style="font-size:0.8rem;opacity:0.7;margin-top:8px;">Creado por ${doc.creadoPorNombre} • ${formatDateTime(doc.fechaCreacion)} • Revisión ${revisionActual}${doc.fechaModificacion ? ` (modificado ${formatDateTime(doc.fechaModificacion)})` : ''}${doc.fechaLimiteFirma ? ` • Firmar antes del ${formatDate(doc.fechaLimiteFirma)}` : ''}</p>
                 </div>
+                ${anulado ? `
+                    <div style="padding:14px 18px;background:rgba(198,40,40,0.08);border-left:4px solid var(--danger);">
+                        <i class="fas fa-ban" style="color:var(--danger);margin-right:6px;"></i>
+                        <strong style="color:var(--danger);">Documento anulado</strong>
+                        <span style="font-size:0.85rem;color:var(--text-secondary);"> por ${this.escapeHtml(doc.anulacion?.nombre || '—')} el ${formatDateTime(doc.anulacion?.fecha)}</span>
+                        <p style="font-size:0.88rem;margin-top:6px;"><strong>Motivo:</strong> ${this.escapeHtml(doc.anulacion?.motivo || '')}</p>
+                    </div>
+                ` : ''}
+                ${borrador ? this.renderPanelBorrador(doc, user) : ''}
                 <div class="doc-preview-body">${doc.contenido}</div>
+                ${adjuntos.length > 0 || canEdit ? `
+                    <div class="doc-preview-footer no-print" style="border-bottom:1px solid var(--border);">
+                        <h4 style="margin-bottom:12px;"><i class="fas fa-paperclip" style="margin-right:8px;color:var(--primary);"></i>Adjuntos (${adjuntos.length})</h4>
+                        ${adjuntos.length > 0 ? `
+                            <div class="doc-list">
+                                ${adjuntos.map((a, i) => `
+                                    <div class="doc-item" style="padding:10px 14px;">
+                                        <div class="doc-icon" style="background:${a.mimeType === 'application/pdf' ? 'var(--danger)' : 'var(--info)'};"><i class="fas ${a.mimeType === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}"></i></div>
+                                        <div class="doc-info" style="flex:1;">
+                                            <h4>Anexo ${i + 1}: ${this.escapeHtml(a.nombreArchivo)}</h4>
+                                            <div class="doc-meta">
+                                                <span>${PoliticaInternaManager.formatBytes(a.tamañoBytes)}</span><span>•</span>
+                                                <span>${this.escapeHtml(a.subidoPorNombre || '')}</span><span>•</span>
+                                                <span>${formatDateTime(a.fecha)}</span>
+                                            </div>
+                                        </div>
+                                        <div style="display:flex;gap:6px;margin-left:10px;">
+                                            <button class="btn btn-sm btn-outline" onclick="App.abrirAdjuntoDocumento('${doc.id}', '${a.id}')" title="Abrir"><i class="fas fa-external-link-alt"></i></button>
+                                            <button class="btn btn-sm btn-outline" onclick="App.descargarAdjuntoDocumento('${doc.id}', '${a.id}')" title="Descargar"><i class="fas fa-download"></i></button>
+                                            ${canEditAdjuntos ? `<button class="btn btn-sm btn-danger" onclick="App.openEliminarAdjuntoModal('${doc.id}', '${a.id}')" title="Quitar"><i class="fas fa-trash"></i></button>` : ''}
+                                        </div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : '<p style="color:var(--text-light);font-size:0.88rem;">Sin adjuntos</p>'}
+                        ${adjuntosEliminados.length > 0 && canEdit ? `
+                            <div style="margin-top:10px;font-size:0.82rem;color:var(--text-secondary);">
+                                ${adjuntosEliminados.map(a => `
+                                    <p><i class="fas fa-trash" style="margin-right:6px;color:var(--text-light);"></i><s>${this.escapeHtml(a.nombreArchivo)}</s> — quitado por ${this.escapeHtml(a.eliminacion.nombre || '—')} el ${formatDateTime(a.eliminacion.fecha)}. Motivo: ${this.escapeHtml(a.eliminacion.motivo || '')}</p>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        ${canEdit && !canEditAdjuntos && !anulado ? '<p style="margin-top:10px;font-size:0.82rem;color:var(--text-light);"><i class="fas fa-lock" style="margin-right:6px;"></i>El documento ya tiene firmas: sus adjuntos no se pueden cambiar.</p>' : ''}
+                        ${canEditAdjuntos ? `
+                            <div style="margin-top:12px;display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+                                <input type="file" id="docAdjuntoNuevo" accept=".pdf,application/pdf,.png,image/png,.jpg,.jpeg,image/jpeg" multiple>
+                                <button class="btn btn-outline btn-sm" id="btnAgregarAdjunto" onclick="App.agregarAdjuntosDocumento('${doc.id}')"><i class="fas fa-upload"></i> Adjuntar</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
                 <div class="doc-preview-footer">
                     <h4 style="margin-bottom:12px;"><i class="fas fa-signature" style="margin-right:8px;color:var(--primary);"></i>Firmas Digitales</h4>
                     ${firmas.length > 0 ? `
@@ -1957,10 +2593,37 @@ class App {
                         </div>
                     ` : '<p style="color:var(--text-light);font-size:0.88rem;">Aún no hay firmas</p>'}
 
-                    ${canSign ? `
+                    ${turno && !turno.enTurno ? `
+                        <div style="margin-top:20px;padding:15px;background:rgba(245,127,23,0.08);border-radius:var(--radius-sm);text-align:center;">
+                            <i class="fas fa-hourglass-half" style="color:var(--warning);margin-right:6px;"></i>
+                            <span style="font-weight:600;">Firma en orden: usted es el firmante ${turno.posicion} de ${turno.total}.</span>
+                            <p style="font-size:0.85rem;color:var(--text-secondary);margin-top:6px;">Podrá firmar cuando ${esperandoA ? this.escapeHtml(`${esperandoA.nombre} ${esperandoA.apellido}`) : 'el firmante anterior'} haya firmado. Se le notificará.</p>
+                            ${puedeRechazar ? `<button class="btn btn-outline btn-sm" style="margin-top:10px;" onclick="App.openRejectSignatureModal('${doc.id}')"><i class="fas fa-times-circle"></i> Rechazar firma</button>` : ''}
+                        </div>
+                    ` : miRechazo && !anulado ? `
+                        <div style="margin-top:20px;padding:15px;background:rgba(198,40,40,0.05);border-radius:var(--radius-sm);text-align:center;">
+                            <i class="fas fa-times-circle" style="color:var(--danger);margin-right:6px;"></i>
+                            <span style="color:var(--danger);font-weight:600;">Rechazó firmar este documento el ${formatDateTime(miRechazo.fecha)}</span>
+                            <p style="font-size:0.85rem;color:var(--text-secondary);margin-top:6px;">Motivo: ${this.escapeHtml(miRechazo.motivo)}</p>
+                        </div>
+                    ` : borrador ? `
+                        <div style="margin-top:20px;padding:15px;background:rgba(245,127,23,0.06);border-radius:var(--radius-sm);text-align:center;">
+                            <i class="fas fa-file-signature" style="color:var(--warning);margin-right:6px;"></i>
+                            <span style="font-weight:600;">Documento sin publicar</span>
+                            <p style="font-size:0.85rem;color:var(--text-secondary);margin-top:6px;">Se solicitará la firma a los firmantes cuando se publique.</p>
+                        </div>
+                    ` : anulado ? `
+                        <div style="margin-top:20px;padding:15px;background:rgba(198,40,40,0.05);border-radius:var(--radius-sm);text-align:center;">
+                            <i class="fas fa-ban" style="color:var(--danger);margin-right:6px;"></i>
+                            <span style="color:var(--danger);font-weight:600;">Documento anulado: ya no admite firmas</span>
+                        </div>
+                    ` : canSign ? `
                         <div class="signature-area" style="margin-top:20px;">
                             <i class="fas fa-pen-fancy" style="font-size:2rem;color:var(--primary);margin-bottom:10px;display:block;"></i>
                             <h4>Firmar Documento</h4>
+                            ${firmoRevisionAnterior ? `
+                                <p style="font-size:0.82rem;color:var(--warning);margin-bottom:12px;"><i class="fas fa-exclamation-triangle"></i> El documento fue modificado después de su firma. Debe firmar la revisión ${revisionActual}.</p>
+                            ` : ''}
                             
                             <!-- Paso 1: Código de verificación del documento -->
                             <div id="step1Verification" style="margin-bottom:20px;">
@@ -2012,6 +2675,17 @@ class App {
                                     </div>
                                 </div>
                             </div>
+                            ${puedeRechazar ? `
+                                <p style="font-size:0.8rem;color:var(--text-secondary);margin-top:16px;">¿No está de acuerdo con el documento?
+                                    <button class="btn btn-outline btn-sm" onclick="App.openRejectSignatureModal('${doc.id}')"><i class="fas fa-times-circle"></i> Rechazar firma</button>
+                                </p>
+                            ` : ''}
+                        </div>
+                    ` : doc.entregadoA === user.id && !allFirmas.some(f => f.userId === user.id) ? `
+                        <div style="margin-top:20px;padding:15px;background:rgba(2,119,189,0.06);border-radius:var(--radius-sm);text-align:center;">
+                            <i class="fas fa-file-download" style="color:var(--info);margin-right:6px;"></i>
+                            <span style="font-weight:600;">Documento emitido a su nombre.</span>
+                            <p style="font-size:0.85rem;color:var(--text-secondary);margin-top:6px;">Puede descargarlo firmado con el botón "Generar PDF".</p>
                         </div>
                     ` : `
                         <div style="margin-top:20px;padding:15px;background:rgba(46,125,50,0.05);border-radius:var(--radius-sm);text-align:center;">
@@ -2022,32 +2696,643 @@ class App {
                     <div style="margin-top:20px;text-align:center;" class="no-print">
                         <div style="display:flex;gap:10px;justify-content:center;flex-wrap:wrap;">
                             <button class="btn btn-primary btn-sm" onclick="App.generateDocumentPDF('${doc.id}')"><i class="fas fa-file-pdf"></i> Generar PDF</button>
+                            ${canEdit ? `
+                                <button class="btn btn-outline btn-sm" onclick="App.openEditDocumentModal('${doc.id}')"><i class="fas fa-edit"></i> Editar</button>
+                                ${!borrador ? `<button class="btn btn-danger btn-sm" onclick="App.openAnnulDocumentModal('${doc.id}')"><i class="fas fa-ban"></i> Anular</button>` : ''}
+                            ` : ''}
+                            ${!borrador ? `<a class="btn btn-outline btn-sm" href="${this.escapeHtml(DocumentManager.getVerificationUrl(doc))}" target="_blank" rel="noopener"><i class="fas fa-shield-alt"></i> Verificación Pública</a>` : ''}
                             ${(AuthManager.isAdmin() || AuthManager.isEncargado()) ? `
                                 <button class="btn btn-outline btn-sm" onclick="App.navigate('estado-firmas', {id:'${doc.id}'})"><i class="fas fa-clipboard-check"></i> Ver Estado de Firmas</button>
+                                ${!borrador ? `<button class="btn btn-outline btn-sm" onclick="App.navigate('lecturas-documento', {id:'${doc.id}'})"><i class="fas fa-eye"></i> Lecturas</button>` : ''}
+                            ` : ''}
+                            ${doc.loteId && (AuthManager.isAdmin() || doc.creadoPor === user.id) ? `
+                                <button class="btn btn-outline btn-sm" onclick="App.navigate('lote-documentos', {id:'${doc.loteId}'})"><i class="fas fa-copy"></i> Ver Emisión Masiva</button>
                             ` : ''}
                         </div>
+                        <p id="docHuella" style="margin-top:10px;font-size:0.72rem;color:var(--text-light);font-family:monospace;word-break:break-all;"></p>
                     </div>
                 </div>
             </div>
+            ${this.renderRevisionHistory(doc, revisiones)}
+            ${veComentarios && (borrador || comentarios.length > 0) ? this.renderComentariosDocumento(doc, comentarios, borrador) : ''}
         `;
+
+        // Huella que se imprime en el pie del PDF, para cotejar copias impresas
+        PDFGenerator.computeDocumentFingerprint(doc).then(huella => {
+            const el = document.getElementById('docHuella');
+            if (el && huella) el.textContent = `Huella SHA-256 (revisión ${revisionActual}): ${huella}`;
+        });
     }
 
-    // Variables para el canvas de firma
-    static isDrawing = false;
-    static signatureCanvas = null;
-    static signatureCtx = null;
-    static signatureUnlocked = false;
-    static currentDocId = null;
-    static currentVerificationCode = null;
-    static currentPersonalCode = null;
+    // Estado del borrador, revisores y acciones (enviar a revisión, aprobar, publicar)
+    static renderPanelBorrador(doc, user) {
+        const revisores = DocumentManager.getRevisores(doc);
+        const esCreador = doc.creadoPor === user.id || AuthManager.isAdmin();
+        const miRevision = doc.estado === 'en_revision' ? doc.revisores?.[user.id] : null;
+        const puedePublicar = DocumentManager.puedePublicar(doc);
+        const sinFirmantes = DocumentManager.getListaFirmantes(doc.firmasRequeridas).length === 0;
+        const etiquetas = {
+            pendiente: '<span class="status-badge pendiente">Pendiente</span>',
+            aprobado: '<span class="status-badge aprobada">Aprobado</span>',
+            cambios: '<span class="status-badge rechazada">Cambios solicitados</span>'
+        };
 
-    // Verificar código del documento
-    static async verifyDocumentCode(docId) {
-        const code = document.getElementById('signVerCode').value.toUpperCase().trim();
-        if (!code) { 
-            Toast.error('Error', 'Ingrese el código de verificación'); 
-            return; 
-        }
+        return `
+            <div class="no-print" style="padding:14px 18px;background:rgba(245,127,23,0.08);border-left:4px solid var(--warning);">
+                <i class="fas fa-file-signature" style="color:var(--warning);margin-right:6px;"></i>
+                <strong>${doc.estado === 'en_revision' ? 'En revisión' : 'Borrador'}</strong>
+                <span style="font-size:0.85rem;color:var(--text-secondary);"> — solo lo ven el creador y los revisores. Los firmantes recibirán el documento al publicarlo.</span>
+                ${revisores.length > 0 ? `
+                    <div style="margin-top:10px;display:flex;flex-wrap:wrap;gap:10px;">
+                        ${revisores.map(r => `
+                            <span style="font-size:0.85rem;">${this.escapeHtml(r.nombre)} ${etiquetas[r.estado] || etiquetas.pendiente}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div style="margin-top:12px;display:flex;gap:8px;flex-wrap:wrap;">
+                    ${esCreador ? `
+                        <button class="btn btn-outline btn-sm" onclick="App.openReviewersModal('${doc.id}')"><i class="fas fa-user-plus"></i> ${revisores.length > 0 ? 'Agregar revisores' : 'Enviar a revisión'}</button>
+                        <button class="btn btn-primary btn-sm" onclick="App.publicarDocumento('${doc.id}')" ${puedePublicar ? '' : 'disabled'}
+                            title="${sinFirmantes ? 'El documento no tiene firmantes requeridos' : puedePublicar ? '' : 'Todos los revisores deben aprobar'}"><i class="fas fa-paper-plane"></i> Publicar</button>
+                        <button class="btn btn-danger btn-sm" onclick="App.descartarBorrador('${doc.id}')"><i class="fas fa-trash"></i> Descartar</button>
+                    ` : ''}
+                    ${miRevision ? `
+                        <button class="btn btn-success btn-sm" onclick="App.responderRevision('${doc.id}', 'aprobado')" ${miRevision.estado === 'aprobado' ? 'disabled' : ''}><i class="fas fa-check"></i> Aprobar</button>
+                        <button class="btn btn-outline btn-sm" onclick="App.openSolicitarCambiosModal('${doc.id}')"><i class="fas fa-undo"></i> Solicitar cambios</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Comentarios internos en hilos (solo se puede comentar mientras no está publicado)
+    static renderComentariosDocumento(doc, comentarios, abierto) {
+        const renderHilo = (c, nivel) => `
+            <div style="margin-left:${Math.min(nivel, 4) * 24}px;padding:10px 12px;border-left:3px solid ${nivel === 0 ? 'var(--primary)' : 'var(--border)'};background:var(--bg-main);border-radius:var(--radius-sm);margin-bottom:8px;">
+                <div style="font-size:0.82rem;color:var(--text-secondary);">
+                    <strong style="color:var(--text-primary);">${this.escapeHtml(c.autorNombre)}</strong> • ${timeAgo(c.fecha)}
+                </div>
+                <p style="font-size:0.88rem;margin-top:4px;white-space:pre-wrap;">${this.escapeHtml(c.texto)}</p>
+                ${abierto ? `
+                    <a href="#" style="font-size:0.78rem;" onclick="event.preventDefault();App.toggleReplyForm('${c.id}')"><i class="fas fa-reply"></i> Responder</a>
+                    <div id="replyForm_${c.id}" style="display:none;margin-top:8px;">
+                        <textarea class="form-control" id="replyText_${c.id}" rows="2" placeholder="Escriba su respuesta..."></textarea>
+                        <button class="btn btn-primary btn-sm" style="margin-top:6px;" onclick="App.enviarComentarioDocumento('${doc.id}', '${c.id}')"><i class="fas fa-paper-plane"></i> Responder</button>
+                    </div>
+                ` : ''}
+            </div>
+            ${c.respuestas.map(r => renderHilo(r, nivel + 1)).join('')}
+        `;
+
+        return `
+            <div class="card no-print" style="margin-top:20px;">
+                <div class="card-header">
+                    <h3><i class="fas fa-comments" style="margin-right:8px;color:var(--primary);"></i>Comentarios de revisión (${comentarios.length})</h3>
+                </div>
+                <div class="card-body">
+                    ${comentarios.length > 0 ? comentarios.map(c => renderHilo(c, 0)).join('') : '<p style="color:var(--text-light);font-size:0.88rem;">Aún no hay comentarios</p>'}
+                    ${abierto ? `
+                        <div style="margin-top:12px;">
+                            <textarea class="form-control" id="replyText_nuevo" rows="3" placeholder="Escriba un comentario para el creador y los revisores..."></textarea>
+                            <button class="btn btn-primary btn-sm" style="margin-top:8px;" onclick="App.enviarComentarioDocumento('${doc.id}', null)"><i class="fas fa-comment"></i> Comentar</button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    static toggleReplyForm(commentId) {
+        const form = document.getElementById(`replyForm_${commentId}`);
+        if (form) form.style.display = form.style.display === 'none' ? 'block' : 'none';
+    }
+
+    static async enviarComentarioDocumento(docId, parentId) {
+        const input = document.getElementById(`replyText_${parentId || 'nuevo'}`);
+        const texto = input?.value || '';
+        if (!texto.trim()) { Toast.error('Error', 'Escriba un comentario'); return; }
+        const result = await DocumentManager.addComment(docId, texto, parentId);
+        if (!result.success) { Toast.error('Error', result.message); return; }
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async openReviewersModal(docId) {
+        const doc = await DocumentManager.getById(docId);
+        if (!doc) return;
+        const user = AuthManager.getUser();
+        const deps = [...new Set([doc.departamento, user.departamento].filter(Boolean))];
+        const candidatos = (await Promise.all(deps.map(d => AuthManager.getUsersByDepartment(d)))).flat()
+            .filter((u, i, arr) => u.id !== doc.creadoPor && arr.findIndex(x => x.id === u.id) === i)
+            .sort((a, b) => `${a.nombre} ${a.apellido}`.localeCompare(`${b.nombre} ${b.apellido}`));
+
+        this.showModal('Revisores del Borrador', `
+            <form onsubmit="App.confirmReviewers(event, '${docId}')">
+                <p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:12px;">Los revisores podrán leer el borrador, comentar y aprobarlo. Podrá publicarlo cuando todos lo aprueben.</p>
+                ${candidatos.length > 0 ? `
+                    <div style="display:flex;flex-direction:column;gap:8px;max-height:300px;overflow-y:auto;margin-bottom:16px;">
+                        ${candidatos.map(u => `
+                            <label style="display:flex;align-items:center;gap:8px;cursor:pointer;font-size:0.88rem;">
+                                <input type="checkbox" class="revisor-check" value="${u.id}" ${doc.revisores?.[u.id] ? 'checked disabled' : ''}>
+                                ${this.escapeHtml(`${u.nombre} ${u.apellido}`)} <span style="color:var(--text-light);">— ${this.escapeHtml(ROLES[u.rol]?.nombre || u.rol)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : '<p style="color:var(--text-light);margin-bottom:16px;">No hay otros usuarios activos en su departamento.</p>'}
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary" id="btnConfirmReviewers"><i class="fas fa-user-check"></i> Enviar a revisión</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmReviewers(e, docId) {
+        e.preventDefault();
+        const ids = Array.from(document.querySelectorAll('.revisor-check:checked:not(:disabled)')).map(cb => cb.value);
+        const btn = document.getElementById('btnConfirmReviewers');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await DocumentManager.submitForReview(docId, ids);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-user-check"></i> Enviar a revisión';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Enviado a revisión', `Se notificó a ${result.invitados} revisor(es)`);
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async responderRevision(docId, decision, comentario = '') {
+        const result = await DocumentManager.reviewDocument(docId, decision, comentario);
+        if (!result.success) { Toast.error('Error', result.message); return false; }
+        Toast.success(decision === 'aprobado' ? 'Borrador aprobado' : 'Cambios solicitados', 'Se notificó al creador del documento');
+        this.navigate('ver-documento', { id: docId });
+        return true;
+    }
+
+    static openSolicitarCambiosModal(docId) {
+        this.showModal('Solicitar Cambios', `
+            <form onsubmit="App.confirmSolicitarCambios(event, '${docId}')">
+                <div class="form-group"><label>Cambios solicitados <span class="required">*</span></label><textarea class="form-control" id="cambiosComentario" rows="4" placeholder="Indique qué debe corregirse..." required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-undo"></i> Solicitar cambios</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmSolicitarCambios(e, docId) {
+        e.preventDefault();
+        const comentario = document.getElementById('cambiosComentario').value;
+        if (!comentario.trim()) { Toast.error('Error', 'Indique qué cambios solicita'); return; }
+        this.closeModal();
+        await this.responderRevision(docId, 'cambios', comentario);
+    }
+
+    static async publicarDocumento(docId) {
+        if (!confirm('¿Publicar el documento? Se solicitará la firma a los firmantes requeridos.')) return;
+        const result = await DocumentManager.publish(docId);
+        if (!result.success) { Toast.error('Error', result.message); return; }
+        Toast.success('Documento publicado', 'Se notificó a los firmantes');
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async descartarBorrador(docId) {
+        if (!confirm('¿Descartar este borrador? Esta acción no se puede deshacer.')) return;
+        const ok = await DocumentManager.delete(docId);
+        if (!ok) { Toast.error('Error', 'No se pudo descartar el borrador'); return; }
+        Toast.success('Borrador descartado', 'El borrador fue eliminado');
+        this.navigate('documentos');
+    }
+
+    // Historial de revisiones del documento (más reciente primero)
+    static renderRevisionHistory(doc, revisiones) {
+        if (revisiones === null) {
+            return `
+                <div class="card no-print" style="margin-top:20px;">
+                    <div class="card-body" style="color:var(--danger);font-size:0.88rem;">
+                        <i class="fas fa-exclamation-triangle" style="margin-right:6px;"></i>No se pudo cargar el historial de revisiones.
+                    </div>
+                </div>
+            `;
+        }
+        if (revisiones.length === 0) return '';
+        const actual = DocumentManager.getRevisionActual(doc);
+        const firmasPorRevision = {};
+        Object.values(doc.firmas || {}).forEach(f => {
+            const n = DocumentManager.getRevisionFirma(f);
+            firmasPorRevision[n] = (firmasPorRevision[n] || 0) + 1;
+        });
+        const nombresCampo = { titulo: 'Título', para: 'Para', asunto: 'Asunto', contenido: 'Contenido' };
+
+        return `
+            <div class="card no-print" style="margin-top:20px;">
+                <div class="card-header">
+                    <h3><i class="fas fa-history" style="margin-right:8px;color:var(--primary);"></i>Historial de Revisiones</h3>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Revisión</th>
+                                    <th>Autor</th>
+                                    <th>Fecha</th>
+                                    <th>Cambios</th>
+                                    <th>Firmas</th>
+                                    <th>Acciones</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${revisiones.slice().reverse().map(r => `
+                                    <tr>
+                                        <td>
+                                            <strong>Rev. ${r.numero}</strong>
+                                            ${r.numero === actual ? '<span class="status-badge aprobada" style="margin-left:6px;">Vigente</span>' : ''}
+                                        </td>
+                                        <td>${this.escapeHtml(r.autorNombre || '')}</td>
+                                        <td>${formatDateTime(r.fecha)}</td>
+                                        <td>
+                                            ${(r.cambios || []).length ? (r.cambios || []).map(c => nombresCampo[c] || c).join(', ') : '—'}
+                                            ${r.motivo ? `<br><small style="color:var(--text-light);">${this.escapeHtml(r.motivo)}</small>` : ''}
+                                        </td>
+                                        <td>${firmasPorRevision[r.numero] || 0}</td>
+                                        <td>
+                                            <button class="btn btn-sm btn-outline" onclick="App.showRevisionDetail('${doc.id}', ${r.numero})"><i class="fas fa-eye"></i> Ver</button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Ver una revisión: diff del contenido, copia completa y firmas ancladas a ella
+    static async showRevisionDetail(docId, numero) {
+        const [doc, revisiones] = await Promise.all([
+            DocumentManager.getById(docId),
+            DocumentManager.getRevisions(docId).catch(error => {
+                console.error('Error obteniendo revisiones:', error);
+                return null;
+            })
+        ]);
+        if (!revisiones) {
+            Toast.error('Error', 'No se pudo cargar el historial de revisiones');
+            return;
+        }
+        const rev = revisiones.find(r => r.numero === numero);
+        if (!doc || !rev) {
+            Toast.error('Error', 'Revisión no encontrada');
+            return;
+        }
+
+        const diff = Array.isArray(rev.diff) ? rev.diff : Object.values(rev.diff || {});
+        const firmas = Object.values(doc.firmas || {}).filter(f => DocumentManager.getRevisionFirma(f) === numero);
+        const diffHtml = diff.length ? `
+            <div style="font-family:monospace;font-size:0.8rem;border:1px solid var(--border);border-radius:var(--radius-sm);max-height:240px;overflow:auto;">
+                ${diff.map(d => `
+                    <div style="padding:3px 8px;background:${d.op === '+' ? 'rgba(46,125,50,0.1)' : 'rgba(198,40,40,0.1)'};color:${d.op === '+' ? 'var(--success)' : 'var(--danger)'};">
+                        ${d.op} ${d.linea}: ${this.escapeHtml(d.texto || '')}
+                    </div>
+                `).join('')}
+            </div>
+        ` : `<p style="color:var(--text-light);font-size:0.85rem;">${numero === 1 ? 'Versión original del documento.' : 'Sin cambios en el contenido.'}</p>`;
+
+        this.showModal(`Revisión ${numero} — ${doc.codigo}`, `
+            <p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:12px;">
+                ${this.escapeHtml(rev.autorNombre || '')} • ${formatDateTime(rev.fecha)}
+                ${rev.motivo ? `<br><em>${this.escapeHtml(rev.motivo)}</em>` : ''}
+            </p>
+            <h4 style="margin-bottom:8px;">Cambios en el contenido</h4>
+            ${diffHtml}
+            <h4 style="margin:16px 0 8px;">Firmas sobre esta revisión</h4>
+            ${firmas.length ? `<ul style="font-size:0.85rem;margin-left:18px;">${firmas.map(f => `<li>${this.escapeHtml(f.nombre)} — ${formatDateTime(f.fecha)} (código ${f.codigoVerificacion})</li>`).join('')}</ul>` : '<p style="color:var(--text-light);font-size:0.85rem;">Nadie firmó esta revisión.</p>'}
+            <h4 style="margin:16px 0 8px;">Documento en esta revisión</h4>
+            <div class="doc-preview" style="box-shadow:none;">
+                <div class="doc-preview-header" style="background:var(--primary);">
+                    <h2>${this.escapeHtml(rev.titulo || '')}</h2>
+                    ${rev.asunto ? `<p style="font-size:0.85rem;opacity:0.8;">Asunto: ${this.escapeHtml(rev.asunto)}</p>` : ''}
+                </div>
+                <div class="doc-preview-body">${rev.contenido || ''}</div>
+            </div>
+        `, true);
+    }
+
+    // Editar documento (genera una nueva revisión)
+    static async openEditDocumentModal(docId) {
+        const doc = await DocumentManager.getById(docId);
+        if (!doc) {
+            Toast.error('Error', 'Documento no encontrado');
+            return;
+        }
+        await this.ensureDepsLoaded();
+        const { depsParaHtml } = this.docDepartamentoOptions(AuthManager.getUser());
+        const firmasVigentes = DocumentManager.getFirmasVigentes(doc).length;
+
+        this.showModal('Editar Documento', `
+            <form onsubmit="App.confirmEditDocument(event, '${doc.id}')">
+                ${firmasVigentes > 0 ? `
+                    <div style="margin-bottom:16px;padding:10px 12px;background:rgba(245,127,23,0.1);border-left:3px solid var(--warning);border-radius:var(--radius-sm);font-size:0.85rem;">
+                        <i class="fas fa-exclamation-triangle" style="color:var(--warning);margin-right:6px;"></i>
+                        Este documento tiene ${firmasVigentes} firma(s). Al guardar se creará la revisión ${DocumentManager.getRevisionActual(doc) + 1} y se solicitará de nuevo la firma.
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label>Título del Documento <span class="required">*</span></label>
+                    <input type="text" class="form-control" id="editDocTitulo" value="${this.escapeHtml(doc.titulo || '')}" required>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Para <span class="required">*</span></label>
+                        <select class="form-control" id="editDocPara" required>
+                            <option value="TODOS">Todos los empleados</option>
+                            ${depsParaHtml}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Asunto <span class="required">*</span></label>
+                        <input type="text" class="form-control" id="editDocAsunto" value="${this.escapeHtml(doc.asunto || '')}" required>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Contenido del Documento <span class="required">*</span></label>
+                    <div class="editor-container">
+                        ${this.docEditorToolbarHtml()}
+                        <div class="editor-content" id="docEditor" contenteditable="true"></div>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Motivo del cambio</label>
+                    <input type="text" class="form-control" id="editDocMotivo" placeholder="Ej: Corrección de fechas...">
+                </div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary" id="btnConfirmEditDoc"><i class="fas fa-save"></i> Guardar Revisión</button>
+                </div>
+            </form>
+        `, true);
+
+        const paraSelect = document.getElementById('editDocPara');
+        if (doc.para && !Array.from(paraSelect.options).some(o => o.value === doc.para)) {
+            const dep = App._depsMap[doc.para] || DEPARTAMENTOS[doc.para];
+            paraSelect.innerHTML += `<option value="${this.escapeHtml(doc.para)}">${this.escapeHtml(dep?.nombre || doc.para)}</option>`;
+        }
+        paraSelect.value = doc.para || 'TODOS';
+        document.getElementById('docEditor').innerHTML = doc.contenido || '';
+    }
+
+    static async confirmEditDocument(e, docId) {
+        e.preventDefault();
+        const titulo = document.getElementById('editDocTitulo').value.trim();
+        const para = document.getElementById('editDocPara').value;
+        const asunto = document.getElementById('editDocAsunto').value.trim();
+        const contenido = document.getElementById('docEditor').innerHTML;
+        const motivo = document.getElementById('editDocMotivo').value;
+
+        if (!titulo || !para || !asunto || !contenido.trim() || contenido === '<br>') {
+            Toast.error('Error', 'Por favor complete todos los campos requeridos');
+            return;
+        }
+
+        const btn = document.getElementById('btnConfirmEditDoc');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+
+        const result = await DocumentManager.editDocument(docId, { titulo, para, asunto, contenido }, motivo);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-save"></i> Guardar Revisión';
+            return;
+        }
+
+        this.closeModal();
+        if (result.borrador) {
+            Toast.success('Borrador actualizado', result.revisoresReiniciados > 0
+                ? `Se pidió de nuevo la revisión a ${result.revisoresReiniciados} revisor(es)`
+                : 'Los cambios se guardaron');
+            this.navigate('ver-documento', { id: docId });
+            return;
+        }
+        Toast.success('Documento actualizado', result.firmasInvalidadas > 0
+            ? `Revisión ${result.revision.numero} creada. Se solicitó de nuevo la firma a ${result.firmasInvalidadas} firmante(s).`
+            : `Revisión ${result.revision.numero} creada`);
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async agregarAdjuntosDocumento(docId) {
+        const files = Array.from(document.getElementById('docAdjuntoNuevo')?.files || []);
+        if (files.length === 0) { Toast.error('Error', 'Seleccione al menos un archivo'); return; }
+
+        const btn = document.getElementById('btnAgregarAdjunto');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Adjuntando...';
+
+        let guardados = 0;
+        for (const file of files) {
+            const res = await DocumentManager.addAttachment(docId, file);
+            if (res.success) guardados++;
+            else Toast.error('Adjunto no guardado', res.message);
+        }
+        if (guardados > 0) Toast.success('Adjuntos', `${guardados} archivo(s) adjuntado(s)`);
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async abrirAdjuntoDocumento(docId, adjId) {
+        try {
+            const { blob } = await DocumentManager.getAttachmentBlob(docId, adjId);
+            const url = URL.createObjectURL(blob);
+            const w = window.open(url, '_blank', 'noopener,noreferrer');
+            if (!w) {
+                Toast.error('Ventana bloqueada', 'Permita ventanas emergentes para este sitio o use Descargar.');
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 120000);
+        } catch (err) {
+            console.error(err);
+            Toast.error('Error', err.message || 'No se pudo abrir el adjunto.');
+        }
+    }
+
+    static async descargarAdjuntoDocumento(docId, adjId) {
+        try {
+            const { blob, nombreArchivo } = await DocumentManager.getAttachmentBlob(docId, adjId);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = nombreArchivo;
+            a.rel = 'noopener';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            setTimeout(() => URL.revokeObjectURL(url), 3000);
+        } catch (err) {
+            console.error(err);
+            Toast.error('Error', err.message || 'No se pudo descargar el adjunto.');
+        }
+    }
+
+    static openEliminarAdjuntoModal(docId, adjId) {
+        this.showModal('Quitar Adjunto', `
+            <form onsubmit="App.eliminarAdjuntoDocumento(event, '${docId}', '${adjId}')">
+                <p style="margin-bottom:16px;">El adjunto dejará de formar parte del documento. Quedará registrado quién lo quitó, cuándo y por qué.</p>
+                <div class="form-group"><label>Motivo <span class="required">*</span></label><textarea class="form-control" id="adjuntoEliminarMotivo" rows="3" placeholder="Explique por qué se quita el adjunto..." required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-danger" id="btnConfirmEliminarAdjunto"><i class="fas fa-trash"></i> Quitar</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async eliminarAdjuntoDocumento(e, docId, adjId) {
+        e.preventDefault();
+        const motivo = document.getElementById('adjuntoEliminarMotivo').value;
+        if (!motivo.trim()) { Toast.error('Error', 'Debe indicar el motivo'); return; }
+
+        const btn = document.getElementById('btnConfirmEliminarAdjunto');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const res = await DocumentManager.deleteAttachment(docId, adjId, motivo);
+        if (!res.success) {
+            Toast.error('Error', res.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-trash"></i> Quitar';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Adjunto quitado', 'El archivo se quitó del documento');
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static openAnnulDocumentModal(docId) {
+        this.showModal('Anular Documento', `
+            <form onsubmit="App.confirmAnnulDocument(event, '${docId}')">
+                <p style="margin-bottom:16px;">El documento quedará <strong style="color:var(--danger);">anulado</strong>: seguirá visible con el motivo, no admitirá más firmas y la verificación pública lo mostrará como no válido. Esta acción no se puede deshacer.</p>
+                <div class="form-group"><label>Motivo de la anulación <span class="required">*</span></label><textarea class="form-control" id="annulReason" rows="3" placeholder="Explique por qué se anula el documento..." required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-danger" id="btnConfirmAnnul"><i class="fas fa-ban"></i> Anular</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmAnnulDocument(e, docId) {
+        e.preventDefault();
+        const motivo = document.getElementById('annulReason').value;
+        if (!motivo.trim()) { Toast.error('Error', 'Debe indicar el motivo de la anulación'); return; }
+
+        const btn = document.getElementById('btnConfirmAnnul');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await DocumentManager.annulDocument(docId, motivo);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-ban"></i> Anular';
+            return;
+        }
+        this.closeModal();
+        Toast.warning('Documento anulado', 'Se notificó a los firmantes');
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static openRejectSignatureModal(docId) {
+        this.showModal('Rechazar Firma', `
+            <form onsubmit="App.confirmRejectSignature(event, '${docId}')">
+                <p style="margin-bottom:16px;">Quedará constancia de que <strong>no firma</strong> esta revisión del documento y del motivo. Se notificará al creador; si el documento se modifica, se le pedirá firmar de nuevo.</p>
+                <div class="form-group"><label>Motivo del rechazo <span class="required">*</span></label><textarea class="form-control" id="rejectSignatureReason" rows="3" maxlength="1000" placeholder="Explique por qué no firma el documento..." required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-danger" id="btnConfirmRejectSignature"><i class="fas fa-times-circle"></i> Rechazar firma</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmRejectSignature(e, docId) {
+        e.preventDefault();
+        const motivo = document.getElementById('rejectSignatureReason').value;
+        if (!motivo.trim()) { Toast.error('Error', 'Debe indicar el motivo del rechazo'); return; }
+
+        const btn = document.getElementById('btnConfirmRejectSignature');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await DocumentManager.rejectSignature(docId, motivo);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-times-circle"></i> Rechazar firma';
+            return;
+        }
+        this.closeModal();
+        Toast.warning('Firma rechazada', 'Se notificó al creador del documento');
+        this.navigate('ver-documento', { id: docId });
+    }
+
+    static async openVoidSignatureModal(docId, firmaId) {
+        const doc = await DocumentManager.getById(docId);
+        const firma = doc?.firmas?.[firmaId];
+        if (!firma) { Toast.error('Error', 'Firma no encontrada'); return; }
+        this.showModal('Anular Firma', `
+            <form onsubmit="App.confirmVoidSignature(event, '${docId}', '${firmaId}')">
+                <p style="margin-bottom:16px;">La firma de <strong>${this.escapeHtml(firma.nombre)}</strong> dejará de contar y saldrá de la verificación pública. Queda registrada en el historial con su motivo y el firmante podrá volver a firmar.</p>
+                <div class="form-group"><label>Motivo de la anulación <span class="required">*</span></label><textarea class="form-control" id="voidSignatureReason" rows="3" placeholder="Ej.: firmó por error en nombre de otra persona..." required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-danger" id="btnConfirmVoidSignature"><i class="fas fa-eraser"></i> Anular firma</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmVoidSignature(e, docId, firmaId) {
+        e.preventDefault();
+        const motivo = document.getElementById('voidSignatureReason').value;
+        if (!motivo.trim()) { Toast.error('Error', 'Debe indicar el motivo de la anulación'); return; }
+
+        const btn = document.getElementById('btnConfirmVoidSignature');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await DocumentManager.voidSignature(docId, firmaId, motivo);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-eraser"></i> Anular firma';
+            return;
+        }
+        this.closeModal();
+        Toast.warning('Firma anulada', 'Se notificó al firmante');
+        this.navigate('estado-firmas', { id: docId });
+    }
+
+    // Variables para el canvas de firma
+    static isDrawing = false;
+    static signatureCanvas = null;
+    static signatureCtx = null;
+    static signatureUnlocked = false;
+    static currentDocId = null;
+    static currentVerificationCode = null;
+    static currentPersonalCode = null;
+
+    // Verificar código del documento
+    static async verifyDocumentCode(docId) {
+        const code = document.getElementById('signVerCode').value.toUpperCase().trim();
+        if (!code) { 
+            Toast.error('Error', 'Ingrese el código de verificación'); 
+            return; 
+        }
 
         const doc = await DocumentManager.getById(docId);
         if (!doc) {
@@ -2297,7 +3582,7 @@ class App {
             return;
         }
 
-        const firmas = doc.firmas ? Object.values(doc.firmas) : [];
+        const firmas = DocumentManager.getFirmasVigentes(doc);
         const signatureData = firmas.find(f => f.userId === userId);
         
         if (!signatureData) {
@@ -2335,18 +3620,31 @@ class App {
             return;
         }
 
-        const firmas = doc.firmas ? Object.values(doc.firmas) : [];
-        const firmasRequeridas = doc.firmasRequeridas || [];
+        const firmas = DocumentManager.getFirmasVigentes(doc);
+        const todasFirmas = doc.firmas ? Object.values(doc.firmas) : [];
+        const firmasRequeridas = DocumentManager.getListaFirmantes(doc.firmasRequeridas);
+        const siguienteFirmante = DocumentManager.getSiguienteFirmante(doc);
+        const plazo = DocumentManager.getEstadoPlazoFirma(doc);
+        const rechazos = DocumentManager.getRechazosVigentes(doc);
+        const firmasAnuladas = DocumentManager.getFirmasAnuladas(doc);
+        const puedeAnularFirmas = AuthManager.isAdmin() && doc.estado === 'activo';
         const allUsers = await AuthManager.getAllUsers();
         
         // Obtener usuarios requeridos
         const usuariosRequeridos = firmasRequeridas.map(userId => {
             const user = allUsers.find(u => u.id === userId);
             const hasSigned = firmas.some(f => f.userId === userId);
+            // Firma más reciente sobre una revisión anterior (requiere volver a firmar)
+            const firmaAnterior = hasSigned ? null : todasFirmas
+                .filter(f => f.userId === userId)
+                .sort((a, b) => DocumentManager.getRevisionFirma(b) - DocumentManager.getRevisionFirma(a))[0] || null;
             return {
                 user: user,
                 hasSigned: hasSigned,
-                firma: hasSigned ? firmas.find(f => f.userId === userId) : null
+                firma: hasSigned ? firmas.find(f => f.userId === userId) : null,
+                firmaId: hasSigned ? Object.keys(doc.firmas).find(id => doc.firmas[id].userId === userId && DocumentManager.getRevisionFirma(doc.firmas[id]) === DocumentManager.getRevisionActual(doc)) : null,
+                firmaAnterior: firmaAnterior,
+                rechazo: hasSigned ? null : rechazos.find(r => r.userId === userId) || null
             };
         }).filter(item => item.user); // Filtrar usuarios que no existen
 
@@ -2358,23 +3656,33 @@ class App {
             <div class="card">
                 <div class="card-header">
                     <h3><i class="fas fa-clipboard-check" style="margin-right:8px;color:var(--primary);"></i>Estado de Firmas</h3>
-                    <button class="btn btn-primary btn-sm" onclick="App.generateDocumentPDF('${docId}')"><i class="fas fa-file-pdf"></i> Generar PDF General</button>
+                    <div style="display:flex;gap:8px;">
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('lecturas-documento', {id:'${docId}'})"><i class="fas fa-eye"></i> Lecturas</button>
+                        <button class="btn btn-primary btn-sm" onclick="App.generateDocumentPDF('${docId}')"><i class="fas fa-file-pdf"></i> Generar PDF General</button>
+                    </div>
                 </div>
                 <div class="card-body">
                     <div style="margin-bottom:20px;">
                         <h4 style="margin-bottom:10px;">${doc.titulo}</h4>
-                        <p style="color:var(--text-secondary);font-size:0.9rem;">Código: ${doc.codigo}</p>
+                        <p style="color:var(--text-secondary);font-size:0.9rem;">Código: ${doc.codigo} • Revisión ${DocumentManager.getRevisionActual(doc)}${doc.ordenFirma ? ' • <i class="fas fa-list-ol"></i> Firma en orden' : ''}${doc.fechaLimiteFirma ? ` • Fecha límite: ${formatDate(doc.fechaLimiteFirma)}` : ''}</p>
+                        ${this.plazoFirmaBadge(doc)}
                     </div>
 
-                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:20px;margin-bottom:20px;">
+                    <div style="display:grid;grid-template-columns:repeat(${rechazos.length ? 3 : 2}, 1fr);gap:20px;margin-bottom:20px;">
                         <div style="padding:15px;background:rgba(46,125,50,0.1);border-radius:var(--radius-sm);border-left:4px solid var(--success);">
                             <div style="font-size:2rem;font-weight:bold;color:var(--success);">${firmas.length}</div>
                             <div style="color:var(--text-secondary);font-size:0.9rem;">Firmas recibidas</div>
                         </div>
                         <div style="padding:15px;background:rgba(245,127,23,0.1);border-radius:var(--radius-sm);border-left:4px solid var(--warning);">
-                            <div style="font-size:2rem;font-weight:bold;color:var(--warning);">${Math.max(0, firmasRequeridas.length - firmas.length)}</div>
+                            <div style="font-size:2rem;font-weight:bold;color:var(--warning);">${Math.max(0, firmasRequeridas.length - firmas.length - rechazos.length)}</div>
                             <div style="color:var(--text-secondary);font-size:0.9rem;">Firmas pendientes</div>
                         </div>
+                        ${rechazos.length ? `
+                            <div style="padding:15px;background:rgba(198,40,40,0.1);border-radius:var(--radius-sm);border-left:4px solid var(--danger);">
+                                <div style="font-size:2rem;font-weight:bold;color:var(--danger);">${rechazos.length}</div>
+                                <div style="color:var(--text-secondary);font-size:0.9rem;">Firmas rechazadas</div>
+                            </div>
+                        ` : ''}
                     </div>
 
                     <h4 style="margin-bottom:15px;margin-top:30px;">Firmantes Requeridos</h4>
@@ -2383,6 +3691,7 @@ class App {
                             <table class="data-table">
                                 <thead>
                                     <tr>
+                                        ${doc.ordenFirma ? '<th>Orden</th>' : ''}
                                         <th>Empleado</th>
                                         <th>Rol</th>
                                         <th>Departamento</th>
@@ -2397,6 +3706,7 @@ class App {
                                         const dep = App._depsMap[user.departamento] || DEPARTAMENTOS[user.departamento];
                                         return `
                                             <tr>
+                                                ${doc.ordenFirma ? `<td><strong>${firmasRequeridas.indexOf(user.id) + 1}</strong></td>` : ''}
                                                 <td>
                                                     <div style="display:flex;align-items:center;gap:10px;">
                                                         <div class="user-avatar-sm" style="background:${dep?.color || 'var(--primary)'};">
@@ -2413,18 +3723,28 @@ class App {
                                                 <td>
                                                     ${item.hasSigned ? `
                                                         <span class="status-badge aprobada"><i class="fas fa-check-circle"></i> Firmado</span>
+                                                    ` : item.rechazo ? `
+                                                        <span class="status-badge rechazada"><i class="fas fa-times-circle"></i> Rechazó firmar</span>
+                                                        <br><small style="color:var(--text-secondary);">${this.escapeHtml(item.rechazo.motivo)}</small>
                                                     ` : `
-                                                        <span class="status-badge pendiente"><i class="fas fa-clock"></i> Pendiente</span>
+                                                        <span class="status-badge pendiente"><i class="fas fa-clock"></i> ${doc.ordenFirma ? (user.id === siguienteFirmante ? 'En turno' : 'En espera') : 'Pendiente'}</span>
+                                                        ${plazo?.vencido ? '<span class="status-badge rechazada"><i class="fas fa-exclamation-circle"></i> Vencida</span>' : ''}
+                                                        ${item.firmaAnterior ? `<br><small style="color:var(--text-light);">Firmó la rev. ${DocumentManager.getRevisionFirma(item.firmaAnterior)}</small>` : ''}
                                                     `}
                                                 </td>
                                                 <td>
-                                                    ${item.hasSigned && item.firma ? formatDateTime(item.firma.fecha) : '<span style="color:var(--text-light);">-</span>'}
+                                                    ${item.hasSigned && item.firma ? formatDateTime(item.firma.fecha) : item.rechazo ? `<small style="color:var(--text-secondary);">Rechazo: ${formatDateTime(item.rechazo.fecha)}</small>` : '<span style="color:var(--text-light);">-</span>'}
                                                 </td>
                                                 <td>
                                                     ${item.hasSigned && item.firma ? `
                                                         <button class="btn btn-sm btn-primary" onclick="App.generatePDFWithSignature('${docId}', '${item.firma.userId}')">
                                                             <i class="fas fa-file-pdf"></i> PDF con Firma
                                                         </button>
+                                                        ${puedeAnularFirmas ? `
+                                                            <button class="btn btn-sm btn-outline" onclick="App.openVoidSignatureModal('${docId}', '${item.firmaId}')" title="Anular firma hecha por error">
+                                                                <i class="fas fa-eraser"></i>
+                                                            </button>
+                                                        ` : ''}
                                                     ` : '<span style="color:var(--text-light);font-size:0.85rem;">Sin firma</span>'}
                                                 </td>
                                             </tr>
@@ -2440,6 +3760,342 @@ class App {
                             <p>Este documento no tiene firmantes requeridos asignados</p>
                         </div>
                     `}
+
+                    ${firmasAnuladas.length ? `
+                        <h4 style="margin-bottom:15px;margin-top:30px;">Firmas anuladas</h4>
+                        <div class="table-container">
+                            <table class="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Firmante</th>
+                                        <th>Firmó</th>
+                                        <th>Anulada por</th>
+                                        <th>Motivo</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${firmasAnuladas.map(f => `
+                                        <tr>
+                                            <td><strong>${this.escapeHtml(f.nombre)}</strong><br><small style="color:var(--text-light);">Rev. ${DocumentManager.getRevisionFirma(f)} • Código ${this.escapeHtml(f.codigoVerificacion || '')}</small></td>
+                                            <td>${formatDateTime(f.fecha)}</td>
+                                            <td>${this.escapeHtml(f.anulacion?.nombre || '—')}<br><small style="color:var(--text-light);">${f.anulacion?.fecha ? formatDateTime(f.anulacion.fecha) : ''}</small></td>
+                                            <td>${this.escapeHtml(f.anulacion?.motivo || '')}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Acuse de lectura: destinatarios que ya abrieron el documento y los que no
+    static async renderLecturasDocumento(docId) {
+        if (!AuthManager.isAdmin() && !AuthManager.isEncargado()) {
+            document.getElementById('contentArea').innerHTML = `
+                <div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>
+            `;
+            return;
+        }
+
+        const doc = await DocumentManager.getById(docId);
+        if (!doc) {
+            document.getElementById('contentArea').innerHTML = `
+                <div class="empty-state"><i class="fas fa-exclamation-triangle"></i><h3>Documento no encontrado</h3>
+                <button class="btn btn-primary" onclick="App.navigate('documentos')">Volver</button></div>
+            `;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        const [allUsers, lecturas] = await Promise.all([AuthManager.getAllUsers(), DocumentManager.getLecturas(docId)]);
+        const filas = DocumentManager.getDestinatarios(doc, allUsers)
+            .map(user => ({ user, lectura: lecturas[user.id] || null }))
+            .sort((a, b) => {
+                if (!!a.lectura !== !!b.lectura) return a.lectura ? 1 : -1;
+                return `${a.user.nombre} ${a.user.apellido}`.localeCompare(`${b.user.nombre} ${b.user.apellido}`);
+            });
+        this._lecturasDoc = { doc, filas };
+        const leidos = filas.filter(f => f.lectura).length;
+        const paraNombre = doc.para === 'TODOS' ? 'Todos' : (App._depsMap[doc.para] || DEPARTAMENTOS[doc.para])?.nombre || 'Áreas del encargado';
+
+        const content = document.getElementById('contentArea');
+        content.innerHTML = `
+            <div style="margin-bottom:16px;">
+                <button class="btn btn-outline btn-sm" onclick="App.navigate('ver-documento', {id:'${docId}'})"><i class="fas fa-arrow-left"></i> Volver al Documento</button>
+            </div>
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-eye" style="margin-right:8px;color:var(--primary);"></i>Lecturas</h3>
+                    <div style="display:flex;gap:8px;">
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('estado-firmas', {id:'${docId}'})"><i class="fas fa-clipboard-check"></i> Estado de Firmas</button>
+                        <button class="btn btn-primary btn-sm" onclick="App.exportarLecturasCSV()" ${filas.length ? '' : 'disabled'}><i class="fas fa-file-csv"></i> Exportar CSV</button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div style="margin-bottom:20px;">
+                        <h4 style="margin-bottom:10px;">${this.escapeHtml(doc.titulo)}</h4>
+                        <p style="color:var(--text-secondary);font-size:0.9rem;">Código: ${doc.codigo} • Para: ${this.escapeHtml(paraNombre)}</p>
+                    </div>
+
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:20px;margin-bottom:20px;">
+                        <div style="padding:15px;background:rgba(46,125,50,0.1);border-radius:var(--radius-sm);border-left:4px solid var(--success);">
+                            <div style="font-size:2rem;font-weight:bold;color:var(--success);">${leidos}</div>
+                            <div style="color:var(--text-secondary);font-size:0.9rem;">Leído</div>
+                        </div>
+                        <div style="padding:15px;background:rgba(245,127,23,0.1);border-radius:var(--radius-sm);border-left:4px solid var(--warning);">
+                            <div style="font-size:2rem;font-weight:bold;color:var(--warning);">${filas.length - leidos}</div>
+                            <div style="color:var(--text-secondary);font-size:0.9rem;">Sin leer</div>
+                        </div>
+                    </div>
+
+                    <div class="tabs" id="lecturasTabs">
+                        <button class="tab active" data-tab="todos" onclick="App.filterLecturas('todos')">Todos (${filas.length})</button>
+                        <button class="tab" data-tab="leido" onclick="App.filterLecturas('leido')">Leído (${leidos})</button>
+                        <button class="tab" data-tab="sin_leer" onclick="App.filterLecturas('sin_leer')">Sin leer (${filas.length - leidos})</button>
+                    </div>
+                    <div id="lecturasContainer">${this.renderTablaLecturas(filas)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    static renderTablaLecturas(filas) {
+        if (filas.length === 0) {
+            return `
+                <div class="empty-state">
+                    <i class="fas fa-info-circle"></i>
+                    <h3>Sin destinatarios</h3>
+                    <p>No hay colaboradores en esta lista</p>
+                </div>
+            `;
+        }
+        return `
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Empleado</th>
+                            <th>Departamento</th>
+                            <th>Estado</th>
+                            <th>Primera lectura</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${filas.map(({ user, lectura }) => {
+                            const dep = App._depsMap[user.departamento] || DEPARTAMENTOS[user.departamento];
+                            return `
+                                <tr>
+                                    <td>
+                                        <strong>${this.escapeHtml(user.nombre)} ${this.escapeHtml(user.apellido)}</strong>
+                                        <br><small style="color:var(--text-light);">${this.escapeHtml(user.email || '')}</small>
+                                    </td>
+                                    <td><span class="dep-chip" style="background:${dep?.color || '#546e7a'};"><i class="${dep?.icono || 'fas fa-building'}"></i> ${dep?.nombre || 'N/A'}</span></td>
+                                    <td>${lectura
+                                        ? '<span class="status-badge aprobada"><i class="fas fa-check-circle"></i> Leído</span>'
+                                        : '<span class="status-badge pendiente"><i class="fas fa-clock"></i> Sin leer</span>'}</td>
+                                    <td>${lectura ? formatDateTime(lectura.fecha) : '<span style="color:var(--text-light);">-</span>'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    static filterLecturas(tab) {
+        if (!this._lecturasDoc) return;
+        document.querySelectorAll('#lecturasTabs .tab').forEach(t => t.classList.remove('active'));
+        document.querySelector(`#lecturasTabs .tab[data-tab="${tab}"]`)?.classList.add('active');
+        let filas = this._lecturasDoc.filas;
+        if (tab === 'leido') filas = filas.filter(f => f.lectura);
+        else if (tab === 'sin_leer') filas = filas.filter(f => !f.lectura);
+        document.getElementById('lecturasContainer').innerHTML = this.renderTablaLecturas(filas);
+    }
+
+    // CSV (separado por ; para que Excel en español lo abra en columnas)
+    static exportarLecturasCSV() {
+        if (!this._lecturasDoc) return;
+        const { doc, filas } = this._lecturasDoc;
+        const celda = (valor) => `"${String(valor ?? '').replace(/"/g, '""')}"`;
+        const lineas = [
+            ['Empleado', 'Correo', 'Departamento', 'Estado', 'Primera lectura'].map(celda).join(';'),
+            ...filas.map(({ user, lectura }) => {
+                const dep = App._depsMap[user.departamento] || DEPARTAMENTOS[user.departamento];
+                return [
+                    `${user.nombre} ${user.apellido}`,
+                    user.email || '',
+                    dep?.nombre || user.departamento || '',
+                    lectura ? 'Leído' : 'Sin leer',
+                    lectura ? formatDateTime(lectura.fecha) : ''
+                ].map(celda).join(';');
+            })
+        ];
+        // BOM para que Excel respete las tildes
+        const blob = new Blob(['\uFEFF' + lineas.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `lecturas-${doc.codigo}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 3000);
+    }
+
+    // ========================================================
+    // EMISIONES MASIVAS (lotes de documentos)
+    // ========================================================
+    static async renderLotesDocumentos() {
+        if (!AuthManager.hasPermission('crear_documento')) {
+            document.getElementById('contentArea').innerHTML = `
+                <div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>
+            `;
+            return;
+        }
+
+        const lotes = await DocumentManager.getBatches();
+        const content = document.getElementById('contentArea');
+        content.innerHTML = `
+            <div style="margin-bottom:16px;">
+                <button class="btn btn-outline btn-sm" onclick="App.navigate('documentos')"><i class="fas fa-arrow-left"></i> Volver</button>
+            </div>
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-copy" style="margin-right:8px;color:var(--primary);"></i>Emisiones Masivas</h3>
+                    <button class="btn btn-primary btn-sm" onclick="App.navigate('crear-documento')"><i class="fas fa-plus"></i> Nueva</button>
+                </div>
+                <div class="card-body">
+                    ${lotes.length > 0 ? `
+                        <div class="table-container">
+                            <table class="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Título</th>
+                                        <th>Tipo</th>
+                                        <th>Documentos</th>
+                                        <th>Emitido por</th>
+                                        <th>Fecha</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${lotes.map(l => `
+                                        <tr style="cursor:pointer;" onclick="App.navigate('lote-documentos', {id:'${l.id}'})">
+                                            <td><strong>${this.escapeHtml(l.titulo)}</strong></td>
+                                            <td>${this.escapeHtml(l.tipoNombre || '—')}</td>
+                                            <td>${Object.keys(l.documentos || {}).length}${l.fallidos ? ` <span class="status-badge rechazada">${l.fallidos.length} con error</span>` : ''}</td>
+                                            <td>${this.escapeHtml(l.creadoPorNombre || '—')}</td>
+                                            <td>${formatDateTime(l.fecha)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : `
+                        <div class="empty-state">
+                            <i class="fas fa-copy"></i>
+                            <h3>Sin emisiones masivas</h3>
+                            <p>Marque "Emisión masiva" al crear un documento para emitir una copia personalizada a cada colaborador.</p>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    // Resumen del lote: avance de firma de todos sus documentos
+    static async renderLoteDocumentos(loteId) {
+        const lote = await DocumentManager.getBatch(loteId);
+        const user = AuthManager.getUser();
+        if (!lote || (!AuthManager.isAdmin() && lote.creadoPor !== user.id)) {
+            document.getElementById('contentArea').innerHTML = `
+                <div class="empty-state"><i class="fas fa-exclamation-triangle"></i><h3>Emisión no encontrada</h3>
+                <button class="btn btn-primary" onclick="App.navigate('lotes-documentos')">Volver</button></div>
+            `;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        const { filas, resumen } = await DocumentManager.getBatchProgress(lote);
+        const vigentes = resumen.total - resumen.anulado - resumen.eliminado;
+        const porcentaje = vigentes > 0 ? Math.round((resumen.firmado / vigentes) * 100) : 0;
+        const badges = {
+            firmado: '<span class="status-badge aprobada"><i class="fas fa-check-circle"></i> Firmado</span>',
+            pendiente: '<span class="status-badge pendiente"><i class="fas fa-clock"></i> Pendiente</span>',
+            vencido: '<span class="status-badge rechazada"><i class="fas fa-exclamation-circle"></i> Vencido</span>',
+            rechazado: '<span class="status-badge rechazada"><i class="fas fa-times-circle"></i> Rechazó firmar</span>',
+            anulado: '<span class="status-badge rechazada"><i class="fas fa-ban"></i> Anulado</span>',
+            eliminado: '<span class="status-badge"><i class="fas fa-trash"></i> Eliminado</span>'
+        };
+        const tarjeta = (valor, texto, color, fondo) => `
+            <div style="padding:15px;background:${fondo};border-radius:var(--radius-sm);border-left:4px solid ${color};">
+                <div style="font-size:2rem;font-weight:bold;color:${color};">${valor}</div>
+                <div style="color:var(--text-secondary);font-size:0.9rem;">${texto}</div>
+            </div>`;
+
+        const content = document.getElementById('contentArea');
+        content.innerHTML = `
+            <div style="margin-bottom:16px;">
+                <button class="btn btn-outline btn-sm" onclick="App.navigate('lotes-documentos')"><i class="fas fa-arrow-left"></i> Emisiones masivas</button>
+            </div>
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-copy" style="margin-right:8px;color:var(--primary);"></i>${this.escapeHtml(lote.titulo)}</h3>
+                </div>
+                <div class="card-body">
+                    <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:20px;">
+                        ${this.escapeHtml(lote.tipoNombre || '')} • Emitido por ${this.escapeHtml(lote.creadoPorNombre || '—')} el ${formatDateTime(lote.fecha)} • ${resumen.total} documentos
+                    </p>
+
+                    <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(160px, 1fr));gap:20px;margin-bottom:16px;">
+                        ${tarjeta(resumen.firmado, 'Firmados', 'var(--success)', 'rgba(46,125,50,0.1)')}
+                        ${tarjeta(resumen.pendiente, 'Pendientes', 'var(--warning)', 'rgba(245,127,23,0.1)')}
+                        ${tarjeta(resumen.vencido + resumen.rechazado, 'Vencidos o rechazados', 'var(--danger)', 'rgba(198,40,40,0.1)')}
+                    </div>
+                    <div style="margin-bottom:24px;">
+                        <div style="height:10px;background:var(--bg-main);border-radius:5px;overflow:hidden;">
+                            <div style="height:100%;width:${porcentaje}%;background:var(--success);"></div>
+                        </div>
+                        <small style="color:var(--text-secondary);">${porcentaje}% firmado (${resumen.firmado} de ${vigentes} vigentes)</small>
+                    </div>
+
+                    ${lote.fallidos ? `
+                        <div style="margin-bottom:20px;padding:12px;background:rgba(198,40,40,0.06);border-radius:var(--radius-sm);border-left:3px solid var(--danger);font-size:0.85rem;">
+                            <strong>No se pudo emitir para:</strong> ${lote.fallidos.map(f => this.escapeHtml(f.nombre)).join(', ')}
+                        </div>
+                    ` : ''}
+
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Colaborador</th>
+                                    <th>Código</th>
+                                    <th>Estado</th>
+                                    <th>Fecha de Firma</th>
+                                    <th>Acciones</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${filas.map(f => `
+                                    <tr>
+                                        <td><strong>${this.escapeHtml(f.nombre)}</strong></td>
+                                        <td>${this.escapeHtml(f.codigo)}</td>
+                                        <td>${badges[f.estado]}</td>
+                                        <td>${f.fechaFirma ? formatDateTime(f.fechaFirma) : '<span style="color:var(--text-light);">-</span>'}</td>
+                                        <td>
+                                            ${f.doc && f.estado !== 'eliminado' ? `
+                                                <button class="btn btn-sm btn-outline" onclick="App.navigate('ver-documento', {id:'${f.docId}'})"><i class="fas fa-eye"></i> Ver</button>
+                                            ` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
                 </div>
             </div>
         `;
@@ -2466,6 +4122,8 @@ class App {
                         <button class="tab" data-tab="pendiente" onclick="App.filterRequests('pendiente')">Pendientes (${requests.filter(r=>RequestManager.isEstadoPendienteEmpleado(r.estado)).length})</button>
                         <button class="tab" data-tab="aprobada" onclick="App.filterRequests('aprobada')">Aprobadas (${requests.filter(r=>r.estado==='aprobada').length})</button>
                         <button class="tab" data-tab="rechazada" onclick="App.filterRequests('rechazada')">Rechazadas (${requests.filter(r=>r.estado==='rechazada').length})</button>
+                        <button class="tab" data-tab="devuelta" onclick="App.filterRequests('devuelta')">Por corregir (${requests.filter(r=>r.estado==='devuelta').length})</button>
+                        <button class="tab" data-tab="cancelada" onclick="App.filterRequests('cancelada')">Canceladas (${requests.filter(r=>r.estado==='cancelada').length})</button>
                     </div>
                     <div id="reqListContainer">${this.renderRequestList(requests)}</div>
                 </div>
@@ -2485,12 +4143,13 @@ class App {
             const datos = req.datos || {};
             let datesHtml = '';
             if (datos.fecha_inicio && datos.fecha_fin) {
-                const days = RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin);
+                const days = RequestManager.calcDiasNaturales(datos.fecha_inicio, datos.fecha_fin);
+                const habiles = VacacionesManager.esVacaciones(req) ? VacacionesManager.getDiasSolicitud(req, AuthManager.getUser()) : RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin, AuthManager.getUser());
                 datesHtml = `<div class="request-dates">
                     <div class="date-item"><label>Inicio</label><span>${formatDate(datos.fecha_inicio)}</span></div>
                     <div class="arrow"><i class="fas fa-arrow-right"></i></div>
                     <div class="date-item"><label>Fin</label><span>${formatDate(datos.fecha_fin)}</span></div>
-                    <span class="request-days-badge"><i class="fas fa-calendar-day"></i> ${days} día(s)</span>
+                    <span class="request-days-badge"><i class="fas fa-calendar-day"></i> ${days} día(s) · ${habiles} hábil(es)</span>
                 </div>`;
             } else if (datos.fecha) {
                 datesHtml = `<div class="request-dates">
@@ -2504,31 +4163,141 @@ class App {
             }
 
             const cardEst = this.claseCardEstadoSolicitud(req.estado);
-            const pendienteUi = RequestManager.isEstadoPendienteEmpleado(req.estado);
+            const yo = AuthManager.getUser();
+            const acciones = [
+                req.estado === 'devuelta' ? `<button class="btn btn-primary btn-sm" onclick="App.navigate('nueva-solicitud', {corregir:'${req.id}'})"><i class="fas fa-edit"></i> Corregir y reenviar</button>` : '',
+                RequestManager.puedeCancelar(req, yo) ? `<button class="btn btn-outline btn-sm" onclick="App.cancelarSolicitud('${req.id}')"><i class="fas fa-ban"></i> Cancelar solicitud</button>` : '',
+                RequestManager.puedeSolicitarCancelacion(req, yo) ? `<button class="btn btn-outline btn-sm" onclick="App.solicitarCancelacionSolicitud('${req.id}')"><i class="fas fa-undo"></i> Solicitar cancelación</button>` : ''
+            ].join('');
             return `<div class="request-card status-${cardEst}">
                 <div class="request-header">
                     <h4><i class="${TIPOS_SOLICITUD[req.tipo]?.icono || 'fas fa-file'}" style="margin-right:8px;color:${TIPOS_SOLICITUD[req.tipo]?.color || 'var(--primary)'};"></i>${req.tipoNombre}</h4>
-                    <span class="status-badge ${cardEst}"><i class="fas fa-${pendienteUi ? 'clock' : req.estado === 'aprobada' ? 'check-circle' : 'times-circle'}"></i> ${this.etiquetaEstadoSolicitud(req.estado)}</span>
+                    <span class="status-badge ${cardEst}"><i class="fas fa-${this.iconoEstadoSolicitud(req.estado)}"></i> ${this.etiquetaEstadoSolicitud(req.estado, req)}</span>
                 </div>
                 ${datesHtml}
                 ${req.observaciones ? `<p style="font-size:0.85rem;color:var(--text-secondary);padding:10px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid var(--primary);margin-bottom:10px;"><strong>Observaciones:</strong> ${req.observaciones}</p>` : ''}
                 ${datos.motivo ? `<p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:10px;"><strong>Motivo:</strong> ${datos.motivo}</p>` : ''}
-                ${req.firmaEncargado?.nombre ? `<p style="font-size:0.78rem;color:var(--text-secondary);padding:8px;background:var(--bg-main);border-radius:var(--radius-sm);margin-bottom:8px;"><strong>Firma Encargado de Área:</strong> ${req.firmaEncargado.nombre} — ${formatDateTime(req.firmaEncargado.fecha)}</p>` : ''}
-                ${req.revisionTI?.nombre ? `<p style="font-size:0.78rem;color:var(--text-secondary);padding:8px;background:var(--bg-main);border-radius:var(--radius-sm);margin-bottom:8px;"><strong>Revisión TI:</strong> ${req.revisionTI.nombre} — ${formatDateTime(req.revisionTI.fecha)}</p>` : ''}
+                ${this.renderAdjuntosSolicitud(req)}
+                ${this.renderFirmasEtapasSolicitud(req)}
                 ${req.justificacion ? `<p style="font-size:0.85rem;padding:10px;background:rgba(245,127,23,0.08);border-radius:var(--radius-sm);border-left:3px solid var(--warning);margin-bottom:10px;"><strong>Respuesta:</strong> ${req.justificacion}</p>` : ''}
-                ${req.respondidoPorNombre ? `<p style="font-size:0.78rem;color:var(--text-light);">Respondido por: ${req.respondidoPorNombre} — ${formatDateTime(req.fechaRespuesta)}</p>` : ''}
+                ${req.respondidoPorNombre ? `<p style="font-size:0.78rem;color:var(--text-light);">Respondido por: ${req.respondidoPorNombre}${this.textoPorDelegacion(req)} — ${formatDateTime(req.fechaRespuesta)}</p>` : ''}
+                ${this.renderCancelacionDevolucion(req)}
                 <p style="font-size:0.78rem;color:var(--text-light);margin-top:5px;">Solicitado: ${formatDateTime(req.fechaSolicitud)}</p>
+                ${acciones ? `<div style="display:flex;gap:10px;margin-top:12px;flex-wrap:wrap;">${acciones}</div>` : ''}
+                ${req.documentoGenerado?.codigo ? `
+                <div style="display:flex;gap:10px;margin-top:12px;flex-wrap:wrap;">
+                    <button class="btn btn-primary btn-sm" onclick="App.generateDocumentPDF('${req.documentoGenerado.id}')"><i class="fas fa-file-pdf"></i> Descargar constancia</button>
+                    <button class="btn btn-outline btn-sm" onclick="App.navigate('ver-documento', {id:'${req.documentoGenerado.id}'})"><i class="fas fa-eye"></i> Ver ${this.escapeHtml(req.documentoGenerado.codigo || 'documento')}</button>
+                </div>` : ''}
             </div>`;
         }).join('');
     }
 
-    static filterRequests(status) {
-        document.querySelectorAll('#reqTabs .tab').forEach(t => t.classList.remove('active'));
-        document.querySelector(`#reqTabs .tab[data-tab="${status}"]`)?.classList.add('active');
-        let requests = this._cachedRequests;
-        if (status === 'pendiente') requests = requests.filter(r => RequestManager.isEstadoPendienteEmpleado(r.estado));
-        else if (status !== 'todas') requests = requests.filter(r => r.estado === status);
-        document.getElementById('reqListContainer').innerHTML = this.renderRequestList(requests);
+    static filterRequests(status) {
+        document.querySelectorAll('#reqTabs .tab').forEach(t => t.classList.remove('active'));
+        document.querySelector(`#reqTabs .tab[data-tab="${status}"]`)?.classList.add('active');
+        let requests = this._cachedRequests;
+        if (status === 'pendiente') requests = requests.filter(r => RequestManager.isEstadoPendienteEmpleado(r.estado));
+        else if (status !== 'todas') requests = requests.filter(r => r.estado === status);
+        document.getElementById('reqListContainer').innerHTML = this.renderRequestList(requests);
+    }
+
+    /** Retira una solicitud en trámite o devuelta (no requiere aprobación) */
+    static cancelarSolicitud(id) {
+        this.showModal('Cancelar Solicitud', `
+            <form onsubmit="App.confirmCancelarSolicitud(event, '${id}')">
+                <p style="margin-bottom:16px;">La solicitud se retirará del flujo de aprobación y no podrá reactivarse.</p>
+                <div class="form-group"><label>Motivo</label><textarea class="form-control" id="cancelReason" rows="2" placeholder="Opcional"></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Volver</button>
+                    <button type="submit" class="btn btn-danger" id="btnConfirmCancel"><i class="fas fa-ban"></i> Cancelar solicitud</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmCancelarSolicitud(e, id) {
+        e.preventDefault();
+        const btn = document.getElementById('btnConfirmCancel');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await RequestManager.cancelar(id, document.getElementById('cancelReason').value.trim());
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-ban"></i> Cancelar solicitud';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Solicitud cancelada', result.message);
+        this.navigate('solicitudes');
+    }
+
+    /** Ausencia ya aprobada: la cancelación queda sujeta al visto bueno del encargado */
+    static solicitarCancelacionSolicitud(id) {
+        const req = this._cachedRequests.find(r => r.id === id);
+        this.showModal('Solicitar Cancelación', `
+            <form onsubmit="App.confirmSolicitarCancelacion(event, '${id}')">
+                <p style="margin-bottom:16px;">Su encargado debe aprobar la cancelación de ${req ? this.escapeHtml(RequestManager.describirAusencia(req)) : 'esta solicitud'}. Mientras tanto la solicitud sigue aprobada.</p>
+                <div class="form-group"><label>Motivo <span class="required">*</span></label><textarea class="form-control" id="cancelReason" rows="3" required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Volver</button>
+                    <button type="submit" class="btn btn-primary" id="btnConfirmCancel"><i class="fas fa-paper-plane"></i> Enviar</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmSolicitarCancelacion(e, id) {
+        e.preventDefault();
+        const btn = document.getElementById('btnConfirmCancel');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await RequestManager.solicitarCancelacion(id, document.getElementById('cancelReason').value);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-paper-plane"></i> Enviar';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Cancelación solicitada', result.message);
+        this.navigate('solicitudes');
+    }
+
+    static async abrirAdjuntoSolicitud(reqId, adjId) {
+        try {
+            const { blob } = await RequestManager.getAdjuntoBlob(reqId, adjId);
+            const url = URL.createObjectURL(blob);
+            const w = window.open(url, '_blank', 'noopener,noreferrer');
+            if (!w) {
+                Toast.error('Ventana bloqueada', 'Permita ventanas emergentes para este sitio o use Descargar.');
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 120000);
+        } catch (err) {
+            console.error(err);
+            Toast.error('Error', err.message || 'No se pudo abrir el adjunto.');
+        }
+    }
+
+    static async descargarAdjuntoSolicitud(reqId, adjId) {
+        try {
+            const { blob, nombreArchivo } = await RequestManager.getAdjuntoBlob(reqId, adjId);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = nombreArchivo;
+            a.rel = 'noopener';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            setTimeout(() => URL.revokeObjectURL(url), 3000);
+        } catch (err) {
+            console.error(err);
+            Toast.error('Error', err.message || 'No se pudo descargar el adjunto.');
+        }
     }
 
     // ========================================================
@@ -2666,21 +4435,36 @@ class App {
         run();
     }
 
-    static renderNuevaSolicitud() {
+    // Solicitud devuelta que se está corrigiendo; al firmar se reenvía en lugar de crear una nueva
+    static _amendReqId = null;
+
+    static async renderNuevaSolicitud(params = {}) {
+        this._amendReqId = null;
         const content = document.getElementById('contentArea');
+        let corregir = null;
+        if (params.corregir) {
+            corregir = await RequestManager.getById(params.corregir);
+            if (!corregir || corregir.solicitante !== AuthManager.getUser().id || corregir.estado !== 'devuelta') {
+                content.innerHTML = `<div class="empty-state"><i class="fas fa-undo"></i><h3>Solicitud no disponible</h3><p>La solicitud ya no está devuelta para corrección</p>
+                    <button class="btn btn-primary btn-sm" onclick="App.navigate('solicitudes')">Mis Solicitudes</button></div>`;
+                return;
+            }
+        }
+        const tipos = corregir ? [corregir.tipo] : Object.keys(TIPOS_SOLICITUD);
         content.innerHTML = `
             <div style="margin-bottom:16px;">
                 <button class="btn btn-outline btn-sm" onclick="App.navigate('solicitudes')"><i class="fas fa-arrow-left"></i> Volver</button>
             </div>
             <div class="card">
                 <div class="card-header">
-                    <h3><i class="fas fa-plus-circle" style="margin-right:8px;color:var(--primary);"></i>Nueva Solicitud</h3>
+                    <h3><i class="fas fa-${corregir ? 'edit' : 'plus-circle'}" style="margin-right:8px;color:var(--primary);"></i>${corregir ? 'Corregir Solicitud' : 'Nueva Solicitud'}</h3>
                 </div>
                 <div class="card-body">
+                    ${corregir ? this.renderCancelacionDevolucion(corregir) : ''}
                     <div class="form-group">
                         <label>Tipo de Solicitud <span class="required">*</span></label>
                         <div style="display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:12px;margin-top:8px;" id="reqTypeGrid">
-                            ${Object.keys(TIPOS_SOLICITUD).map(key => {
+                            ${tipos.map(key => {
                                 const tipo = TIPOS_SOLICITUD[key];
                                 return `<div class="req-type-card" data-type="${key}" onclick="App.selectRequestType('${key}')"
                                     style="padding:20px;border:2px solid var(--border);border-radius:var(--radius-md);text-align:center;cursor:pointer;transition:var(--transition);">
@@ -2694,6 +4478,55 @@ class App {
                 </div>
             </div>
         `;
+        if (corregir) {
+            this.selectRequestType(corregir.tipo);
+            this.prefillSolicitudCorregida(corregir);
+            this._amendReqId = corregir.id;
+        }
+    }
+
+    /** Carga en el formulario los datos de la solicitud devuelta */
+    static prefillSolicitudCorregida(req) {
+        const datos = req.datos || {};
+        const setValor = (id, valor) => {
+            const el = document.getElementById(id);
+            if (!el || valor == null) return;
+            el.value = valor;
+            el.dispatchEvent(new Event('change'));
+        };
+
+        if (req.tipo === 'horas_extraordinarias') {
+            setValor('heCedula', datos.cedula);
+            setValor('hePuesto', datos.puesto);
+            setValor('heNombreEmpleado', datos.nombre_empleado);
+            setValor('heArea', datos.area_departamento);
+            setValor('heJefatura', datos.jefatura_inmediata);
+            setValor('heObservaciones', req.observaciones);
+            const filas = Array.isArray(datos.filas) ? datos.filas.slice(0, 8) : [];
+            const body = document.getElementById('heFilasBody');
+            while (body.querySelectorAll('tr').length < filas.length) this.addHorasExtraRow();
+            body.querySelectorAll('tr').forEach((tr, i) => {
+                const f = filas[i] || {};
+                tr.querySelector('.he-fecha').value = f.fecha || '';
+                tr.querySelector('.he-inicio').value = f.hora_inicio || '';
+                tr.querySelector('.he-fin').value = f.hora_fin || '';
+                tr.querySelector('.he-justif').value = f.justificacion || '';
+            });
+            this.recalculateAllHorasExtraRows();
+            this.updateRequestPreview('horas_extraordinarias');
+        } else {
+            Object.entries(this._CAMPOS_FORM_SOLICITUD).forEach(([elId, campo]) => setValor(elId, datos[campo]));
+            setValor('reqObservaciones', req.observaciones);
+        }
+
+        const previos = RequestManager.getAdjuntos(req);
+        const input = document.getElementById('reqAdjuntos');
+        if (input) input.dataset.existentes = String(previos.length);
+        const previosEl = document.getElementById('reqAdjuntosPrevios');
+        if (previosEl) previosEl.innerHTML = this.renderAdjuntosSolicitud(req);
+
+        const btn = document.getElementById('btnEnviarReq');
+        if (btn) btn.innerHTML = '<i class="fas fa-paper-plane"></i> Reenviar Solicitud';
     }
 
     static selectRequestType(type) {
@@ -2711,6 +4544,16 @@ class App {
         const tipo = TIPOS_SOLICITUD[type];
         let fieldsHtml = '';
 
+        if (tipo.campos.includes('entidad_emisora')) {
+            const entidades = Object.entries(INCAPACIDAD_CONFIG.entidades)
+                .map(([clave, e]) => `<option value="${clave}">${e.nombre} — ${e.descripcion}</option>`).join('');
+            fieldsHtml += `<div class="form-row">
+                <div class="form-group"><label>Entidad que la emite <span class="required">*</span></label><select class="form-control" id="reqEntidadEmisora" required>
+                    <option value="">Seleccione...</option>${entidades}
+                </select></div>
+                <div class="form-group"><label>Número de boleta / certificado</label><input type="text" class="form-control" id="reqNumeroCertificado" maxlength="60" placeholder="Obligatorio para CCSS e INS"></div>
+            </div>`;
+        }
         if (tipo.campos.includes('fecha_inicio') && tipo.campos.includes('fecha_fin')) {
             fieldsHtml += `<div class="form-row"><div class="form-group"><label>Fecha Inicio <span class="required">*</span></label><input type="date" class="form-control" id="reqFechaInicio" required></div>
                 <div class="form-group"><label>Fecha Fin <span class="required">*</span></label><input type="date" class="form-control" id="reqFechaFin" required></div></div>`;
@@ -2737,9 +4580,20 @@ class App {
             fieldsHtml += `<div class="form-row"><div class="form-group"><label>Horario Actual</label><input type="text" class="form-control" id="reqHorarioActual" placeholder="Ej: 8:00 AM - 5:00 PM"></div>
                 <div class="form-group"><label>Horario Solicitado</label><input type="text" class="form-control" id="reqHorarioSolicitado" placeholder="Ej: 9:00 AM - 6:00 PM"></div></div>`;
         }
+        if (tipo.campos.includes('tipo_constancia')) {
+            fieldsHtml += `<div class="form-row">
+                <div class="form-group"><label>Tipo de constancia <span class="required">*</span></label><select class="form-control" id="reqTipoConstancia" required>
+                    <option value="laboral">Laboral (puesto y antigüedad)</option>
+                    <option value="salarial">Salarial (incluye salario)</option>
+                </select></div>
+                <div class="form-group"><label>Dirigida a</label><input type="text" class="form-control" id="reqDirigidoA" placeholder="A quien interese"></div>
+            </div>
+            <p class="form-help" style="margin-bottom:12px;">Recursos Humanos la emite con los datos de su perfil (cédula, puesto, fecha de ingreso y salario). Una vez aprobada la podrá descargar firmada.</p>`;
+        }
         if (tipo.campos.includes('institucion')) fieldsHtml += `<div class="form-group"><label>Institución</label><input type="text" class="form-control" id="reqInstitucion" placeholder="Nombre de la institución educativa"></div>`;
-        if (tipo.campos.includes('descripcion')) fieldsHtml += `<div class="form-group"><label>Descripción</label><input type="text" class="form-control" id="reqDescripcion" placeholder="Descripción del día festivo"></div>`;
+        if (tipo.campos.includes('descripcion')) fieldsHtml += `<div class="form-group"><label>Descripción</label><input type="text" class="form-control" id="reqDescripcion" placeholder="Descripción del día festivo"><p class="form-help" id="reqFeriadoHint"></p></div>`;
         if (tipo.campos.includes('motivo')) fieldsHtml += `<div class="form-group"><label>Motivo <span class="required">*</span></label><textarea class="form-control" id="reqMotivo" rows="3" placeholder="Explique el motivo de su solicitud..."></textarea></div>`;
+        fieldsHtml += this.renderCampoAdjuntosSolicitud(type);
         fieldsHtml += `<div class="form-group"><label>Observaciones adicionales</label><textarea class="form-control" id="reqObservaciones" rows="2" placeholder="Observaciones opcionales..."></textarea></div>`;
 
         // Bloque de previsualización para todos los tipos de solicitud
@@ -2760,7 +4614,9 @@ class App {
         container.innerHTML = `
             <h3 style="margin-bottom:20px;"><i class="${tipo.icono}" style="margin-right:8px;color:${tipo.color};"></i>${tipo.nombre}</h3>
             <form id="reqForm" onsubmit="App.handleCreateRequest(event, '${type}')">
+                ${type === VACACIONES_CONFIG.tipo ? '<div id="vacSaldoBox" style="margin-bottom:16px;"></div>' : ''}
                 ${fieldsHtml}
+                ${TIPOS_SOLICITUD[type]?.ausencia ? '<div id="reqPersonalBox"></div>' : ''}
                 <div style="display:flex;gap:12px;justify-content:flex-end;margin-top:20px;">
                     <button type="button" class="btn btn-outline" onclick="App.navigate('solicitudes')">Cancelar</button>
                     <button type="submit" class="btn btn-primary btn-lg" id="btnEnviarReq"><i class="fas fa-paper-plane"></i> Enviar Solicitud</button>
@@ -2770,7 +4626,7 @@ class App {
         `;
 
         // Inicializar y actualizar previsualización para todos los tipos
-        const previewInputIds = ['reqCedula', 'reqPuesto', 'reqFechaIngreso', 'reqFechaInicio', 'reqFechaFin', 'reqFecha', 'reqHoraIngreso', 'reqHoraSalida', 'reqHorarioActual', 'reqHorarioSolicitado', 'reqInstitucion', 'reqDescripcion', 'reqMotivo', 'reqObservaciones'];
+        const previewInputIds = ['reqCedula', 'reqPuesto', 'reqFechaIngreso', 'reqFechaInicio', 'reqFechaFin', 'reqFecha', 'reqHoraIngreso', 'reqHoraSalida', 'reqHorarioActual', 'reqHorarioSolicitado', 'reqTipoConstancia', 'reqDirigidoA', 'reqInstitucion', 'reqDescripcion', 'reqMotivo', 'reqEntidadEmisora', 'reqNumeroCertificado', 'reqObservaciones'];
         const update = () => App.updateRequestPreview(type);
         previewInputIds.forEach(id => {
             const el = document.getElementById(id);
@@ -2779,6 +4635,56 @@ class App {
         });
         App.setupRequestCedulaAutofill(type);
         App.updateRequestPreview(type);
+        if (type === VACACIONES_CONFIG.tipo) {
+            ['reqFechaInicio', 'reqFechaFin'].forEach(id => document.getElementById(id)?.addEventListener('change', () => App.updateVacacionesSaldoForm()));
+            App.loadVacacionesSaldoForm();
+        }
+        if (TIPOS_SOLICITUD[type]?.ausencia) {
+            ['reqFechaInicio', 'reqFechaFin', 'reqFecha'].forEach(id => document.getElementById(id)?.addEventListener('change', () => App.updatePersonalMinimoForm(type)));
+            App.updatePersonalMinimoForm(type);
+        }
+        if (type === 'dias_festivos') {
+            document.getElementById('reqFecha')?.addEventListener('change', () => App.updateFeriadoHint());
+        }
+    }
+
+    /** Selector de archivos del formulario; en una corrección lista arriba los que ya se enviaron */
+    static renderCampoAdjuntosSolicitud(type) {
+        const config = RequestManager.getConfigAdjuntos(type);
+        return `<div class="form-group">
+            <label>Adjuntos ${config.requerido ? '<span class="required">*</span>' : '(opcional)'}</label>
+            <div id="reqAdjuntosPrevios"></div>
+            <input type="file" class="form-control" id="reqAdjuntos" accept=".pdf,application/pdf,.png,image/png,.jpg,.jpeg,image/jpeg" multiple>
+            <p class="form-help">${config.descripcion ? `${this.escapeHtml(config.descripcion)}. ` : ''}PDF o imagen (PNG, JPG), hasta ${RequestManager.ADJUNTOS_MAX} archivos y ${PoliticaInternaManager.formatBytes(DocumentManager.ADJUNTO_MAX_BYTES)} por archivo.</p>
+        </div>`;
+    }
+
+    /** Archivos elegidos en el formulario, o el motivo por el que no se pueden enviar */
+    static leerAdjuntosSolicitud(type) {
+        const input = document.getElementById('reqAdjuntos');
+        const archivos = Array.from(input?.files || []);
+        const error = RequestManager.validarAdjuntos(type, archivos, Number(input?.dataset.existentes || 0));
+        return { archivos, error };
+    }
+
+    /** Días festivos: toma el nombre del feriado del calendario laboral o avisa si la fecha no lo es */
+    static updateFeriadoHint() {
+        const fecha = document.getElementById('reqFecha')?.value;
+        const hint = document.getElementById('reqFeriadoHint');
+        const desc = document.getElementById('reqDescripcion');
+        if (!hint) return;
+        const feriado = fecha ? CalendarioLaboralManager.getFeriado(fecha) : null;
+        if (!fecha) {
+            hint.textContent = '';
+        } else if (feriado) {
+            hint.innerHTML = `<i class="fas fa-check-circle" style="color:var(--success);"></i> ${this.escapeHtml(CALENDARIO_LABORAL_CONFIG.tipos[feriado.tipo]?.nombre || 'Feriado')}: ${this.escapeHtml(feriado.nombre)}`;
+            if (desc && !desc.value.trim()) {
+                desc.value = feriado.nombre;
+                this.updateRequestPreview('dias_festivos');
+            }
+        } else {
+            hint.innerHTML = `<i class="fas fa-exclamation-triangle" style="color:var(--warning);"></i> La fecha no está registrada como feriado en el calendario laboral.`;
+        }
     }
 
     static selectRequestTypeHorasExtra() {
@@ -2787,7 +4693,7 @@ class App {
         const tipo = TIPOS_SOLICITUD.horas_extraordinarias;
         const fila = (i) => `
             <tr data-he-row="${i}">
-                <td style="padding:6px;"><input type="date" class="form-control he-fecha" style="min-width:130px;"></td>
+                <td style="padding:6px;"><input type="date" class="form-control he-fecha" style="min-width:130px;"><small class="he-tipo-dia" style="display:block;color:var(--warning);font-size:0.72rem;"></small></td>
                 <td style="padding:6px;"><input type="time" class="form-control he-inicio"></td>
                 <td style="padding:6px;"><input type="time" class="form-control he-fin"></td>
                 <td style="padding:6px;"><input type="text" class="form-control he-cantidad" placeholder="Auto" readonly></td>
@@ -2832,6 +4738,7 @@ class App {
                     </table>
                 </div>
                 <button type="button" class="btn btn-outline btn-sm" style="margin-top:10px;" onclick="App.addHorasExtraRow()" id="btnHeAddRow"><i class="fas fa-plus"></i> Agregar fila (máx. 8)</button>
+                <div style="margin-top:16px;">${this.renderCampoAdjuntosSolicitud('horas_extraordinarias')}</div>
                 <div class="form-group" style="margin-top:16px;"><label>Observaciones adicionales</label><textarea class="form-control" id="heObservaciones" rows="2"></textarea></div>
                 <div style="display:flex;gap:12px;justify-content:flex-end;margin-top:20px;">
                     <button type="button" class="btn btn-outline" onclick="App.navigate('solicitudes')">Cancelar</button>
@@ -2848,13 +4755,13 @@ class App {
         });
         this.setupHorasExtraCedulaAutofill();
         document.getElementById('heFilasBody').addEventListener('input', (e) => {
-            if (e.target?.classList?.contains('he-inicio') || e.target?.classList?.contains('he-fin')) {
+            if (e.target?.classList?.contains('he-inicio') || e.target?.classList?.contains('he-fin') || e.target?.classList?.contains('he-fecha')) {
                 this.recalculateHorasExtraRow(e.target.closest('tr'));
             }
             upd();
         });
         document.getElementById('heFilasBody').addEventListener('change', (e) => {
-            if (e.target?.classList?.contains('he-inicio') || e.target?.classList?.contains('he-fin')) {
+            if (e.target?.classList?.contains('he-inicio') || e.target?.classList?.contains('he-fin') || e.target?.classList?.contains('he-fecha')) {
                 this.recalculateHorasExtraRow(e.target.closest('tr'));
             }
             upd();
@@ -2873,7 +4780,7 @@ class App {
         const tr = document.createElement('tr');
         tr.dataset.heRow = String(i);
         tr.innerHTML = `
-            <td style="padding:6px;"><input type="date" class="form-control he-fecha" style="min-width:130px;"></td>
+            <td style="padding:6px;"><input type="date" class="form-control he-fecha" style="min-width:130px;"><small class="he-tipo-dia" style="display:block;color:var(--warning);font-size:0.72rem;"></small></td>
             <td style="padding:6px;"><input type="time" class="form-control he-inicio"></td>
             <td style="padding:6px;"><input type="time" class="form-control he-fin"></td>
             <td style="padding:6px;"><input type="text" class="form-control he-cantidad" placeholder="Auto" readonly></td>
@@ -2897,6 +4804,16 @@ class App {
 
     static recalculateHorasExtraRow(tr) {
         if (!tr) return;
+        // Feriado o día de descanso del colaborador: se paga distinto, se señala en la fila
+        const tipoDiaEl = tr.querySelector('.he-tipo-dia');
+        if (tipoDiaEl) {
+            const fecha = tr.querySelector('.he-fecha')?.value;
+            const tipoDia = fecha ? CalendarioLaboralManager.tipoDia(fecha, AuthManager.getUser()) : null;
+            tipoDiaEl.textContent = CalendarioLaboralManager.etiquetaFilaHorasExtra({
+                tipo_dia: tipoDia,
+                feriado: tipoDia === 'feriado' ? CalendarioLaboralManager.getFeriado(fecha).nombre : null
+            });
+        }
         const hi = tr.querySelector('.he-inicio')?.value?.trim() || '';
         const hf = tr.querySelector('.he-fin')?.value?.trim() || '';
         const cantidadEl = tr.querySelector('.he-cantidad');
@@ -2940,7 +4857,12 @@ class App {
             const cant = tr.querySelector('.he-cantidad')?.value?.trim();
             const just = tr.querySelector('.he-justif')?.value?.trim();
             if (fecha || hi || hf || cant || just) {
-                filas.push({ fecha, hora_inicio: hi, hora_fin: hf, cantidad: cant, justificacion: just });
+                const tipoDia = fecha ? CalendarioLaboralManager.tipoDia(fecha, AuthManager.getUser()) : null;
+                filas.push({
+                    fecha, hora_inicio: hi, hora_fin: hf, cantidad: cant, justificacion: just,
+                    tipo_dia: tipoDia,
+                    feriado: tipoDia === 'feriado' ? CalendarioLaboralManager.getFeriado(fecha).nombre : null
+                });
             }
         });
         if (strict) {
@@ -2963,6 +4885,18 @@ class App {
         };
     }
 
+    // Id del campo del formulario → clave en datos
+    static _CAMPOS_FORM_SOLICITUD = {
+        reqCedula: 'cedula', reqPuesto: 'puesto', reqFechaIngreso: 'fecha_ingreso',
+        reqNombreEmpleado: 'nombre_empleado', reqDepartamentoNombre: 'departamento_nombre',
+        reqFechaInicio: 'fecha_inicio', reqFechaFin: 'fecha_fin', reqFecha: 'fecha',
+        reqHoraIngreso: 'hora_ingreso', reqHoraSalida: 'hora_salida',
+        reqHorarioActual: 'horario_actual', reqHorarioSolicitado: 'horario_solicitado',
+        reqTipoConstancia: 'tipo_constancia', reqDirigidoA: 'dirigido_a',
+        reqInstitucion: 'institucion', reqDescripcion: 'descripcion', reqMotivo: 'motivo',
+        reqEntidadEmisora: 'entidad_emisora', reqNumeroCertificado: 'numero_certificado'
+    };
+
     static async handleCreateRequest(e, type) {
         e.preventDefault();
         if (type === 'horas_extraordinarias') {
@@ -2971,21 +4905,19 @@ class App {
                 Toast.error('Formulario', res.error);
                 return;
             }
+            const adjuntos = this.leerAdjuntosSolicitud(type);
+            if (adjuntos.error) {
+                Toast.error('Adjuntos', adjuntos.error);
+                return;
+            }
             const observaciones = document.getElementById('heObservaciones')?.value || '';
-            this._pendingRequest = { tipo: type, datos: res.datos, observaciones };
+            this._pendingRequest = { tipo: type, datos: res.datos, observaciones, archivos: adjuntos.archivos };
             this.openRequestSignatureModal();
             return;
         }
 
         const datos = {};
-        const fields = {
-            reqCedula: 'cedula', reqPuesto: 'puesto', reqFechaIngreso: 'fecha_ingreso',
-            reqNombreEmpleado: 'nombre_empleado', reqDepartamentoNombre: 'departamento_nombre',
-            reqFechaInicio: 'fecha_inicio', reqFechaFin: 'fecha_fin', reqFecha: 'fecha',
-            reqHoraIngreso: 'hora_ingreso', reqHoraSalida: 'hora_salida',
-            reqHorarioActual: 'horario_actual', reqHorarioSolicitado: 'horario_solicitado',
-            reqInstitucion: 'institucion', reqDescripcion: 'descripcion', reqMotivo: 'motivo'
-        };
+        const fields = this._CAMPOS_FORM_SOLICITUD;
 
         Object.keys(fields).forEach(elId => {
             const el = document.getElementById(elId);
@@ -2993,12 +4925,56 @@ class App {
         });
 
         const observaciones = document.getElementById('reqObservaciones')?.value || '';
+        const adjuntos = this.leerAdjuntosSolicitud(type);
+        if (adjuntos.error) {
+            Toast.error('Adjuntos', adjuntos.error);
+            return;
+        }
+
+        if (type === INCAPACIDAD_CONFIG.tipo) {
+            const error = RequestManager.validarDatosIncapacidad(datos);
+            if (error) {
+                Toast.error('Formulario', error);
+                return;
+            }
+        }
+
+        if (type === 'dias_festivos' && datos.fecha && !CalendarioLaboralManager.getFeriado(datos.fecha)
+            && !confirm('La fecha no está registrada como feriado en el calendario laboral. ¿Enviar la solicitud de todos modos?')) return;
+
+        // Vacaciones: el rango se debita en días hábiles y no puede superar el saldo disponible
+        if (type === VACACIONES_CONFIG.tipo) {
+            const dias = CalendarioLaboralManager.contarDiasHabiles(datos.fecha_inicio, datos.fecha_fin, AuthManager.getUser());
+            if (dias <= 0) {
+                Toast.error('Formulario', 'El rango de fechas no incluye días hábiles');
+                return;
+            }
+            const ledger = await VacacionesManager.getLedger(AuthManager.getUser().id);
+            const evaluacion = VacacionesManager.evaluarSolicitud(ledger, dias);
+            if (evaluacion.nivel === 'bloqueo') {
+                Toast.error('Saldo de vacaciones insuficiente', evaluacion.mensaje);
+                return;
+            }
+            if (evaluacion.nivel !== 'ok' && !confirm(`${evaluacion.mensaje}\n\n¿Enviar la solicitud de todos modos?`)) return;
+        }
+
+        if (TIPOS_SOLICITUD[type]?.ausencia) {
+            const solapes = await RequestManager.getSolapesAusencia({ id: this._amendReqId, tipo: type, datos, solicitante: AuthManager.getUser().id });
+            if (solapes.length > 0) {
+                Toast.error('Fechas traslapadas', `Ya tiene ${RequestManager.describirAusencia(solapes[0])} en esas fechas`);
+                return;
+            }
+            // No bloquea: el encargado lo verá al firmar, pero el colaborador lo confirma antes de enviar
+            const personal = await RequestManager.getDiasBajoMinimoSolicitud(type, datos, AuthManager.getUser(), this._amendReqId);
+            if (personal.dias.length > 0 && !confirm(`Su área quedaría por debajo del personal mínimo (${personal.minimoPersonal}) el ${RequestManager.describirDiasBajoMinimo(personal.dias)}.\n\n¿Enviar la solicitud de todos modos?`)) return;
+        }
 
         // Guardar datos temporalmente y abrir flujo de firma (código + firma dibujada)
         this._pendingRequest = {
             tipo: type,
             datos,
-            observaciones
+            observaciones,
+            archivos: adjuntos.archivos
         };
 
         this.openRequestSignatureModal();
@@ -3165,22 +5141,26 @@ class App {
         };
 
         try {
-            const request = await RequestManager.create({
-                tipo: this._pendingRequest.tipo,
+            const envio = {
                 datos: this._pendingRequest.datos,
                 observaciones: this._pendingRequest.observaciones,
-                firma
-            });
+                firma,
+                archivos: this._pendingRequest.archivos || []
+            };
+            const request = this._amendReqId
+                ? await RequestManager.reenviar(this._amendReqId, envio)
+                : await RequestManager.create({ tipo: this._pendingRequest.tipo, ...envio });
 
-            Toast.success('Solicitud enviada', `Su solicitud de ${request.tipoNombre} ha sido enviada`);
+            Toast.success('Solicitud enviada', `Su solicitud de ${request.tipoNombre} ha sido ${this._amendReqId ? 'reenviada' : 'enviada'}`);
             this._pendingRequest = null;
+            this._amendReqId = null;
             this.signatureUnlocked = false;
             this.currentPersonalCode = null;
             this.closeModal();
             this.navigate('solicitudes');
         } catch (error) {
             console.error('Error creando solicitud con firma:', error);
-            Toast.error('Error', 'No se pudo enviar la solicitud');
+            Toast.error('Error', error.message || 'No se pudo enviar la solicitud');
             btn.disabled = false;
             btn.innerHTML = '<i class="fas fa-check"></i> Firmar y Enviar';
         }
@@ -3216,7 +5196,9 @@ class App {
             reqFechaInicio: 'fecha_inicio', reqFechaFin: 'fecha_fin', reqFecha: 'fecha',
             reqHoraIngreso: 'hora_ingreso', reqHoraSalida: 'hora_salida',
             reqHorarioActual: 'horario_actual', reqHorarioSolicitado: 'horario_solicitado',
+            reqTipoConstancia: 'tipo_constancia', reqDirigidoA: 'dirigido_a',
             reqInstitucion: 'institucion', reqDescripcion: 'descripcion', reqMotivo: 'motivo',
+            reqEntidadEmisora: 'entidad_emisora', reqNumeroCertificado: 'numero_certificado',
             reqObservaciones: 'observaciones'
         };
         const datos = {};
@@ -3237,6 +5219,128 @@ class App {
         previewEl.textContent = this.buildRequestText(fakeReq);
     }
 
+    static _personalFormSeq = 0;
+
+    /** Aviso del formulario de ausencias: días en que el área quedaría bajo su personal mínimo */
+    static async updatePersonalMinimoForm(type) {
+        const box = document.getElementById('reqPersonalBox');
+        if (!box) return;
+        const seq = ++this._personalFormSeq;
+        const datos = {};
+        [['reqFechaInicio', 'fecha_inicio'], ['reqFechaFin', 'fecha_fin'], ['reqFecha', 'fecha']].forEach(([id, campo]) => {
+            const valor = document.getElementById(id)?.value;
+            if (valor) datos[campo] = valor;
+        });
+        const personal = await RequestManager.getDiasBajoMinimoSolicitud(type, datos, AuthManager.getUser(), this._amendReqId);
+        // Las fechas pudieron cambiar mientras se consultaba: solo pinta la última consulta
+        if (seq !== this._personalFormSeq) return;
+        box.innerHTML = personal.dias.length === 0 ? '' : `<div style="margin-bottom:16px;padding:12px;background:rgba(245,127,23,0.08);border-left:3px solid var(--warning);border-radius:var(--radius-sm);font-size:0.82rem;">
+                <i class="fas fa-users" style="color:var(--warning);margin-right:6px;"></i>
+                Su área quedaría por debajo del personal mínimo (${personal.minimoPersonal}) el ${RequestManager.describirDiasBajoMinimo(personal.dias)}. Puede enviarla; su encargado lo verá al revisarla.
+            </div>`;
+    }
+
+    // ========================================================
+    // SALDO DE VACACIONES
+    // ========================================================
+    static _vacLedgerForm = null;
+
+    static async loadVacacionesSaldoForm() {
+        this._vacLedgerForm = null;
+        const box = document.getElementById('vacSaldoBox');
+        if (!box) return;
+        box.innerHTML = '<p style="font-size:0.82rem;color:var(--text-light);"><i class="fas fa-spinner fa-spin"></i> Calculando saldo de vacaciones...</p>';
+        this._vacLedgerForm = await VacacionesManager.getLedger(AuthManager.getUser().id);
+        this.updateVacacionesSaldoForm();
+    }
+
+    /** Caja de saldo del formulario de vacaciones: disponible y efecto del rango elegido */
+    static updateVacacionesSaldoForm() {
+        const box = document.getElementById('vacSaldoBox');
+        const ledger = this._vacLedgerForm;
+        if (!box || !ledger) return;
+        const uid = AuthManager.getUser().id;
+
+        if (ledger.sinFechaIngreso) {
+            box.innerHTML = `<div style="padding:12px;background:rgba(245,127,23,0.08);border-left:3px solid var(--warning);border-radius:var(--radius-sm);font-size:0.82rem;">
+                <i class="fas fa-exclamation-triangle" style="color:var(--warning);margin-right:6px;"></i>
+                Su perfil no tiene fecha de ingreso registrada, por lo que no se puede calcular su saldo. Solicite a Recursos Humanos que la complete.
+            </div>`;
+            return;
+        }
+
+        const inicio = document.getElementById('reqFechaInicio')?.value;
+        const fin = document.getElementById('reqFechaFin')?.value;
+        const dias = inicio && fin ? CalendarioLaboralManager.contarDiasHabiles(inicio, fin, AuthManager.getUser()) : 0;
+        const evaluacion = dias > 0 ? VacacionesManager.evaluarSolicitud(ledger, dias) : null;
+        const color = !evaluacion || evaluacion.nivel === 'ok' ? 'var(--success)' : evaluacion.nivel === 'bloqueo' ? 'var(--danger)' : 'var(--warning)';
+
+        box.innerHTML = `<div style="padding:12px;background:var(--bg-main);border-left:3px solid ${color};border-radius:var(--radius-sm);font-size:0.82rem;display:flex;justify-content:space-between;align-items:center;gap:12px;flex-wrap:wrap;">
+            <div>
+                <strong><i class="fas fa-umbrella-beach" style="margin-right:6px;color:#00897b;"></i>Saldo disponible: ${ledger.disponible} día(s) hábiles</strong>
+                ${ledger.comprometidos > 0 ? `<span style="color:var(--text-light);"> (${ledger.comprometidos} en solicitudes pendientes)</span>` : ''}
+                ${evaluacion ? `<p style="margin:6px 0 0;color:${color};">Este rango debita ${dias} día(s) hábiles. ${this.escapeHtml(evaluacion.mensaje)}</p>` : ''}
+            </div>
+            <button type="button" class="btn btn-outline btn-sm" onclick="App.openVacacionesLedger('${uid}')"><i class="fas fa-list"></i> Ver movimientos</button>
+        </div>`;
+    }
+
+    /** Modal con el resumen y los movimientos del saldo de vacaciones de un colaborador */
+    static async openVacacionesLedger(userId) {
+        const [empleado, ledger] = await Promise.all([
+            AuthManager.getUserById(userId),
+            VacacionesManager.getLedger(userId)
+        ]);
+        if (!ledger) { Toast.error('Error', 'No se pudo calcular el saldo de vacaciones'); return; }
+        const nombre = empleado ? `${empleado.nombre} ${empleado.apellido}` : 'Colaborador';
+
+        if (ledger.sinFechaIngreso) {
+            this.showModal(`Vacaciones — ${nombre}`, `<div class="empty-state"><i class="fas fa-calendar-times"></i><h3>Sin fecha de ingreso</h3><p>Registre la fecha de ingreso en el perfil del colaborador para calcular su saldo.</p></div>`);
+            return;
+        }
+
+        const cfg = VACACIONES_CONFIG;
+        const tarjeta = (valor, label, color) => `<div style="padding:12px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid ${color};">
+                <div style="font-size:1.3rem;font-weight:700;">${valor}</div>
+                <div style="font-size:0.75rem;color:var(--text-secondary);">${label}</div>
+            </div>`;
+        const enCurso = ledger.periodoEnCurso;
+        const filas = ledger.movimientos.map(m => `<tr>
+                <td style="padding:6px 8px;border-bottom:1px solid var(--border-light);white-space:nowrap;">${formatDate(m.fecha.toISOString())}</td>
+                <td style="padding:6px 8px;border-bottom:1px solid var(--border-light);">${this.escapeHtml(m.concepto)}</td>
+                <td style="padding:6px 8px;border-bottom:1px solid var(--border-light);text-align:right;color:${m.dias < 0 ? 'var(--danger)' : 'var(--success)'};">${m.dias > 0 ? '+' : ''}${m.dias}</td>
+                <td style="padding:6px 8px;border-bottom:1px solid var(--border-light);text-align:right;font-weight:600;">${m.saldo}</td>
+            </tr>`).join('');
+        const pendientes = ledger.pendientes.map(p => `<li>${formatDate(p.fechaInicio)} al ${formatDate(p.fechaFin)} — ${p.dias} día(s) hábiles</li>`).join('');
+
+        this.showModal(`Vacaciones — ${nombre}`, `
+            <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:14px;">
+                Ingreso: <strong>${formatDate(ledger.fechaIngreso)}</strong> · ${ledger.semanas} semana(s) laboradas ·
+                ${ledger.diasPorPeriodo} días hábiles por cada ${cfg.semanasPorPeriodo} semanas.
+            </p>
+            <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(120px,1fr));gap:10px;margin-bottom:16px;">
+                ${tarjeta(ledger.ganados, 'Ganados', 'var(--primary)')}
+                ${tarjeta(ledger.usados, 'Disfrutados', 'var(--danger)')}
+                ${tarjeta(ledger.comprometidos, 'En solicitudes pendientes', 'var(--warning)')}
+                ${tarjeta(ledger.disponible, 'Disponibles', 'var(--success)')}
+            </div>
+            ${enCurso.semanas > 0 ? `<p style="font-size:0.8rem;color:var(--text-secondary);margin-bottom:12px;">
+                <i class="fas fa-info-circle"></i> Período en curso: ${enCurso.semanas} de ${cfg.semanasPorPeriodo} semanas (${enCurso.proporcional} día(s) proporcionales).
+                Los días se acreditan al cumplir el período.
+            </p>` : ''}
+            <div style="overflow-x:auto;max-height:320px;">
+                <table style="width:100%;border-collapse:collapse;font-size:0.8rem;">
+                    <thead><tr style="background:var(--bg-main);text-align:left;">
+                        <th style="padding:6px 8px;">Fecha</th><th style="padding:6px 8px;">Concepto</th>
+                        <th style="padding:6px 8px;text-align:right;">Días</th><th style="padding:6px 8px;text-align:right;">Saldo</th>
+                    </tr></thead>
+                    <tbody>${filas || '<tr><td colspan="4" style="padding:10px;">Sin movimientos</td></tr>'}</tbody>
+                </table>
+            </div>
+            ${pendientes ? `<div style="margin-top:14px;font-size:0.8rem;"><strong>Pendientes de aprobación:</strong><ul style="margin:6px 0 0 18px;">${pendientes}</ul></div>` : ''}
+        `, true);
+    }
+
     // ========================================================
     // GESTIONAR SOLICITUDES
     // ========================================================
@@ -3254,19 +5358,25 @@ class App {
             requests = await RequestManager.getAll();
         } else {
             const all = await RequestManager.getAll();
-            const managed = AuthManager.getDepartamentosEncargado(user);
+            // Áreas propias más las que sustituyo hoy por delegación
+            const delegadas = DelegacionManager.getVigentes()
+                .filter(d => d.sustituto === user.id)
+                .flatMap(d => Object.keys(d.departamentos || {}));
+            const managed = [...new Set([...AuthManager.getDepartamentosEncargado(user), ...delegadas])];
             const byManaged = new Map();
             for (const depId of managed) {
                 const part = await RequestManager.getByDepartment(depId);
                 part.forEach(r => byManaged.set(r.id, r));
             }
-            const extra = [];
-            if (AuthManager.encargadoGestionaDepartamento(user, SOLICITUD_HORAS_EXTRA_CONFIG.deptoTI)) {
-                extra.push(...all.filter(r => r.tipo === 'horas_extraordinarias' && r.estado === 'pendiente_ti'));
-            }
-            if (AuthManager.encargadoGestionaDepartamento(user, SOLICITUD_HORAS_EXTRA_CONFIG.deptoGerencia)) {
-                extra.push(...all.filter(r => r.estado === 'pendiente_gerencia'));
-            }
+            // Solicitudes de otras áreas que llegaron a una etapa de un departamento que gestiono (TI, RRHH, Gerencia...)
+            const extra = all.filter(r => {
+                if (RequestManager.necesitaMiAprobacion(r, user)) return true;
+                const actual = RequestManager.getEtapaActual(r);
+                return RequestManager.getFlujo(r).some(e =>
+                    e.departamento !== FLUJO_DEPTO_SOLICITANTE &&
+                    (e.id === actual?.id || RequestManager.getFirmaEtapa(r, e) || r.etapaRechazo === e.id) &&
+                    AuthManager.encargadoGestionaDepartamento(user, RequestManager.departamentoEtapa(e, r)));
+            });
             const map = new Map();
             [...byManaged.values(), ...extra].forEach(r => map.set(r.id, r));
             requests = Array.from(map.values());
@@ -3274,7 +5384,21 @@ class App {
         requests = requests.sort((a, b) => new Date(b.fechaSolicitud) - new Date(a.fechaSolicitud));
         this._cachedMgrRequests = requests;
 
-        const nPend = requests.filter(r => RequestManager.necesitaMiAprobacion(r, user)).length;
+        const pendientes = requests.filter(r => RequestManager.necesitaMiAprobacion(r, user));
+        const nPend = pendientes.length;
+
+        // Traslapes y personal mínimo de las ausencias que me toca firmar
+        this._mgrConflictos = new Map();
+        const cacheAreas = {};
+        for (const r of pendientes.filter(r => RequestManager.esAusencia(r) && r.estado !== 'aprobada')) {
+            this._mgrConflictos.set(r.id, await RequestManager.detectarConflictos(r, cacheAreas));
+        }
+
+        // Perfil de cada solicitante: sus días laborables definen los días hábiles de sus solicitudes
+        this._mgrSolicitantes = new Map();
+        const solicitantes = [...new Set(requests.map(r => r.solicitante).filter(Boolean))];
+        (await Promise.all(solicitantes.map(uid => AuthManager.getUserById(uid))))
+            .forEach((u, i) => this._mgrSolicitantes.set(solicitantes[i], u));
 
         const empMap = new Map();
         for (const r of requests) {
@@ -3292,6 +5416,14 @@ class App {
             <div class="card">
                 <div class="card-header">
                     <h3><i class="fas fa-tasks" style="margin-right:8px;color:var(--primary);"></i>Gestionar Solicitudes</h3>
+                    <div style="display:flex;gap:8px;flex-wrap:wrap;">
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-ausencias')">
+                            <i class="fas fa-calendar-week"></i> Calendario del equipo
+                        </button>
+                        ${AuthManager.isAdmin() ? `<button class="btn btn-outline btn-sm" onclick="App.navigate('tiempos-solicitudes')">
+                            <i class="fas fa-hourglass-half"></i> Tiempos de aprobación
+                        </button>` : ''}
+                    </div>
                 </div>
                 <div class="card-body">
                     <div class="form-group" style="margin-bottom:16px;max-width:min(100%, 420px);">
@@ -3308,13 +5440,30 @@ class App {
                         <button class="tab" data-tab="aprobada" onclick="App.filterMgrRequests('aprobada')">Aprobadas <span class="mgr-tab-n" data-mgr-tab="aprobada">(${requests.filter(r=>r.estado==='aprobada').length})</span></button>
                         <button class="tab" data-tab="rechazada" onclick="App.filterMgrRequests('rechazada')">Rechazadas <span class="mgr-tab-n" data-mgr-tab="rechazada">(${requests.filter(r=>r.estado==='rechazada').length})</span></button>
                     </div>
-                    <div id="mgrReqContainer">${this.renderManageRequestList(requests.filter(r => RequestManager.necesitaMiAprobacion(r, user)))}</div>
+                    <div id="mgrReqContainer">${this.renderManageRequestList(pendientes)}</div>
                 </div>
             </div>
         `;
     }
 
     static _cachedMgrRequests = [];
+    static _mgrConflictos = new Map();
+    static _mgrSolicitantes = new Map();
+
+    /** Aviso de traslapes y faltante de personal en la tarjeta, antes de que el encargado firme */
+    static renderConflictosSolicitud(req) {
+        const c = this._mgrConflictos.get(req.id);
+        if (!RequestManager.tieneConflictos(c)) return '';
+        const nombreDep = (App._depsMap[req.departamento] || DEPARTAMENTOS[req.departamento])?.nombre || req.departamento;
+        const items = [
+            ...c.solapes.map(r => `<li>Se traslapa con ${this.escapeHtml(RequestManager.describirAusencia(r))}</li>`),
+            ...(c.diasBajoMinimo.length ? [`<li>${this.escapeHtml(nombreDep)} quedaría por debajo del personal mínimo (${c.minimoPersonal}): ${RequestManager.describirDiasBajoMinimo(c.diasBajoMinimo)}</li>`] : [])
+        ];
+        return `<div style="margin-bottom:10px;padding:10px 12px;background:rgba(198,40,40,0.08);border-left:3px solid var(--danger);border-radius:var(--radius-sm);font-size:0.85rem;">
+            <strong><i class="fas fa-exclamation-triangle" style="color:var(--danger);margin-right:6px;"></i>Conflictos detectados</strong>
+            <ul style="margin:6px 0 0 18px;">${items.join('')}</ul>
+        </div>`;
+    }
 
     static renderManageRequestList(requests) {
         if (requests.length === 0) {
@@ -3325,13 +5474,17 @@ class App {
             const datos = req.datos || {};
             const userMgr = AuthManager.getUser();
             const puedoActuar = RequestManager.necesitaMiAprobacion(req, userMgr);
+            const cancelacionPorAprobar = RequestManager.necesitaAprobarCancelacion(req, userMgr);
+            const rangoAusencia = RequestManager.esAusencia(req) ? RequestManager.getRangoAusencia(req) : null;
             let datesHtml = '';
             if (datos.fecha_inicio && datos.fecha_fin) {
-                const days = RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin);
+                const days = RequestManager.calcDiasNaturales(datos.fecha_inicio, datos.fecha_fin);
+                const solicitante = this._mgrSolicitantes.get(req.solicitante) || null;
+                const habiles = VacacionesManager.esVacaciones(req) ? VacacionesManager.getDiasSolicitud(req, solicitante) : RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin, solicitante);
                 datesHtml = `<div class="request-dates"><div class="date-item"><label>Inicio</label><span>${formatDate(datos.fecha_inicio)}</span></div>
                     <div class="arrow"><i class="fas fa-arrow-right"></i></div>
                     <div class="date-item"><label>Fin</label><span>${formatDate(datos.fecha_fin)}</span></div>
-                    <span class="request-days-badge"><i class="fas fa-calendar-day"></i> ${days} día(s)</span></div>`;
+                    <span class="request-days-badge"><i class="fas fa-calendar-day"></i> ${days} día(s) · ${habiles} hábil(es)</span></div>`;
             } else if (datos.fecha) {
                 datesHtml = `<div class="request-dates"><div class="date-item"><label>Fecha</label><span>${formatDate(datos.fecha)}</span></div>
                     ${datos.hora_ingreso ? `<div class="date-item"><label>Hora</label><span>${datos.hora_ingreso}</span></div>` : ''}
@@ -3351,7 +5504,7 @@ class App {
                 const fechaInicioTxt = datos.fecha_inicio ? formatDate(datos.fecha_inicio) : '_____';
                 const fechaFinTxt = datos.fecha_fin ? formatDate(datos.fecha_fin) : '_____';
                 const diasTxt = (datos.fecha_inicio && datos.fecha_fin)
-                    ? `${RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin)} día(s)`
+                    ? `${RequestManager.calcDiasNaturales(datos.fecha_inicio, datos.fecha_fin)} día(s)`
                     : '_____';
                 const fechaReintegroTxt = datos.fecha_fin
                     ? (() => {
@@ -3393,7 +5546,7 @@ ${texto}</pre>
 
             if (req.tipo === 'horas_extraordinarias') {
                 const filas = Array.isArray(datos.filas) ? datos.filas : [];
-                const filasRows = filas.map(f => `<tr><td style="padding:4px 6px;border:1px solid var(--border-light);">${f.fecha ? formatDate(f.fecha) : '—'}</td>
+                const filasRows = filas.map(f => `<tr><td style="padding:4px 6px;border:1px solid var(--border-light);">${f.fecha ? formatDate(f.fecha) : '—'}${CalendarioLaboralManager.etiquetaFilaHorasExtra(f) ? `<br><small style="color:var(--warning);">${this.escapeHtml(CalendarioLaboralManager.etiquetaFilaHorasExtra(f))}</small>` : ''}</td>
                     <td style="padding:4px 6px;border:1px solid var(--border-light);">${f.hora_inicio || '—'}</td>
                     <td style="padding:4px 6px;border:1px solid var(--border-light);">${f.hora_fin || '—'}</td>
                     <td style="padding:4px 6px;border:1px solid var(--border-light);">${f.cantidad || '—'}</td>
@@ -3407,18 +5560,19 @@ ${texto}</pre>
                     <tbody>${filasRows || '<tr><td colspan="5" style="padding:8px;">Sin filas</td></tr>'}</tbody></table></div>`;
             }
 
-            const firmaEnc = req.firmaEncargado;
-            const firmaEncHtml = firmaEnc?.nombre ? `<p style="font-size:0.78rem;color:var(--text-secondary);margin-top:8px;padding:8px;background:var(--bg-main);border-radius:var(--radius-sm);"><strong>Firma Encargado de Área:</strong> ${firmaEnc.nombre} — ${formatDateTime(firmaEnc.fecha)}${firmaEnc.comentario ? `<br><em>${firmaEnc.comentario}</em>` : ''}</p>` : '';
-
-            const revTi = req.revisionTI;
-            const revTiHtml = revTi?.nombre ? `<p style="font-size:0.78rem;color:var(--text-secondary);margin-top:8px;padding:8px;background:var(--bg-main);border-radius:var(--radius-sm);"><strong>Revisión TI:</strong> ${revTi.nombre} — ${formatDateTime(revTi.fecha)}${revTi.comentario ? `<br><em>${revTi.comentario}</em>` : ''}</p>` : '';
+            const firmasEtapasHtml = this.renderFirmasEtapasSolicitud(req, true);
 
             const cardEst = this.claseCardEstadoSolicitud(req.estado);
             const pendUi = RequestManager.isEstadoPendienteEmpleado(req.estado);
+            const etapaActual = RequestManager.getEtapaActual(req);
+            const etapaConFirma = !etapaActual || etapaActual.firma;
             let btnAprobarLabel = 'Firmar y aprobar';
-            if (req.estado === 'pendiente') btnAprobarLabel = 'Firmar como Encargado';
-            else if (req.estado === 'pendiente_ti') btnAprobarLabel = 'Firmar y certificar (TI)';
-            else if (req.estado === 'pendiente_gerencia') btnAprobarLabel = 'Firmar y aprobar (Gerencia)';
+            if (etapaActual?.accion === 'emitir_constancia') btnAprobarLabel = `Firmar y emitir constancia (${etapaActual.nombre})`;
+            else if (etapaActual) btnAprobarLabel = `${etapaConFirma ? 'Firmar' : 'Aprobar'} como ${etapaActual.nombre}`;
+
+            if (RequestManager.esConstancia(req)) {
+                detalleHtml += `<p style="font-size:0.82rem;margin-top:10px;"><strong>Constancia:</strong> ${datos.tipo_constancia === 'salarial' ? 'Salarial' : 'Laboral'}${datos.dirigido_a ? ` &nbsp;|&nbsp; <strong>Dirigida a:</strong> ${this.escapeHtml(datos.dirigido_a)}` : ''}</p>`;
+            }
 
             return `<div class="request-card status-${cardEst}">
                 <div class="request-header">
@@ -3426,26 +5580,37 @@ ${texto}</pre>
                         <h4><i class="${TIPOS_SOLICITUD[req.tipo]?.icono || 'fas fa-file'}" style="margin-right:8px;color:${TIPOS_SOLICITUD[req.tipo]?.color || 'var(--primary)'};"></i>${req.tipoNombre}</h4>
                         <p style="font-size:0.82rem;color:var(--text-secondary);margin-top:4px;">Solicitado por: <strong>${req.solicitanteNombre}</strong> — ${(App._depsMap[req.departamento] || DEPARTAMENTOS[req.departamento])?.nombre || ''}</p>
                     </div>
-                    <span class="status-badge ${cardEst}"><i class="fas fa-${pendUi ? 'clock' : req.estado === 'aprobada' ? 'check-circle' : 'times-circle'}"></i> ${this.etiquetaEstadoSolicitud(req.estado)}</span>
+                    <span class="status-badge ${cardEst}"><i class="fas fa-${this.iconoEstadoSolicitud(req.estado)}"></i> ${this.etiquetaEstadoSolicitud(req.estado, req)}</span>
                 </div>
                 ${datesHtml}
                 ${req.observaciones ? `<p style="font-size:0.85rem;color:var(--text-secondary);padding:10px;background:var(--bg-main);border-radius:var(--radius-sm);border-left:3px solid var(--primary);margin-bottom:10px;"><strong>Observaciones:</strong> ${req.observaciones}</p>` : ''}
                 ${datos.motivo ? `<p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:10px;"><strong>Motivo:</strong> ${datos.motivo}</p>` : ''}
                 ${detalleHtml}
-                ${firmaEncHtml}
-                ${revTiHtml}
+                ${this.renderAdjuntosSolicitud(req)}
+                ${firmasEtapasHtml}
+                ${this.renderAntiguedadSolicitud(req)}
+                ${puedoActuar ? this.renderConflictosSolicitud(req) : ''}
                 ${req.justificacion ? `<p style="font-size:0.85rem;padding:10px;background:rgba(245,127,23,0.08);border-radius:var(--radius-sm);border-left:3px solid var(--warning);margin-bottom:10px;"><strong>Respuesta:</strong> ${req.justificacion}</p>` : ''}
-                ${req.respondidoPorNombre ? `<p style="font-size:0.78rem;color:var(--text-light);">Respondido por: ${req.respondidoPorNombre} — ${formatDateTime(req.fechaRespuesta)}</p>` : ''}
+                ${req.respondidoPorNombre ? `<p style="font-size:0.78rem;color:var(--text-light);">Respondido por: ${req.respondidoPorNombre}${this.textoPorDelegacion(req)} — ${formatDateTime(req.fechaRespuesta)}</p>` : ''}
+                ${this.renderCancelacionDevolucion(req)}
                 <p style="font-size:0.78rem;color:var(--text-light);margin-top:5px;">Solicitado: ${formatDateTime(req.fechaSolicitud)}</p>
                 ${(puedoActuar || req.estado === 'aprobada') ? `
                 <div style="display:flex;gap:10px;margin-top:16px;padding-top:16px;border-top:1px solid var(--border-light);flex-wrap:wrap;">
-                    ${puedoActuar ? `
-                        <button class="btn btn-success btn-sm" onclick="App.handleSignAndApproveRequest('${req.id}')"><i class="fas fa-pen-nib"></i> ${btnAprobarLabel}</button>
+                    ${cancelacionPorAprobar ? `
+                        <button class="btn btn-success btn-sm" onclick="App.handleResolverCancelacion('${req.id}', true)"><i class="fas fa-check"></i> Aprobar cancelación</button>
+                        <button class="btn btn-danger btn-sm" onclick="App.handleResolverCancelacion('${req.id}', false)"><i class="fas fa-times"></i> Rechazar cancelación</button>
+                    ` : puedoActuar ? `
+                        <button class="btn btn-success btn-sm" onclick="App.${etapaConFirma ? 'handleSignAndApproveRequest' : 'handleApproveRequest'}('${req.id}')"><i class="fas fa-${etapaConFirma ? 'pen-nib' : 'check'}"></i> ${btnAprobarLabel}</button>
+                        <button class="btn btn-outline btn-sm" onclick="App.handleDevolverRequest('${req.id}')"><i class="fas fa-undo"></i> Devolver para corrección</button>
                         <button class="btn btn-danger btn-sm" onclick="App.handleRejectRequest('${req.id}')"><i class="fas fa-times"></i> Rechazar</button>
+                        ${rangoAusencia ? `<button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-ausencias', { modo: 'semana', fecha: '${rangoAusencia.inicio}', dep: '${req.departamento || ''}' })"><i class="fas fa-calendar-week"></i> Ver equipo en esas fechas</button>` : ''}
                     ` : ''}
                     ${req.estado === 'aprobada' ? `
                         <button class="btn btn-primary btn-sm" onclick="App.generateRequestPDF('${req.id}')"><i class="fas fa-file-pdf"></i> Generar PDF</button>
                     ` : ''}
+                    ${req.documentoGenerado?.codigo ? `
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('ver-documento', {id:'${req.documentoGenerado.id}'})"><i class="fas fa-file-contract"></i> Ver ${this.escapeHtml(req.documentoGenerado.codigo || 'constancia')}</button>
+                    ` : ''}
                 </div>` : ''}
             </div>`;
         }).join('');
@@ -3478,31 +5643,421 @@ ${texto}</pre>
         });
     }
 
-    /** Aplica pestaña activa + filtro por empleado (select #mgrEmployeeFilter). */
-    static applyMgrRequestFilters() {
-        this.updateMgrTabCounts();
-        const user = AuthManager.getUser();
-        let list = this._cachedMgrRequests;
-        const empId = document.getElementById('mgrEmployeeFilter')?.value?.trim() || '';
-        if (empId) {
-            list = list.filter(r => r.solicitante === empId);
-        }
-        const tab = document.querySelector('#mgrTabs .tab.active')?.dataset.tab || 'pendiente';
-        if (tab === 'pendiente') {
-            list = list.filter(r => RequestManager.necesitaMiAprobacion(r, user));
-        } else if (tab !== 'todas') {
-            list = list.filter(r => r.estado === tab);
+    /** Aplica pestaña activa + filtro por empleado (select #mgrEmployeeFilter). */
+    static applyMgrRequestFilters() {
+        this.updateMgrTabCounts();
+        const user = AuthManager.getUser();
+        let list = this._cachedMgrRequests;
+        const empId = document.getElementById('mgrEmployeeFilter')?.value?.trim() || '';
+        if (empId) {
+            list = list.filter(r => r.solicitante === empId);
+        }
+        const tab = document.querySelector('#mgrTabs .tab.active')?.dataset.tab || 'pendiente';
+        if (tab === 'pendiente') {
+            list = list.filter(r => RequestManager.necesitaMiAprobacion(r, user));
+        } else if (tab !== 'todas') {
+            list = list.filter(r => r.estado === tab);
+        }
+        const container = document.getElementById('mgrReqContainer');
+        if (container) {
+            container.innerHTML = this.renderManageRequestList(list);
+        }
+    }
+
+    // ========================================================
+    // CALENDARIO DE AUSENCIAS DEL EQUIPO
+    // ========================================================
+    static async renderCalendarioAusencias(params = {}) {
+        const user = AuthManager.getUser();
+        if (!user || (!AuthManager.isAdmin() && user.rol !== 'encargado')) {
+            document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        const modo = params.modo === 'semana' ? 'semana' : 'mes';
+        const ref = parseFechaLocal(params.fecha) || new Date();
+        ref.setHours(12, 0, 0, 0);
+
+        // Rango visible: mes completo (semanas lunes–domingo) o una semana
+        const inicio = modo === 'mes' ? new Date(ref.getFullYear(), ref.getMonth(), 1, 12) : new Date(ref);
+        inicio.setDate(inicio.getDate() - ((inicio.getDay() + 6) % 7));
+        const fin = modo === 'mes' ? new Date(ref.getFullYear(), ref.getMonth() + 1, 0, 12) : new Date(inicio);
+        if (modo === 'semana') fin.setDate(fin.getDate() + 6);
+        else fin.setDate(fin.getDate() + ((7 - fin.getDay()) % 7));
+        const desde = fechaYMD(inicio);
+        const hasta = fechaYMD(fin);
+
+        let deps;
+        let requests;
+        let usuarios;
+        if (AuthManager.isAdmin()) {
+            deps = Object.keys(App._depsMap);
+            requests = await RequestManager.getAll();
+            usuarios = await AuthManager.getAllUsers();
+        } else {
+            deps = AuthManager.getDepartamentosEncargado(user);
+            requests = [];
+            for (const depId of deps) requests.push(...await RequestManager.getByDepartment(depId));
+            usuarios = await AuthManager.getUsersByDepartamentos(deps);
+        }
+        const depFiltro = deps.includes(params.dep) ? params.dep : '';
+        const usuariosMap = new Map((usuarios || []).map(u => [u.id, u]));
+        const ausencias = RequestManager.filtrarAusencias(requests, desde, hasta)
+            .filter(r => depFiltro ? r.departamento === depFiltro : deps.includes(r.departamento));
+        const porDia = RequestManager.agruparAusenciasPorDia(ausencias, desde, hasta, usuariosMap);
+
+        const nombreDep = (dep) => (App._depsMap[dep] || DEPARTAMENTOS[dep])?.nombre || dep;
+        const mesActual = ref.getMonth();
+        const hoy = fechaYMD(new Date());
+        let diasAlerta = 0;
+
+        const celdas = [];
+        for (const d = new Date(inicio); d <= fin; d.setDate(d.getDate() + 1)) {
+            const ymd = fechaYMD(d);
+            const delDia = porDia[ymd] || {};
+            const sobreLimite = RequestManager.areasSobreLimite(delDia);
+            if (sobreLimite.length > 0) diasAlerta++;
+            const feriado = CalendarioLaboralManager.getFeriado(ymd);
+            const fueraDeMes = modo === 'mes' && d.getMonth() !== mesActual;
+
+            const items = Object.keys(delDia).sort().map(dep => delDia[dep].map(r => {
+                const tipo = TIPOS_SOLICITUD[r.tipo] || {};
+                const pendiente = r.estado !== 'aprobada';
+                return `<div title="${this.escapeHtml(`${tipo.nombre || r.tipoNombre} · ${nombreDep(dep)} · ${pendiente ? 'En trámite' : 'Aprobada'}`)}"
+                    style="font-size:0.75rem;padding:2px 6px;margin-top:3px;border-radius:4px;border-left:3px ${pendiente ? 'dashed' : 'solid'} ${tipo.color || 'var(--primary)'};background:${pendiente ? 'transparent' : 'var(--bg-main)'};white-space:nowrap;overflow:hidden;text-overflow:ellipsis;${pendiente ? 'font-style:italic;' : ''}">
+                    <i class="${tipo.icono || 'fas fa-user'}" style="color:${tipo.color || 'var(--primary)'};margin-right:4px;"></i>${this.escapeHtml(r.solicitanteNombre || '')}
+                </div>`;
+            }).join('')).join('');
+
+            celdas.push(`
+                <div style="min-height:${modo === 'semana' ? 220 : 96}px;padding:6px;border:1px solid ${sobreLimite.length ? 'var(--danger)' : 'var(--border-light)'};border-radius:var(--radius-sm);background:${sobreLimite.length ? 'rgba(198,40,40,0.08)' : (feriado ? 'rgba(106,27,154,0.05)' : 'var(--bg-card)')};${fueraDeMes ? 'opacity:0.45;' : ''}">
+                    <div style="display:flex;justify-content:space-between;align-items:center;font-size:0.8rem;">
+                        <strong style="${ymd === hoy ? 'color:var(--primary);' : ''}">${modo === 'semana' ? `${CALENDARIO_LABORAL_CONFIG.diasSemana[d.getDay()].slice(0, 3)} ` : ''}${d.getDate()}</strong>
+                        ${sobreLimite.length ? `<i class="fas fa-exclamation-triangle" style="color:var(--danger);" title="${this.escapeHtml(sobreLimite.map(dep => `${nombreDep(dep)}: ${new Set(delDia[dep].map(r => r.solicitante)).size} ausentes`).join(' · '))}"></i>` : ''}
+                    </div>
+                    ${feriado ? `<div style="font-size:0.7rem;color:${CALENDARIO_LABORAL_CONFIG.tipos[feriado.tipo]?.color || 'var(--text-secondary)'};">${this.escapeHtml(feriado.nombre)}</div>` : ''}
+                    ${items}
+                </div>`);
+        }
+
+        const paso = (n) => {
+            const d = new Date(ref);
+            if (modo === 'mes') d.setMonth(d.getMonth() + n, 1);
+            else d.setDate(d.getDate() + 7 * n);
+            return fechaYMD(d);
+        };
+        const nav = ({ modo: m = modo, fecha = fechaYMD(ref) }) => `{ modo: '${m}', fecha: '${fecha}', dep: '${depFiltro}' }`;
+        const titulo = modo === 'mes'
+            ? ref.toLocaleDateString('es-CR', { month: 'long', year: 'numeric' })
+            : `${inicio.toLocaleDateString('es-CR')} – ${fin.toLocaleDateString('es-CR')}`;
+        const depOptions = deps.map(dep => `<option value="${this.escapeHtml(dep)}" ${dep === depFiltro ? 'selected' : ''}>${this.escapeHtml(nombreDep(dep))}</option>`).join('');
+
+        document.getElementById('contentArea').innerHTML = `
+            <div class="card">
+                <div class="card-header" style="flex-wrap:wrap;gap:8px;">
+                    <h3><i class="fas fa-calendar-week" style="margin-right:8px;color:var(--primary);"></i>Calendario del equipo</h3>
+                    <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+                        <select class="form-control" style="width:auto;" onchange="App.navigate('calendario-ausencias', { modo: '${modo}', fecha: '${fechaYMD(ref)}', dep: this.value })">
+                            ${deps.length > 1 ? '<option value="">Todas mis áreas</option>' : ''}${depOptions}
+                        </select>
+                        <button class="btn btn-sm ${modo === 'mes' ? 'btn-primary' : 'btn-outline'}" onclick="App.navigate('calendario-ausencias', ${nav({ modo: 'mes' })})">Mes</button>
+                        <button class="btn btn-sm ${modo === 'semana' ? 'btn-primary' : 'btn-outline'}" onclick="App.navigate('calendario-ausencias', ${nav({ modo: 'semana' })})">Semana</button>
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-ausencias', ${nav({ fecha: paso(-1) })})" title="Anterior"><i class="fas fa-chevron-left"></i></button>
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-ausencias', ${nav({ fecha: hoy })})">Hoy</button>
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-ausencias', ${nav({ fecha: paso(1) })})" title="Siguiente"><i class="fas fa-chevron-right"></i></button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div style="display:flex;justify-content:space-between;align-items:center;flex-wrap:wrap;gap:8px;margin-bottom:12px;">
+                        <h4 style="margin:0;text-transform:capitalize;">${this.escapeHtml(titulo)}</h4>
+                        <span style="font-size:0.82rem;color:var(--text-secondary);">
+                            <span style="border-left:3px solid var(--primary);padding-left:6px;margin-right:12px;">Aprobada</span>
+                            <span style="border-left:3px dashed var(--primary);padding-left:6px;font-style:italic;margin-right:12px;">En trámite</span>
+                            ${diasAlerta ? `<span style="color:var(--danger);"><i class="fas fa-exclamation-triangle"></i> ${diasAlerta} día(s) con más de ${AUSENCIAS_EQUIPO_CONFIG.maxAusentesPorArea} ausente(s) en una misma área</span>` : ''}
+                        </span>
+                    </div>
+                    <div style="display:grid;grid-template-columns:repeat(7, minmax(0, 1fr));gap:6px;">
+                        ${[1, 2, 3, 4, 5, 6, 0].map(i => `<div style="text-align:center;font-size:0.78rem;font-weight:600;color:var(--text-secondary);">${CALENDARIO_LABORAL_CONFIG.diasSemana[i].slice(0, 3)}</div>`).join('')}
+                        ${celdas.join('')}
+                    </div>
+                    ${ausencias.length === 0 ? `<p class="form-help" style="margin-top:12px;">No hay vacaciones ni permisos aprobados o en trámite en este periodo.</p>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // ========================================================
+    // TIEMPOS DE APROBACIÓN (SLA)
+    // ========================================================
+    /** "5 h" / "2 d 3 h" */
+    static formatHorasEspera(horas) {
+        const h = Math.floor(horas);
+        if (h < 24) return `${h} h`;
+        return `${Math.floor(h / 24)} d${h % 24 ? ` ${h % 24} h` : ''}`;
+    }
+
+    /** Insignia con el tiempo que lleva la solicitud esperando en la etapa en curso */
+    static renderAntiguedadSolicitud(req) {
+        const a = RequestManager.getAntiguedadEtapa(req);
+        if (!a) return '';
+        const clase = { ok: 'aprobada', alerta: 'pendiente', vencida: 'rechazada' }[a.nivel];
+        const texto = a.nivel === 'vencida' ? 'Plazo vencido' : a.nivel === 'alerta' ? 'Por vencer' : 'En plazo';
+        return `<span class="status-badge ${clase}" title="Plazo de ${a.etapa.nombre}: ${a.slaHoras} h hábiles" style="margin-bottom:10px;">
+            <i class="fas fa-hourglass-half"></i> ${texto} · ${this.formatHorasEspera(a.horas)} en ${this.escapeHtml(a.etapa.nombre)}</span>`;
+    }
+
+    static async renderTiemposSolicitudes(params = {}) {
+        if (!AuthManager.isAdmin()) {
+            document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        const dias = [30, 90, 365].includes(Number(params.dias)) ? Number(params.dias) : (params.dias === 'todo' ? 'todo' : 90);
+        const desde = dias === 'todo' ? null : new Date(Date.now() - dias * 86400000);
+        const todas = await RequestManager.getAll();
+        const enPeriodo = desde ? todas.filter(r => new Date(r.fechaSolicitud) >= desde) : todas;
+        const tiempos = RequestManager.calcularTiemposAprobacion(enPeriodo);
+        const vencidas = todas
+            .map(req => ({ req, a: RequestManager.getAntiguedadEtapa(req) }))
+            .filter(x => x.a?.nivel === 'vencida')
+            .sort((x, y) => y.a.horas - x.a.horas);
+
+        const nombreDep = (dep) => (App._depsMap[dep] || DEPARTAMENTOS[dep])?.nombre || dep;
+        const tabla = (titulo, filas, etiqueta) => `
+            <h4 style="margin:20px 0 10px;">${titulo}</h4>
+            ${filas.length === 0 ? '<p class="form-help">No hay etapas resueltas en el periodo.</p>' : `
+            <div class="table-container">
+                <table class="data-table">
+                    <thead><tr><th>${etiqueta}</th><th>Resueltas</th><th>Promedio</th><th>Máximo</th><th>Fuera de plazo</th></tr></thead>
+                    <tbody>
+                        ${filas.map(f => `<tr>
+                            <td><strong>${this.escapeHtml(etiqueta === 'Departamento' ? nombreDep(f.clave) : f.clave)}</strong></td>
+                            <td>${f.n}</td>
+                            <td>${this.formatHorasEspera(f.promedioHoras)}</td>
+                            <td>${this.formatHorasEspera(f.maxHoras)}</td>
+                            <td style="${f.fueraDeSla ? 'color:var(--danger);font-weight:600;' : ''}">${f.fueraDeSla} (${Math.round(f.fueraDeSla * 100 / f.n)}%)</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`}`;
+
+        document.getElementById('contentArea').innerHTML = `
+            <div class="card">
+                <div class="card-header" style="flex-wrap:wrap;gap:8px;">
+                    <h3><i class="fas fa-hourglass-half" style="margin-right:8px;color:var(--primary);"></i>Tiempos de aprobación</h3>
+                    <select class="form-control" style="width:auto;" onchange="App.navigate('tiempos-solicitudes', { dias: this.value })">
+                        ${[[30, 'Últimos 30 días'], [90, 'Últimos 90 días'], [365, 'Último año'], ['todo', 'Todo el historial']]
+                            .map(([v, t]) => `<option value="${v}" ${v === dias ? 'selected' : ''}>${t}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="card-body">
+                    <p class="form-help">Tiempo desde que la solicitud llega a cada etapa hasta que esta la firma o la rechaza, según la fecha de solicitud. Plazo por etapa en horas hábiles (no corre en feriados ni días de descanso): ${SLA_SOLICITUDES_CONFIG.horasPorDefecto} h, salvo ${Object.keys(TIPOS_SOLICITUD).filter(t => TIPOS_SOLICITUD[t].slaHoras).map(t => `${this.escapeHtml(TIPOS_SOLICITUD[t].nombre)} (${TIPOS_SOLICITUD[t].slaHoras} h)`).join(', ')}.</p>
+                    ${tabla('Por etapa', tiempos.porEtapa, 'Etapa')}
+                    ${tabla('Por departamento del solicitante', tiempos.porDepartamento, 'Departamento')}
+
+                    <h4 style="margin:24px 0 10px;color:${vencidas.length ? 'var(--danger)' : 'inherit'};">Pendientes fuera de plazo (${vencidas.length})</h4>
+                    ${vencidas.length === 0 ? '<p class="form-help">Todas las solicitudes pendientes están dentro del plazo.</p>' : `
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead><tr><th>Solicitud</th><th>Solicitante</th><th>Etapa</th><th>En espera</th><th>Plazo</th></tr></thead>
+                            <tbody>
+                                ${vencidas.map(({ req, a }) => `<tr>
+                                    <td>${this.escapeHtml(req.tipoNombre)}${req.estado === 'aprobada' ? ' <small>(cancelación)</small>' : ''}</td>
+                                    <td>${this.escapeHtml(req.solicitanteNombre)}<br><small style="color:var(--text-light);">${this.escapeHtml(nombreDep(req.departamento))}</small></td>
+                                    <td>${this.escapeHtml(a.etapa.nombre)}</td>
+                                    <td style="color:var(--danger);font-weight:600;">${this.formatHorasEspera(a.horas)}</td>
+                                    <td>${a.slaHoras} h</td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button class="btn btn-outline btn-sm" style="margin-top:12px;" onclick="App.navigate('gestionar-solicitudes')"><i class="fas fa-tasks"></i> Ir a Gestionar Solicitudes</button>`}
+                </div>
+            </div>
+        `;
+    }
+
+    // ========================================================
+    // DELEGACIONES
+    // ========================================================
+    static async renderDelegaciones() {
+        const user = AuthManager.getUser();
+        if (!user || (!AuthManager.isAdmin() && user.rol !== 'encargado')) {
+            document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        await DelegacionManager.ensureLoaded(true);
+        const hoy = fechaYMD(new Date());
+        const delegaciones = DelegacionManager.getAll()
+            .filter(d => AuthManager.isAdmin() || d.delegante === user.id || d.sustituto === user.id);
+        const nombreDep = (dep) => (App._depsMap[dep] || DEPARTAMENTOS[dep])?.nombre || dep;
+
+        const estado = (d) => {
+            if (d.revocada) return { texto: 'Revocada', color: 'var(--danger)' };
+            if (d.hasta < hoy) return { texto: 'Finalizada', color: 'var(--text-light)' };
+            if (d.desde > hoy) return { texto: 'Programada', color: 'var(--warning)' };
+            return { texto: 'Vigente', color: 'var(--success)' };
+        };
+
+        const filas = delegaciones.map(d => {
+            const est = estado(d);
+            const puedeRevocar = !d.revocada && d.hasta >= hoy && (AuthManager.isAdmin() || d.delegante === user.id);
+            return `
+                <tr>
+                    <td>${this.escapeHtml(d.deleganteNombre)}</td>
+                    <td>${this.escapeHtml(d.sustitutoNombre)}</td>
+                    <td>${Object.keys(d.departamentos || {}).map(dep => this.escapeHtml(nombreDep(dep))).join(', ')}</td>
+                    <td>${formatDate(d.desde)} – ${formatDate(d.hasta)}</td>
+                    <td>${this.escapeHtml(d.motivo || '—')}</td>
+                    <td><span style="color:${est.color};font-weight:600;">${est.texto}</span></td>
+                    <td style="text-align:right;">
+                        ${puedeRevocar ? `<button class="btn btn-outline btn-sm" onclick="App.revocarDelegacion('${d.id}')" title="Revocar"><i class="fas fa-ban"></i></button>` : ''}
+                    </td>
+                </tr>`;
+        }).join('');
+
+        document.getElementById('contentArea').innerHTML = `
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-user-friends" style="margin-right:8px;color:var(--primary);"></i>Delegaciones de aprobación</h3>
+                    ${AuthManager.isAdmin() || AuthManager.getDepartamentosEncargado(user).length > 0 ? `
+                    <button class="btn btn-primary btn-sm" onclick="App.showDelegacionModal()">
+                        <i class="fas fa-plus"></i> Nueva delegación
+                    </button>` : ''}
+                </div>
+                <div class="card-body">
+                    <p class="form-help" style="margin-bottom:12px;">Durante el rango indicado el sustituto ve y firma las etapas del encargado en las áreas delegadas. Su firma queda registrada "por delegación" y el encargado recibe un aviso de cada solicitud que resuelva.</p>
+                    ${delegaciones.length === 0 ? `
+                        <div class="empty-state">
+                            <i class="fas fa-user-friends"></i>
+                            <h3>Sin delegaciones</h3>
+                            <p>Registre un sustituto antes de salir de vacaciones para que sus solicitudes no esperen</p>
+                        </div>` : `
+                        <table class="data-table">
+                            <thead><tr><th>Encargado</th><th>Sustituto</th><th>Áreas</th><th>Fechas</th><th>Motivo</th><th>Estado</th><th></th></tr></thead>
+                            <tbody>${filas}</tbody>
+                        </table>`}
+                </div>
+            </div>
+        `;
+    }
+
+    static _delegacionUsuarios = [];
+
+    static async showDelegacionModal() {
+        const user = AuthManager.getUser();
+        const usuarios = (await AuthManager.getAllUsers()).filter(u => u.activo);
+        this._delegacionUsuarios = usuarios;
+        const encargados = usuarios.filter(u => u.rol === 'encargado');
+        const nombre = (u) => this.escapeHtml(`${u.nombre} ${u.apellido}`);
+
+        const deleganteHtml = AuthManager.isAdmin()
+            ? `<div class="form-group">
+                    <label>Encargado que se ausenta <span class="required">*</span></label>
+                    <select class="form-control" id="delegDelegante" required onchange="App.syncDelegacionModal()">
+                        <option value="">Seleccione...</option>
+                        ${encargados.map(u => `<option value="${u.id}">${nombre(u)}</option>`).join('')}
+                    </select>
+                </div>`
+            : `<input type="hidden" id="delegDelegante" value="${user.id}">`;
+
+        this.showModal('Nueva delegación', `
+            <form onsubmit="App.handleCrearDelegacion(event)">
+                ${deleganteHtml}
+                <div class="form-group">
+                    <label>Sustituto <span class="required">*</span></label>
+                    <select class="form-control" id="delegSustituto" required></select>
+                </div>
+                <div class="form-group">
+                    <label>Áreas delegadas <span class="required">*</span></label>
+                    <div id="delegDepartamentos"></div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group"><label>Desde <span class="required">*</span></label><input type="date" class="form-control" id="delegDesde" value="${fechaYMD(new Date())}" required></div>
+                    <div class="form-group"><label>Hasta <span class="required">*</span></label><input type="date" class="form-control" id="delegHasta" required></div>
+                </div>
+                <div class="form-group">
+                    <label>Motivo</label>
+                    <input type="text" class="form-control" id="delegMotivo" maxlength="200" placeholder="Ej: Vacaciones">
+                </div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:16px;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary" id="btnCrearDelegacion"><i class="fas fa-save"></i> Guardar</button>
+                </div>
+            </form>
+        `);
+        this.syncDelegacionModal();
+    }
+
+    /** Áreas y posibles sustitutos según el encargado seleccionado */
+    static syncDelegacionModal() {
+        const deleganteId = document.getElementById('delegDelegante')?.value || '';
+        const delegante = this._delegacionUsuarios.find(u => u.id === deleganteId);
+        const deps = delegante ? AuthManager.getDepartamentosEncargado(delegante) : [];
+        const depsEl = document.getElementById('delegDepartamentos');
+        const sustEl = document.getElementById('delegSustituto');
+        if (!depsEl || !sustEl) return;
+
+        depsEl.innerHTML = deps.length === 0
+            ? '<p class="form-help">Seleccione el encargado para ver sus áreas</p>'
+            : deps.map(dep => `
+                <label style="display:flex;align-items:center;gap:6px;font-size:0.88rem;margin-bottom:4px;">
+                    <input type="checkbox" name="delegDep" value="${this.escapeHtml(dep)}" checked> ${this.escapeHtml((App._depsMap[dep] || DEPARTAMENTOS[dep])?.nombre || dep)}
+                </label>`).join('');
+        sustEl.innerHTML = '<option value="">Seleccione...</option>' + this._delegacionUsuarios
+            .filter(u => u.id !== deleganteId && (u.rol === 'encargado' || u.rol === 'admin'))
+            .sort((a, b) => `${a.nombre} ${a.apellido}`.localeCompare(`${b.nombre} ${b.apellido}`, 'es'))
+            .map(u => `<option value="${u.id}">${this.escapeHtml(`${u.nombre} ${u.apellido}`)} (${ROLES[u.rol]?.nombre || u.rol})</option>`)
+            .join('');
+    }
+
+    static async handleCrearDelegacion(e) {
+        e.preventDefault();
+        const btn = document.getElementById('btnCrearDelegacion');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+
+        const result = await DelegacionManager.crear({
+            delegante: document.getElementById('delegDelegante').value,
+            sustituto: document.getElementById('delegSustituto').value,
+            desde: document.getElementById('delegDesde').value,
+            hasta: document.getElementById('delegHasta').value,
+            departamentos: [...document.querySelectorAll('input[name="delegDep"]:checked')].map(cb => cb.value),
+            motivo: document.getElementById('delegMotivo').value
+        });
+        if (result.success) {
+            Toast.success('Delegación', result.message);
+            this.closeModal();
+            this.navigate('delegaciones');
+        } else {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-save"></i> Guardar';
         }
-        const container = document.getElementById('mgrReqContainer');
-        if (container) {
-            container.innerHTML = this.renderManageRequestList(list);
+    }
+
+    static async revocarDelegacion(id) {
+        if (!confirm('¿Revocar esta delegación? El sustituto dejará de ver y firmar las solicitudes del encargado.')) return;
+        const result = await DelegacionManager.revocar(id);
+        if (result.success) {
+            Toast.success('Delegación', result.message);
+            this.navigate('delegaciones');
+        } else {
+            Toast.error('Error', result.message);
         }
     }
 
     static handleApproveRequest(id) {
+        const req = this._cachedMgrRequests.find(r => r.id === id);
         this.showModal('Aprobar Solicitud', `
             <form onsubmit="App.confirmApprove(event, '${id}')">
                 <p style="margin-bottom:16px;">¿Está seguro de que desea <strong style="color:var(--success);">aprobar</strong> esta solicitud?</p>
+                ${req ? this.renderAdjuntosSolicitud(req) : ''}
+                ${req ? this.renderConflictosSolicitud(req) : ''}
                 <div class="form-group"><label>Comentario (opcional)</label><textarea class="form-control" id="approveComment" rows="3" placeholder="Agregue un comentario..."></textarea></div>
                 <div style="display:flex;gap:10px;justify-content:flex-end;">
                     <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
@@ -3519,9 +6074,16 @@ ${texto}</pre>
         btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
 
         const comment = document.getElementById('approveComment').value;
-        await RequestManager.approve(id, comment);
+        const result = await RequestManager.approve(id, comment);
+        if (!result || result.success === false) {
+            Toast.error('Error', result?.message || 'No se pudo aprobar la etapa de la solicitud');
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-check"></i> Confirmar';
+            return;
+        }
         this.closeModal();
-        Toast.success('Solicitud aprobada', 'La solicitud ha sido aprobada exitosamente');
+        Toast.success(result.estado === 'aprobada' ? 'Solicitud aprobada' : 'Etapa aprobada',
+            result.estado === 'aprobada' ? 'La solicitud ha sido aprobada exitosamente' : `La solicitud pasó a ${RequestManager.getEtapaActual(result)?.nombre || 'la siguiente etapa'}`);
         this.navigate('gestionar-solicitudes');
     }
 
@@ -3553,6 +6115,73 @@ ${texto}</pre>
         this.navigate('gestionar-solicitudes');
     }
 
+    /** En lugar de rechazar: la solicitud vuelve al solicitante para que la corrija y la reenvíe */
+    static handleDevolverRequest(id) {
+        this.showModal('Devolver para Corrección', `
+            <form onsubmit="App.confirmDevolver(event, '${id}')">
+                <p style="margin-bottom:16px;">La solicitud volverá al solicitante. Al reenviarla empezará de nuevo el flujo de firmas.</p>
+                <div class="form-group"><label>¿Qué debe corregir? <span class="required">*</span></label><textarea class="form-control" id="devolverComentario" rows="3" required></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary" id="btnConfirmDevolver"><i class="fas fa-undo"></i> Devolver</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmDevolver(e, id) {
+        e.preventDefault();
+        const btn = document.getElementById('btnConfirmDevolver');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await RequestManager.devolver(id, document.getElementById('devolverComentario').value);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-undo"></i> Devolver';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Solicitud devuelta', result.message);
+        this.navigate('gestionar-solicitudes');
+    }
+
+    static handleResolverCancelacion(id, aprobar) {
+        const req = this._cachedMgrRequests.find(r => r.id === id);
+        this.showModal(aprobar ? 'Aprobar Cancelación' : 'Rechazar Cancelación', `
+            <form onsubmit="App.confirmResolverCancelacion(event, '${id}', ${aprobar})">
+                <p style="margin-bottom:12px;">${aprobar
+                    ? `La solicitud pasará a <strong>cancelada</strong>${req && VacacionesManager.esVacaciones(req) ? ' y los días volverán al saldo de vacaciones' : ''}.`
+                    : 'La solicitud seguirá <strong>aprobada</strong>.'}</p>
+                ${req?.cancelacion?.motivo ? `<p style="font-size:0.85rem;margin-bottom:12px;"><strong>Motivo del solicitante:</strong> ${this.escapeHtml(req.cancelacion.motivo)}</p>` : ''}
+                <div class="form-group"><label>Comentario ${aprobar ? '' : '<span class="required">*</span>'}</label><textarea class="form-control" id="cancelacionComentario" rows="2" ${aprobar ? '' : 'required'}></textarea></div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Volver</button>
+                    <button type="submit" class="btn btn-${aprobar ? 'success' : 'danger'}" id="btnConfirmCancelacion"><i class="fas fa-check"></i> Confirmar</button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async confirmResolverCancelacion(e, id, aprobar) {
+        e.preventDefault();
+        const btn = document.getElementById('btnConfirmCancelacion');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        const result = await RequestManager.resolverCancelacion(id, aprobar, document.getElementById('cancelacionComentario').value.trim());
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-check"></i> Confirmar';
+            return;
+        }
+        this.closeModal();
+        Toast.success('Cancelación resuelta', result.message);
+        this.navigate('gestionar-solicitudes');
+    }
+
     // ========================================================
     // FIRMA DE SOLICITUDES POR ADMINISTRADOR
     // ========================================================
@@ -3570,35 +6199,31 @@ ${texto}</pre>
             ? `<img src="${req.firma.firmaDibujo}" alt="Firma empleado" style="max-width:100%;max-height:80px;display:block;margin:0 auto;" />`
             : `<p style="color:#999;font-size:11px;font-style:italic;text-align:center;margin:0;">Sin firma registrada</p>`;
 
-        const etapa = RequestManager.etapaSolicitud(req); // 'encargado' | 'ti' | 'gerencia'
+        const etapa = RequestManager.getEtapaActual(req);
+        const siguiente = RequestManager.getSiguienteEtapa(req, etapa);
         let modalTitulo = `Firmar y aprobar: ${req.tipoNombre || 'Solicitud'}`;
         let labelComentario = 'Comentario de aprobación (opcional)';
         let textoPasoFirma = 'Dibuje su firma como administrador para aprobar la solicitud';
         let textoBotonFirma = 'Firmar y Aprobar';
 
-        if (etapa === 'encargado') {
-            modalTitulo = `Firma del Encargado de Área — ${req.tipoNombre || 'Solicitud'}`;
-            labelComentario = 'Comentario del encargado (opcional)';
-            textoPasoFirma = 'Dibuje su firma como Encargado de Área para avalar la solicitud y enviarla a la siguiente etapa.';
-            textoBotonFirma = req.tipo === 'horas_extraordinarias'
-                ? 'Firmar y enviar a TI'
-                : 'Firmar y enviar a Gerencia';
-        } else if (etapa === 'ti') {
-            modalTitulo = `Revisión TI — ${req.tipoNombre || 'Horas extraordinarias'}`;
-            labelComentario = 'Comentario de la revisión TI (opcional)';
-            textoPasoFirma = 'Dibuje su firma como responsable de TI para certificar la revisión de los registros institucionales.';
-            textoBotonFirma = 'Firmar y enviar a Gerencia';
-        } else if (etapa === 'gerencia') {
-            modalTitulo = `Resolución de Gerencia — ${req.tipoNombre || 'Solicitud'}`;
-            labelComentario = 'Comentario de Gerencia (opcional)';
-            textoPasoFirma = 'Dibuje su firma como Gerencia General para aprobar y cerrar la solicitud.';
-            textoBotonFirma = 'Firmar y Aprobar';
+        if (etapa?.accion === 'emitir_constancia') {
+            modalTitulo = `${etapa.nombre} — ${req.tipoNombre || 'Constancia'}`;
+            labelComentario = `Comentario de ${etapa.nombre} (opcional)`;
+            textoPasoFirma = 'Dibuje su firma: se usará para aprobar la solicitud y firmar la constancia que se entregará al colaborador.';
+            textoBotonFirma = 'Firmar y emitir constancia';
+        } else if (etapa && siguiente) {
+            modalTitulo = `Firma de ${etapa.nombre} — ${req.tipoNombre || 'Solicitud'}`;
+            labelComentario = `Comentario de ${etapa.nombre} (opcional)`;
+            textoPasoFirma = `Dibuje su firma como ${etapa.nombre} para avalar la solicitud y enviarla a ${siguiente.nombre}.`;
+            textoBotonFirma = `Firmar y enviar a ${siguiente.nombre}`;
+        } else if (etapa) {
+            modalTitulo = `Resolución de ${etapa.nombre} — ${req.tipoNombre || 'Solicitud'}`;
+            labelComentario = `Comentario de ${etapa.nombre} (opcional)`;
+            textoPasoFirma = `Dibuje su firma como ${etapa.nombre} para aprobar y cerrar la solicitud.`;
         }
         this._pendingAdminSignButtonHtml = `<i class="fas fa-check"></i> ${textoBotonFirma}`;
 
-        // Mostrar firmas previas ya registradas (según la etapa actual)
-        const firmaEncPrev = req.firmaEncargado;
-        const revisionTIprev = req.revisionTI;
+        // Mostrar firmas previas ya registradas en el flujo
         const prevSignBox = (titulo, firma, subFallback) => {
             if (!firma) return '';
             const img = firma.firmaDibujo
@@ -3613,7 +6238,42 @@ ${texto}</pre>
                 </div>
             </div>`;
         };
-        const firmasPreviasHtml = `${prevSignBox('Firma Encargado de Área', firmaEncPrev)}${prevSignBox('Firma TI (revisión)', revisionTIprev)}`;
+        const firmasPreviasHtml = RequestManager.getFirmasFlujo(req)
+            .map(({ etapa: e, firma }) => prevSignBox(`Firma ${this.escapeHtml(e.nombre)}`, firma))
+            .join('');
+
+        // Vacaciones: saldo del colaborador frente a los días hábiles de la solicitud
+        let vacacionesHtml = '';
+        let bloqueadaPorSaldo = false;
+        if (VacacionesManager.esVacaciones(req)) {
+            // Misma evaluación que aplica approveStage: días hábiles menos los cubiertos por incapacidad
+            const evaluacion = await VacacionesManager.evaluarAprobacion(req);
+            const { dias, ledger } = evaluacion;
+            const color = evaluacion.nivel === 'ok' ? 'var(--success)' : evaluacion.nivel === 'bloqueo' ? 'var(--danger)' : 'var(--warning)';
+            // Con bloquearExceso la firma no se ofrece: solo queda devolver o rechazar la solicitud
+            bloqueadaPorSaldo = evaluacion.nivel === 'bloqueo';
+            vacacionesHtml = `<div style="margin-bottom:18px;padding:12px;background:var(--bg-main);border-left:3px solid ${color};border-radius:var(--radius-sm);font-size:0.82rem;">
+                    <i class="fas fa-umbrella-beach" style="color:#00897b;margin-right:6px;"></i>Esta solicitud debita ${dias} día(s) hábiles. ${this.escapeHtml(evaluacion.mensaje)}
+                    ${ledger && !ledger.sinFechaIngreso ? `<p style="margin:6px 0 0;color:var(--text-secondary);">Ganados: ${ledger.ganados} · Disfrutados: ${ledger.usados} · En solicitudes pendientes: ${ledger.comprometidos}</p>` : ''}
+                    ${bloqueadaPorSaldo ? '<p style="margin:6px 0 0;color:var(--danger);font-weight:600;">No se puede aprobar con el saldo actual. Devuelva la solicitud para que ajuste las fechas o recházela.</p>' : ''}
+                </div>`;
+        }
+
+        // Constancias: el documento se arma con el perfil del solicitante, que debe estar completo
+        let constanciaHtml = '';
+        if (etapa?.accion === 'emitir_constancia') {
+            const solicitante = await AuthManager.getUserById(req.solicitante);
+            const faltantes = DocumentManager.faltantesConstancia(req, solicitante);
+            constanciaHtml = faltantes.length > 0
+                ? `<div style="margin-bottom:18px;padding:12px;background:rgba(198,40,40,0.08);border-left:3px solid var(--danger);border-radius:var(--radius-sm);font-size:0.82rem;">
+                    <i class="fas fa-exclamation-triangle" style="color:var(--danger);margin-right:6px;"></i>
+                    El perfil del colaborador no tiene: <strong>${faltantes.join(', ')}</strong>. Complételo en Usuarios antes de emitir la constancia.
+                   </div>`
+                : `<div style="margin-bottom:18px;padding:12px;background:rgba(46,125,50,0.08);border-left:3px solid var(--success);border-radius:var(--radius-sm);font-size:0.82rem;">
+                    <i class="fas fa-file-contract" style="color:var(--success);margin-right:6px;"></i>
+                    Se emitirá el documento ${SOLICITUD_CONSTANCIA_CONFIG.deptoRRHH}-${DocumentManager.getSubcategoriaConstancia(req)} con los datos del perfil de ${this.escapeHtml(nombreCompleto)}, firmado por usted.
+                   </div>`;
+        }
 
         this.showModal(modalTitulo, `
             <div>
@@ -3634,13 +6294,17 @@ ${texto}</pre>
                 </div>
 
                 ${firmasPreviasHtml}
+                ${this.renderAdjuntosSolicitud(req)}
+                ${vacacionesHtml}
+                ${this.renderConflictosSolicitud(req)}
+                ${constanciaHtml}
 
                 <div class="form-group" style="margin-bottom:16px;">
                     <label style="font-size:0.85rem;">${labelComentario}</label>
                     <textarea class="form-control" id="adminApproveComment" rows="2" placeholder="Comentario..."></textarea>
                 </div>
 
-                <div id="adminSignStep1" style="margin-bottom:20px;">
+                <div id="adminSignStep1" style="margin-bottom:20px;${bloqueadaPorSaldo ? 'display:none;' : ''}">
                     <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:10px;">Ingrese su <strong>código personal</strong> para desbloquear la firma</p>
                     <div style="display:flex;gap:10px;max-width:420px;margin:0 auto;">
                         <input type="password" class="form-control" id="adminSignCode" placeholder="Código personal" style="text-align:center;letter-spacing:2px;">
@@ -3706,7 +6370,7 @@ ${texto}</pre>
         const ultimoDiaLabora = shiftDate(datos.fecha_inicio, -1);
         const fechaReincorporacion = shiftDate(datos.fecha_fin, 1);
         const dias = (datos.fecha_inicio && datos.fecha_fin)
-            ? `${RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin)} día(s)` : '_____';
+            ? `${RequestManager.calcDiasNaturales(datos.fecha_inicio, datos.fecha_fin)} día(s)` : '_____';
 
         switch (req.tipo) {
             case 'sin_goce':
@@ -3717,7 +6381,7 @@ ${texto}</pre>
                 const ced = datos.cedula || '_____';
                 const puesto = datos.puesto || '_____';
                 const fechaIngreso = datos.fecha_ingreso ? formatDate(datos.fecha_ingreso) : '_____';
-                return `SOLICITUD DE DISFRUTE DE VACACIONES\n\n1. DATOS DEL COLABORADOR\n\nYo, ${nombre}, número de cédula ${ced}, con el puesto de ${puesto}, del departamento / área de ${dep}, con fecha de ingreso a la empresa ${fechaIngreso}.\n\n2. PERIODO DE VACACIONES SOLICITADO\nDe conformidad con lo establecido en el artículo 153 del Código de Trabajo de Costa Rica, solicito el disfrute de mis vacaciones anuales correspondientes al período laborado, en la cantidad de ${dias} naturales, siendo mi último día que labora el ${ultimoDiaLabora}, con fecha de inicio ${fi}, fecha de finalización ${ff} y fecha de reincorporación laboral ${fechaReincorporacion}.${obs}\n\n3. DECLARACIÓN DEL COLABORADOR\n\nDeclaro que he sido informado(a) de mis derechos y deberes en relación con el disfrute de vacaciones, conforme al Código de Trabajo de Costa Rica, y que el presente período ha sido coordinado con la empresa para no afectar la continuidad del servicio.\n\n4. AUTORIZACIÓN DEL PATRONO / REPRESENTANTE LEGAL\n\nHago constar que el período de vacaciones solicitado ha sido revisado y aprobado, cumpliendo con la normativa laboral vigente, y que durante dicho período el colaborador conservará todos sus derechos laborales.`;
+                return `SOLICITUD DE DISFRUTE DE VACACIONES\n\n1. DATOS DEL COLABORADOR\n\nYo, ${nombre}, número de cédula ${ced}, con el puesto de ${puesto}, del departamento / área de ${dep}, con fecha de ingreso a la empresa ${fechaIngreso}.\n\n2. PERIODO DE VACACIONES SOLICITADO\nDe conformidad con lo establecido en el artículo 153 del Código de Trabajo de Costa Rica, solicito el disfrute de mis vacaciones anuales correspondientes al período laborado, en la cantidad de ${datos.fecha_inicio && datos.fecha_fin ? VacacionesManager.getDiasSolicitud(req) : '_____'} día(s) hábiles, siendo mi último día que labora el ${ultimoDiaLabora}, con fecha de inicio ${fi}, fecha de finalización ${ff} y fecha de reincorporación laboral ${fechaReincorporacion}.${obs}\n\n3. DECLARACIÓN DEL COLABORADOR\n\nDeclaro que he sido informado(a) de mis derechos y deberes en relación con el disfrute de vacaciones, conforme al Código de Trabajo de Costa Rica, y que el presente período ha sido coordinado con la empresa para no afectar la continuidad del servicio.\n\n4. AUTORIZACIÓN DEL PATRONO / REPRESENTANTE LEGAL\n\nHago constar que el período de vacaciones solicitado ha sido revisado y aprobado, cumpliendo con la normativa laboral vigente, y que durante dicho período el colaborador conservará todos sus derechos laborales.`;
             }
 
             case 'ingreso_posterior': {
@@ -3744,12 +6408,24 @@ ${texto}</pre>
                 return `SOLICITUD DE PERMISO DE ESTUDIO\n\nYo, ${nombre}, quien laboro para ${empresa}, adscrito(a) al departamento de ${dep}, por este medio solicito formalmente un permiso para actividades de formación académica.\n\nInstitución educativa: ${inst}\nPeríodo: desde el día ${fi} hasta el día ${ff}, para un total de ${dias}.\n\nMotivo:\n${motivo}\n\nEl presente permiso se solicita de conformidad con lo establecido en el Código de Trabajo de la República de Costa Rica respecto a permisos de capacitación y estudio, así como las políticas internas de ${empresa}. Manifiesto que la formación que recibiré contribuirá a mi desarrollo profesional y, en consecuencia, al mejor desempeño de mis labores. Me comprometo a coordinar con mi jefatura las fechas de ausencia y a no afectar el normal desarrollo de las actividades del departamento.\n\nDeclaro que la información aquí consignada es veraz y asumo la responsabilidad correspondiente.\n\nEn Costa Rica, a los ${fSolicitudConDias}.`;
             }
 
+            case 'incapacidad': {
+                const entidad = RequestManager.getEntidadIncapacidad(req);
+                const obs = datos.observaciones ? `\n\nObservaciones:\n${datos.observaciones}` : '';
+                return `NOTIFICACIÓN DE INCAPACIDAD\n\nYo, ${nombre}, quien laboro para ${empresa}, adscrito(a) al departamento de ${dep}, por este medio presento la incapacidad que me fue otorgada, para que se registre en mi expediente y se tramite ante Recursos Humanos.\n\nEntidad que la emite: ${datos.entidad_emisora ? entidad.descripcion || entidad.nombre : '_____'}\nNúmero de boleta / certificado: ${datos.numero_certificado || '_____'}\nPeríodo: desde el día ${fi} hasta el día ${ff}, para un total de ${dias} calendario, con fecha de reintegro laboral el ${fechaReincorporacion}.${obs}\n\nAdjunto la boleta o certificado correspondiente. Entiendo que el subsidio durante la incapacidad se rige por lo dispuesto por la entidad emisora y el Código de Trabajo de la República de Costa Rica.\n\nDeclaro que la información aquí consignada es veraz y asumo la responsabilidad correspondiente.\n\nEn Costa Rica, a los ${fSolicitudConDias}.`;
+            }
+
             case 'dias_festivos': {
                 const fecha = datos.fecha ? formatDate(datos.fecha) : '_____';
                 const desc = datos.descripcion || '_____';
                 return `NOTIFICACIÓN DE DÍA FESTIVO\n\nYo, ${nombre}, quien laboro para ${empresa}, adscrito(a) al departamento de ${dep}, por este medio registro formalmente la siguiente ausencia por día festivo, de conformidad con el calendario oficial de días feriados de la República de Costa Rica y con lo dispuesto en el Código de Trabajo en materia de descansos obligatorios.\n\nFecha: ${fecha}\nDescripción: ${desc}\n\nLa presente notificación tiene como fin dejar constancia formal del día festivo señalado, según lo establecido en el Código de Trabajo y la normativa laboral vigente. Entiendo que en los días feriados de carácter nacional el trabajador tiene derecho al descanso remunerado, salvo las excepciones previstas en la ley. Dejo constancia de que he informado con la debida anticipación a mi jefatura para que se tomen las medidas organizativas que correspondan.\n\nDeclaro que la información aquí consignada es veraz.\n\nEn Costa Rica, a los ${fSolicitudConDias}.`;
             }
 
+            case 'constancia': {
+                const clase = datos.tipo_constancia === 'salarial' ? 'SALARIAL' : 'LABORAL';
+                const dirigida = datos.dirigido_a || 'A quien interese';
+                return `SOLICITUD DE CONSTANCIA ${clase}\n\nYo, ${nombre}, quien laboro para ${empresa}, adscrito(a) al departamento de ${dep}, solicito al Departamento de Recursos Humanos la emisión de una constancia ${clase.toLowerCase()}, dirigida a: ${dirigida}.\n\nMotivo:\n${motivo}\n\nAutorizo que la constancia se emita con los datos registrados en mi expediente (cédula, puesto, fecha de ingreso${clase === 'SALARIAL' ? ' y salario' : ''}).\n\nEn Costa Rica, a los ${fSolicitudConDias}.`;
+            }
+
             case 'horas_extraordinarias': {
                 const ced = datos.cedula || '_____';
                 const puesto = datos.puesto || '_____';
@@ -3758,7 +6434,8 @@ ${texto}</pre>
                 const filas = Array.isArray(datos.filas) ? datos.filas : [];
                 let tabla = '';
                 filas.forEach((f, idx) => {
-                    const fd = f.fecha ? formatDate(f.fecha) : '_____';
+                    const dia = CalendarioLaboralManager.etiquetaFilaHorasExtra(f);
+                    const fd = (f.fecha ? formatDate(f.fecha) : '_____') + (dia ? ` (${dia})` : '');
                     tabla += `${idx + 1}) Fecha: ${fd}  Inicio: ${f.hora_inicio || '_____'}  Fin: ${f.hora_fin || '_____'}  Cantidad: ${f.cantidad || '_____'}\n   Justificación: ${f.justificacion || '_____'}\n`;
                 });
                 return `FORMULARIO OFICIAL DE REPORTE Y AUTORIZACIÓN DE HORAS EXTRAORDINARIAS (RC.400.5.1)\n\n1. IDENTIFICACIÓN DEL COLABORADOR\n\nNombre completo: ${nombre}\nNúmero de identificación: ${ced}\nPuesto: ${puesto}\nDepartamento / Área: ${area}\nJefatura inmediata: ${jef}\n\n2. DETALLE DE LAS HORAS EXTRAORDINARIAS REPORTADAS\n\n${tabla || '(Sin filas registradas)'}\n\nDeclaro que la información consignada es veraz.\n\nEn Costa Rica, a los ${fSolicitudConDias}.`;
@@ -3830,28 +6507,24 @@ ${texto}</pre>
         btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Procesando...';
 
         const reqFresh = await RequestManager.getById(this._currentSignReqId);
-        let result;
+        const etapa = RequestManager.getEtapaActual(reqFresh);
+        const siguiente = RequestManager.getSiguienteEtapa(reqFresh, etapa);
+        const result = await RequestManager.approveStage(this._currentSignReqId, comment, firmaAdmin);
         let okTitulo = 'Aprobada';
         let okMsg = 'Solicitud firmada y aprobada exitosamente';
-        if (reqFresh?.estado === 'pendiente') {
-            // Etapa 1: Encargado de Área
-            result = await RequestManager.approveEncargado(this._currentSignReqId, comment, firmaAdmin);
-            okTitulo = 'Firma del Encargado';
-            okMsg = reqFresh.tipo === 'horas_extraordinarias'
-                ? 'Solicitud firmada por el encargado. Enviada a revisión del Departamento de TI.'
-                : 'Solicitud firmada por el encargado. Enviada a Gerencia General.';
-        } else if (reqFresh?.tipo === 'horas_extraordinarias' && reqFresh.estado === 'pendiente_ti') {
-            // Etapa 2: TI (solo horas extraordinarias)
-            result = await RequestManager.approveRevisionTI(this._currentSignReqId, comment, firmaAdmin);
-            okTitulo = 'Revisión TI';
-            okMsg = 'Certificación registrada. La solicitud fue enviada a Gerencia General.';
-        } else {
-            // Etapa final: Gerencia (admin)
-            result = await RequestManager.approve(this._currentSignReqId, comment, firmaAdmin);
+        if (result?.documentoGenerado) {
+            okTitulo = 'Constancia emitida';
+            okMsg = `Se emitió el documento ${result.documentoGenerado.codigo} y se notificó al colaborador.`;
+        } else if (etapa && siguiente) {
+            okTitulo = `Firma de ${etapa.nombre}`;
+            okMsg = `Solicitud firmada por ${etapa.nombre}. Enviada a ${siguiente.nombre}.`;
         }
 
-        if (result) {
+        if (result && result.success !== false) {
             Toast.success(okTitulo, okMsg);
+            if (result.errorFirma) {
+                Toast.warning('Constancia sin su firma', `Fírmela desde Documentos (${result.documentoGenerado.codigo}). Motivo: ${result.errorFirma}`);
+            }
             this.closeModal();
             this.signatureUnlocked = false;
             this.currentPersonalCode = null;
@@ -3859,7 +6532,7 @@ ${texto}</pre>
             this._pendingAdminSignButtonHtml = null;
             this.navigate('gestionar-solicitudes');
         } else {
-            Toast.error('Error', 'No se pudo completar la acción');
+            Toast.error('Error', result?.message || 'No se pudo completar la acción');
             btn.disabled = false;
             btn.innerHTML = this._pendingAdminSignButtonHtml || '<i class="fas fa-check"></i> Firmar y Aprobar';
         }
@@ -4691,6 +7364,10 @@ ${texto}</pre>
                 </div>
                 <div class="form-group"><label>Cédula <span class="required">*</span></label><input type="text" class="form-control" id="newUserCedula" required></div>
                 <div class="form-group"><label>Puesto <span class="required">*</span></label><input type="text" class="form-control" id="newUserPuesto" required></div>
+                <div class="form-row">
+                    <div class="form-group"><label>Fecha de ingreso</label><input type="date" class="form-control" id="newUserFechaIngreso"></div>
+                    <div class="form-group"><label>Salario bruto mensual (₡)</label><input type="number" class="form-control" id="newUserSalario" min="0" step="0.01"></div>
+                </div>
                 <div class="form-group"><label>Email <span class="required">*</span></label><input type="email" class="form-control" id="newUserEmail" required></div>
                 <div class="form-group">
                     <label>Contraseña temporal <span class="required">*</span> (mín. 6 caracteres)</label>
@@ -4740,6 +7417,8 @@ ${texto}</pre>
             apellido: document.getElementById('newUserApellido').value,
             cedula: document.getElementById('newUserCedula').value.trim(),
             puesto: document.getElementById('newUserPuesto').value.trim(),
+            fechaIngreso: document.getElementById('newUserFechaIngreso').value,
+            salario: document.getElementById('newUserSalario').value,
             email: document.getElementById('newUserEmail').value,
             password: document.getElementById('newUserPassword').value,
             rol,
@@ -4861,6 +7540,11 @@ ${texto}</pre>
 
         const encPreselected = AuthManager.getDepartamentosEncargado(user);
         const encChecks = App.buildEncargadoDepartamentosCheckboxesHtml('editUserEncDep', encPreselected);
+        const diasUsuario = CalendarioLaboralManager.getDiasLaborables(user);
+        const diasChecks = [1, 2, 3, 4, 5, 6, 0].map(d => `
+            <label style="display:inline-flex;align-items:center;gap:4px;margin-right:12px;font-size:0.88rem;">
+                <input type="checkbox" name="editUserDiaLab" value="${d}" ${diasUsuario.includes(d) ? 'checked' : ''}> ${CALENDARIO_LABORAL_CONFIG.diasSemana[d].slice(0, 3)}
+            </label>`).join('');
 
         this.showModal('Editar Usuario', `
             <form onsubmit="App.handleEditUser(event, '${userId}')">
@@ -4870,6 +7554,15 @@ ${texto}</pre>
                 </div>
                 <div class="form-group"><label>Cédula</label><input type="text" class="form-control" id="editUserCedula" value="${user.cedula || ''}" required></div>
                 <div class="form-group"><label>Puesto</label><input type="text" class="form-control" id="editUserPuesto" value="${user.puesto || ''}" required></div>
+                <div class="form-row">
+                    <div class="form-group"><label>Fecha de ingreso</label><input type="date" class="form-control" id="editUserFechaIngreso" value="${user.fechaIngreso || ''}"></div>
+                    <div class="form-group"><label>Salario bruto mensual (₡)</label><input type="number" class="form-control" id="editUserSalario" min="0" step="0.01" value="${user.salario || ''}"></div>
+                </div>
+                <div class="form-group">
+                    <label>Días laborables</label>
+                    <div>${diasChecks}</div>
+                    <p class="form-help">Los demás días se consideran de descanso al contar días hábiles de vacaciones y horas extra.</p>
+                </div>
                 <div class="form-group"><label>Email</label><input type="email" class="form-control" id="editUserEmail" value="${user.email}" required></div>
                 <div class="form-row">
                     <div class="form-group"><label>Rol</label><select class="form-control" id="editUserRol" required onchange="App.syncEncargadoDepartamentosUI('edit')">
@@ -4909,15 +7602,23 @@ ${texto}</pre>
             departamentosEncargado[dep] = true;
         }
 
+        // Sin días marcados o con la semana estándar se guarda null y aplica el patrón por defecto
+        const diasMarcados = [...document.querySelectorAll('input[name="editUserDiaLab"]:checked')].map(cb => Number(cb.value)).sort();
+        const esPatronDefecto = diasMarcados.join(',') === [...CALENDARIO_LABORAL_CONFIG.diasLaborables].sort().join(',');
+        const diasLaborables = diasMarcados.length === 0 || esPatronDefecto ? null : diasMarcados;
+
         const updates = {
             nombre: document.getElementById('editUserNombre').value,
             apellido: document.getElementById('editUserApellido').value,
             cedula: document.getElementById('editUserCedula').value.trim(),
             puesto: document.getElementById('editUserPuesto').value.trim(),
+            fechaIngreso: document.getElementById('editUserFechaIngreso').value,
+            salario: document.getElementById('editUserSalario').value,
             email: document.getElementById('editUserEmail').value,
             rol,
             departamento: dep,
-            departamentosEncargado
+            departamentosEncargado,
+            diasLaborables
         };
 
         await AuthManager.updateUser(userId, updates);
@@ -5066,6 +7767,302 @@ ${texto}</pre>
     // ========================================================
     // DEPARTAMENTOS (ADMIN)
     // ========================================================
+    // ========================================================
+    // CONTADORES DE DOCUMENTOS (solo admin)
+    // ========================================================
+    static async renderContadores() {
+        if (!AuthManager.isAdmin()) {
+            document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
+            return;
+        }
+
+        await this.ensureDepsLoaded();
+        const [contadores, duplicados, migracion, migracionFirmas] = await Promise.all([
+            DocumentManager.getContadores(),
+            DocumentManager.getCodigosDuplicados(),
+            DocumentManager.getMigracionIndices().catch(() => null),
+            RequestManager.getMigracionFirmas().catch(() => null)
+        ]);
+        const content = document.getElementById('contentArea');
+
+        content.innerHTML = `
+            <div class="card" style="margin-bottom:20px;border-left:4px solid ${migracion ? 'var(--success)' : 'var(--warning)'};">
+                <div class="card-header">
+                    <h3><i class="fas fa-database" style="margin-right:8px;color:var(--primary);"></i>Documentos anteriores</h3>
+                    <button class="btn btn-sm btn-outline" id="btnMigrarIndices" onclick="App.migrarIndicesDocumentos()"><i class="fas fa-sync-alt"></i> ${migracion ? 'Volver a ejecutar' : 'Ejecutar migración'}</button>
+                </div>
+                <div class="card-body">
+                    <p style="font-size:0.85rem;color:var(--text-secondary);margin:0;">
+                        ${migracion
+                            ? `Migración ejecutada el ${formatDateTime(migracion.fecha)} por ${this.escapeHtml(migracion.nombre || '')} (${migracion.cambios} cambio(s)).`
+                            : '<strong>Pendiente.</strong> Ejecútela una vez tras actualizar: hasta entonces los firmantes, destinatarios y áreas de los documentos emitidos antes de los índices de visibilidad no los ven, y las rutas de firma anteriores no admiten firmas.'}
+                    </p>
+                </div>
+            </div>
+            <div class="card" style="margin-bottom:20px;border-left:4px solid ${migracionFirmas ? 'var(--success)' : 'var(--warning)'};">
+                <div class="card-header">
+                    <h3><i class="fas fa-file-signature" style="margin-right:8px;color:var(--primary);"></i>Solicitudes anteriores</h3>
+                    <button class="btn btn-sm btn-outline" id="btnMigrarFirmasSolicitudes" onclick="App.migrarFirmasSolicitudes()"><i class="fas fa-sync-alt"></i> ${migracionFirmas ? 'Volver a ejecutar' : 'Ejecutar migración'}</button>
+                </div>
+                <div class="card-body">
+                    <p style="font-size:0.85rem;color:var(--text-secondary);margin:0;">
+                        ${migracionFirmas
+                            ? `Migración ejecutada el ${formatDateTime(migracionFirmas.fecha)} por ${this.escapeHtml(migracionFirmas.nombre || '')} (${migracionFirmas.cambios} cambio(s)).`
+                            : '<strong>Pendiente.</strong> Ejecútela una vez tras actualizar: hasta entonces las firmas de etapa de las solicitudes anteriores no se muestran ni se imprimen en sus PDF.'}
+                    </p>
+                </div>
+            </div>
+            ${duplicados.length > 0 ? `
+                <div class="card" style="margin-bottom:20px;border-left:4px solid var(--danger);">
+                    <div class="card-header">
+                        <h3><i class="fas fa-exclamation-triangle" style="margin-right:8px;color:var(--danger);"></i>Códigos duplicados (${duplicados.length})</h3>
+                    </div>
+                    <div class="card-body">
+                        <p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:12px;">Estos códigos se asignaron a más de un documento antes de la reserva de códigos. Anule o corrija los documentos que correspondan.</p>
+                        ${duplicados.map(dup => `
+                            <div style="margin-bottom:10px;">
+                                <span class="doc-code">${this.escapeHtml(dup.codigo)}</span>
+                                ${dup.docs.map(d => `
+                                    <a href="#" style="margin-left:10px;font-size:0.85rem;" onclick="event.preventDefault();App.navigate('ver-documento', {id:'${d.id}'})">${this.escapeHtml(d.titulo)} (${formatDate(d.fechaCreacion)})</a>
+                                `).join('')}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-hashtag" style="margin-right:8px;color:var(--primary);"></i>Contadores de Documentos</h3>
+                </div>
+                <div class="card-body">
+                    <p style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:16px;">
+                        Los códigos se numeran por año (<strong>${this.escapeHtml(DocumentManager.formatDocCode('RH-300', '4.1', new Date().getFullYear(), 1))}</strong>). El contador guarda el último número emitido; el siguiente documento usará el número siguiente.
+                    </p>
+                    ${contadores.length === 0 ? `
+                        <div class="empty-state"><i class="fas fa-hashtag"></i><h3>Sin contadores</h3><p>Se crean al emitir el primer documento de cada subcategoría</p></div>
+                    ` : `
+                        <div class="table-container">
+                            <table class="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Año</th>
+                                        <th>Departamento</th>
+                                        <th>Subcategoría</th>
+                                        <th>Último emitido</th>
+                                        <th>Contador</th>
+                                        <th>Acciones</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${contadores.map((c, i) => {
+                                        const dep = App._depsMap[c.departamento] || DEPARTAMENTOS[c.departamento];
+                                        const cat = (dep?.categorias || {})[c.subcategoria.split('.')[0]];
+                                        const tipo = cat?.subcategorias?.[c.subcategoria] || '';
+                                        const atrasado = c.maxUsado !== null && c.valor < c.maxUsado;
+                                        return `
+                                        <tr>
+                                            <td>${c.anio || '<span style="color:var(--text-light);">Anterior</span>'}</td>
+                                            <td>${this.escapeHtml(dep?.nombre || c.departamento)}</td>
+                                            <td>${this.escapeHtml(c.subcategoria)}${tipo ? ` — ${this.escapeHtml(tipo)}` : ''}</td>
+                                            <td>${c.maxUsado ? `<span class="doc-code">${this.escapeHtml(DocumentManager.formatDocCode(c.departamento, c.subcategoria, c.anio, c.maxUsado))}</span>` : '—'}</td>
+                                            <td>
+                                                ${c.anio ? `<input type="number" class="form-control" id="contador_${i}" value="${c.valor}" min="${c.maxUsado || 0}" style="max-width:110px;">` : c.valor}
+                                                ${atrasado ? `<span class="status-badge rechazada" style="margin-top:4px;"><i class="fas fa-exclamation-circle"></i> Atrasado</span>` : ''}
+                                            </td>
+                                            <td>
+                                                ${c.anio ? `<button class="btn btn-sm btn-outline" onclick="App.guardarContador('${c.departamento}', '${c.subcategoria}', ${c.anio}, 'contador_${i}')"><i class="fas fa-save"></i> Guardar</button>` : ''}
+                                            </td>
+                                        </tr>`;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    static async migrarIndicesDocumentos() {
+        const btn = document.getElementById('btnMigrarIndices');
+        if (btn) { btn.disabled = true; btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Migrando...'; }
+        const result = await DocumentManager.completarIndices();
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            if (btn) { btn.disabled = false; btn.innerHTML = '<i class="fas fa-sync-alt"></i> Ejecutar migración'; }
+            return;
+        }
+        Toast.success('Migración completada', `${result.cambios} cambio(s) aplicados a documentos anteriores`);
+        this.renderContadores();
+    }
+
+    static async migrarFirmasSolicitudes() {
+        const btn = document.getElementById('btnMigrarFirmasSolicitudes');
+        if (btn) { btn.disabled = true; btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Migrando...'; }
+        const result = await RequestManager.migrarFirmasEtapas();
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            if (btn) { btn.disabled = false; btn.innerHTML = '<i class="fas fa-sync-alt"></i> Ejecutar migración'; }
+            return;
+        }
+        Toast.success('Migración completada', `${result.cambios} cambio(s) aplicados a solicitudes anteriores`);
+        this.renderContadores();
+    }
+
+    static async guardarContador(depId, subId, anio, inputId) {
+        const valor = document.getElementById(inputId).value;
+        const result = await DocumentManager.setContador(depId, subId, anio, valor);
+        if (!result.success) {
+            Toast.error('Error', result.message);
+            return;
+        }
+        Toast.success('Contador actualizado', `El próximo código será ${DocumentManager.formatDocCode(depId, subId, anio, Number(valor) + 1)}`);
+        this.renderContadores();
+    }
+
+    // ========================================================
+    // CALENDARIO LABORAL
+    // ========================================================
+    static async renderCalendarioLaboral(anio) {
+        if (!AuthManager.isAdmin()) {
+            document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
+            return;
+        }
+
+        const content = document.getElementById('contentArea');
+        const anioSel = parseInt(anio, 10) || new Date().getFullYear();
+        await CalendarioLaboralManager.ensureLoaded(true);
+        const fechas = CalendarioLaboralManager.getAll(anioSel);
+        const { diasSemana, tipos } = CALENDARIO_LABORAL_CONFIG;
+
+        const filas = fechas.map(f => {
+            const d = parseFechaLocal(f.fecha);
+            const tipo = tipos[f.tipo] || { nombre: f.tipo, color: '#546e7a' };
+            return `
+                <tr>
+                    <td>${d.toLocaleDateString('es-CR')}</td>
+                    <td>${diasSemana[d.getDay()]}</td>
+                    <td>${this.escapeHtml(f.nombre)}</td>
+                    <td><span class="badge" style="background:${tipo.color};color:#fff;">${this.escapeHtml(tipo.nombre)}</span></td>
+                    <td style="text-align:right;">
+                        <button class="btn btn-outline btn-sm" onclick="App.deleteFeriado('${f.fecha}', ${anioSel})" title="Eliminar">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        content.innerHTML = `
+            <div class="card">
+                <div class="card-header">
+                    <h3><i class="fas fa-calendar-alt" style="margin-right:8px;color:var(--primary);"></i>Calendario Laboral</h3>
+                    <div style="display:flex;gap:8px;align-items:center;">
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-laboral', { anio: ${anioSel - 1} })" title="Año anterior"><i class="fas fa-chevron-left"></i></button>
+                        <strong>${anioSel}</strong>
+                        <button class="btn btn-outline btn-sm" onclick="App.navigate('calendario-laboral', { anio: ${anioSel + 1} })" title="Año siguiente"><i class="fas fa-chevron-right"></i></button>
+                        <button class="btn btn-outline btn-sm" onclick="App.cargarFeriadosNacionales(${anioSel})">
+                            <i class="fas fa-flag"></i> Cargar feriados de ley
+                        </button>
+                        <button class="btn btn-primary btn-sm" onclick="App.showFeriadoModal(${anioSel})">
+                            <i class="fas fa-plus"></i> Nueva fecha
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <p class="form-help" style="margin-bottom:12px;">Los feriados y cierres registrados no cuentan como días hábiles en vacaciones, días festivos ni horas extra. Los días laborables de cada colaborador se configuran en Usuarios.</p>
+                    ${fechas.length === 0 ? `
+                        <div class="empty-state">
+                            <i class="fas fa-calendar-alt"></i>
+                            <h3>Sin fechas registradas en ${anioSel}</h3>
+                            <p>Cargue los feriados de ley o agregue un cierre de la empresa</p>
+                        </div>` : `
+                        <table class="data-table">
+                            <thead><tr><th>Fecha</th><th>Día</th><th>Nombre</th><th>Tipo</th><th></th></tr></thead>
+                            <tbody>${filas}</tbody>
+                        </table>`}
+                </div>
+            </div>
+        `;
+    }
+
+    static showFeriadoModal(anio) {
+        const tiposOptions = Object.entries(CALENDARIO_LABORAL_CONFIG.tipos)
+            .map(([id, t]) => `<option value="${id}">${this.escapeHtml(t.nombre)}</option>`).join('');
+
+        this.showModal('Nueva fecha no laborable', `
+            <form onsubmit="App.handleSaveFeriado(event, ${parseInt(anio, 10) || new Date().getFullYear()})">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Fecha <span class="required">*</span></label>
+                        <input type="date" class="form-control" id="feriadoFecha" required>
+                    </div>
+                    <div class="form-group">
+                        <label>Tipo <span class="required">*</span></label>
+                        <select class="form-control" id="feriadoTipo" required>${tiposOptions}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Nombre <span class="required">*</span></label>
+                    <input type="text" class="form-control" id="feriadoNombre" maxlength="120" placeholder="Ej: Cierre por inventario" required>
+                </div>
+                <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:16px;">
+                    <button type="button" class="btn btn-outline" onclick="App.closeModal()">Cancelar</button>
+                    <button type="submit" class="btn btn-primary" id="btnSaveFeriado">
+                        <i class="fas fa-save"></i> Guardar
+                    </button>
+                </div>
+            </form>
+        `);
+    }
+
+    static async handleSaveFeriado(e, anio) {
+        e.preventDefault();
+        const btn = document.getElementById('btnSaveFeriado');
+        const fecha = document.getElementById('feriadoFecha').value;
+        if (CalendarioLaboralManager.getFeriado(fecha)
+            && !confirm('Esa fecha ya está registrada. ¿Desea reemplazarla?')) return;
+
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+        const result = await CalendarioLaboralManager.guardarFeriado({
+            fecha,
+            nombre: document.getElementById('feriadoNombre').value,
+            tipo: document.getElementById('feriadoTipo').value
+        });
+        if (result.success) {
+            Toast.success('Calendario laboral', result.message);
+            this.closeModal();
+            this.navigate('calendario-laboral', { anio: parseFechaLocal(fecha)?.getFullYear() || anio });
+        } else {
+            Toast.error('Error', result.message);
+            btn.disabled = false;
+            btn.innerHTML = '<i class="fas fa-save"></i> Guardar';
+        }
+    }
+
+    static async deleteFeriado(fecha, anio) {
+        const feriado = CalendarioLaboralManager.getFeriado(fecha);
+        if (!feriado || !confirm(`¿Eliminar "${feriado.nombre}" del calendario laboral?`)) return;
+        const result = await CalendarioLaboralManager.eliminarFeriado(fecha);
+        if (result.success) {
+            Toast.success('Calendario laboral', result.message);
+            this.navigate('calendario-laboral', { anio });
+        } else {
+            Toast.error('Error', result.message);
+        }
+    }
+
+    static async cargarFeriadosNacionales(anio) {
+        if (!confirm(`¿Registrar los feriados de ley de ${anio}? Las fechas ya cargadas no se modifican.`)) return;
+        const result = await CalendarioLaboralManager.cargarFeriadosNacionales(anio);
+        if (result.success) {
+            Toast.success('Calendario laboral', result.message);
+            this.navigate('calendario-laboral', { anio });
+        } else {
+            Toast.error('Error', result.message);
+        }
+    }
+
     static async renderDepartamentos() {
         if (!AuthManager.isAdmin()) {
             document.getElementById('contentArea').innerHTML = `<div class="empty-state"><i class="fas fa-lock"></i><h3>Acceso Denegado</h3><p>No tiene permisos</p></div>`;
@@ -5402,6 +8399,11 @@ ${texto}</pre>
                         </select>
                     </div>
                 </div>
+                <div class="form-group">
+                    <label>Personal mínimo por día</label>
+                    <input type="number" class="form-control" id="editDepMinimoPersonal" min="0" step="1" value="${Number(dep.minimoPersonal) || 0}">
+                    <p class="form-help">Al aprobar vacaciones y permisos se avisa si el área quedaría con menos personas. 0 = sin mínimo.</p>
+                </div>
                 <div class="form-group">
                     <label>Categorías</label>
                     ${tieneCatsDeDataJs ? `<div style="padding:8px 12px;background:rgba(255,152,0,0.12);border-left:3px solid var(--warning);border-radius:4px;margin-bottom:8px;font-size:0.82rem;color:var(--warning);">
@@ -5430,6 +8432,7 @@ ${texto}</pre>
         const nombre = document.getElementById('editDepNombre').value.trim();
         const color = document.getElementById('editDepColor').value;
         const icono = document.getElementById('editDepIcono').value;
+        const minimoPersonal = Math.max(0, parseInt(document.getElementById('editDepMinimoPersonal').value, 10) || 0);
         let categorias = {};
 
         // Parsear categorías
@@ -5447,7 +8450,8 @@ ${texto}</pre>
             nombre,
             color,
             icono,
-            categorias
+            categorias,
+            minimoPersonal
         };
 
         const result = await DepartamentoManager.update(depId, updates);
@@ -5629,6 +8633,8 @@ ${texto}</pre>
             this.navigate('ver-documento', { id: refId });
         } else if (refType === 'request' && refId && refId !== 'null') {
             this.navigate(AuthManager.isEncargado() ? 'gestionar-solicitudes' : 'solicitudes');
+        } else if (refType === 'delegacion') {
+            this.navigate('delegaciones');
         }
     }
 
@@ -319,6 +319,7 @@ class AuthManager {
             if (userData.cedula) profile.cedula = String(userData.cedula).trim();
             if (userData.puesto) profile.puesto = String(userData.puesto).trim();
             if (userData.fechaIngreso) profile.fechaIngreso = String(userData.fechaIngreso).trim();
+            if (Number(userData.salario) > 0) profile.salario = Number(userData.salario);
             if (userData.rol === 'encargado' && userData.departamentosEncargado && typeof userData.departamentosEncargado === 'object') {
                 profile.departamentosEncargado = userData.departamentosEncargado;
             }
@@ -346,7 +347,9 @@ class AuthManager {
             if (updates.cedula !== undefined) cleanUpdates.cedula = updates.cedula;
             if (updates.puesto !== undefined) cleanUpdates.puesto = updates.puesto;
             if (updates.fechaIngreso !== undefined) cleanUpdates.fechaIngreso = updates.fechaIngreso;
+            if (updates.salario !== undefined) cleanUpdates.salario = Number(updates.salario) > 0 ? Number(updates.salario) : null;
             if (updates.departamentosEncargado !== undefined) cleanUpdates.departamentosEncargado = updates.departamentosEncargado;
+            if (updates.diasLaborables !== undefined) cleanUpdates.diasLaborables = updates.diasLaborables;
 
             await dbRef.users.child(uid).update(cleanUpdates);
 
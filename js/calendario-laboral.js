@@ -0,0 +1,164 @@
+// ============================================================
+// CALENDARIO-LABORAL.JS — Feriados, cierres y días laborables
+// Veterinaria San Martín de Porres
+// calendarioLaboral/{YYYY-MM-DD}: feriados nacionales y cierres de la empresa (solo admin).
+// El patrón semanal de cada colaborador vive en users/{uid}/diasLaborables.
+// ============================================================
+
+class CalendarioLaboralManager {
+    static _feriados = {};
+    static _cargado = false;
+
+    static _assertAdmin() {
+        const user = AuthManager.getUser();
+        if (!user || !AuthManager.isAdmin()) {
+            throw new Error('Solo un administrador puede modificar el calendario laboral');
+        }
+        return user;
+    }
+
+    /** Carga los feriados una vez por sesión; force=true vuelve a leerlos (tras editar) */
+    static async ensureLoaded(force = false) {
+        if (this._cargado && !force) return;
+        try {
+            const snap = await dbRef.calendarioLaboral.once('value');
+            this._feriados = snap.val() || {};
+            this._cargado = true;
+        } catch (e) {
+            console.error('CalendarioLaboralManager.ensureLoaded:', e);
+        }
+    }
+
+    static _ymd(fecha) {
+        if (fecha instanceof Date) return fechaYMD(fecha);
+        return String(fecha || '').slice(0, 10);
+    }
+
+    static getFeriado(fecha) {
+        const ymd = this._ymd(fecha);
+        return this._feriados[ymd] ? { fecha: ymd, ...this._feriados[ymd] } : null;
+    }
+
+    /** Feriados ordenados por fecha; anio opcional para filtrar */
+    static getAll(anio = null) {
+        return Object.keys(this._feriados)
+            .filter(f => !anio || f.startsWith(`${anio}-`))
+            .sort()
+            .map(f => ({ fecha: f, ...this._feriados[f] }));
+    }
+
+    /** Días de la semana (Date#getDay) en que labora el colaborador */
+    static getDiasLaborables(user) {
+        const propios = Array.isArray(user?.diasLaborables)
+            ? user.diasLaborables.map(Number).filter(n => Number.isInteger(n) && n >= 0 && n <= 6)
+            : [];
+        return propios.length > 0 ? propios : CALENDARIO_LABORAL_CONFIG.diasLaborables;
+    }
+
+    /** 'feriado' | 'descanso' | 'habil' para una fecha y un colaborador */
+    static tipoDia(fecha, user = null) {
+        const d = fecha instanceof Date ? fecha : parseFechaLocal(fecha);
+        if (!d) return null;
+        if (this.getFeriado(d)) return 'feriado';
+        return this.getDiasLaborables(user).includes(d.getDay()) ? 'habil' : 'descanso';
+    }
+
+    static contarDiasHabiles(inicio, fin, user = null) {
+        return contarDiasHabiles(inicio, fin, this.getDiasLaborables(user), this._feriados);
+    }
+
+    /** Horas entre dos instantes que caen en días hábiles (sin feriados ni días de descanso) */
+    static horasHabiles(desde, hasta, user = null) {
+        if (!(desde < hasta)) return 0;
+        let ms = 0;
+        const dia = new Date(desde.getFullYear(), desde.getMonth(), desde.getDate());
+        while (dia < hasta) {
+            const siguiente = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate() + 1);
+            if (this.tipoDia(dia, user) === 'habil') {
+                ms += Math.min(siguiente, hasta) - Math.max(dia, desde);
+            }
+            dia.setTime(siguiente.getTime());
+        }
+        return ms / 3600000;
+    }
+
+    /** Texto para una fila de horas extra laborada en feriado o día de descanso ('' si fue día hábil) */
+    static etiquetaFilaHorasExtra(fila) {
+        if (fila?.tipo_dia === 'feriado') return `Feriado${fila.feriado ? `: ${fila.feriado}` : ''}`;
+        if (fila?.tipo_dia === 'descanso') return 'Día de descanso';
+        return '';
+    }
+
+    static async guardarFeriado({ fecha, nombre, tipo }) {
+        try {
+            const user = this._assertAdmin();
+            const ymd = this._ymd(fecha);
+            const nombreLimpio = String(nombre || '').trim();
+            if (!parseFechaLocal(ymd)) return { success: false, message: 'Fecha inválida' };
+            if (!nombreLimpio) return { success: false, message: 'Indique el nombre del feriado o cierre' };
+            if (nombreLimpio.length > 120) return { success: false, message: 'El nombre no puede superar 120 caracteres' };
+            if (!CALENDARIO_LABORAL_CONFIG.tipos[tipo]) return { success: false, message: 'Tipo inválido' };
+
+            const registro = {
+                nombre: nombreLimpio,
+                tipo,
+                registradoPor: user.id,
+                fechaRegistro: new Date().toISOString()
+            };
+            await dbRef.calendarioLaboral.child(ymd).set(registro);
+            this._feriados[ymd] = registro;
+            return { success: true, message: 'Fecha registrada en el calendario' };
+        } catch (error) {
+            console.error('Error guardando feriado:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    static async eliminarFeriado(fecha) {
+        try {
+            this._assertAdmin();
+            const ymd = this._ymd(fecha);
+            await dbRef.calendarioLaboral.child(ymd).remove();
+            delete this._feriados[ymd];
+            return { success: true, message: 'Fecha eliminada del calendario' };
+        } catch (error) {
+            console.error('Error eliminando feriado:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /** Registra los feriados de ley de un año (no sobrescribe fechas ya cargadas) */
+    static async cargarFeriadosNacionales(anio) {
+        try {
+            const user = this._assertAdmin();
+            const pascua = calcularDomingoPascua(anio);
+            const updates = {};
+            CALENDARIO_LABORAL_CONFIG.feriadosNacionales.forEach(f => {
+                let fecha;
+                if (f.mmdd) {
+                    fecha = `${anio}-${f.mmdd}`;
+                } else {
+                    const d = new Date(pascua);
+                    d.setDate(d.getDate() + f.pascua);
+                    fecha = fechaYMD(d);
+                }
+                if (this._feriados[fecha]) return;
+                updates[fecha] = {
+                    nombre: f.nombre,
+                    tipo: 'nacional',
+                    registradoPor: user.id,
+                    fechaRegistro: new Date().toISOString()
+                };
+            });
+            const total = Object.keys(updates).length;
+            if (total > 0) {
+                await dbRef.calendarioLaboral.update(updates);
+                Object.assign(this._feriados, updates);
+            }
+            return { success: true, total, message: total > 0 ? `Se agregaron ${total} feriado(s) de ${anio}` : `Los feriados de ${anio} ya estaban registrados` };
+        } catch (error) {
+            console.error('Error cargando feriados nacionales:', error);
+            return { success: false, message: error.message };
+        }
+    }
+}
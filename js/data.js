@@ -16,6 +16,86 @@ const SOLICITUD_HORAS_EXTRA_CONFIG = {
     tipo: 'horas_extraordinarias'
 };
 
+/** Constancias (RH-300 cat. 7): las resuelve RRHH y se emiten como documento firmado */
+const SOLICITUD_CONSTANCIA_CONFIG = {
+    tipo: 'constancia',
+    deptoRRHH: 'RH-300',
+    categoria: '7',
+    subcategorias: { laboral: '7.1', salarial: '7.2' }
+};
+
+/**
+ * Vacaciones (art. 153 Código de Trabajo CR): 2 semanas por cada 50 semanas laboradas.
+ * El saldo se lleva en días hábiles del colaborador: 2 semanas de su patrón semanal
+ * (lunes a viernes = 10 días; lunes a sábado = 12).
+ */
+const VACACIONES_CONFIG = {
+    tipo: 'vacaciones',
+    semanasPorPeriodo: 50,
+    semanasDisfrute: 2,
+    bloquearExceso: true // false = solo advertir cuando la solicitud supera el saldo
+};
+
+/**
+ * Incapacidades: boleta de la CCSS (enfermedad o maternidad), del INS (riesgo del trabajo)
+ * o dictamen de un médico privado. Las dos primeras traen número de boleta obligatorio.
+ * Los días hábiles de una incapacidad aprobada que caen dentro de unas vacaciones
+ * no se debitan del saldo: la incapacidad interrumpe el disfrute.
+ */
+const INCAPACIDAD_CONFIG = {
+    tipo: 'incapacidad',
+    entidades: {
+        ccss: { nombre: 'CCSS', descripcion: 'Caja Costarricense de Seguro Social (enfermedad o maternidad)', requiereNumero: true },
+        ins: { nombre: 'INS', descripcion: 'Instituto Nacional de Seguros (riesgo del trabajo)', requiereNumero: true },
+        privada: { nombre: 'Médico privado', descripcion: 'Dictamen de un médico privado', requiereNumero: false }
+    }
+};
+
+/**
+ * Calendario laboral: días laborables por defecto (Date#getDay, se pueden cambiar por colaborador
+ * en users/{uid}/diasLaborables) y feriados de ley que el admin carga por año en calendarioLaboral/.
+ * Jueves y Viernes Santo se calculan a partir del domingo de Pascua.
+ */
+const CALENDARIO_LABORAL_CONFIG = {
+    diasLaborables: [1, 2, 3, 4, 5],
+    diasSemana: ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'],
+    tipos: {
+        nacional: { nombre: 'Feriado nacional', color: '#c62828' },
+        cierre: { nombre: 'Cierre de la empresa', color: '#6a1b9a' }
+    },
+    feriadosNacionales: [
+        { mmdd: '01-01', nombre: 'Año Nuevo' },
+        { pascua: -3, nombre: 'Jueves Santo' },
+        { pascua: -2, nombre: 'Viernes Santo' },
+        { mmdd: '04-11', nombre: 'Día de Juan Santamaría' },
+        { mmdd: '05-01', nombre: 'Día Internacional del Trabajo' },
+        { mmdd: '07-25', nombre: 'Anexión del Partido de Nicoya' },
+        { mmdd: '08-02', nombre: 'Día de la Virgen de los Ángeles' },
+        { mmdd: '08-15', nombre: 'Día de la Madre' },
+        { mmdd: '09-15', nombre: 'Día de la Independencia' },
+        { mmdd: '12-01', nombre: 'Día de la Abolición del Ejército' },
+        { mmdd: '12-25', nombre: 'Navidad' }
+    ]
+};
+
+/**
+ * Calendario de ausencias del equipo: tipos con `ausencia: true` en TIPOS_SOLICITUD.
+ * Un día se resalta cuando una misma área supera maxAusentesPorArea personas ausentes.
+ */
+const AUSENCIAS_EQUIPO_CONFIG = {
+    maxAusentesPorArea: 1
+};
+
+/**
+ * Plazo de respuesta por etapa de las solicitudes: TIPOS_SOLICITUD[tipo].slaHoras o horasPorDefecto,
+ * en horas hábiles (solo cuentan los días hábiles del calendario laboral). Al vencer, la solicitud se escala una vez por etapa (siguiente nivel del flujo + admins);
+ * desde proporcionAlerta del plazo se marca como próxima a vencer.
+ */
+const SLA_SOLICITUDES_CONFIG = {
+    horasPorDefecto: 48,
+    proporcionAlerta: 0.75
+};
+
 /** Departamentos en el flujo de quejas/sanciones: Encargado → TI → RRHH → Gerencia */
 const SANCTION_FOLLOWUP_DEPT = {
     TI: 'TI-500',
@@ -26,6 +106,18 @@ const SANCTION_FOLLOWUP_DEPT = {
 /** Valor guardado en doc.para: firmantes = empleados de todos los deptos que el encargado gestiona */
 const DOC_PARA_ENCARGADO_TODAS_AREAS = '__ENC_MIS_AREAS__';
 
+/**
+ * Categorías donde se sugiere firma en orden (empleado → encargado → Gerencia):
+ * contratos RH-300 4.x y préstamos DG-F-101 3.x. departamento → [categorías]
+ */
+const DOC_ORDEN_FIRMA_SUGERIDO = {
+    'RH-300': ['4'],
+    'DG-F-101': ['3']
+};
+
+/** Posición por rol al proponer la ruta de firmas en orden */
+const DOC_ORDEN_FIRMA_ROLES = ['empleado', 'encargado', 'admin'];
+
 // ============================================================
 // DEPARTAMENTOS Y TIPOS DE DOCUMENTOS
 // ============================================================
@@ -280,6 +372,73 @@ const DEPARTAMENTOS = {
     }
 };
 
+// ============================================================
+// PLANTILLAS DE DOCUMENTOS
+// departamento → categoría → subcategoría → [plantillas]
+// Variables: {{empleado.nombre}}, {{empleado.cedula}}, {{empleado.puesto}},
+// {{empleado.fechaIngreso}}, {{empleado.departamento}}, {{empleado.salario}},
+// {{fecha}}, {{remitente.nombre}}, {{dirigidoA}}
+// ============================================================
+const PLANTILLAS_DOCUMENTO = {
+    'RH-300': {
+        '2': {
+            '2.1': [
+                {
+                    id: 'memo-interno',
+                    nombre: 'Memorando interno a colaborador',
+                    titulo: 'Memorando - {{empleado.nombre}}',
+                    asunto: '',
+                    contenido: '<p>San José, {{fecha}}</p><p>Estimado(a) <strong>{{empleado.nombre}}</strong>, {{empleado.puesto}} del área de {{empleado.departamento}}:</p><p>Por este medio se le comunica lo siguiente:</p><p><br></p><p>Atentamente,</p><p>{{remitente.nombre}}<br>Recursos Humanos</p>'
+                }
+            ]
+        },
+        '3': {
+            '3.2': [
+                {
+                    id: 'carta-oferta',
+                    nombre: 'Carta Oferta',
+                    titulo: 'Carta Oferta - {{empleado.nombre}}',
+                    asunto: 'Oferta laboral para el puesto de {{empleado.puesto}}',
+                    contenido: '<p>San José, {{fecha}}</p><p>Señor(a) <strong>{{empleado.nombre}}</strong><br>Cédula {{empleado.cedula}}</p><p>Reciba un cordial saludo. Nos complace ofrecerle el puesto de <strong>{{empleado.puesto}}</strong> en el área de {{empleado.departamento}} de Veterinaria San Martín de Porres, con fecha de ingreso {{empleado.fechaIngreso}}.</p><p>Las condiciones de la contratación (jornada, horario y remuneración) se detallan en el contrato laboral que se firmará en la fecha de ingreso.</p><p>Agradecemos confirmar la aceptación de esta oferta firmando el presente documento.</p><p>Atentamente,</p><p>{{remitente.nombre}}<br>Recursos Humanos</p>'
+                }
+            ]
+        },
+        '7': {
+            '7.1': [
+                {
+                    id: 'constancia-laboral',
+                    nombre: 'Constancia Laboral',
+                    titulo: 'Constancia Laboral - {{empleado.nombre}}',
+                    asunto: 'Constancia de relación laboral',
+                    contenido: '<p style="text-align:center;"><strong>CONSTANCIA LABORAL</strong></p><p>{{dirigidoA}}</p><p>La suscrita, en representación de Veterinaria San Martín de Porres, hace constar que <strong>{{empleado.nombre}}</strong>, cédula de identidad <strong>{{empleado.cedula}}</strong>, labora para esta empresa desde el <strong>{{empleado.fechaIngreso}}</strong>, desempeñando el puesto de <strong>{{empleado.puesto}}</strong> en el área de {{empleado.departamento}}.</p><p>Se extiende la presente a solicitud del interesado(a), en San José, el {{fecha}}.</p><p><br></p><p>{{remitente.nombre}}<br>Recursos Humanos</p>'
+                }
+            ],
+            '7.2': [
+                {
+                    id: 'constancia-salarial',
+                    nombre: 'Constancia Salarial',
+                    titulo: 'Constancia Salarial - {{empleado.nombre}}',
+                    asunto: 'Constancia de salario',
+                    contenido: '<p style="text-align:center;"><strong>CONSTANCIA SALARIAL</strong></p><p>{{dirigidoA}}</p><p>La suscrita, en representación de Veterinaria San Martín de Porres, hace constar que <strong>{{empleado.nombre}}</strong>, cédula de identidad <strong>{{empleado.cedula}}</strong>, labora para esta empresa desde el <strong>{{empleado.fechaIngreso}}</strong> en el puesto de <strong>{{empleado.puesto}}</strong>, y devenga un salario bruto mensual de <strong>{{empleado.salario}}</strong>.</p><p>Se extiende la presente a solicitud del interesado(a), en San José, el {{fecha}}.</p><p><br></p><p>{{remitente.nombre}}<br>Recursos Humanos</p>'
+                }
+            ]
+        }
+    },
+    'DG-100': {
+        '2': {
+            '2.1': [
+                {
+                    id: 'memo-general',
+                    nombre: 'Memorando general de Gerencia',
+                    titulo: 'Memorando de Gerencia General',
+                    asunto: '',
+                    contenido: '<p>San José, {{fecha}}</p><p>A todo el personal:</p><p>Por este medio la Gerencia General comunica lo siguiente:</p><p><br></p><p>Atentamente,</p><p>{{remitente.nombre}}<br>Gerencia General</p>'
+                }
+            ]
+        }
+    }
+};
+
 // ============================================================
 // ROLES DEL SISTEMA
 // ============================================================
@@ -837,33 +996,74 @@ function getAllEvaluadosPersonal(users, excludeUserId) {
         u.activo && u.id !== excludeUserId && usuarioEvaluableDesempenoPersonal(u));
 }
 
+// ============================================================
+// FLUJOS DE APROBACIÓN DE SOLICITUDES
+// ============================================================
+/** Valor de etapa.departamento: la resuelven los encargados del departamento del solicitante (las reglas lo usan literal) */
+const FLUJO_DEPTO_SOLICITANTE = '__SOLICITANTE__';
+
+/**
+ * Etapas que se combinan en TIPOS_SOLICITUD[tipo].flujo (en orden de firma):
+ *   departamento — código cuyos encargados resuelven la etapa, o FLUJO_DEPTO_SOLICITANTE
+ *   rol          — 'admin' si solo la resuelven administradores (el admin siempre puede como respaldo)
+ *   firma        — true exige firma dibujada; false se aprueba con un comentario
+ *   estado       — valor de req.estado mientras la solicitud espera en la etapa (pendiente*)
+ *   campo        — opcional: propiedad donde las solicitudes anteriores guardaban la firma y clave en la
+ *                  huella del PDF (la firma queda en firmas/{id}; sin campo la huella usa el id)
+ *   accion       — opcional, se ejecuta al aprobar la última etapa ('emitir_constancia')
+ *
+ * Reglas (firebase-rules.json, requests): validan etapa, etapaDepartamento y firmas/{etapaId} sin nombrar
+ * etapas, y la primera etapa de cada tipo contra flujosSolicitudCatalog, que un admin publica al entrar.
+ * Una etapa nueva solo pide cambios en las reglas si:
+ *   - su estado no empieza por 'pendiente' (requests/$reqId/estado/.validate);
+ *   - sus responsables deben ver los adjuntos después de firmar (requestAttachments solo abre a RRHH y a
+ *     los encargados de la etapa en curso);
+ *   - la resuelve un rol distinto del encargado del departamento o del admin.
+ */
+const ETAPAS_SOLICITUD = {
+    encargado: { id: 'encargado', nombre: 'Encargado de Área', departamento: FLUJO_DEPTO_SOLICITANTE, firma: true, estado: 'pendiente', campo: 'firmaEncargado' },
+    ti: { id: 'ti', nombre: 'Revisión TI', departamento: 'TI-500', firma: true, estado: 'pendiente_ti', campo: 'revisionTI' },
+    rrhh: { id: 'rrhh', nombre: 'Recursos Humanos', departamento: 'RH-300', firma: true, estado: 'pendiente_rrhh', campo: 'revisionRRHH' },
+    gerencia: { id: 'gerencia', nombre: 'Gerencia General', departamento: 'DG-100', firma: true, estado: 'pendiente_gerencia', campo: 'firmaAdmin' }
+};
+
+/** Flujo de los tipos que no definen el suyo: Encargado de Área → Gerencia General */
+const FLUJO_SOLICITUD_DEFAULT = [ETAPAS_SOLICITUD.encargado, ETAPAS_SOLICITUD.gerencia];
+
 // ============================================================
 // TIPOS DE SOLICITUDES
+// adjuntos: { requerido, descripcion } — comprobante que se pide al solicitar (PDF o imagen)
 // ============================================================
 const TIPOS_SOLICITUD = {
     'vacaciones': {
         nombre: 'Disfrute de Vacaciones',
         icono: 'fas fa-umbrella-beach',
         color: '#00897b',
-        campos: ['cedula', 'puesto', 'fecha_ingreso', 'fecha_inicio', 'fecha_fin', 'observaciones']
+        campos: ['cedula', 'puesto', 'fecha_ingreso', 'fecha_inicio', 'fecha_fin', 'observaciones'],
+        ausencia: true,
+        flujo: [ETAPAS_SOLICITUD.encargado, ETAPAS_SOLICITUD.rrhh, ETAPAS_SOLICITUD.gerencia]
     },
     'sin_goce': {
         nombre: 'Permiso Sin Goce de Salario',
         icono: 'fas fa-calendar-times',
         color: '#f4511e',
-        campos: ['fecha_inicio', 'fecha_fin', 'motivo', 'observaciones']
+        campos: ['fecha_inicio', 'fecha_fin', 'motivo', 'observaciones'],
+        ausencia: true
     },
     'ingreso_posterior': {
         nombre: 'Ingreso Posterior',
         icono: 'fas fa-clock',
         color: '#5c6bc0',
-        campos: ['fecha', 'hora_ingreso', 'motivo']
+        campos: ['fecha', 'hora_ingreso', 'motivo'],
+        adjuntos: { requerido: false, descripcion: 'Dictamen médico o comprobante de la cita, si lo tiene' }
     },
     'salida_anticipada': {
         nombre: 'Salida Anticipada',
         icono: 'fas fa-sign-out-alt',
         color: '#8e24aa',
-        campos: ['fecha', 'hora_salida', 'motivo']
+        campos: ['fecha', 'hora_salida', 'motivo'],
+        ausencia: true,
+        adjuntos: { requerido: false, descripcion: 'Dictamen médico o comprobante de la cita, si lo tiene' }
     },
     'cambio_horario': {
         nombre: 'Cambio de Horario',
@@ -875,7 +1075,19 @@ const TIPOS_SOLICITUD = {
         nombre: 'Permiso de Estudio',
         icono: 'fas fa-graduation-cap',
         color: '#43a047',
-        campos: ['fecha_inicio', 'fecha_fin', 'institucion', 'motivo']
+        campos: ['fecha_inicio', 'fecha_fin', 'institucion', 'motivo'],
+        ausencia: true,
+        adjuntos: { requerido: true, descripcion: 'Carta o comprobante de matrícula del periodo' }
+    },
+    'incapacidad': {
+        nombre: 'Incapacidad',
+        icono: 'fas fa-notes-medical',
+        color: '#d81b60',
+        campos: ['entidad_emisora', 'numero_certificado', 'fecha_inicio', 'fecha_fin', 'observaciones'],
+        ausencia: true,
+        adjuntos: { requerido: true, descripcion: 'Boleta o certificado de incapacidad' },
+        // El encargado se entera de la ausencia y RRHH la registra; no pasa por Gerencia
+        flujo: [ETAPAS_SOLICITUD.encargado, ETAPAS_SOLICITUD.rrhh]
     },
     'dias_festivos': {
         nombre: 'Días Festivos',
@@ -888,7 +1100,17 @@ const TIPOS_SOLICITUD = {
         icono: 'fas fa-business-time',
         color: '#37474f',
         campos: ['cedula', 'puesto', 'area_departamento', 'jefatura_inmediata', 'filas_horas'],
-        flujoTiGerencia: true
+        slaHoras: 72,
+        flujo: [ETAPAS_SOLICITUD.encargado, ETAPAS_SOLICITUD.ti, ETAPAS_SOLICITUD.gerencia]
+    },
+    'constancia': {
+        nombre: 'Constancia Laboral / Salarial',
+        icono: 'fas fa-file-contract',
+        color: '#e65100',
+        campos: ['tipo_constancia', 'dirigido_a', 'motivo'],
+        slaHoras: 24,
+        // RRHH aprueba y firma la constancia; firmaAdmin es donde la guardaban las constancias anteriores
+        flujo: [{ ...ETAPAS_SOLICITUD.rrhh, campo: 'firmaAdmin', accion: 'emitir_constancia' }]
     }
 };
 
@@ -945,6 +1167,43 @@ function timeAgo(dateStr) {
     return formatDate(dateStr);
 }
 
+// Fecha de un input date (YYYY-MM-DD) como medianoche local, sin corrimiento por zona horaria
+function parseFechaLocal(dateStr) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateStr || ''));
+    if (!m) return null;
+    return new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+}
+
+// Date local → 'YYYY-MM-DD' (clave de calendarioLaboral/)
+function fechaYMD(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Domingo de Pascua (algoritmo de Meeus/Jones/Butcher), para ubicar Jueves y Viernes Santo
+function calcularDomingoPascua(anio) {
+    const a = anio % 19, b = Math.floor(anio / 100), c = anio % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(anio, mes - 1, dia);
+}
+
+// Días hábiles entre dos fechas (ambas inclusive): solo días laborables que no son feriado.
+// feriados: objeto indexado por 'YYYY-MM-DD' (ver CalendarioLaboralManager)
+function contarDiasHabiles(inicio, fin, diasLaborables = CALENDARIO_LABORAL_CONFIG.diasLaborables, feriados = null) {
+    const desde = parseFechaLocal(inicio);
+    const hasta = parseFechaLocal(fin);
+    if (!desde || !hasta || hasta < desde) return 0;
+    let dias = 0;
+    for (const d = new Date(desde); d <= hasta; d.setDate(d.getDate() + 1)) {
+        if (diasLaborables.includes(d.getDay()) && !(feriados && feriados[fechaYMD(d)])) dias++;
+    }
+    return dias;
+}
+
 // Convierte un snapshot de Firebase a un array de objetos
 function snapshotToArray(snapshot) {
     const arr = [];
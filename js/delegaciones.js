@@ -0,0 +1,193 @@
+// ============================================================
+// DELEGACIONES.JS — Sustitutos de encargados durante ausencias
+// Veterinaria San Martín de Porres
+// delegaciones/{id}: quién delega, en quién, qué áreas y en qué fechas.
+// delegacionesVigentes/{depto}/{uid}: índice que leen las reglas para dejar firmar al sustituto.
+// ============================================================
+
+class DelegacionManager {
+    static _delegaciones = {};
+    static _cargado = false;
+
+    /** Carga las delegaciones una vez por sesión; force=true vuelve a leerlas (tras crear o revocar) */
+    static async ensureLoaded(force = false) {
+        if (this._cargado && !force) return;
+        try {
+            const snap = await dbRef.delegaciones.once('value');
+            this._delegaciones = snap.val() || {};
+            this._cargado = true;
+        } catch (e) {
+            console.error('DelegacionManager.ensureLoaded:', e);
+        }
+    }
+
+    /** Todas las delegaciones, las más recientes primero */
+    static getAll() {
+        return Object.keys(this._delegaciones)
+            .map(id => ({ id, ...this._delegaciones[id] }))
+            .sort((a, b) => (b.desde || '').localeCompare(a.desde || ''));
+    }
+
+    static esVigente(delegacion, fecha = new Date()) {
+        const hoy = fechaYMD(fecha);
+        return !!delegacion && !delegacion.revocada && delegacion.desde <= hoy && delegacion.hasta >= hoy;
+    }
+
+    static getVigentes() {
+        return this.getAll().filter(d => this.esVigente(d));
+    }
+
+    /** Delegación vigente que permite a user firmar la etapa en nombre del encargado, o null */
+    static getDelegacionEtapa(etapa, req, user) {
+        if (!etapa || !user) return null;
+        const depto = RequestManager.departamentoEtapa(etapa, req);
+        if (!depto) return null;
+        return this.getVigentes().find(d => d.sustituto === user.id && d.departamentos?.[depto]) || null;
+    }
+
+    /** Uids de quienes sustituyen hoy al encargado de un departamento */
+    static getSustitutosDepartamento(depto) {
+        return [...new Set(this.getVigentes().filter(d => d.departamentos?.[depto]).map(d => d.sustituto))];
+    }
+
+    // Límites del rango en milisegundos (hora local) para comparar con `now` en las reglas
+    static _rangoMs(desde, hasta) {
+        const inicio = parseFechaLocal(desde);
+        const fin = parseFechaLocal(hasta);
+        fin.setHours(23, 59, 59, 999);
+        return { desde: inicio.getTime(), hasta: fin.getTime() };
+    }
+
+    static async crear({ delegante, sustituto, desde, hasta, departamentos, motivo }) {
+        try {
+            const user = AuthManager.getUser();
+            if (!user) return { success: false, message: 'Usuario no autenticado' };
+            if (!AuthManager.isAdmin() && user.id !== delegante) {
+                return { success: false, message: 'Solo el propio encargado o un administrador pueden delegar sus aprobaciones' };
+            }
+            if (!parseFechaLocal(desde) || !parseFechaLocal(hasta) || hasta < desde) {
+                return { success: false, message: 'Indique un rango de fechas válido' };
+            }
+            if (hasta < fechaYMD(new Date())) return { success: false, message: 'El rango ya terminó' };
+            if (!sustituto || sustituto === delegante) return { success: false, message: 'Seleccione un sustituto distinto del encargado' };
+
+            const [deleganteUser, sustitutoUser] = await Promise.all([
+                AuthManager.getUserById(delegante),
+                AuthManager.getUserById(sustituto)
+            ]);
+            if (!deleganteUser || deleganteUser.rol !== 'encargado') return { success: false, message: 'Solo se pueden delegar las aprobaciones de un encargado' };
+            if (!sustitutoUser || !sustitutoUser.activo || !['encargado', 'admin'].includes(sustitutoUser.rol)) {
+                return { success: false, message: 'El sustituto debe ser un encargado o administrador activo' };
+            }
+
+            const gestionados = AuthManager.getDepartamentosEncargado(deleganteUser);
+            const deptos = (departamentos || []).filter(d => gestionados.includes(d));
+            if (deptos.length === 0) return { success: false, message: 'Seleccione al menos un área del encargado' };
+
+            // El índice guarda una delegación por área y sustituto
+            await this.ensureLoaded(true);
+            const hoy = fechaYMD(new Date());
+            const previa = this.getAll().find(d => !d.revocada && d.hasta >= hoy && d.sustituto === sustituto &&
+                deptos.some(dep => d.departamentos?.[dep]));
+            if (previa) {
+                return { success: false, message: `${sustitutoUser.nombre} ${sustitutoUser.apellido} ya sustituye en esa área hasta el ${formatDate(previa.hasta)}. Revóquela antes de crear otra.` };
+            }
+
+            const ref = dbRef.delegaciones.push();
+            const rango = this._rangoMs(desde, hasta);
+            const registro = {
+                delegante,
+                deleganteNombre: `${deleganteUser.nombre} ${deleganteUser.apellido}`,
+                sustituto,
+                sustitutoNombre: `${sustitutoUser.nombre} ${sustitutoUser.apellido}`,
+                departamentos: Object.fromEntries(deptos.map(d => [d, true])),
+                desde,
+                hasta,
+                // Límites en milisegundos: las reglas exigen que el índice de vigentes los copie tal cual
+                desdeMs: rango.desde,
+                hastaMs: rango.hasta,
+                motivo: String(motivo || '').trim(),
+                creadoPor: user.id,
+                creadoPorNombre: `${user.nombre} ${user.apellido}`,
+                fechaCreacion: new Date().toISOString()
+            };
+            const updates = { [`delegaciones/${ref.key}`]: registro };
+            deptos.forEach(dep => {
+                updates[`delegacionesVigentes/${dep}/${sustituto}`] = { delegacionId: ref.key, ...rango };
+            });
+            await db.ref().update(updates);
+            this._delegaciones[ref.key] = registro;
+
+            const periodo = `del ${formatDate(desde)} al ${formatDate(hasta)}`;
+            await this._notificar([sustituto, delegante], user.id, ref.key, 'Delegación de aprobaciones',
+                `${registro.sustitutoNombre} firmará las solicitudes de ${registro.deleganteNombre} ${periodo}.`);
+
+            return { success: true, id: ref.key, message: 'Delegación registrada' };
+        } catch (error) {
+            console.error('Error creando delegación:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    static async revocar(delegacionId) {
+        try {
+            const user = AuthManager.getUser();
+            const delegacion = this._delegaciones[delegacionId];
+            if (!delegacion) return { success: false, message: 'Delegación no encontrada' };
+            if (!AuthManager.isAdmin() && user?.id !== delegacion.delegante) {
+                return { success: false, message: 'Solo el encargado que delegó o un administrador pueden revocarla' };
+            }
+
+            const updates = {
+                [`delegaciones/${delegacionId}/revocada`]: true,
+                [`delegaciones/${delegacionId}/revocadaPor`]: user.id,
+                [`delegaciones/${delegacionId}/fechaRevocacion`]: new Date().toISOString()
+            };
+            const idx = await dbRef.delegacionesVigentes.once('value');
+            const vigentes = idx.val() || {};
+            Object.keys(delegacion.departamentos || {}).forEach(dep => {
+                if (vigentes[dep]?.[delegacion.sustituto]?.delegacionId === delegacionId) {
+                    updates[`delegacionesVigentes/${dep}/${delegacion.sustituto}`] = null;
+                }
+            });
+            await db.ref().update(updates);
+            Object.assign(delegacion, { revocada: true, revocadaPor: user.id });
+
+            await this._notificar([delegacion.sustituto, delegacion.delegante], user.id, delegacionId, 'Delegación revocada',
+                `Se revocó la delegación de ${delegacion.deleganteNombre} en ${delegacion.sustitutoNombre}.`);
+            return { success: true, message: 'Delegación revocada' };
+        } catch (error) {
+            console.error('Error revocando delegación:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    static _VERBOS_ACCION = {
+        rechazada: 'rechazó',
+        devuelta: 'devolvió para corrección',
+        cancelada: 'aprobó la cancelación de',
+        mantenida: 'rechazó la cancelación de'
+    };
+
+    /** Avisa al encargado titular lo que resolvió su sustituto (porDelegacionDe del registro de firma) */
+    static async notificarAccion(porDelegacionDe, req, accion) {
+        const user = AuthManager.getUser();
+        const verbo = this._VERBOS_ACCION[accion] || 'firmó';
+        await this._notificar([porDelegacionDe.userId], user.id, req.id, `Solicitud ${accion} por delegación`,
+            `${user.nombre} ${user.apellido} ${verbo} por delegación suya la solicitud de ${req.tipoNombre} de ${req.solicitanteNombre}.`,
+            'request');
+    }
+
+    static async _notificar(destinatarios, excluirId, referencia, titulo, mensaje, referenciaType = 'delegacion') {
+        await Promise.all([...new Set(destinatarios)].filter(id => id && id !== excluirId).map(destinatario =>
+            NotificationManager.create({
+                tipo: 'delegacion',
+                titulo,
+                mensaje,
+                destinatario,
+                referencia,
+                referenciaType
+            })
+        ));
+    }
+}
@@ -4,6 +4,19 @@
 // ============================================================
 
 class DocumentManager {
+    // Campos cuyo cambio genera una nueva revisión del documento
+    static CAMPOS_VERSIONADOS = ['titulo', 'para', 'asunto', 'contenido'];
+
+    // Días antes de fechaLimiteFirma en que se empieza a recordar a los firmantes
+    static DIAS_RECORDATORIO_FIRMA = 2;
+
+    // Intentos para encontrar un código libre antes de abortar la creación
+    static MAX_INTENTOS_CODIGO = 5;
+
+    // Adjuntos: mismo límite que la biblioteca de políticas (Base64 en RTDB, sin Storage)
+    static ADJUNTO_MAX_BYTES = 4 * 1024 * 1024;
+    static ADJUNTO_TIPOS = ['application/pdf', 'image/png', 'image/jpeg'];
+
     // Obtener todos los documentos
     static async getAll() {
         try {
@@ -29,7 +42,7 @@ class DocumentManager {
         }
     }
 
-    // Obtener documentos por departamento
+    // Obtener documentos por departamento (solo admin: la lista completa no es legible para el resto)
     static async getByDepartment(depId) {
         try {
             const snapshot = await dbRef.documents.orderByChild('departamento').equalTo(depId).once('value');
@@ -40,34 +53,207 @@ class DocumentManager {
         }
     }
 
+    // Documentos que el usuario puede ver: todos para admin; para el resto, los de sus
+    // índices de visibilidad (cada documento se lee con su propia regla)
+    static async getVisibles() {
+        if (AuthManager.isAdmin()) return this.getAll();
+        const user = AuthManager.getUser();
+        if (!user) return [];
+        try {
+            const indices = [dbRef.documentsIndex.child(user.id), dbRef.documentsByArea.child('TODOS')];
+            if (user.departamento) indices.push(dbRef.documentsByArea.child(user.departamento));
+            const snapshots = await Promise.all(indices.map(ref => ref.once('value')));
+            const ids = new Set();
+            snapshots.forEach(s => Object.keys(s.val() || {}).forEach(id => ids.add(id)));
+            // Eliminados o que dejaron de ser visibles: la regla los niega y se omiten
+            const docs = await Promise.all([...ids].map(id =>
+                dbRef.documents.child(id).once('value')
+                    .then(s => (s.exists() ? { id, ...s.val() } : null))
+                    .catch(() => null)
+            ));
+            return docs.filter(Boolean);
+        } catch (error) {
+            console.error('Error obteniendo documentos visibles:', error);
+            return [];
+        }
+    }
+
     // Generar código de documento con transacción atómica
-    static async generateDocCode(departamentoId, subcategoriaKey) {
+    // Código por año: {dep}-{sub}-{año}-{NNN} (p. ej. RH-300-4.1-2026-001).
+    // counters/{dep}/{sub}/{año} se reinicia cada año y cada código se reserva en
+    // documentCodes antes de usarse, así nunca se emiten dos documentos con el mismo código.
+    static async generateDocCode(departamentoId, subcategoriaKey, docId) {
+        const anio = new Date().getFullYear();
+        const duplicados = [];
+
+        for (let intento = 0; intento < this.MAX_INTENTOS_CODIGO; intento++) {
+            let numero;
+            try {
+                const result = await this._counterRef(departamentoId, subcategoriaKey, anio)
+                    .transaction(currentVal => (currentVal || 0) + 1);
+                numero = result.snapshot.val();
+            } catch (error) {
+                console.error('Error generando código:', error);
+                // Fallback: siguiente número libre según los códigos ya reservados
+                numero = (await this.getMaxNumeroUsado(departamentoId, subcategoriaKey, anio)) + 1 + intento;
+            }
+
+            const codigo = this.formatDocCode(departamentoId, subcategoriaKey, anio, numero);
+            if (await this._reservarCodigo(codigo, docId)) {
+                if (duplicados.length > 0) this._reportarCodigosDuplicados(duplicados, codigo);
+                return codigo;
+            }
+            duplicados.push(codigo);
+        }
+
+        this._reportarCodigosDuplicados(duplicados, null);
+        throw new Error('No se pudo generar un código de documento único');
+    }
+
+    static formatDocCode(departamentoId, subcategoriaKey, anio, numero) {
+        return `${departamentoId}-${subcategoriaKey}-${anio}-${String(numero).padStart(3, '0')}`;
+    }
+
+    static _counterRef(departamentoId, subcategoriaKey, anio) {
+        // Firebase Sanitization: los paths no pueden tener '.'
+        const safeSubKey = subcategoriaKey.replace(/\./g, '_');
+        return dbRef.counters.child(departamentoId).child(safeSubKey).child(String(anio));
+    }
+
+    // Reserva el código en documentCodes; false si ya lo tiene otro documento
+    static async _reservarCodigo(codigo, docId) {
+        const codeRef = dbRef.documentCodes.child(codigo.replace(/\./g, '_'));
+        const result = await codeRef.transaction(actual => (actual === null ? docId : undefined));
+        if (!result.committed) return false;
+
+        // Documentos emitidos antes de existir el índice: comprobar también en documents.
+        // Solo un admin puede consultar la lista; para el resto basta documentCodes (completarIndices)
+        if (!AuthManager.isAdmin()) return true;
+        const snapshot = await dbRef.documents.orderByChild('codigo').equalTo(codigo).once('value');
+        const existentes = Object.keys(snapshot.val() || {}).filter(id => id !== docId);
+        if (existentes.length > 0) {
+            await codeRef.set(existentes[0]);
+            return false;
+        }
+        return true;
+    }
+
+    // Mayor número usado en {dep}-{sub}-{año}-NNN según los códigos reservados en documentCodes.
+    // codigos: claves de documentCodes ya leídas (getContadores); si no, se consulta el rango del prefijo,
+    // lectura que las reglas permiten también a los encargados
+    static async getMaxNumeroUsado(departamentoId, subcategoriaKey, anio, codigos = null) {
+        const prefijo = `${departamentoId}-${subcategoriaKey}-${anio}-`.replace(/\./g, '_');
+        let lista = codigos;
+        if (!lista) {
+            const snapshot = await dbRef.documentCodes.orderByKey().startAt(prefijo).endAt(prefijo + '\uf8ff').once('value');
+            lista = Object.keys(snapshot.val() || {});
+        }
+        return lista.reduce((max, codigo) => {
+            if (!codigo.startsWith(prefijo)) return max;
+            const n = parseInt(codigo.slice(prefijo.length), 10);
+            return Number.isFinite(n) && n > max ? n : max;
+        }, 0);
+    }
+
+    // Avisar a los administradores: el contador estaba atrasado respecto a los códigos emitidos
+    static async _reportarCodigosDuplicados(codigos, codigoAsignado) {
         try {
-            // Firebase Sanitization: los paths no pueden tener '.'
-            const safeSubKey = subcategoriaKey.replace(/\./g, '_');
-            const counterRef = dbRef.counters.child(departamentoId).child(safeSubKey);
+            const admins = (await AuthManager.getAllUsers()).filter(u => u.rol === 'admin' && u.activo !== false);
+            await Promise.all(admins.map(admin =>
+                NotificationManager.create({
+                    tipo: 'codigo_duplicado',
+                    titulo: 'Código de documento duplicado',
+                    mensaje: `Los códigos ${codigos.join(', ')} ya estaban en uso. ` +
+                        (codigoAsignado ? `Se asignó ${codigoAsignado}. ` : 'No se pudo asignar un código. ') +
+                        'Revise los contadores de documentos.',
+                    destinatario: admin.id,
+                    referencia: null,
+                    referenciaType: null
+                })
+            ));
+        } catch (error) {
+            console.error('Error reportando códigos duplicados:', error);
+        }
+    }
 
-            const result = await counterRef.transaction(currentVal => {
-                return (currentVal || 0) + 1;
-            });
+    // ========================================================
+    // CONTADORES (administración)
+    // ========================================================
 
-            const num = String(result.snapshot.val()).padStart(3, '0');
-            return `${departamentoId}-${subcategoriaKey}-${num}`;
+    // Contadores por departamento/subcategoría/año, con el mayor número ya emitido
+    static async getContadores() {
+        try {
+            const [snapshot, codigosSnap] = await Promise.all([dbRef.counters.once('value'), dbRef.documentCodes.once('value')]);
+            const data = snapshot.val() || {};
+            const codigos = Object.keys(codigosSnap.val() || {});
+            const contadores = [];
+            for (const [dep, subs] of Object.entries(data)) {
+                for (const [safeSub, porAnio] of Object.entries(subs || {})) {
+                    const sub = safeSub.replace(/_/g, '.');
+                    // Contadores anteriores a la numeración por año: un número directo
+                    if (typeof porAnio === 'number') {
+                        contadores.push({ departamento: dep, subcategoria: sub, anio: null, valor: porAnio, maxUsado: null });
+                        continue;
+                    }
+                    for (const [anio, valor] of Object.entries(porAnio || {})) {
+                        contadores.push({
+                            departamento: dep,
+                            subcategoria: sub,
+                            anio: Number(anio),
+                            valor: Number(valor) || 0,
+                            maxUsado: await this.getMaxNumeroUsado(dep, sub, anio, codigos)
+                        });
+                    }
+                }
+            }
+            return contadores.sort((a, b) =>
+                (b.anio || 0) - (a.anio || 0) ||
+                a.departamento.localeCompare(b.departamento) ||
+                a.subcategoria.localeCompare(b.subcategoria, undefined, { numeric: true })
+            );
         } catch (error) {
-            console.error('Error generando código:', error);
-            // Fallback
-            const num = String(Date.now() % 1000).padStart(3, '0');
-            return `${departamentoId}-${subcategoriaKey}-${num}`;
+            console.error('Error obteniendo contadores:', error);
+            return [];
         }
     }
 
-    // Crear documento
-    static async create(docData) {
+    // Corregir un contador (solo admin). No se permite bajarlo de un número ya emitido.
+    static async setContador(departamentoId, subcategoriaKey, anio, valor) {
+        try {
+            if (!AuthManager.isAdmin()) return { success: false, message: 'Solo un administrador puede corregir contadores' };
+            const nuevo = Number(valor);
+            if (!Number.isInteger(nuevo) || nuevo < 0) return { success: false, message: 'El contador debe ser un número entero positivo' };
+            const maxUsado = await this.getMaxNumeroUsado(departamentoId, subcategoriaKey, anio);
+            if (nuevo < maxUsado) {
+                return { success: false, message: `Ya se emitió el código ${this.formatDocCode(departamentoId, subcategoriaKey, anio, maxUsado)}; el contador no puede ser menor a ${maxUsado}` };
+            }
+            await this._counterRef(departamentoId, subcategoriaKey, anio).set(nuevo);
+            return { success: true };
+        } catch (error) {
+            console.error('Error actualizando contador:', error);
+            return { success: false, message: 'Error al actualizar el contador: ' + error.message };
+        }
+    }
+
+    // Códigos asignados a más de un documento (emitidos antes de la reserva de códigos)
+    static async getCodigosDuplicados() {
+        const grupos = {};
+        (await this.getAll()).forEach(d => {
+            if (!d.codigo) return;
+            (grupos[d.codigo] = grupos[d.codigo] || []).push(d);
+        });
+        return Object.entries(grupos)
+            .filter(([, docs]) => docs.length > 1)
+            .map(([codigo, docs]) => ({ codigo, docs }));
+    }
+
+    // Crear documento. idReservado: id ya guardado por quien lo crea (p. ej. en la solicitud de una constancia)
+    static async create(docData, idReservado = null) {
         try {
             const user = AuthManager.getUser();
-            const codigo = await this.generateDocCode(docData.departamento, docData.subcategoria);
+            const newDocRef = idReservado ? dbRef.documents.child(idReservado) : dbRef.documents.push();
+            const codigo = await this.generateDocCode(docData.departamento, docData.subcategoria, newDocRef.key);
 
-            const newDocRef = dbRef.documents.push();
             const newDoc = {
                 codigo: codigo,
                 departamento: docData.departamento,
@@ -82,30 +268,33 @@ class DocumentManager {
                 creadoPor: user.id,
                 creadoPorNombre: user.nombre + ' ' + user.apellido,
                 fechaCreacion: new Date().toISOString(),
-                estado: 'activo',
+                // Borrador: solo lo ven el creador y sus revisores hasta publicarlo
+                estado: docData.borrador ? 'borrador' : 'activo',
                 firmas: {},
                 firmasRequeridas: docData.firmasRequeridas || [],
-                verificacionCode: generateVerificationCode()
+                firmantes: this.mapaFirmantes(docData.firmasRequeridas),
+                // true: firmasRequeridas es una ruta y se firma en ese orden
+                ordenFirma: !!docData.ordenFirma,
+                firmanteAnterior: docData.ordenFirma ? this.mapaFirmanteAnterior(docData.firmasRequeridas) : null,
+                fechaLimiteFirma: docData.fechaLimiteFirma || null,
+                verificacionCode: generateVerificationCode(),
+                revisionActual: 1,
+                // Documentos emitidos para un colaborador (p. ej. constancias): puede verlo y descargarlo
+                entregadoA: docData.entregadoA || null,
+                solicitudOrigen: docData.solicitudOrigen || null,
+                // Emisión masiva: documento personal de un colaborador dentro de un lote
+                loteId: docData.loteId || null
             };
 
-            await newDocRef.set(newDoc);
-
+            // El documento y sus entradas en los índices de visibilidad, en una sola escritura
             const docId = newDocRef.key;
+            await db.ref().update({ [`documents/${docId}`]: newDoc, ...this._rutasIndice(docId, newDoc, user) });
+            if (newDoc.estado === 'borrador') return { id: docId, ...newDoc };
 
-            // Crear notificaciones para firmantes requeridos
-            if (docData.firmasRequeridas && docData.firmasRequeridas.length > 0) {
-                const notifPromises = docData.firmasRequeridas.map(userId =>
-                    NotificationManager.create({
-                        tipo: 'firma_requerida',
-                        titulo: 'Firma requerida',
-                        mensaje: `Se requiere su firma en el documento ${codigo}: ${docData.titulo}`,
-                        destinatario: userId,
-                        referencia: docId,
-                        referenciaType: 'document'
-                    })
-                );
-                await Promise.all(notifPromises);
-            }
+            // Revisión 1: contenido original tal como lo verán los firmantes
+            await this._registrarRevisionInicial(docId, newDoc);
+            await this.syncVerification({ id: docId, ...newDoc });
+            await this._notificarFirmantesIniciales({ id: docId, ...newDoc });
 
             return { id: docId, ...newDoc };
         } catch (error) {
@@ -114,21 +303,744 @@ class DocumentManager {
         }
     }
 
-    // Actualizar documento
-    static async update(docId, updates) {
+    // Crear notificaciones para firmantes requeridos (con orden: solo el primero)
+    static async _notificarFirmantesIniciales(doc) {
+        const user = AuthManager.getUser();
+        const aNotificar = (doc.ordenFirma
+            ? this.getListaFirmantes(doc.firmasRequeridas).slice(0, 1)
+            : this.getListaFirmantes(doc.firmasRequeridas)
+        ).filter(uid => uid !== user.id);
+        if (aNotificar.length > 0) {
+            const notifPromises = aNotificar.map(userId =>
+                NotificationManager.create({
+                    tipo: 'firma_requerida',
+                    titulo: 'Firma requerida',
+                    mensaje: `Se requiere su firma en el documento ${doc.codigo}: ${doc.titulo}`,
+                    destinatario: userId,
+                    referencia: doc.id,
+                    referenciaType: 'document'
+                })
+            );
+            await Promise.all(notifPromises);
+        }
+    }
+
+    // ========================================================
+    // EMISIÓN MASIVA (documentBatches/{loteId})
+    // Un documento personalizado por colaborador a partir del mismo texto
+    // con variables {{...}}; cada uno con su código y su firmante.
+    // ========================================================
+
+    /**
+     * base: { departamento, categoria, subcategoria, tipoNombre, titulo, asunto, contenido, de, fechaLimiteFirma }
+     * onProgress(hechos, total, empleado): para mostrar el avance en el botón
+     */
+    static async createBatch(base, empleados, onProgress = null) {
+        const user = AuthManager.getUser();
+        const loteRef = dbRef.documentBatches.push();
+        const lote = {
+            titulo: base.titulo,
+            departamento: base.departamento,
+            categoria: base.categoria,
+            subcategoria: base.subcategoria,
+            tipoNombre: base.tipoNombre || '',
+            creadoPor: user.id,
+            creadoPorNombre: user.nombre + ' ' + user.apellido,
+            fecha: new Date().toISOString(),
+            total: empleados.length,
+            documentos: {}
+        };
+        await loteRef.set(lote);
+
+        const creados = [];
+        const fallidos = [];
+        for (const [i, empleado] of empleados.entries()) {
+            if (onProgress) onProgress(i, empleados.length, empleado);
+            const contexto = this.contextoPlantilla(empleado, user);
+            try {
+                const doc = await this.create({
+                    departamento: base.departamento,
+                    categoria: base.categoria,
+                    subcategoria: base.subcategoria,
+                    tipoNombre: base.tipoNombre,
+                    titulo: this.rellenarPlantilla(base.titulo, contexto, false),
+                    para: empleado.departamento || '',
+                    de: base.de,
+                    asunto: this.rellenarPlantilla(base.asunto, contexto, false),
+                    contenido: this.rellenarPlantilla(base.contenido, contexto),
+                    firmasRequeridas: [empleado.id],
+                    fechaLimiteFirma: base.fechaLimiteFirma || null,
+                    loteId: loteRef.key
+                });
+                const entrada = { userId: empleado.id, nombre: `${empleado.nombre} ${empleado.apellido}`, codigo: doc.codigo };
+                await loteRef.child('documentos').child(doc.id).set(entrada);
+                creados.push({ id: doc.id, ...entrada });
+            } catch (error) {
+                console.error('Error creando documento del lote:', error);
+                fallidos.push({ userId: empleado.id, nombre: `${empleado.nombre} ${empleado.apellido}`, error: error.message });
+            }
+        }
+        if (fallidos.length > 0) await loteRef.update({ fallidos });
+        if (onProgress) onProgress(empleados.length, empleados.length, null);
+
+        return { loteId: loteRef.key, creados, fallidos };
+    }
+
+    static async getBatch(loteId) {
         try {
-            await dbRef.documents.child(docId).update(updates);
-            return true;
+            const snapshot = await dbRef.documentBatches.child(loteId).once('value');
+            return snapshot.exists() ? { id: loteId, ...snapshot.val() } : null;
+        } catch (error) {
+            console.error('Error obteniendo lote:', error);
+            return null;
+        }
+    }
+
+    // Lotes visibles: todos para admin, los propios para el resto (más recientes primero)
+    static async getBatches() {
+        try {
+            const user = AuthManager.getUser();
+            const query = AuthManager.isAdmin()
+                ? dbRef.documentBatches
+                : dbRef.documentBatches.orderByChild('creadoPor').equalTo(user.id);
+            const snapshot = await query.once('value');
+            const lotes = [];
+            snapshot.forEach(child => { lotes.push({ id: child.key, ...child.val() }); });
+            return lotes.sort((a, b) => String(b.fecha || '').localeCompare(String(a.fecha || '')));
+        } catch (error) {
+            console.error('Error obteniendo lotes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Avance de firma del lote: una fila por documento con su estado
+     * (firmado | pendiente | rechazado | vencido | anulado | eliminado).
+     */
+    static async getBatchProgress(lote) {
+        const filas = await Promise.all(Object.entries(lote?.documentos || {}).map(async ([docId, entrada]) => {
+            const doc = await this.getById(docId);
+            let estado = 'eliminado';
+            let fechaFirma = null;
+            if (doc && doc.estado === 'anulado') {
+                estado = 'anulado';
+            } else if (doc && doc.estado === 'activo') {
+                const firma = this.getFirmasVigentes(doc).find(f => f.userId === entrada.userId);
+                fechaFirma = firma?.fecha || null;
+                if (firma) estado = 'firmado';
+                else if (this.getRechazoDeUsuario(doc, entrada.userId)) estado = 'rechazado';
+                else if (this.getEstadoPlazoFirma(doc)?.vencido) estado = 'vencido';
+                else estado = 'pendiente';
+            }
+            return { docId, ...entrada, doc, estado, fechaFirma };
+        }));
+        const resumen = { total: filas.length, firmado: 0, pendiente: 0, rechazado: 0, vencido: 0, anulado: 0, eliminado: 0 };
+        filas.forEach(f => { resumen[f.estado]++; });
+        filas.sort((a, b) => String(a.nombre).localeCompare(String(b.nombre)));
+        return { filas, resumen };
+    }
+
+    // ========================================================
+    // BORRADOR → EN REVISIÓN → PUBLICADO
+    // ========================================================
+
+    static esBorrador(doc) {
+        return doc?.estado === 'borrador' || doc?.estado === 'en_revision';
+    }
+
+    // Revisores del documento: [{ id, nombre, estado: pendiente|aprobado|cambios, fecha }]
+    static getRevisores(doc) {
+        return Object.entries(doc?.revisores || {}).map(([id, r]) => ({ id, ...r }));
+    }
+
+    // Sin revisores se puede publicar directamente; con revisores, todos deben aprobar
+    static puedePublicar(doc) {
+        if (!this.esBorrador(doc)) return false;
+        if (this.getListaFirmantes(doc.firmasRequeridas).length === 0) return false;
+        return this.getRevisores(doc).every(r => r.estado === 'aprobado');
+    }
+
+    // Invitar revisores del departamento y pasar el borrador a revisión
+    static async submitForReview(docId, revisorIds) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (!this.esBorrador(doc)) return { success: false, message: 'El documento ya fue publicado' };
+            if (doc.creadoPor !== user.id && !AuthManager.isAdmin()) {
+                return { success: false, message: 'Solo el creador puede enviar el borrador a revisión' };
+            }
+            const ids = [...new Set(revisorIds || [])].filter(uid => uid && uid !== doc.creadoPor);
+            if (ids.length === 0) return { success: false, message: 'Seleccione al menos un revisor' };
+
+            const revisores = { ...(doc.revisores || {}) };
+            const nuevos = [];
+            for (const uid of ids) {
+                if (revisores[uid]) continue;
+                const revisor = await AuthManager.getUserById(uid);
+                if (!revisor || (revisor.departamento !== doc.departamento && revisor.departamento !== user.departamento)) {
+                    return { success: false, message: 'Los revisores deben pertenecer a su departamento' };
+                }
+                revisores[uid] = { nombre: revisor.nombre + ' ' + revisor.apellido, estado: 'pendiente', fecha: null };
+                nuevos.push(uid);
+            }
+
+            const rutas = { [`documents/${docId}/estado`]: 'en_revision', [`documents/${docId}/revisores`]: revisores };
+            nuevos.forEach(uid => { rutas[`documentsIndex/${uid}/${docId}`] = true; });
+            await db.ref().update(rutas);
+            await Promise.all(nuevos.map(uid =>
+                NotificationManager.create({
+                    tipo: 'revision_solicitada',
+                    titulo: 'Revisión solicitada',
+                    mensaje: `${user.nombre} ${user.apellido} le pidió revisar el borrador ${doc.codigo}: ${doc.titulo}`,
+                    destinatario: uid,
+                    referencia: docId,
+                    referenciaType: 'document'
+                })
+            ));
+            return { success: true, invitados: nuevos.length };
+        } catch (error) {
+            console.error('Error enviando a revisión:', error);
+            return { success: false, message: 'Error al enviar a revisión: ' + error.message };
+        }
+    }
+
+    // Respuesta del revisor: 'aprobado' o 'cambios' (con comentario obligatorio)
+    static async reviewDocument(docId, decision, comentario = '') {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.estado !== 'en_revision') return { success: false, message: 'El documento no está en revisión' };
+            if (!doc.revisores?.[user.id]) return { success: false, message: 'No es revisor de este documento' };
+            if (decision !== 'aprobado' && decision !== 'cambios') return { success: false, message: 'Decisión no válida' };
+            const texto = String(comentario || '').trim();
+            if (decision === 'cambios' && !texto) return { success: false, message: 'Indique qué cambios solicita' };
+
+            await dbRef.documents.child(docId).child('revisores').child(user.id).update({
+                estado: decision,
+                fecha: new Date().toISOString()
+            });
+            if (texto) await this.addComment(docId, texto);
+
+            await NotificationManager.create({
+                tipo: 'revision_respondida',
+                titulo: decision === 'aprobado' ? 'Borrador aprobado' : 'Cambios solicitados',
+                mensaje: decision === 'aprobado'
+                    ? `${user.nombre} ${user.apellido} aprobó el borrador ${doc.codigo}: ${doc.titulo}`
+                    : `${user.nombre} ${user.apellido} solicitó cambios en ${doc.codigo}: ${texto}`,
+                destinatario: doc.creadoPor,
+                referencia: docId,
+                referenciaType: 'document'
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Error registrando revisión:', error);
+            return { success: false, message: 'Error al registrar la revisión: ' + error.message };
+        }
+    }
+
+    // Publicar: el documento pasa a activo y recién entonces se pide la firma
+    static async publish(docId) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.creadoPor !== user.id && !AuthManager.isAdmin()) {
+                return { success: false, message: 'Solo el creador del documento o un administrador puede publicarlo' };
+            }
+            if (!this.esBorrador(doc)) return { success: false, message: 'El documento ya fue publicado' };
+            if (this.getListaFirmantes(doc.firmasRequeridas).length === 0) {
+                return { success: false, message: 'El documento no tiene firmantes requeridos' };
+            }
+            const pendientes = this.getRevisores(doc).filter(r => r.estado !== 'aprobado');
+            if (pendientes.length > 0) {
+                return { success: false, message: `Falta la aprobación de: ${pendientes.map(r => r.nombre).join(', ')}` };
+            }
+
+            const fechaPublicacion = new Date().toISOString();
+            const publicado = { ...doc, estado: 'activo', fechaPublicacion };
+            // Al publicar lo ven también firmantes, destinatario y áreas del "Para"
+            await db.ref().update({
+                [`documents/${docId}/estado`]: 'activo',
+                [`documents/${docId}/fechaPublicacion`]: fechaPublicacion,
+                ...this._rutasIndice(docId, publicado, await this._getCreador(doc))
+            });
+
+            await this._registrarRevisionInicial(docId, { ...publicado, fechaCreacion: fechaPublicacion });
+            await this.syncVerification(publicado);
+            await this._notificarFirmantesIniciales(publicado);
+            return { success: true };
+        } catch (error) {
+            console.error('Error publicando documento:', error);
+            return { success: false, message: 'Error al publicar: ' + error.message };
+        }
+    }
+
+    // Comentarios internos del borrador; parentId para responder a otro comentario
+    static async addComment(docId, texto, parentId = null) {
+        try {
+            const user = AuthManager.getUser();
+            const limpio = String(texto || '').trim();
+            if (!limpio) return { success: false, message: 'El comentario está vacío' };
+
+            const comentario = {
+                autor: user.id,
+                autorNombre: user.nombre + ' ' + user.apellido,
+                texto: limpio,
+                fecha: new Date().toISOString(),
+                parentId: parentId || null
+            };
+            const ref = dbRef.documentComments.child(docId).push();
+            await ref.set(comentario);
+
+            // Avisar al creador y a los revisores (menos a quien comenta)
+            const doc = await this.getById(docId);
+            const destinatarios = [doc?.creadoPor, ...Object.keys(doc?.revisores || {})]
+                .filter((uid, i, arr) => uid && uid !== user.id && arr.indexOf(uid) === i);
+            await Promise.all(destinatarios.map(uid =>
+                NotificationManager.create({
+                    tipo: 'comentario_documento',
+                    titulo: 'Nuevo comentario',
+                    mensaje: `${comentario.autorNombre} comentó en ${doc.codigo}: ${limpio.slice(0, 120)}`,
+                    destinatario: uid,
+                    referencia: docId,
+                    referenciaType: 'document'
+                })
+            ));
+            return { success: true, comentario: { id: ref.key, ...comentario } };
+        } catch (error) {
+            console.error('Error agregando comentario:', error);
+            return { success: false, message: 'Error al comentar: ' + error.message };
+        }
+    }
+
+    // Comentarios en hilos: [{ ...comentario, respuestas: [...] }] (más antiguos primero)
+    static async getComments(docId) {
+        try {
+            const snapshot = await dbRef.documentComments.child(docId).once('value');
+            const todos = snapshotToArray(snapshot)
+                .sort((a, b) => String(a.fecha).localeCompare(String(b.fecha)));
+            const porId = {};
+            todos.forEach(c => { porId[c.id] = { ...c, respuestas: [] }; });
+            const raices = [];
+            todos.forEach(c => {
+                if (c.parentId && porId[c.parentId]) porId[c.parentId].respuestas.push(porId[c.id]);
+                else raices.push(porId[c.id]);
+            });
+            return raices;
+        } catch (error) {
+            console.error('Error obteniendo comentarios:', error);
+            return [];
+        }
+    }
+
+    // ========================================================
+    // REVISIONES
+    // ========================================================
+
+    /** Número de revisión vigente (documentos anteriores al versionado = 1). */
+    static getRevisionActual(doc) {
+        return Number(doc?.revisionActual) || 1;
+    }
+
+    /** Revisión a la que quedó anclada una firma (firmas antiguas = 1). */
+    static getRevisionFirma(firma) {
+        return Number(firma?.revision) || 1;
+    }
+
+    /** Firmas hechas sobre la revisión vigente del documento. */
+    static getFirmasVigentes(doc) {
+        const actual = this.getRevisionActual(doc);
+        return Object.values(doc?.firmas || {}).filter(f => this.getRevisionFirma(f) === actual);
+    }
+
+    // Obtener historial de revisiones (ascendente por número). Si no se puede leer lanza
+    // el error: un historial vacío haría que editDocument registrara otra revisión 1
+    static async getRevisions(docId) {
+        const snapshot = await dbRef.documentRevisions.child(docId).once('value');
+        return snapshotToArray(snapshot).sort((a, b) => (a.numero || 0) - (b.numero || 0));
+    }
+
+    static async _registrarRevisionInicial(docId, doc) {
+        const revision = {
+            numero: 1,
+            titulo: doc.titulo,
+            para: doc.para || '',
+            asunto: doc.asunto || '',
+            contenido: doc.contenido,
+            cambios: [],
+            diff: [],
+            autor: doc.creadoPor,
+            autorNombre: doc.creadoPorNombre || '',
+            fecha: doc.fechaCreacion,
+            motivo: 'Versión original'
+        };
+        await dbRef.documentRevisions.child(docId).push().set(revision);
+        return revision;
+    }
+
+    /** Convierte el HTML del editor en líneas de texto comparables. */
+    static contenidoALineas(html) {
+        const text = String(html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|h[1-6]|tr|blockquote)>/gi, '\n')
+            .replace(/<[^>]+>/g, '');
+        const decoder = document.createElement('textarea');
+        decoder.innerHTML = text;
+        return decoder.value
+            .split('\n')
+            .map(l => l.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Diff por líneas (LCS). Solo guarda las líneas quitadas (-) y agregadas (+),
+     * con su número de línea en la versión anterior o nueva respectivamente.
+     */
+    static diffLineas(antes, despues) {
+        const n = antes.length;
+        const m = despues.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = antes[i] === despues[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (antes[i] === despues[j]) {
+                i++; j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ op: '-', linea: i + 1, texto: antes[i] });
+                i++;
+            } else {
+                ops.push({ op: '+', linea: j + 1, texto: despues[j] });
+                j++;
+            }
+        }
+        for (; i < n; i++) ops.push({ op: '-', linea: i + 1, texto: antes[i] });
+        for (; j < m; j++) ops.push({ op: '+', linea: j + 1, texto: despues[j] });
+        return ops;
+    }
+
+    /**
+     * Editar título / para / asunto / contenido creando una revisión inmutable.
+     * Las firmas existentes quedan ancladas a la revisión que firmaron y se
+     * vuelve a solicitar la firma a quienes ya habían firmado.
+     */
+    static async editDocument(docId, cambios, motivo = '') {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.estado !== 'activo' && !this.esBorrador(doc)) return { success: false, message: 'Solo se pueden editar documentos activos' };
+            if (!AuthManager.isAdmin() && doc.creadoPor !== user.id) {
+                return { success: false, message: 'Solo el creador del documento o un administrador puede editarlo' };
+            }
+            if (cambios.titulo !== undefined && !String(cambios.titulo).trim()) {
+                return { success: false, message: 'El título es obligatorio' };
+            }
+            if (cambios.contenido !== undefined && !this.contenidoALineas(cambios.contenido).length) {
+                return { success: false, message: 'El contenido es obligatorio' };
+            }
+
+            const campos = this.CAMPOS_VERSIONADOS.filter(c =>
+                cambios[c] !== undefined && String(cambios[c]) !== String(doc[c] || '')
+            );
+            if (campos.length === 0) return { success: false, message: 'No hay cambios que guardar' };
+
+            // Borradores: se editan en el lugar (la revisión 1 se registra al publicar)
+            if (this.esBorrador(doc)) return this._editarBorrador(doc, campos, cambios);
+
+            // Documentos creados antes del versionado: conservar primero su versión original
+            const revisiones = await this.getRevisions(docId);
+            if (revisiones.length === 0) await this._registrarRevisionInicial(docId, doc);
+
+            const numero = this.getRevisionActual(doc) + 1;
+            const nuevo = {};
+            this.CAMPOS_VERSIONADOS.forEach(c => {
+                nuevo[c] = campos.includes(c) ? cambios[c] : (doc[c] || '');
+            });
+
+            const fecha = new Date().toISOString();
+            const revision = {
+                numero,
+                ...nuevo,
+                cambios: campos,
+                diff: campos.includes('contenido')
+                    ? this.diffLineas(this.contenidoALineas(doc.contenido), this.contenidoALineas(nuevo.contenido))
+                    : [],
+                autor: user.id,
+                autorNombre: user.nombre + ' ' + user.apellido,
+                fecha,
+                motivo: String(motivo || '').trim()
+            };
+            const updates = { revisionActual: numero, fechaModificacion: fecha, modificadoPor: user.id };
+            campos.forEach(c => { updates[c] = nuevo[c]; });
+            // Revisión y documento en una sola escritura: nunca queda una revisión sin su cambio
+            const rutas = { [`documentRevisions/${docId}/${dbRef.documentRevisions.child(docId).push().key}`]: revision };
+            Object.keys(updates).forEach(k => { rutas[`documents/${docId}/${k}`] = updates[k]; });
+            // Cambió el "Para": el documento pasa a las áreas nuevas y sale de las anteriores
+            if (campos.includes('para')) {
+                const creador = await this._getCreador(doc);
+                const antes = this._areasDestino(doc, creador);
+                const despues = this._areasDestino({ ...doc, ...updates }, creador);
+                antes.filter(a => !despues.includes(a)).forEach(a => { rutas[`documentsByArea/${a}/${docId}`] = null; });
+                despues.forEach(a => { rutas[`documentsByArea/${a}/${docId}`] = true; });
+            }
+            await db.ref().update(rutas);
+            await this.syncVerification({ ...doc, ...updates });
+
+            // Quienes firmaron la revisión anterior deben firmar de nuevo.
+            // Con firma en orden la ruta se reinicia: solo se avisa al primero.
+            const firmantes = [...new Set(this.getFirmasVigentes(doc).map(f => f.userId))];
+            const aNotificar = doc.ordenFirma && firmantes.length > 0
+                ? this.getListaFirmantes(doc.firmasRequeridas).slice(0, 1)
+                : firmantes;
+            await Promise.all(aNotificar.filter(uid => uid !== user.id).map(uid =>
+                NotificationManager.create({
+                    tipo: 'firma_requerida',
+                    titulo: 'Documento modificado',
+                    mensaje: `El documento ${doc.codigo} fue modificado (revisión ${numero}). Se requiere nuevamente su firma.`,
+                    destinatario: uid,
+                    referencia: docId,
+                    referenciaType: 'document'
+                })
+            ));
+
+            return { success: true, revision, firmasInvalidadas: firmantes.length };
+        } catch (error) {
+            console.error('Error editando documento:', error);
+            return { success: false, message: 'Error al editar: ' + error.message };
+        }
+    }
+
+    // Cambiar un borrador en revisión reinicia las aprobaciones: los revisores deben verlo de nuevo
+    static async _editarBorrador(doc, campos, cambios) {
+        const user = AuthManager.getUser();
+        const updates = { fechaModificacion: new Date().toISOString(), modificadoPor: user.id };
+        campos.forEach(c => { updates[c] = cambios[c]; });
+        const revisores = this.getRevisores(doc).filter(r => r.estado !== 'pendiente');
+        revisores.forEach(r => {
+            updates[`revisores/${r.id}/estado`] = 'pendiente';
+            updates[`revisores/${r.id}/fecha`] = null;
+        });
+        await dbRef.documents.child(doc.id).update(updates);
+
+        await Promise.all(revisores.map(r =>
+            NotificationManager.create({
+                tipo: 'revision_solicitada',
+                titulo: 'Borrador modificado',
+                mensaje: `El borrador ${doc.codigo}: ${doc.titulo} fue modificado. Revíselo de nuevo.`,
+                destinatario: r.id,
+                referencia: doc.id,
+                referenciaType: 'document'
+            })
+        ));
+        return { success: true, borrador: true, revisoresReiniciados: revisores.length };
+    }
+
+    // ========================================================
+    // ADJUNTOS (metadatos en documents/{docId}/adjuntos; archivo
+    // en documentAttachments/{docId}/{adjId} para no bajarlo al listar)
+    // ========================================================
+
+    // Lista de adjuntos vigentes del documento, en orden de carga
+    static getAdjuntos(doc) {
+        return this._listaAdjuntos(doc).filter(a => !a.eliminacion);
+    }
+
+    // Adjuntos quitados: conservan el archivo y quién, cuándo y por qué los quitó
+    static getAdjuntosEliminados(doc) {
+        return this._listaAdjuntos(doc).filter(a => a.eliminacion);
+    }
+
+    static _listaAdjuntos(doc) {
+        return Object.entries(doc?.adjuntos || {})
+            .map(([id, a]) => ({ id, ...a }))
+            .sort((a, b) => String(a.fecha || '').localeCompare(String(b.fecha || '')));
+    }
+
+    // Los adjuntos son parte de lo que se firma: cambian solo en activos o borradores que aún no tienen firmas
+    static puedeCambiarAdjuntos(doc) {
+        return !!doc && (doc.estado === 'activo' || this.esBorrador(doc)) && Object.keys(doc.firmas || {}).length === 0;
+    }
+
+    static _motivoAdjuntosBloqueados(doc) {
+        if (doc.estado !== 'activo' && !this.esBorrador(doc)) return 'Solo se pueden cambiar los adjuntos de documentos activos o borradores';
+        return 'El documento ya tiene firmas: sus adjuntos no se pueden cambiar';
+    }
+
+    // Devuelve el motivo por el que el archivo no se puede adjuntar, o null
+    static validarAdjunto(file) {
+        if (!file) return 'Seleccione un archivo';
+        const nameLower = String(file.name || '').toLowerCase();
+        const tipoValido = this.ADJUNTO_TIPOS.includes(file.type) || /\.(pdf|png|jpe?g)$/.test(nameLower);
+        if (!tipoValido) return `${file.name}: solo se permiten PDF o imágenes (PNG, JPG)`;
+        if (file.size > this.ADJUNTO_MAX_BYTES) {
+            return `${file.name}: supera el máximo de ${PoliticaInternaManager.formatBytes(this.ADJUNTO_MAX_BYTES)}`;
+        }
+        return null;
+    }
+
+    static _mimeAdjunto(file) {
+        if (this.ADJUNTO_TIPOS.includes(file.type)) return file.type;
+        const nameLower = String(file.name || '').toLowerCase();
+        if (nameLower.endsWith('.png')) return 'image/png';
+        if (/\.jpe?g$/.test(nameLower)) return 'image/jpeg';
+        return 'application/pdf';
+    }
+
+    // Adjuntar un archivo (solo el creador o un admin, y solo mientras nadie ha firmado)
+    static async addAttachment(docId, file) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (!this.puedeCambiarAdjuntos(doc)) return { success: false, message: this._motivoAdjuntosBloqueados(doc) };
+            if (!AuthManager.isAdmin() && doc.creadoPor !== user.id) {
+                return { success: false, message: 'Solo el creador del documento o un administrador puede adjuntar archivos' };
+            }
+            const error = this.validarAdjunto(file);
+            if (error) return { success: false, message: error };
+
+            const base64 = await PoliticaInternaManager.fileToBase64Data(file);
+            const adjRef = dbRef.documentAttachments.child(docId).push();
+            const meta = {
+                nombreArchivo: file.name,
+                mimeType: this._mimeAdjunto(file),
+                tamañoBytes: file.size,
+                subidoPor: user.id,
+                subidoPorNombre: user.nombre + ' ' + user.apellido,
+                fecha: new Date().toISOString()
+            };
+
+            // Archivo y metadatos en una sola escritura: no queda uno sin el otro
+            await db.ref().update({
+                [`documentAttachments/${docId}/${adjRef.key}`]: { base64 },
+                [`documents/${docId}/adjuntos/${adjRef.key}`]: meta
+            });
+
+            return { success: true, adjunto: { id: adjRef.key, ...meta } };
+        } catch (error) {
+            console.error('Error adjuntando archivo:', error);
+            return { success: false, message: 'Error al adjuntar: ' + error.message };
+        }
+    }
+
+    /**
+     * Carga el adjunto desde RTDB y devuelve un Blob listo para ver o descargar.
+     */
+    static async getAttachmentBlob(docId, adjId) {
+        const [metaSnap, fileSnap] = await Promise.all([
+            dbRef.documents.child(docId).child('adjuntos').child(adjId).once('value'),
+            dbRef.documentAttachments.child(docId).child(adjId).once('value')
+        ]);
+        if (!metaSnap.exists()) throw new Error('Adjunto no encontrado');
+        if (!fileSnap.exists()) throw new Error('Contenido del adjunto no encontrado');
+        const meta = metaSnap.val();
+        const b64 = fileSnap.val().base64;
+        if (!b64 || typeof b64 !== 'string') throw new Error('Archivo corrupto o incompleto');
+        return {
+            blob: PoliticaInternaManager.base64ToBlob(b64, meta.mimeType),
+            nombreArchivo: meta.nombreArchivo || 'adjunto'
+        };
+    }
+
+    // Quitar un adjunto: queda marcado con quién, cuándo y por qué; el archivo no se borra
+    static async deleteAttachment(docId, adjId, motivo) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (!this.puedeCambiarAdjuntos(doc)) return { success: false, message: this._motivoAdjuntosBloqueados(doc) };
+            if (!AuthManager.isAdmin() && doc.creadoPor !== user.id) {
+                return { success: false, message: 'Solo el creador del documento o un administrador puede quitar adjuntos' };
+            }
+            const adjunto = doc.adjuntos?.[adjId];
+            if (!adjunto || adjunto.eliminacion) return { success: false, message: 'Adjunto no encontrado' };
+            const motivoLimpio = String(motivo || '').trim();
+            if (!motivoLimpio) return { success: false, message: 'Debe indicar el motivo por el que se quita el adjunto' };
+
+            const eliminacion = {
+                motivo: motivoLimpio,
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                fecha: new Date().toISOString()
+            };
+            await dbRef.documents.child(docId).child('adjuntos').child(adjId).child('eliminacion').set(eliminacion);
+            return { success: true, eliminacion };
         } catch (error) {
-            console.error('Error actualizando documento:', error);
+            console.error('Error eliminando adjunto:', error);
+            return { success: false, message: 'Error al quitar el adjunto: ' + error.message };
+        }
+    }
+
+    // ========================================================
+    // LECTURAS (documentReads/{docId}/{uid}: primera vez que cada
+    // destinatario abre el documento publicado)
+    // ========================================================
+
+    // ¿El usuario es destinatario? creador: perfil de quien emitió el documento
+    // (necesario cuando "Para" es "todas mis áreas" del encargado)
+    static esDestinatario(doc, user, creador = null) {
+        if (!doc || !user || user.id === doc.creadoPor) return false;
+        if (this.firmasRequeridasIncluyeUsuario(doc.firmasRequeridas, user.id)) return true;
+        // Documentos entregados a una persona (constancias) o emitidos en lote no son para todo su departamento
+        if (doc.entregadoA) return doc.entregadoA === user.id;
+        if (doc.loteId) return false;
+        if (doc.para === 'TODOS') return true;
+        if (typeof DOC_PARA_ENCARGADO_TODAS_AREAS !== 'undefined' && doc.para === DOC_PARA_ENCARGADO_TODAS_AREAS) {
+            return !!creador && AuthManager.getDepartamentosEncargado(creador).includes(user.departamento);
+        }
+        return !!doc.para && doc.para === user.departamento;
+    }
+
+    // Usuarios activos a los que va dirigido el documento (sin el creador)
+    static getDestinatarios(doc, users) {
+        const creador = users.find(u => u.id === doc.creadoPor) || null;
+        return users.filter(u => u.activo && this.esDestinatario(doc, u, creador));
+    }
+
+    // Registrar la primera lectura del usuario actual; las siguientes no cambian la fecha
+    static async registrarLectura(doc) {
+        try {
+            const user = AuthManager.getUser();
+            if (!doc || !user || doc.creadoPor === user.id) return false;
+            if (doc.estado !== 'activo' && doc.estado !== 'anulado') return false;
+            const lectura = { nombre: user.nombre + ' ' + user.apellido, fecha: new Date().toISOString() };
+            const result = await dbRef.documentReads.child(doc.id).child(user.id)
+                .transaction(actual => (actual ? undefined : lectura));
+            return result.committed;
+        } catch (error) {
+            console.error('Error registrando lectura:', error);
             return false;
         }
     }
 
+    // Lecturas del documento: { uid: { nombre, fecha } }
+    static async getLecturas(docId) {
+        try {
+            const snapshot = await dbRef.documentReads.child(docId).once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error obteniendo lecturas:', error);
+            return {};
+        }
+    }
+
     // Eliminar documento (soft delete)
     static async delete(docId) {
         try {
             await dbRef.documents.child(docId).update({ estado: 'eliminado' });
+            const doc = await this.getById(docId);
+            if (doc) await this.syncVerification(doc);
             return true;
         } catch (error) {
             console.error('Error eliminando documento:', error);
@@ -136,6 +1048,49 @@ class DocumentManager {
         }
     }
 
+    // Anular documento: sigue visible (con su motivo) pero deja de ser válido y no admite firmas
+    static async annulDocument(docId, motivo) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.estado !== 'activo') return { success: false, message: 'Solo se pueden anular documentos activos' };
+            if (!AuthManager.isAdmin() && doc.creadoPor !== user.id) {
+                return { success: false, message: 'Solo el creador del documento o un administrador puede anularlo' };
+            }
+            const motivoLimpio = String(motivo || '').trim();
+            if (!motivoLimpio) return { success: false, message: 'Debe indicar el motivo de la anulación' };
+
+            const anulacion = {
+                motivo: motivoLimpio,
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                fecha: new Date().toISOString()
+            };
+            await dbRef.documents.child(docId).update({ estado: 'anulado', anulacion });
+            await this.syncVerification({ ...doc, estado: 'anulado', anulacion });
+
+            // Avisar a firmantes (y destinatario) que el documento ya no es válido
+            const avisar = [...this.getListaFirmantes(doc.firmasRequeridas), doc.creadoPor, doc.entregadoA]
+                .filter((uid, i, arr) => uid && uid !== user.id && arr.indexOf(uid) === i);
+            await Promise.all(avisar.map(uid =>
+                NotificationManager.create({
+                    tipo: 'documento_anulado',
+                    titulo: 'Documento anulado',
+                    mensaje: `El documento ${doc.codigo}: ${doc.titulo} fue anulado. Motivo: ${motivoLimpio}`,
+                    destinatario: uid,
+                    referencia: docId,
+                    referenciaType: 'document'
+                })
+            ));
+
+            return { success: true, anulacion };
+        } catch (error) {
+            console.error('Error anulando documento:', error);
+            return { success: false, message: 'Error al anular: ' + error.message };
+        }
+    }
+
     // Firmar documento
     // verificationCode: código de verificación del documento
     // personalCode: código personal del empleado (ingresado antes de firmar)
@@ -145,21 +1100,32 @@ class DocumentManager {
             const doc = await this.getById(docId);
             if (!doc) return { success: false, message: 'Documento no encontrado' };
 
+            if (doc.estado !== 'activo') return { success: false, message: 'El documento no está vigente y no admite firmas' };
+
             const user = await AuthManager.getUserById(userId);
             if (!user) return { success: false, message: 'Usuario no encontrado' };
 
-            // Verificar que no haya firmado ya
-            const firmas = doc.firmas || {};
-            const firmasArray = Object.values(firmas);
-            if (firmasArray.some(f => f.userId === userId)) {
+            // Verificar que no haya firmado ya la revisión vigente
+            if (this.getFirmasVigentes(doc).some(f => f.userId === userId)) {
                 return { success: false, message: 'Ya ha firmado este documento' };
             }
+            if (this.getRechazoDeUsuario(doc, userId)) {
+                return { success: false, message: 'Rechazó la firma de esta revisión del documento' };
+            }
 
             // Verificar código
             if (verificationCode !== doc.verificacionCode) {
                 return { success: false, message: 'Código de verificación incorrecto' };
             }
 
+            // Firma en orden: solo puede firmar quien está en turno
+            const turno = this.getTurnoFirma(doc, userId);
+            if (turno && !turno.enTurno) {
+                const siguiente = await AuthManager.getUserById(turno.siguiente);
+                const nombreSiguiente = siguiente ? `${siguiente.nombre} ${siguiente.apellido}` : 'el firmante anterior';
+                return { success: false, message: `Aún no es su turno de firmar. Falta la firma de ${nombreSiguiente}.` };
+            }
+
             const firma = {
                 userId: userId,
                 nombre: user.nombre + ' ' + user.apellido,
@@ -167,24 +1133,49 @@ class DocumentManager {
                 departamento: user.departamento,
                 fecha: new Date().toISOString(),
                 codigoVerificacion: generateVerificationCode(),
+                revision: this.getRevisionActual(doc),
                 // Datos adicionales para la firma manuscrita
                 codigoPersonal: personalCode || null,
                 firmaDibujo: signatureImage || null
             };
 
-            // Agregar firma al documento
+            // Agregar firma al documento; firmaron/{uid} apunta a ella para que las reglas comprueben el orden
             const firmaRef = dbRef.documents.child(docId).child('firmas').push();
-            await firmaRef.set(firma);
+            await dbRef.documents.child(docId).update({
+                [`firmas/${firmaRef.key}`]: firma,
+                [`firmaron/${userId}`]: firmaRef.key
+            });
+            await dbRef.documentVerifications.child(doc.verificacionCode).child('firmas').child(firmaRef.key)
+                .set(this._proyectarFirma(firma))
+                .catch(err => console.error('Error actualizando verificación pública:', err));
 
             // Notificar al creador
-            await NotificationManager.create({
-                tipo: 'documento_firmado',
-                titulo: 'Documento firmado',
-                mensaje: `${firma.nombre} ha firmado el documento ${doc.codigo}`,
-                destinatario: doc.creadoPor,
-                referencia: docId,
-                referenciaType: 'document'
-            });
+            if (doc.creadoPor !== userId) {
+                await NotificationManager.create({
+                    tipo: 'documento_firmado',
+                    titulo: 'Documento firmado',
+                    mensaje: `${firma.nombre} ha firmado el documento ${doc.codigo}`,
+                    destinatario: doc.creadoPor,
+                    referencia: docId,
+                    referenciaType: 'document'
+                });
+            }
+
+            // Firma en orden: avisar al siguiente de la ruta
+            if (doc.ordenFirma) {
+                const firmado = { ...doc, firmas: { ...(doc.firmas || {}), [firmaRef.key]: firma } };
+                const siguiente = this.getSiguienteFirmante(firmado);
+                if (siguiente) {
+                    await NotificationManager.create({
+                        tipo: 'firma_requerida',
+                        titulo: 'Firma requerida',
+                        mensaje: `Es su turno de firmar el documento ${doc.codigo}: ${doc.titulo}`,
+                        destinatario: siguiente,
+                        referencia: docId,
+                        referenciaType: 'document'
+                    });
+                }
+            }
 
             return { success: true, firma };
         } catch (error) {
@@ -193,22 +1184,329 @@ class DocumentManager {
         }
     }
 
-    // Buscar documentos
-    static async search(query) {
-        const docs = await this.getAll();
-        const activeDocs = docs.filter(d => d.estado === 'activo');
-        const q = query.toLowerCase();
-        return activeDocs.filter(d =>
-            d.titulo.toLowerCase().includes(q) ||
-            d.codigo.toLowerCase().includes(q) ||
-            d.tipoNombre.toLowerCase().includes(q) ||
-            d.creadoPorNombre.toLowerCase().includes(q)
-        );
+    // ========================================================
+    // RECHAZO DE FIRMA / ANULACIÓN DE FIRMAS
+    // rechazos/{id}: el firmante deja constancia de que no firma y por qué.
+    // firmasAnuladas/{firmaId}: firma retirada por un admin, con su auditoría.
+    // ========================================================
+
+    // Rechazos sobre la revisión vigente (una nueva revisión vuelve a pedir la firma)
+    static getRechazosVigentes(doc) {
+        const revision = this.getRevisionActual(doc);
+        return Object.entries(doc?.rechazos || {})
+            .map(([id, r]) => ({ id, ...r }))
+            .filter(r => (Number(r.revision) || 1) === revision)
+            .sort((a, b) => String(a.fecha || '').localeCompare(String(b.fecha || '')));
+    }
+
+    static getRechazoDeUsuario(doc, userId) {
+        return this.getRechazosVigentes(doc).find(r => r.userId === userId) || null;
+    }
+
+    // Firmas retiradas por un admin, más recientes primero
+    static getFirmasAnuladas(doc) {
+        return Object.entries(doc?.firmasAnuladas || {})
+            .map(([id, f]) => ({ id, ...f }))
+            .sort((a, b) => String(b.anulacion?.fecha || '').localeCompare(String(a.anulacion?.fecha || '')));
+    }
+
+    // El firmante requerido rechaza firmar la revisión vigente (motivo obligatorio)
+    static async rejectSignature(docId, motivo) {
+        try {
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.estado !== 'activo') return { success: false, message: 'El documento no está vigente' };
+            if (!this.firmasRequeridasIncluyeUsuario(doc.firmasRequeridas, user.id)) {
+                return { success: false, message: 'Solo los firmantes requeridos pueden rechazar la firma' };
+            }
+            if (this.getFirmasVigentes(doc).some(f => f.userId === user.id)) {
+                return { success: false, message: 'Ya firmó este documento' };
+            }
+            if (this.getRechazoDeUsuario(doc, user.id)) {
+                return { success: false, message: 'Ya rechazó la firma de esta revisión' };
+            }
+            const motivoLimpio = String(motivo || '').trim();
+            if (!motivoLimpio) return { success: false, message: 'Debe indicar el motivo del rechazo' };
+            if (motivoLimpio.length > 1000) return { success: false, message: 'El motivo no puede superar 1000 caracteres' };
+
+            const rechazo = {
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                rol: user.rol,
+                departamento: user.departamento,
+                motivo: motivoLimpio,
+                fecha: new Date().toISOString(),
+                revision: this.getRevisionActual(doc)
+            };
+            await dbRef.documents.child(docId).child('rechazos').push(rechazo);
+
+            if (doc.creadoPor !== user.id) {
+                await NotificationManager.create({
+                    tipo: 'firma_rechazada',
+                    titulo: 'Firma rechazada',
+                    mensaje: `${rechazo.nombre} rechazó firmar el documento ${doc.codigo}. Motivo: ${motivoLimpio}`,
+                    destinatario: doc.creadoPor,
+                    referencia: docId,
+                    referenciaType: 'document'
+                });
+            }
+
+            return { success: true, rechazo };
+        } catch (error) {
+            console.error('Error rechazando firma:', error);
+            return { success: false, message: 'Error al rechazar la firma: ' + error.message };
+        }
+    }
+
+    // Retirar una firma hecha por error (solo admin). La firma pasa a firmasAnuladas
+    // con quién, cuándo y por qué; el firmante puede volver a firmar.
+    static async voidSignature(docId, firmaId, motivo) {
+        try {
+            if (!AuthManager.isAdmin()) return { success: false, message: 'Solo un administrador puede anular firmas' };
+            const user = AuthManager.getUser();
+            const doc = await this.getById(docId);
+            if (!doc) return { success: false, message: 'Documento no encontrado' };
+            if (doc.estado !== 'activo') return { success: false, message: 'Solo se pueden anular firmas de documentos activos' };
+            const firma = doc.firmas?.[firmaId];
+            if (!firma) return { success: false, message: 'Firma no encontrada' };
+            const motivoLimpio = String(motivo || '').trim();
+            if (!motivoLimpio) return { success: false, message: 'Debe indicar el motivo de la anulación' };
+
+            const anulacion = {
+                motivo: motivoLimpio,
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                fecha: new Date().toISOString()
+            };
+            await dbRef.documents.child(docId).update({
+                [`firmas/${firmaId}`]: null,
+                [`firmasAnuladas/${firmaId}`]: { ...firma, anulacion },
+                ...(doc.firmaron?.[firma.userId] === firmaId ? { [`firmaron/${firma.userId}`]: null } : {})
+            });
+            const firmas = { ...doc.firmas };
+            delete firmas[firmaId];
+            await this.syncVerification({ ...doc, firmas });
+
+            if (firma.userId !== user.id) {
+                await NotificationManager.create({
+                    tipo: 'firma_anulada',
+                    titulo: 'Firma anulada',
+                    mensaje: `Su firma en el documento ${doc.codigo} fue anulada por ${anulacion.nombre}. Motivo: ${motivoLimpio}`,
+                    destinatario: firma.userId,
+                    referencia: docId,
+                    referenciaType: 'document'
+                });
+            }
+
+            return { success: true, anulacion };
+        } catch (error) {
+            console.error('Error anulando firma:', error);
+            return { success: false, message: 'Error al anular la firma: ' + error.message };
+        }
+    }
+
+    // ========================================================
+    // VERIFICACIÓN PÚBLICA (documentVerifications/{verificacionCode})
+    // Proyección de solo lectura para verificar.html: sin contenido del
+    // documento, solo datos de identificación y firmantes.
+    // ========================================================
+
+    static _proyectarFirma(firma) {
+        return {
+            nombre: firma.nombre || '',
+            rolNombre: ROLES[firma.rol]?.nombre || firma.rol || '',
+            fecha: firma.fecha,
+            codigoVerificacion: firma.codigoVerificacion,
+            revision: this.getRevisionFirma(firma)
+        };
+    }
+
+    static _nombreDepartamento(depId) {
+        const depsMap = (typeof App !== 'undefined' && App._depsMap) ? App._depsMap : {};
+        return depsMap[depId]?.nombre || DEPARTAMENTOS[depId]?.nombre || depId || '';
+    }
+
+    // Reescribir la proyección pública a partir del documento completo
+    static async syncVerification(doc) {
+        if (!doc?.id || !doc.verificacionCode) return false;
+        try {
+            const firmas = {};
+            Object.entries(doc.firmas || {}).forEach(([firmaId, f]) => {
+                firmas[firmaId] = this._proyectarFirma(f);
+            });
+            await dbRef.documentVerifications.child(doc.verificacionCode).set({
+                docId: doc.id,
+                codigo: doc.codigo,
+                titulo: doc.titulo,
+                departamento: doc.departamento,
+                departamentoNombre: this._nombreDepartamento(doc.departamento),
+                tipoNombre: doc.tipoNombre || '',
+                creadoPorNombre: doc.creadoPorNombre || '',
+                fechaCreacion: doc.fechaCreacion,
+                estado: doc.estado,
+                anulacion: doc.anulacion
+                    ? { motivo: doc.anulacion.motivo, nombre: doc.anulacion.nombre, fecha: doc.anulacion.fecha }
+                    : null,
+                revisionActual: this.getRevisionActual(doc),
+                firmasRequeridas: Array.isArray(doc.firmasRequeridas)
+                    ? doc.firmasRequeridas.length
+                    : Object.keys(doc.firmasRequeridas || {}).length,
+                firmas,
+                fechaActualizacion: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            console.error('Error actualizando verificación pública:', error);
+            return false;
+        }
+    }
+
+    // Documentos creados antes de la verificación pública: crear la proyección si falta
+    static async ensureVerification(doc) {
+        if (!doc?.verificacionCode) return false;
+        try {
+            const snapshot = await dbRef.documentVerifications.child(doc.verificacionCode).once('value');
+            if (snapshot.exists()) return true;
+            return await this.syncVerification(doc);
+        } catch (error) {
+            console.error('Error verificando proyección pública:', error);
+            return false;
+        }
+    }
+
+    // Enlace directo a verificar.html con los códigos ya completados
+    static getVerificationUrl(doc) {
+        const url = new URL('verificar.html', window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('codigo', doc.codigo);
+        url.searchParams.set('v', doc.verificacionCode);
+        if (doc.id) url.searchParams.set('id', doc.id);
+        return url.toString();
+    }
+
+    // Consulta pública: el código del documento debe coincidir con el de verificación
+    static async verifyPublic(codigo, verificacionCode) {
+        const code = String(verificacionCode || '').trim().toUpperCase();
+        const docCode = String(codigo || '').trim().toUpperCase();
+        if (!code || !docCode) return null;
+        try {
+            const snapshot = await dbRef.documentVerifications.child(code).once('value');
+            if (!snapshot.exists()) return null;
+            const data = snapshot.val();
+            if (String(data.codigo || '').toUpperCase() !== docCode) return null;
+            return data;
+        } catch (error) {
+            console.error('Error consultando verificación:', error);
+            return null;
+        }
+    }
+
+    // Buscar documentos: todas las palabras deben aparecer en título, código, tipo, creador,
+    // para, asunto, contenido (sin HTML) o fechas. Sin tildes ni distinción de mayúsculas.
+    // filtros: { departamento, subcategoria, creadoPor, desde, hasta (YYYY-MM-DD), estadoFirma, estado }
+    // docs: lista ya cargada; sin ella se usa la del índice (se lee una sola vez)
+    static async search(query, filtros = {}, docs = null) {
+        const lista = docs || this._docsBusqueda || this.indexarBusqueda(await this.getVisibles());
+        const terminos = this.normalizarTexto(query).split(/\s+/).filter(Boolean);
+        const userId = AuthManager.getUser()?.id;
+        const estado = filtros.estado === undefined ? 'activo' : filtros.estado;
+
+        return lista.filter(d => {
+            if (estado && d.estado !== estado) return false;
+            if (filtros.departamento && d.departamento !== filtros.departamento) return false;
+            if (filtros.subcategoria && d.subcategoria !== filtros.subcategoria) return false;
+            if (filtros.creadoPor && d.creadoPor !== filtros.creadoPor) return false;
+            // desde/hasta son fechas locales; fechaCreacion es ISO en UTC
+            const fecha = d.fechaCreacion ? fechaYMD(new Date(d.fechaCreacion)) : '';
+            if (filtros.desde && fecha < filtros.desde) return false;
+            if (filtros.hasta && fecha > filtros.hasta) return false;
+            if (filtros.estadoFirma && !this._cumpleEstadoFirma(d, filtros.estadoFirma, userId)) return false;
+            if (terminos.length === 0) return true;
+            const texto = this.getTextoBusqueda(d);
+            return terminos.every(t => texto.includes(t));
+        }).sort((a, b) => new Date(b.fechaCreacion) - new Date(a.fechaCreacion));
+    }
+
+    // pendiente | completo | vencido | rechazada | mi_firma (falta la firma del usuario actual)
+    static _cumpleEstadoFirma(doc, estadoFirma, userId) {
+        const requeridos = this.getListaFirmantes(doc.firmasRequeridas);
+        const firmaron = new Set(this.getFirmasVigentes(doc).map(f => f.userId));
+        const faltantes = requeridos.filter(uid => !firmaron.has(uid));
+        switch (estadoFirma) {
+            case 'pendiente': return faltantes.length > 0;
+            case 'completo': return requeridos.length > 0 && faltantes.length === 0;
+            case 'vencido': return !!this.getEstadoPlazoFirma(doc)?.vencido;
+            case 'rechazada': return this.getRechazosVigentes(doc).length > 0;
+            case 'mi_firma': return faltantes.includes(userId) && !this.getRechazoDeUsuario(doc, userId);
+            default: return true;
+        }
+    }
+
+    static normalizarTexto(texto) {
+        return String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    static stripHtml(html) {
+        return String(html || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Texto de búsqueda por documento; se recalcula solo cuando el documento cambia
+    // (revisión, estado o fechaModificacion, que también cambia al editar un borrador)
+    static _indiceBusqueda = new Map();
+    static _docsBusqueda = null;
+
+    /**
+     * Arma el índice con la lista cargada al abrir Documentos: solo calcula los documentos nuevos
+     * o modificados y descarta los que ya no están. Las búsquedas siguientes solo lo consultan.
+     */
+    static indexarBusqueda(docs) {
+        const ids = new Set(docs.map(d => d.id));
+        [...this._indiceBusqueda.keys()].filter(id => !ids.has(id)).forEach(id => this._indiceBusqueda.delete(id));
+        docs.forEach(d => this.getTextoBusqueda(d));
+        this._docsBusqueda = docs;
+        return docs;
+    }
+
+    static getTextoBusqueda(doc) {
+        const clave = `${doc.id}:${this.getRevisionActual(doc)}:${doc.estado}:${doc.fechaModificacion || ''}`;
+        const cache = this._indiceBusqueda.get(doc.id);
+        if (cache && cache.clave === clave) return cache.texto;
+
+        const creacion = doc.fechaCreacion ? fechaYMD(new Date(doc.fechaCreacion)) : null;
+        const fechas = [creacion, doc.fechaLimiteFirma].filter(Boolean).map(f => {
+            const [anio, mes, dia] = String(f).slice(0, 10).split('-');
+            return `${anio}-${mes}-${dia} ${dia}/${mes}/${anio}`;
+        });
+        const texto = this.normalizarTexto([
+            doc.codigo,
+            doc.titulo,
+            doc.tipoNombre,
+            doc.creadoPorNombre,
+            doc.para,
+            doc.para && doc.para !== 'TODOS' ? this._nombreDepartamento(doc.para) : 'todos',
+            doc.de,
+            doc.asunto,
+            this.stripHtml(doc.contenido),
+            ...fechas
+        ].filter(Boolean).join(' '));
+        this._indiceBusqueda.set(doc.id, { clave, texto });
+        return texto;
     }
 
     // Estadísticas
-    static async getStats() {
-        const docs = (await this.getAll()).filter(d => d.estado === 'activo');
+    static async getStats(visibles = null) {
+        const docs = (visibles || await this.getVisibles()).filter(d => d.estado === 'activo');
         const byDep = {};
         Object.keys(DEPARTAMENTOS).forEach(key => {
             byDep[key] = docs.filter(d => d.departamento === key).length;
@@ -220,6 +1518,371 @@ class DocumentManager {
         };
     }
 
+    /**
+     * firmantes/{uid}: true — los mismos uids que firmasRequeridas, indexados por uid
+     * para que las reglas comprueben con hasChild(auth.uid) (el array usa claves 0, 1, …).
+     */
+    static mapaFirmantes(firmasRequeridas) {
+        const mapa = {};
+        this.getListaFirmantes(firmasRequeridas).forEach(uid => { mapa[uid] = true; });
+        return mapa;
+    }
+
+    /**
+     * firmanteAnterior/{uid}: uid que firma justo antes en la ruta ('' para el primero). Con ordenFirma
+     * las reglas solo aceptan la firma si la de ese uid (firmaron/{uid}) es de la misma revisión.
+     */
+    static mapaFirmanteAnterior(firmasRequeridas) {
+        const mapa = {};
+        this.getListaFirmantes(firmasRequeridas).forEach((uid, i, ruta) => { mapa[uid] = i === 0 ? '' : ruta[i - 1]; });
+        return mapa;
+    }
+
+    /** firmaron/{uid}: id de la firma más reciente de cada firmante, para documentos anteriores a ese campo. */
+    static mapaFirmaron(doc) {
+        const mapa = {};
+        Object.entries(doc?.firmas || {})
+            .sort(([, a], [, b]) => this.getRevisionFirma(a) - this.getRevisionFirma(b) || String(a.fecha || '').localeCompare(String(b.fecha || '')))
+            .forEach(([firmaId, f]) => { if (f.userId) mapa[f.userId] = firmaId; });
+        return mapa;
+    }
+
+    // ========================================================
+    // ÍNDICES DE VISIBILIDAD (documentsIndex/{uid}/{docId}: creador,
+    // revisores, firmantes y destinatario; documentsByArea/{área|TODOS}/{docId}:
+    // publicados dirigidos a un área). Quien no es admin lista por ellos.
+    // ========================================================
+
+    // Rutas (valor true) que hacen visible el documento; creador: su perfil, para "todas mis áreas"
+    static _rutasIndice(docId, doc, creador = null) {
+        const rutas = {};
+        const usuarios = [doc.creadoPor, ...Object.keys(doc.revisores || {})];
+        if (!this.esBorrador(doc)) usuarios.push(...this.getListaFirmantes(doc.firmasRequeridas), doc.entregadoA);
+        usuarios.filter(Boolean).forEach(uid => { rutas[`documentsIndex/${uid}/${docId}`] = true; });
+        this._areasDestino(doc, creador).forEach(area => { rutas[`documentsByArea/${area}/${docId}`] = true; });
+        return rutas;
+    }
+
+    // Áreas que ven el documento publicado por su "Para" (los entregados a una persona o de un lote, ninguna)
+    static _areasDestino(doc, creador = null) {
+        if (this.esBorrador(doc) || doc.entregadoA || doc.loteId || !doc.para) return [];
+        if (typeof DOC_PARA_ENCARGADO_TODAS_AREAS !== 'undefined' && doc.para === DOC_PARA_ENCARGADO_TODAS_AREAS) {
+            return creador ? AuthManager.getDepartamentosEncargado(creador) : [];
+        }
+        return [doc.para];
+    }
+
+    static async _getCreador(doc) {
+        const user = AuthManager.getUser();
+        return user && user.id === doc.creadoPor ? user : AuthManager.getUserById(doc.creadoPor);
+    }
+
+    // Clave en migraciones/ de completarIndices (los documentos nuevos ya escriben sus índices al crearse)
+    static MIGRACION_INDICES = 'indicesDocumentos';
+
+    /** Última ejecución de completarIndices ({ fecha, userId, nombre, cambios } o null). */
+    static async getMigracionIndices() {
+        const snapshot = await dbRef.migraciones.child(this.MIGRACION_INDICES).once('value');
+        return snapshot.val();
+    }
+
+    /**
+     * Migración única al actualizar: completa lo que falta en documentos anteriores a firmantes/,
+     * firmanteAnterior/, firmaron/, documentCodes y los índices de visibilidad (sin ella sus firmantes
+     * y destinatarios no los ven). La ejecuta un admin desde Contadores y queda registrada en
+     * migraciones/indicesDocumentos. Retorna { success, cambios }.
+     */
+    static async completarIndices() {
+        if (!AuthManager.isAdmin()) return { success: false, message: 'Solo un administrador puede migrar los documentos' };
+        try {
+            const [docs, usuarios, indice, porArea, codigos] = await Promise.all([
+                this.getAll(),
+                AuthManager.getAllUsers(),
+                dbRef.documentsIndex.once('value'),
+                dbRef.documentsByArea.once('value'),
+                dbRef.documentCodes.once('value')
+            ]);
+            const existentes = { documentsIndex: indice.val() || {}, documentsByArea: porArea.val() || {} };
+            const codigosUsados = codigos.val() || {};
+            const porId = {};
+            usuarios.forEach(u => { porId[u.id] = u; });
+
+            const updates = {};
+            docs.filter(d => d.estado !== 'eliminado').forEach(d => {
+                if (!d.firmantes && this.getListaFirmantes(d.firmasRequeridas).length > 0) {
+                    updates[`documents/${d.id}/firmantes`] = this.mapaFirmantes(d.firmasRequeridas);
+                }
+                if (d.ordenFirma && !d.firmanteAnterior && this.getListaFirmantes(d.firmasRequeridas).length > 0) {
+                    updates[`documents/${d.id}/firmanteAnterior`] = this.mapaFirmanteAnterior(d.firmasRequeridas);
+                }
+                if (!d.firmaron && d.firmas) updates[`documents/${d.id}/firmaron`] = this.mapaFirmaron(d);
+                const claveCodigo = String(d.codigo || '').replace(/\./g, '_');
+                if (claveCodigo && !codigosUsados[claveCodigo] && !updates[`documentCodes/${claveCodigo}`]) {
+                    updates[`documentCodes/${claveCodigo}`] = d.id;
+                }
+                Object.keys(this._rutasIndice(d.id, d, porId[d.creadoPor])).forEach(ruta => {
+                    const [raiz, clave] = ruta.split('/');
+                    if (!existentes[raiz][clave]?.[d.id]) updates[ruta] = true;
+                });
+            });
+            const cambios = Object.keys(updates).length;
+            const user = AuthManager.getUser();
+            updates[`migraciones/${this.MIGRACION_INDICES}`] = {
+                fecha: new Date().toISOString(),
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                cambios
+            };
+            await db.ref().update(updates);
+            return { success: true, cambios };
+        } catch (error) {
+            console.error('Error migrando documentos anteriores:', error);
+            return { success: false, message: 'Error al migrar los documentos: ' + error.message };
+        }
+    }
+
+    /** Lista ordenada de uids en firmasRequeridas (array u objeto de Firebase). */
+    static getListaFirmantes(firmasRequeridas) {
+        if (!firmasRequeridas) return [];
+        if (Array.isArray(firmasRequeridas)) return firmasRequeridas.filter(Boolean);
+        if (typeof firmasRequeridas === 'object') {
+            return Object.entries(firmasRequeridas)
+                .map(([key, val]) => (val === true ? key : val))
+                .filter(uid => typeof uid === 'string' && uid);
+        }
+        return [];
+    }
+
+    /** Primer firmante de la ruta sin firma sobre la revisión vigente (null si no hay orden o ya firmaron todos). */
+    static getSiguienteFirmante(doc) {
+        if (!doc?.ordenFirma) return null;
+        const firmaron = new Set(this.getFirmasVigentes(doc).map(f => f.userId));
+        return this.getListaFirmantes(doc.firmasRequeridas).find(uid => !firmaron.has(uid)) || null;
+    }
+
+    /**
+     * Turno de un usuario en la ruta de firmas. null si el documento no tiene
+     * orden o el usuario no está en la ruta (p. ej. el creador).
+     */
+    static getTurnoFirma(doc, userId) {
+        if (!doc?.ordenFirma) return null;
+        const ruta = this.getListaFirmantes(doc.firmasRequeridas);
+        const posicion = ruta.indexOf(userId);
+        if (posicion === -1) return null;
+        const siguiente = this.getSiguienteFirmante(doc);
+        return { posicion: posicion + 1, total: ruta.length, siguiente, enTurno: siguiente === userId };
+    }
+
+    /** Firmantes requeridos que aún no firman la revisión vigente (en orden de ruta). */
+    static getFirmantesPendientes(doc) {
+        const firmaron = new Set(this.getFirmasVigentes(doc).map(f => f.userId));
+        return this.getListaFirmantes(doc?.firmasRequeridas).filter(uid => !firmaron.has(uid));
+    }
+
+    // ========================================================
+    // PLAZO DE FIRMA
+    // ========================================================
+
+    static _hoyISO() {
+        const d = new Date();
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Estado del plazo de firma: null si no tiene fecha límite o ya firmaron todos.
+     * { fechaLimite, diasRestantes, vencido, proximo }
+     */
+    static getEstadoPlazoFirma(doc) {
+        if (!doc?.fechaLimiteFirma || doc.estado !== 'activo') return null;
+        if (this.getFirmantesPendientes(doc).length === 0) return null;
+        const hoy = new Date(this._hoyISO() + 'T12:00:00');
+        const limite = new Date(doc.fechaLimiteFirma + 'T12:00:00');
+        const diasRestantes = Math.round((limite - hoy) / 86400000);
+        return {
+            fechaLimite: doc.fechaLimiteFirma,
+            diasRestantes,
+            vencido: diasRestantes < 0,
+            proximo: diasRestantes >= 0 && diasRestantes <= this.DIAS_RECORDATORIO_FIRMA
+        };
+    }
+
+    /**
+     * Recordatorios de firma (se ejecuta al cargar la app por admins y encargados).
+     * Idempotente por día: signatureReminders/{docId}/{fecha} se reclama con una
+     * transacción y solo quien la gana envía las notificaciones de ese documento.
+     */
+    static async runSignatureReminders() {
+        const user = AuthManager.getUser();
+        if (!user || !AuthManager.isEncargado()) return 0;
+
+        try {
+            const hoy = this._hoyISO();
+            const docs = (await this.getVisibles()).filter(d => {
+                if (!AuthManager.isAdmin() && d.creadoPor !== user.id) return false;
+                const plazo = this.getEstadoPlazoFirma(d);
+                return !!plazo && (plazo.proximo || plazo.vencido);
+            });
+
+            let enviados = 0;
+            for (const doc of docs) {
+                const result = await dbRef.signatureReminders.child(doc.id).child(hoy)
+                    .transaction(current => (current ? undefined : true));
+                if (!result.committed) continue;
+
+                const plazo = this.getEstadoPlazoFirma(doc);
+                // Quien rechazó la firma no recibe recordatorios (y en orden, la ruta queda detenida)
+                const rechazaron = new Set(this.getRechazosVigentes(doc).map(r => r.userId));
+                const pendientes = (doc.ordenFirma
+                    ? this.getFirmantesPendientes(doc).slice(0, 1)
+                    : this.getFirmantesPendientes(doc)).filter(uid => !rechazaron.has(uid));
+                const cuando = plazo.vencido
+                    ? `venció el ${formatDate(plazo.fechaLimite)}`
+                    : plazo.diasRestantes === 0
+                        ? 'vence hoy'
+                        : `vence el ${formatDate(plazo.fechaLimite)}`;
+
+                await Promise.all(pendientes.map(uid =>
+                    NotificationManager.create({
+                        tipo: 'firma_requerida',
+                        titulo: 'Recordatorio de firma',
+                        mensaje: `El plazo para firmar el documento ${doc.codigo}: ${doc.titulo} ${cuando}.`,
+                        destinatario: uid,
+                        referencia: doc.id,
+                        referenciaType: 'document'
+                    })
+                ));
+                enviados += pendientes.length;
+            }
+            return enviados;
+        } catch (error) {
+            console.warn('DocumentManager runSignatureReminders:', error);
+            return 0;
+        }
+    }
+
+    // ========================================================
+    // PLANTILLAS (PLANTILLAS_DOCUMENTO en data.js)
+    // ========================================================
+
+    static getPlantillas(departamento, categoria, subcategoria) {
+        if (typeof PLANTILLAS_DOCUMENTO === 'undefined') return [];
+        return PLANTILLAS_DOCUMENTO[departamento]?.[categoria]?.[subcategoria] || [];
+    }
+
+    static getPlantilla(departamento, categoria, subcategoria, plantillaId) {
+        return this.getPlantillas(departamento, categoria, subcategoria).find(p => p.id === plantillaId) || null;
+    }
+
+    /** Valores de las variables {{...}} a partir del perfil del destinatario. */
+    static contextoPlantilla(empleado, remitente = AuthManager.getUser(), extra = {}) {
+        const nombreCompleto = (u) => u ? `${u.nombre || ''} ${u.apellido || ''}`.trim() : '';
+        const salario = Number(empleado?.salario);
+        return {
+            'dirigidoA': 'A quien interese',
+            'empleado.nombre': nombreCompleto(empleado),
+            'empleado.cedula': empleado?.cedula || '',
+            'empleado.puesto': empleado?.puesto || '',
+            'empleado.fechaIngreso': empleado?.fechaIngreso ? formatDate(empleado.fechaIngreso) : '',
+            'empleado.departamento': empleado?.departamento ? this._nombreDepartamento(empleado.departamento) : '',
+            'empleado.salario': salario > 0
+                ? `₡${salario.toLocaleString('es-CR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+                : '',
+            'fecha': formatDate(this._hoyISO()),
+            'remitente.nombre': nombreCompleto(remitente),
+            ...Object.fromEntries(Object.entries(extra).filter(([, v]) => v))
+        };
+    }
+
+    /** Variables usadas en el texto que no tienen valor en el contexto. */
+    static variablesFaltantes(texto, contexto) {
+        const faltantes = new Set();
+        String(texto || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, clave) => {
+            if (!contexto[clave]) faltantes.add(clave);
+            return m;
+        });
+        return Array.from(faltantes);
+    }
+
+    /**
+     * Sustituye {{variable}} por su valor. En HTML los valores se escapan;
+     * las variables sin valor quedan como línea en blanco para completarlas a mano.
+     */
+    static rellenarPlantilla(texto, contexto, html = true) {
+        const escapar = (v) => String(v)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        return String(texto || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, clave) => {
+            const valor = contexto[clave];
+            if (!valor) return '__________';
+            return html ? escapar(valor) : String(valor);
+        });
+    }
+
+    // ========================================================
+    // CONSTANCIAS (solicitud 'constancia' aprobada por RRHH)
+    // ========================================================
+
+    static getSubcategoriaConstancia(req) {
+        const cfg = SOLICITUD_CONSTANCIA_CONFIG;
+        return req?.datos?.tipo_constancia === 'salarial' ? cfg.subcategorias.salarial : cfg.subcategorias.laboral;
+    }
+
+    /** Datos del perfil que faltan para emitir la constancia (cédula, puesto, ingreso, salario). */
+    static faltantesConstancia(req, empleado) {
+        const faltantes = [];
+        if (!empleado?.cedula) faltantes.push('cédula');
+        if (!empleado?.puesto) faltantes.push('puesto');
+        if (!empleado?.fechaIngreso) faltantes.push('fecha de ingreso');
+        if (this.getSubcategoriaConstancia(req) === SOLICITUD_CONSTANCIA_CONFIG.subcategorias.salarial && !(Number(empleado?.salario) > 0)) {
+            faltantes.push('salario');
+        }
+        return faltantes;
+    }
+
+    /**
+     * Emite la constancia RH-300-7.x a partir de la plantilla y el perfil del solicitante, con el
+     * id reservado en la solicitud (si ya existe, la retoma). Quien aprueba en RRHH queda como
+     * creador y firmante, con la firma dibujada al aprobar.
+     * Devuelve { doc, errorFirma }: errorFirma si el documento quedó emitido sin esa firma.
+     */
+    static async crearConstancia(req, empleado, firmaDibujo, docId) {
+        const cfg = SOLICITUD_CONSTANCIA_CONFIG;
+        const user = AuthManager.getUser();
+
+        // Reintento: el documento ya se emitió en un intento anterior; solo falta, quizá, la firma
+        const existente = await this.getById(docId);
+        if (existente) {
+            if (this.getFirmasVigentes(existente).some(f => f.userId === user.id)) return { doc: existente, errorFirma: null };
+            const firmado = await this.signDocument(docId, user.id, existente.verificacionCode, null, firmaDibujo);
+            return { doc: existente, errorFirma: firmado.success ? null : firmado.message };
+        }
+
+        const subcategoria = this.getSubcategoriaConstancia(req);
+        const plantilla = this.getPlantillas(cfg.deptoRRHH, cfg.categoria, subcategoria)[0];
+        if (!plantilla) throw new Error(`No hay plantilla para la constancia ${subcategoria}`);
+
+        const contexto = this.contextoPlantilla(empleado, user, { dirigidoA: req.datos?.dirigido_a });
+        const doc = await this.create({
+            departamento: cfg.deptoRRHH,
+            categoria: cfg.categoria,
+            subcategoria,
+            tipoNombre: DEPARTAMENTOS[cfg.deptoRRHH]?.categorias?.[cfg.categoria]?.subcategorias?.[subcategoria] || plantilla.nombre,
+            titulo: this.rellenarPlantilla(plantilla.titulo, contexto, false),
+            para: empleado.departamento || '',
+            de: `${user.nombre} ${user.apellido}`,
+            asunto: this.rellenarPlantilla(plantilla.asunto, contexto, false),
+            contenido: this.rellenarPlantilla(plantilla.contenido, contexto),
+            firmasRequeridas: [user.id],
+            entregadoA: empleado.id,
+            solicitudOrigen: req.id
+        }, docId);
+
+        const firmado = await this.signDocument(doc.id, user.id, doc.verificacionCode, null, firmaDibujo);
+        return { doc, errorFirma: firmado.success ? null : firmado.message };
+    }
+
     /** Incluye uid si firmasRequeridas es array u objeto (Firebase). */
     static firmasRequeridasIncluyeUsuario(firmasRequeridas, userId) {
         if (!firmasRequeridas || !userId) return false;
@@ -231,8 +1894,9 @@ class DocumentManager {
         return false;
     }
 
+    // Solo entre los documentos que puede ver quien consulta
     static async getActivosRequiriendoFirmaDe(userId) {
-        const all = await this.getAll();
+        const all = await this.getVisibles();
         return all
             .filter((d) => d.estado === 'activo' && this.firmasRequeridasIncluyeUsuario(d.firmasRequeridas, userId))
             .sort((a, b) => String(b.fechaCreacion || '').localeCompare(String(a.fechaCreacion || '')));
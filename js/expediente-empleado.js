@@ -2,6 +2,7 @@
 // EXPEDIENTE-EMPLEADO.JS — Expediente digital (solo admin)
 // Veterinaria San Martín de Porres
 // Currículum PDF en nodo aparte (Base64); registros HR en RTDB
+// Incapacidades: se leen de las solicitudes de tipo INCAPACIDAD_CONFIG.tipo
 // ============================================================
 
 class ExpedienteEmpleadoManager {
@@ -34,6 +35,28 @@ class ExpedienteEmpleadoManager {
         }
     }
 
+    /** Incapacidades aprobadas o en trámite y días naturales aprobados por entidad en el año en curso */
+    static async getIncapacidades(uid) {
+        const vacio = { incapacidades: [], diasAnioPorEntidad: {} };
+        if (!uid) return vacio;
+        try {
+            const incapacidades = RequestManager.filtrarIncapacidades(await RequestManager.getByUser(uid));
+            const anio = String(new Date().getFullYear());
+            const diasAnioPorEntidad = {};
+            incapacidades.filter(r => r.estado === 'aprobada').forEach((r) => {
+                const desde = r.datos.fecha_inicio > `${anio}-01-01` ? r.datos.fecha_inicio : `${anio}-01-01`;
+                const hasta = r.datos.fecha_fin < `${anio}-12-31` ? r.datos.fecha_fin : `${anio}-12-31`;
+                if (desde > hasta) return;
+                const entidad = r.datos.entidad_emisora || '';
+                diasAnioPorEntidad[entidad] = (diasAnioPorEntidad[entidad] || 0) + RequestManager.calcDiasNaturales(desde, hasta);
+            });
+            return { incapacidades, diasAnioPorEntidad };
+        } catch (e) {
+            console.error('ExpedienteEmpleadoManager.getIncapacidades:', e);
+            return vacio;
+        }
+    }
+
     static async getPdfBlob(uid) {
         const [metaSnap, fileSnap] = await Promise.all([
             dbRef.expedientesEmpleado.child(uid).child('curriculum').once('value'),
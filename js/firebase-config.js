@@ -29,9 +29,27 @@ const db = firebase.database();
 const dbRef = {
     users: db.ref('users'),
     documents: db.ref('documents'),
+    documentRevisions: db.ref('documentRevisions'),
+    documentVerifications: db.ref('documentVerifications'),
+    pdfVerifications: db.ref('pdfVerifications'),
+    documentAttachments: db.ref('documentAttachments'),
+    documentCodes: db.ref('documentCodes'),
+    documentComments: db.ref('documentComments'),
+    documentReads: db.ref('documentReads'),
+    documentBatches: db.ref('documentBatches'),
+    documentsIndex: db.ref('documentsIndex'),
+    documentsByArea: db.ref('documentsByArea'),
+    signatureReminders: db.ref('signatureReminders'),
     requests: db.ref('requests'),
+    requestAttachments: db.ref('requestAttachments'),
+    flujosSolicitudCatalog: db.ref('flujosSolicitudCatalog'),
+    solicitudesEscaladas: db.ref('solicitudesEscaladas'),
+    calendarioLaboral: db.ref('calendarioLaboral'),
+    delegaciones: db.ref('delegaciones'),
+    delegacionesVigentes: db.ref('delegacionesVigentes'),
     notifications: db.ref('notifications'),
     counters: db.ref('counters'),
+    migraciones: db.ref('migraciones'),
     departamentos: db.ref('departamentos'),
     sanctionFollowups: db.ref('sanctionFollowups'),
     sanctionFollowupsByCreator: db.ref('sanctionFollowupsByCreator'),
@@ -123,9 +123,18 @@ class NotificationManager {
         const icons = {
             'firma_requerida': 'fas fa-signature',
             'documento_firmado': 'fas fa-check-circle',
+            'firma_rechazada': 'fas fa-times-circle',
+            'firma_anulada': 'fas fa-eraser',
+            'documento_anulado': 'fas fa-ban',
+            'codigo_duplicado': 'fas fa-hashtag',
+            'revision_solicitada': 'fas fa-user-check',
+            'revision_respondida': 'fas fa-clipboard-check',
+            'comentario_documento': 'fas fa-comments',
             'solicitud_nueva': 'fas fa-bell',
             'solicitud_aprobada': 'fas fa-thumbs-up',
             'solicitud_rechazada': 'fas fa-thumbs-down',
+            'solicitud_escalada': 'fas fa-hourglass-end',
+            'delegacion': 'fas fa-user-friends',
             'general': 'fas fa-info-circle'
         };
         return icons[tipo] || icons['general'];
@@ -135,9 +144,18 @@ class NotificationManager {
         const colors = {
             'firma_requerida': '#1565c0',
             'documento_firmado': '#2e7d32',
+            'firma_rechazada': '#c62828',
+            'firma_anulada': '#f57f17',
+            'documento_anulado': '#c62828',
+            'codigo_duplicado': '#f57f17',
+            'revision_solicitada': '#6a1b9a',
+            'revision_respondida': '#1565c0',
+            'comentario_documento': '#00897b',
             'solicitud_nueva': '#f57f17',
             'solicitud_aprobada': '#2e7d32',
             'solicitud_rechazada': '#c62828',
+            'solicitud_escalada': '#d84315',
+            'delegacion': '#00897b',
             'general': '#546e7a'
         };
         return colors[tipo] || colors['general'];
@@ -4,6 +4,237 @@
 // ============================================================
 
 class PDFGenerator {
+    // ========================================================
+    // INTEGRIDAD: QR + huella SHA-256 en el pie de cada página
+    // ========================================================
+
+    // JSON con claves ordenadas: misma entrada → misma huella
+    static _canonicalJSON(value) {
+        if (value === undefined) return 'null';
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) return `[${value.map(v => this._canonicalJSON(v)).join(',')}]`;
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${this._canonicalJSON(value[k])}`).join(',')}}`;
+    }
+
+    // SHA-256 en hex; null si el navegador no expone crypto.subtle (contexto no seguro)
+    static async sha256Hex(text) {
+        if (!window.crypto?.subtle) return null;
+        const bytes = new TextEncoder().encode(text);
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Huella del contenido del documento y de las firmas sobre la revisión vigente
+    static async computeDocumentFingerprint(doc) {
+        const firmas = DocumentManager.getFirmasVigentes(doc)
+            .map(f => ({
+                userId: f.userId,
+                nombre: f.nombre,
+                fecha: f.fecha,
+                codigoVerificacion: f.codigoVerificacion,
+                revision: DocumentManager.getRevisionFirma(f),
+                firmaDibujo: f.firmaDibujo || null
+            }))
+            .sort((a, b) => String(a.fecha).localeCompare(String(b.fecha)));
+        return this.sha256Hex(this._canonicalJSON({
+            tipo: 'documento',
+            id: doc.id,
+            codigo: doc.codigo,
+            verificacionCode: doc.verificacionCode,
+            revision: DocumentManager.getRevisionActual(doc),
+            titulo: doc.titulo,
+            para: doc.para || '',
+            de: doc.de || '',
+            asunto: doc.asunto || '',
+            contenido: doc.contenido,
+            firmas
+        }));
+    }
+
+    static async computeRequestFingerprint(req) {
+        const huella = {
+            tipo: 'solicitud',
+            id: req.id,
+            tipoSolicitud: req.tipo,
+            solicitante: req.solicitante,
+            fechaSolicitud: req.fechaSolicitud,
+            estado: req.estado,
+            datos: req.datos || {},
+            justificacion: req.justificacion || '',
+            firma: req.firma || null,
+            firmaEncargado: null,
+            revisionTI: null,
+            firmaAdmin: null
+        };
+        // Cada firma bajo el campo donde la guardaba su etapa (o su id), para no alterar huellas ya emitidas:
+        // esas tres claves van siempre; las de otras etapas (p. ej. RRHH) solo si firmaron
+        RequestManager.getFirmasFlujo(req).forEach(({ etapa, firma }) => {
+            huella[etapa.campo || etapa.id] = firma;
+        });
+        return this.sha256Hex(this._canonicalJSON(huella));
+    }
+
+    // Solo los campos que imprime el PDF: campos nuevos del registro (adjuntos, fechas de edición) no cambian la huella
+    static async computeEvaluacionFingerprint(ev) {
+        return this.sha256Hex(this._canonicalJSON({
+            tipo: 'evaluacion',
+            id: ev.id,
+            tipoEvaluacion: ev.tipo,
+            periodoSemestre: ev.periodoSemestre,
+            fechaEvaluacion: ev.fechaEvaluacion || '',
+            evaluadorId: ev.evaluadorId,
+            evaluadorNombre: ev.evaluadorNombre || '',
+            evaluadoId: ev.evaluadoId,
+            evaluadoNombre: ev.evaluadoNombre || '',
+            evaluadoPuesto: ev.evaluadoPuesto || '',
+            evaluadoDepartamento: ev.evaluadoDepartamento || '',
+            respuestas: ev.respuestas || {},
+            desgloseSecciones: ev.desgloseSecciones || {},
+            puntajeTotal: ev.puntajeTotal ?? null,
+            categoriaResultado: ev.categoriaResultado || '',
+            resultadoSugerido: ev.resultadoSugerido || '',
+            fortalezas: ev.fortalezas || '',
+            areasMejora: ev.areasMejora || '',
+            recomendaciones: ev.recomendaciones || '',
+            decisionAdministrativa: ev.decisionAdministrativa || null,
+            observacionAdministracion: ev.observacionAdministracion || null
+        }));
+    }
+
+    // ---------- Verificación pública de solicitudes y evaluaciones ----------
+    // pdfVerifications/{código}: huella registrada al emitir el PDF. El código son los primeros
+    // 12 caracteres de la huella impresa al pie; el QR lleva a verificar.html?tipo=…&id=…&v=código.
+
+    static codigoVerificacionPDF(huella) {
+        return huella ? huella.slice(0, 12).toUpperCase() : null;
+    }
+
+    static getVerificationUrlPDF(tipo, id, codigo) {
+        const url = new URL('verificar.html', window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('tipo', tipo);
+        url.searchParams.set('id', id);
+        url.searchParams.set('v', codigo);
+        return url.toString();
+    }
+
+    /**
+     * Registra la huella del PDF que se va a emitir (tipo: 'solicitud' | 'evaluacion').
+     * resumen: { titulo, nombre, estado }, lo único que muestra la consulta pública.
+     * Retorna la URL del QR, o null si no hay huella o no se pudo registrar (entonces solo se imprime la huella).
+     */
+    static async registrarVerificacionPDF(tipo, id, huella, resumen = {}) {
+        const codigo = this.codigoVerificacionPDF(huella);
+        if (!codigo || !id) return null;
+        try {
+            const ref = dbRef.pdfVerifications.child(codigo);
+            const existente = await ref.once('value');
+            if (!existente.exists()) {
+                await ref.set({
+                    tipo,
+                    refId: id,
+                    huella,
+                    titulo: resumen.titulo || '',
+                    nombre: resumen.nombre || '',
+                    estado: resumen.estado || '',
+                    fechaEmision: new Date().toISOString()
+                });
+            } else if (existente.val().huella !== huella) {
+                return null;
+            }
+            return this.getVerificationUrlPDF(tipo, id, codigo);
+        } catch (error) {
+            console.error('Error registrando la verificación del PDF:', error);
+            return null;
+        }
+    }
+
+    // Consulta pública: el registro del código debe ser del mismo tipo (y del mismo id, si se indica)
+    static async verifyPublicPDF(tipo, id, codigo) {
+        const code = String(codigo || '').trim().toUpperCase();
+        if (!code) return null;
+        try {
+            const snapshot = await dbRef.pdfVerifications.child(code).once('value');
+            if (!snapshot.exists()) return null;
+            const data = snapshot.val();
+            if (data.tipo !== tipo || (id && data.refId !== id)) return null;
+            return data;
+        } catch (error) {
+            console.error('Error consultando verificación del PDF:', error);
+            return null;
+        }
+    }
+
+    /** Dibuja un QR vectorial (módulos como rectángulos) en la página actual. */
+    static _drawQR(pdf, text, x, y, size) {
+        if (typeof qrcode !== 'function') return false;
+        const qr = qrcode(0, 'M');
+        qr.addData(text);
+        qr.make();
+        const count = qr.getModuleCount();
+        const cell = size / count;
+        pdf.setFillColor(255, 255, 255);
+        pdf.rect(x - 1, y - 1, size + 2, size + 2, 'F');
+        pdf.setFillColor(0, 0, 0);
+        for (let r = 0; r < count; r++) {
+            for (let c = 0; c < count; c++) {
+                if (qr.isDark(r, c)) pdf.rect(x + c * cell, y + r * cell, cell, cell, 'F');
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Estampa QR + huella en todas las páginas ya generadas.
+     * opts: { qrText, huella, margin, qrSize, textY }. qrText es la URL de verificar.html
+     * (documentos por su código; solicitudes y evaluaciones por su huella registrada).
+     * Sin qrText solo se imprime la huella.
+     */
+    static _stampIntegrity(pdf, { qrText, huella, margin, qrSize = 16, textY = null }) {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const totalPages = pdf.internal.getNumberOfPages();
+        const qrX = pageWidth - margin - qrSize;
+        const qrY = pageHeight - qrSize - 3;
+        const lineY = textY || pageHeight - 4;
+
+        for (let i = 1; i <= totalPages; i++) {
+            pdf.setPage(i);
+            if (qrText) this._drawQR(pdf, qrText, qrX, qrY, qrSize);
+            pdf.setFont('courier', 'normal');
+            pdf.setFontSize(6);
+            pdf.setTextColor(90, 90, 90);
+            pdf.text(`SHA-256: ${huella || 'no disponible en este navegador'}`, margin, lineY);
+            pdf.setFont('helvetica', 'normal');
+        }
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    // Marca diagonal "ANULADO" sobre todas las páginas de un documento anulado
+    static _stampAnulado(pdf) {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const totalPages = pdf.internal.getNumberOfPages();
+        const fontSize = 90;
+
+        for (let i = 1; i <= totalPages; i++) {
+            pdf.setPage(i);
+            if (pdf.GState) pdf.setGState(new pdf.GState({ opacity: 0.25 }));
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(fontSize);
+            pdf.setTextColor(198, 40, 40);
+            // Centrar el texto girado 45° sobre el centro de la página
+            const half = pdf.getTextWidth('ANULADO') / 2;
+            const offset = half * Math.SQRT1_2;
+            pdf.text('ANULADO', pageWidth / 2 - offset, pageHeight / 2 + offset, { angle: 45 });
+            if (pdf.GState) pdf.setGState(new pdf.GState({ opacity: 1 }));
+        }
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor(0, 0, 0);
+    }
+
     // Generar PDF del documento con formato oficial
     static async generateDocumentPDF(doc, includeSignature = false, signatureData = null) {
         try {
@@ -28,6 +259,8 @@ class PDFGenerator {
                 await this.renderDocumentWithSignaturePage(pdf, doc, signatureData, pageWidth, pageHeight, margin, contentWidth);
             }
 
+            if (doc.estado === 'anulado') this._stampAnulado(pdf);
+
             // Descargar PDF
             const fileName = `Documento_${doc.codigo}_${new Date().toISOString().split('T')[0]}.pdf`;
             pdf.save(fileName);
@@ -235,7 +468,7 @@ class PDFGenerator {
         let nombreEncargado = doc.creadoPorNombre || 'Encargado';
         
         if (doc.firmas && doc.creadoPor) {
-            const firmasArray = Object.values(doc.firmas);
+            const firmasArray = DocumentManager.getFirmasVigentes(doc);
             firmaEncargado = firmasArray.find(f => f.userId === doc.creadoPor);
             if (firmaEncargado) {
                 firmaEncargadoDibujo = firmaEncargado.firmaDibujo || null;
@@ -508,8 +741,11 @@ class PDFGenerator {
             const bodyPages = remainingAfterPage1 > 0
                 ? 1 + Math.ceil(remainingAfterPage1 / Math.max(1, page2BodyPx))
                 : 1;
-            // Siempre reservar una última página para firmas del documento.
-            const totalPages = bodyPages + 1;
+            // Siempre reservar una página para firmas del documento
+            // y, si tiene adjuntos, una última con el índice de anexos.
+            const adjuntos = DocumentManager.getAdjuntos(doc);
+            const signaturesPage = bodyPages + 1;
+            const totalPages = signaturesPage + (adjuntos.length > 0 ? 1 : 0);
 
             // ── 5. Paginar ───────────────────────────────────────────────────────
             let renderedPx = 0;
@@ -555,7 +791,7 @@ class PDFGenerator {
             // ── 6. Página final exclusiva para firmas ───────────────────────────
             pdf.addPage();
             const signaturesHeader = await renderDiv(
-                this.createDocHeaderHTML(doc, `${totalPages} de ${totalPages}`)
+                this.createDocHeaderHTML(doc, `${signaturesPage} de ${totalPages}`)
             );
             pdf.addImage(signaturesHeader.toDataURL('image/jpeg', 0.80), 'JPEG',
                 marginSide, marginTop, contentWidth, headerHeightMm);
@@ -597,6 +833,29 @@ class PDFGenerator {
             pdf.addImage(signaturesWithWatermark.toDataURL('image/jpeg', 0.85), 'JPEG',
                 marginSide, marginTop + headerHeightMm, contentWidth, signaturesHeightMm);
 
+            // ── 6b. Índice de anexos ─────────────────────────────────────────────
+            if (adjuntos.length > 0) {
+                pdf.addPage();
+                const indexHeader = await renderDiv(
+                    this.createDocHeaderHTML(doc, `${totalPages} de ${totalPages}`)
+                );
+                pdf.addImage(indexHeader.toDataURL('image/jpeg', 0.80), 'JPEG',
+                    marginSide, marginTop, contentWidth, headerHeightMm);
+                const indexCanvas = await renderDiv(this.createAttachmentsIndexHTML(doc, adjuntos));
+                const indexMmPerPx = contentWidth / indexCanvas.width;
+                pdf.addImage(indexCanvas.toDataURL('image/jpeg', 0.85), 'JPEG',
+                    marginSide, marginTop + headerHeightMm, contentWidth,
+                    Math.min(indexCanvas.height * indexMmPerPx, contentHeightPrintSafe - headerHeightMm));
+            }
+
+            // ── 7. QR de verificación + huella en el margen inferior ────────────
+            this._stampIntegrity(pdf, {
+                qrText: DocumentManager.getVerificationUrl(doc),
+                huella: await this.computeDocumentFingerprint(doc),
+                margin: marginSide
+            });
+            if (doc.estado === 'anulado') this._stampAnulado(pdf);
+
             const fileName = `Documento_${doc.codigo}_${new Date().toISOString().split('T')[0]}.pdf`;
             pdf.save(fileName);
 
@@ -754,10 +1013,45 @@ class PDFGenerator {
         return html;
     }
 
+    // Índice de anexos: los archivos no se incrustan, se listan para consultarlos en el sistema
+    static createAttachmentsIndexHTML(doc, adjuntos = DocumentManager.getAdjuntos(doc)) {
+        const esc = (v) => App.escapeHtml(v ?? '');
+        const cell = 'padding: 6px 8px; border: 1px solid #ccc; font-size: 11px; font-family: Arial, sans-serif;';
+        return `
+                <div style="margin-top: 24px; font-family: Arial, sans-serif;">
+                    <p style="font-size: 14px; font-weight: bold; margin-bottom: 6px; color: #000;">Índice de anexos</p>
+                    <p style="font-size: 11px; color: #666; margin-bottom: 12px;">
+                        El documento ${esc(doc.codigo)} tiene ${adjuntos.length} anexo(s). Los archivos se consultan en el sistema desde la vista del documento.
+                    </p>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="background: #f0f4f8;">
+                                <th style="${cell} text-align: center; width: 8%;">N.º</th>
+                                <th style="${cell} text-align: left;">Archivo</th>
+                                <th style="${cell} text-align: left; width: 12%;">Tipo</th>
+                                <th style="${cell} text-align: right; width: 12%;">Tamaño</th>
+                                <th style="${cell} text-align: left; width: 26%;">Adjuntado</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${adjuntos.map((a, i) => `
+                                <tr>
+                                    <td style="${cell} text-align: center;">${i + 1}</td>
+                                    <td style="${cell} word-break: break-all;">${esc(a.nombreArchivo)}</td>
+                                    <td style="${cell}">${a.mimeType === 'application/pdf' ? 'PDF' : 'Imagen'}</td>
+                                    <td style="${cell} text-align: right;">${PoliticaInternaManager.formatBytes(a.tamañoBytes)}</td>
+                                    <td style="${cell}">${esc(a.subidoPorNombre)}<br><span style="color: #666;">${formatDateTime(a.fecha)}</span></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+    }
+
     // Crear HTML de la sección de firmas del documento
     static createDocumentSignaturesHTML(doc) {
-        // Obtener todas las firmas del documento
-        const firmasArray = doc.firmas ? Object.values(doc.firmas) : [];
+        // Solo las firmas hechas sobre la revisión vigente del documento
+        const firmasArray = DocumentManager.getFirmasVigentes(doc);
         console.log('Firmas encontradas en el documento:', firmasArray.length, firmasArray);
         console.log('Creador del documento:', doc.creadoPor);
         
@@ -867,10 +1161,41 @@ class PDFGenerator {
                             `}
                         </div>
                     </div>
+                    ${this.createSignatureRefusalsHTML(doc)}
                 </div>
         `;
     }
 
+    // Firmantes que rechazaron firmar la revisión vigente, con su motivo
+    static createSignatureRefusalsHTML(doc) {
+        const rechazos = DocumentManager.getRechazosVigentes(doc);
+        if (rechazos.length === 0) return '';
+        const esc = (v) => App.escapeHtml(v ?? '');
+        const cell = 'padding: 6px 8px; border: 1px solid #ccc; font-size: 11px; font-family: Arial, sans-serif; vertical-align: top;';
+        return `
+                    <div style="margin-top: 30px; font-family: Arial, sans-serif;">
+                        <p style="font-size: 13px; font-weight: bold; margin-bottom: 10px; color: #c62828;">Firmas rechazadas</p>
+                        <table style="width: 100%; border-collapse: collapse;">
+                            <thead>
+                                <tr style="background: #fdecea;">
+                                    <th style="${cell} text-align: left; width: 30%;">Firmante</th>
+                                    <th style="${cell} text-align: left; width: 20%;">Fecha</th>
+                                    <th style="${cell} text-align: left;">Motivo</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rechazos.map(r => `
+                                    <tr>
+                                        <td style="${cell}"><strong>${esc(r.nombre)}</strong><br><span style="color: #666;">${esc(ROLES[r.rol]?.nombre || r.rol)}</span></td>
+                                        <td style="${cell}">${formatDateTime(r.fecha)}</td>
+                                        <td style="${cell}">${esc(r.motivo)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>`;
+    }
+
     // Obtener texto de destinatarios
     static getRecipientsText(doc) {
         // Si hay firmas requeridas, mostrar información
@@ -961,6 +1286,17 @@ class PDFGenerator {
 
             document.body.removeChild(tempDiv);
 
+            const huella = await this.computeRequestFingerprint(req);
+            this._stampIntegrity(pdf, {
+                qrText: await this.registrarVerificacionPDF('solicitud', req.id, huella, {
+                    titulo: req.tipoNombre || TIPOS_SOLICITUD[req.tipo]?.nombre || req.tipo,
+                    nombre: req.solicitanteNombre,
+                    estado: req.estado
+                }),
+                huella,
+                margin: 20
+            });
+
             const safeName = (req.solicitanteNombre || req.id || 'solicitud').replace(/\s+/g, '_');
             const fecha = new Date().toISOString().split('T')[0];
             const prefijoMap = {
@@ -971,7 +1307,9 @@ class PDFGenerator {
                 'salida_anticipada': 'Salida_Anticipada',
                 'cambio_horario': 'Cambio_Horario',
                 'estudio': 'Permiso_Estudio',
-                'dias_festivos': 'Dias_Festivos'
+                'incapacidad': 'Incapacidad',
+                'dias_festivos': 'Dias_Festivos',
+                'constancia': 'Solicitud_Constancia'
             };
             const prefijo = prefijoMap[req.tipo] || 'Solicitud';
             const fileName = `${prefijo}_${safeName}_${fecha}.pdf`;
@@ -995,17 +1333,21 @@ class PDFGenerator {
         const fechaSolicitudShort = fechaSolicitud.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
 
         const firmaEmpleado = req.firma || null;
-        const firmaEncargado = req.firmaEncargado || null;
-        const firmaAdmin = req.firmaAdmin || null;
-        const revisionTI = req.revisionTI || null;
 
         const estadoBadgeColor = req.estado === 'aprobada' ? '#2e7d32' : req.estado === 'rechazada' ? '#c62828' : '#e65100';
         let estadoTexto = req.estado === 'aprobada' ? 'APROBADA' : req.estado === 'rechazada' ? 'RECHAZADA' : 'PENDIENTE';
         if (req.estado === 'pendiente') estadoTexto = 'PEND. ENCARGADO';
         if (req.estado === 'pendiente_ti') estadoTexto = 'PEND. REVISIÓN TI';
         if (req.estado === 'pendiente_gerencia') estadoTexto = 'PEND. GERENCIA';
+        if (req.estado === 'pendiente_rrhh') estadoTexto = 'PEND. RRHH';
+        if (req.estado === 'cancelada') estadoTexto = 'CANCELADA';
+        if (req.estado === 'devuelta') estadoTexto = 'DEVUELTA';
+        if (estadoTexto === 'PENDIENTE' && RequestManager.getEtapaActual(req)) {
+            estadoTexto = `PEND. ${RequestManager.getEtapaActual(req).nombre.toUpperCase()}`;
+        }
 
         const { titulo, bodyHTML } = this.getRequestBodyHTML(req);
+        const adjuntos = RequestManager.getAdjuntos(req);
 
         const firmaCol = (tituloCol, imgSrc, nombre, sub, fechaIso) => `
                         <div style="flex: 1; min-width: 0; text-align: center; border: 1px solid #c5cae9; border-radius: 8px; padding: 12px; background: #fafafa;">
@@ -1020,21 +1362,9 @@ class PDFGenerator {
                             ${fechaIso ? `<p style="font-size: 9px; color: #888; margin: 2px 0;">${new Date(fechaIso).toLocaleDateString('es-CR', { year: 'numeric', month: 'long', day: 'numeric' })}</p>` : ''}
                         </div>`;
 
-        const depEncargadoNombre = firmaEncargado?.departamento
-            ? (DEPARTAMENTOS[firmaEncargado.departamento]?.nombre || depNombre)
-            : depNombre;
-
-        const firmasHtml = req.tipo === 'horas_extraordinarias'
-            ? `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
+        const firmasHtml = `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
                         ${firmaCol('Firma del solicitante', firmaEmpleado?.firmaDibujo, firmaEmpleado?.nombre || nombreCompleto, depNombre, firmaEmpleado?.fecha)}
-                        ${firmaCol('Encargado de Área', firmaEncargado?.firmaDibujo, firmaEncargado?.nombre || '—', depEncargadoNombre, firmaEncargado?.fecha)}
-                        ${firmaCol('Revisión TI', revisionTI?.firmaDibujo, revisionTI?.nombre || '—', 'Tecnologías de Información', revisionTI?.fecha)}
-                        ${firmaCol('Resolución Gerencia', firmaAdmin?.firmaDibujo, firmaAdmin?.nombre || (req.respondidoPorNombre || '—'), firmaAdmin?.rol ? (ROLES[firmaAdmin.rol]?.nombre || firmaAdmin.rol) : 'Gerencia General', firmaAdmin?.fecha)}
-                    </div>`
-            : `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
-                        ${firmaCol('Firma del solicitante', firmaEmpleado?.firmaDibujo, firmaEmpleado?.nombre || nombreCompleto, depNombre, firmaEmpleado?.fecha)}
-                        ${firmaCol('Encargado de Área', firmaEncargado?.firmaDibujo, firmaEncargado?.nombre || '—', depEncargadoNombre, firmaEncargado?.fecha)}
-                        ${firmaCol('Gerencia General', firmaAdmin?.firmaDibujo, firmaAdmin?.nombre || (req.respondidoPorNombre || '—'), firmaAdmin?.rol ? (ROLES[firmaAdmin.rol]?.nombre || firmaAdmin.rol) : 'Gerencia General', firmaAdmin?.fecha)}
+                        ${this._requestStageSignatureColumns(req, firmaCol, depNombre)}
                     </div>`;
 
         return `
@@ -1082,6 +1412,13 @@ class PDFGenerator {
                         <strong style="font-size: 12px;">Comentario del administrador:</strong>
                         <p style="margin: 4px 0 0; font-size: 12px;">${req.justificacion}</p>
                     </div>` : ''}
+                    ${adjuntos.length ? `
+                    <div style="margin-top: 16px; font-size: 12px;">
+                        <strong>Anexos presentados:</strong>
+                        <ol style="margin: 4px 0 0; padding-left: 20px;">
+                            ${adjuntos.map(a => `<li>${App.escapeHtml(a.nombreArchivo)} (${PoliticaInternaManager.formatBytes(a.tamañoBytes)}, ${new Date(a.fecha).toLocaleDateString('es-CR')})</li>`).join('')}
+                        </ol>
+                    </div>` : ''}
                 </div>
 
                 ${includeSignaturesSection ? `
@@ -1093,15 +1430,27 @@ class PDFGenerator {
         </div>`;
     }
 
+    /** Una columna de firma por etapa del flujo de aprobación del tipo de solicitud */
+    static _requestStageSignatureColumns(req, firmaCol, depNombre) {
+        const flujo = RequestManager.getFlujo(req);
+        return flujo.map((etapa, i) => {
+            const firma = RequestManager.getFirmaEtapa(req, etapa);
+            const esUltima = i === flujo.length - 1;
+            const depto = firma?.departamento || RequestManager.departamentoEtapa(etapa, req);
+            let sub = DEPARTAMENTOS[depto]?.nombre || (etapa.departamento === FLUJO_DEPTO_SOLICITANTE ? depNombre : etapa.nombre);
+            if (esUltima && firma?.rol && etapa.id === 'gerencia') sub = ROLES[firma.rol]?.nombre || firma.rol;
+            let nombre = firma?.nombre || (esUltima && req.estado === 'aprobada' ? req.respondidoPorNombre : null) || '—';
+            if (firma?.porDelegacionDe) nombre += ` (p.d. ${firma.porDelegacionDe.nombre})`;
+            return firmaCol(etapa.nombre, firma?.firmaDibujo, nombre, sub, firma?.fecha);
+        }).join('');
+    }
+
     static createRequestSignaturesPageHTML(req, pageLabel = '2 de 2') {
         const nombreCompleto = req.solicitanteNombre || 'Empleado';
         const depNombre = DEPARTAMENTOS[req.departamento]?.nombre || 'su departamento';
         const fechaSolicitud = new Date(req.fechaSolicitud);
         const fechaSolicitudShort = fechaSolicitud.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
         const firmaEmpleado = req.firma || null;
-        const firmaEncargado = req.firmaEncargado || null;
-        const firmaAdmin = req.firmaAdmin || null;
-        const revisionTI = req.revisionTI || null;
 
         const firmaCol = (tituloCol, imgSrc, nombre, sub, fechaIso) => `
                         <div style="flex: 1; min-width: 0; text-align: center; border: 1px solid #c5cae9; border-radius: 8px; padding: 12px; background: #fafafa;">
@@ -1116,23 +1465,9 @@ class PDFGenerator {
                             ${fechaIso ? `<p style="font-size: 9px; color: #888; margin: 2px 0;">${new Date(fechaIso).toLocaleDateString('es-CR', { year: 'numeric', month: 'long', day: 'numeric' })}</p>` : ''}
                         </div>`;
 
-        const depEncargadoNombre = firmaEncargado?.departamento
-            ? (DEPARTAMENTOS[firmaEncargado.departamento]?.nombre || depNombre)
-            : depNombre;
-
-        const esHorasExtra = req.tipo === 'horas_extraordinarias';
-
-        const firmasHtml = esHorasExtra
-            ? `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
-                        ${firmaCol('Firma del solicitante', firmaEmpleado?.firmaDibujo, firmaEmpleado?.nombre || nombreCompleto, depNombre, firmaEmpleado?.fecha)}
-                        ${firmaCol('Encargado de Área', firmaEncargado?.firmaDibujo, firmaEncargado?.nombre || '—', depEncargadoNombre, firmaEncargado?.fecha)}
-                        ${firmaCol('Revisión TI', revisionTI?.firmaDibujo, revisionTI?.nombre || '—', 'Tecnologías de Información', revisionTI?.fecha)}
-                        ${firmaCol('Resolución Gerencia', firmaAdmin?.firmaDibujo, firmaAdmin?.nombre || (req.respondidoPorNombre || '—'), firmaAdmin?.rol ? (ROLES[firmaAdmin.rol]?.nombre || firmaAdmin.rol) : 'Gerencia General', firmaAdmin?.fecha)}
-                    </div>`
-            : `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
+        const firmasHtml = `<div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
                         ${firmaCol('Firma del solicitante', firmaEmpleado?.firmaDibujo, firmaEmpleado?.nombre || nombreCompleto, depNombre, firmaEmpleado?.fecha)}
-                        ${firmaCol('Encargado de Área', firmaEncargado?.firmaDibujo, firmaEncargado?.nombre || '—', depEncargadoNombre, firmaEncargado?.fecha)}
-                        ${firmaCol('Gerencia General', firmaAdmin?.firmaDibujo, firmaAdmin?.nombre || (req.respondidoPorNombre || '—'), firmaAdmin?.rol ? (ROLES[firmaAdmin.rol]?.nombre || firmaAdmin.rol) : 'Gerencia General', firmaAdmin?.fecha)}
+                        ${this._requestStageSignatureColumns(req, firmaCol, depNombre)}
                     </div>`;
 
         return `
@@ -1153,7 +1488,7 @@ class PDFGenerator {
                             </div>
                         </div>
                         <div style="text-align: right; font-size: 12px; color: #333; line-height: 1.8; padding-top: 10px;">
-                            ${esHorasExtra ? '<div><strong>COD:</strong> RC.400.5.1</div>' : ''}
+                            ${req.tipo === 'horas_extraordinarias' ? '<div><strong>COD:</strong> RC.400.5.1</div>' : ''}
                             <div><strong>Fecha:</strong> ${fechaSolicitudShort}</div>
                             <div><strong>Solicitante:</strong> ${nombreCompleto}</div>
                             <div><strong>Departamento:</strong> ${depNombre}</div>
@@ -1194,7 +1529,7 @@ class PDFGenerator {
         const ultimoDiaLabora = shiftDate(datos.fecha_inicio, -1);
         const fechaReincorporacion = shiftDate(datos.fecha_fin, 1);
         const dias = (datos.fecha_inicio && datos.fecha_fin)
-            ? `${RequestManager.calcDays(datos.fecha_inicio, datos.fecha_fin)} día(s)` : '_____';
+            ? `${RequestManager.calcDiasNaturales(datos.fecha_inicio, datos.fecha_fin)} día(s)` : '_____';
 
         const cierre = `
             <p style="margin-bottom: 14px;">Declaro que la información aquí consignada es veraz y asumo la responsabilidad correspondiente.</p>
@@ -1222,7 +1557,7 @@ class PDFGenerator {
                     bodyHTML: `
                         <p style="margin-bottom:6px;"><strong>1. DATOS DEL COLABORADOR</strong></p>
                         <p style="margin-bottom:14px;">Yo, <strong>${nombre}</strong>, número de cédula <strong>${ced}</strong>, con el puesto de <strong>${puesto}</strong>, del departamento / área de <strong>${dep}</strong>, con fecha de ingreso a la empresa <strong>${fechaIngreso}</strong>.</p>
-                        <p style="margin-bottom:14px;"><strong>2. PERIODO DE VACACIONES SOLICITADO</strong><br>De conformidad con lo establecido en el artículo 153 del Código de Trabajo de Costa Rica, solicito el disfrute de mis vacaciones anuales correspondientes al período laborado, en la cantidad de <strong>${dias}</strong> hábiles, siendo mi último día que laboro el <strong>${ultimoDiaLabora}</strong>, con fecha de inicio <strong>${fi}</strong>, fecha de finalización <strong>${ff}</strong> y fecha de reincorporación laboral <strong>${fechaReincorporacion}</strong>.</p>
+                        <p style="margin-bottom:14px;"><strong>2. PERIODO DE VACACIONES SOLICITADO</strong><br>De conformidad con lo establecido en el artículo 153 del Código de Trabajo de Costa Rica, solicito el disfrute de mis vacaciones anuales correspondientes al período laborado, en la cantidad de <strong>${datos.fecha_inicio && datos.fecha_fin ? VacacionesManager.getDiasSolicitud(req) : '_____'} día(s)</strong> hábiles, siendo mi último día que laboro el <strong>${ultimoDiaLabora}</strong>, con fecha de inicio <strong>${fi}</strong>, fecha de finalización <strong>${ff}</strong> y fecha de reincorporación laboral <strong>${fechaReincorporacion}</strong>.</p>
                         ${obs}
                         <p style="margin-bottom:6px;"><strong>3. DECLARACIÓN DEL COLABORADOR</strong></p>
                         <p style="margin-bottom:14px;">Declaro que he sido informado(a) de mis derechos y deberes en relación con el disfrute de vacaciones, conforme al Código de Trabajo de Costa Rica, y que el presente período ha sido coordinado con la empresa para no afectar la continuidad del servicio.</p>
@@ -1303,6 +1638,24 @@ class PDFGenerator {
                 };
             }
 
+            case 'incapacidad': {
+                const entidad = RequestManager.getEntidadIncapacidad(req);
+                const obs = datos.observaciones ? `<p style="margin-bottom:6px;"><strong>Observaciones:</strong></p><p style="margin-bottom:14px;padding:8px 12px;background:#f5f5f5;border-left:3px solid #1a237e;border-radius:0 4px 4px 0;">${datos.observaciones}</p>` : '';
+                return {
+                    titulo: 'NOTIFICACIÓN DE INCAPACIDAD',
+                    bodyHTML: `
+                        <p style="margin-bottom:14px;">Yo, <strong>${nombre}</strong>, quien laboro para <strong>${empresa}</strong>, adscrito(a) al departamento de <strong>${dep}</strong>, por este medio presento la incapacidad que me fue otorgada, para que se registre en mi expediente y se tramite ante Recursos Humanos.</p>
+                        <div style="margin-bottom:14px;padding:10px 14px;background:rgba(245,245,245,0.4);border:1px solid rgba(197,202,233,0.55);border-radius:4px;">
+                            <p style="margin:0 0 4px;"><strong>Entidad que la emite:</strong> ${entidad.descripcion || entidad.nombre}</p>
+                            <p style="margin:0 0 4px;"><strong>Número de boleta / certificado:</strong> ${datos.numero_certificado || '_____'}</p>
+                            <p style="margin:0;"><strong>Período:</strong> desde el día ${fi} hasta el día ${ff}, para un total de ${dias} calendario, con fecha de reintegro laboral el ${fechaReincorporacion}.</p>
+                        </div>
+                        ${obs}
+                        <p style="margin-bottom:14px;">Adjunto la boleta o certificado correspondiente. Entiendo que el subsidio durante la incapacidad se rige por lo dispuesto por la entidad emisora y el Código de Trabajo de la República de Costa Rica.</p>
+                        ${cierre}`
+                };
+            }
+
             case 'dias_festivos': {
                 const fecha = toDate(datos.fecha);
                 const desc = datos.descripcion || '_____';
@@ -1328,13 +1681,14 @@ class PDFGenerator {
                 const filas = Array.isArray(datos.filas) ? datos.filas : [];
                 let filasHtml = '';
                 filas.forEach((f) => {
-                    const fd = toDate(f.fecha);
+                    const dia = CalendarioLaboralManager.etiquetaFilaHorasExtra(f);
+                    const fd = toDate(f.fecha) + (dia ? `<br><span style="font-size:10px;color:#e65100;">${dia}</span>` : '');
                     filasHtml += `<tr><td style="border:1px solid #ccc;padding:6px;">${fd}</td><td style="border:1px solid #ccc;padding:6px;">${f.hora_inicio || '—'}</td><td style="border:1px solid #ccc;padding:6px;">${f.hora_fin || '—'}</td><td style="border:1px solid #ccc;padding:6px;">${f.cantidad || '—'}</td><td style="border:1px solid #ccc;padding:6px;">${f.justificacion || '—'}</td></tr>`;
                 });
                 const tablaDetalle = filas.length
                     ? `<table style="width:100%;border-collapse:collapse;font-size:12px;margin-bottom:16px;"><thead><tr style="background:#e8eaf6;"><th style="border:1px solid #ccc;padding:6px;">Fecha</th><th style="border:1px solid #ccc;padding:6px;">Inicio</th><th style="border:1px solid #ccc;padding:6px;">Fin</th><th style="border:1px solid #ccc;padding:6px;">Cantidad</th><th style="border:1px solid #ccc;padding:6px;">Justificación</th></tr></thead><tbody>${filasHtml}</tbody></table>`
                     : '<p style="font-style:italic;color:#666;">Sin filas registradas.</p>';
-                const rev = req.revisionTI;
+                const rev = RequestManager.getFirmaEtapa(req, ETAPAS_SOLICITUD.ti);
                 const sec3 = `<div style="margin-top:20px;padding:12px;background:#fafafa;border-left:4px solid #006064;border-radius:0 4px 4px 0;">
                         <p style="font-weight:bold;margin:0 0 8px;">3. REVISIÓN POR PARTE DEL DEPARTAMENTO DE TI</p>
                         <p style="margin:0 0 10px;font-size:12px;">El Departamento de Tecnologías de Información certifica haber revisado los registros institucionales disponible, confirmando la veracidad de la información reportada.</p>
@@ -1432,6 +1786,17 @@ class PDFGenerator {
                 pdf.text(`Página ${i} de ${totalPages}`, pageWidth / 2, pageHeight - 8, { align: 'center' });
                 pdf.text(`Generado: ${new Date().toLocaleDateString('es-CR')}`, margin, pageHeight - 8);
             }
+            const huella = await this.computeEvaluacionFingerprint(ev);
+            this._stampIntegrity(pdf, {
+                qrText: await this.registrarVerificacionPDF('evaluacion', ev.id, huella, {
+                    titulo: `${plantilla?.titulo || 'Evaluación de desempeño'} ${ev.periodoSemestre || ''}`.trim(),
+                    nombre: ev.evaluadoNombre,
+                    estado: ev.estado
+                }),
+                huella,
+                margin,
+                qrSize: 12
+            });
 
             const safeName = (ev.evaluadoNombre || 'evaluacion').replace(/[^\w\s-]/g, '').replace(/\s+/g, '_');
             const tipoLabel = ev.tipo === 'jefaturas' ? 'Jefaturas' : 'Personal';
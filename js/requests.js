@@ -2,56 +2,187 @@
 // REQUESTS.JS - Gestión de Solicitudes con Firebase RTDB
 // Veterinaria San Martín de Porres
 // ============================================================
-// Flujo de firmas:
-//   - Vacaciones / Sin Goce / Otros: Empleado → Encargado de Área → Gerencia (admin)
-//   - Horas Extraordinarias:          Empleado → Encargado de Área → TI → Gerencia (admin)
+// Flujo de firmas: cada tipo define sus etapas en TIPOS_SOLICITUD[tipo].flujo (data.js).
+//   - Por defecto:             Empleado → Encargado de Área → Gerencia (admin)
+//   - Vacaciones:              Empleado → Encargado de Área → RRHH → Gerencia (admin)
+//   - Horas Extraordinarias:   Empleado → Encargado de Área → TI → Gerencia (admin)
+//   - Constancias:             Empleado → RRHH, que emite el documento RH-300-7.x firmado
+// La solicitud guarda la etapa en curso (etapa, estado) y el departamento que la resuelve
+// (etapaDepartamento), que es lo que validan las reglas de escritura.
+// Los adjuntos (constancias, dictámenes) se guardan en Base64 en requestAttachments/.
 // ============================================================
 
 class RequestManager {
     static isEstadoPendienteEmpleado(estado) {
-        return estado === 'pendiente' || estado === 'pendiente_ti' || estado === 'pendiente_gerencia';
+        return typeof estado === 'string' && (estado === 'pendiente' || estado.startsWith('pendiente_'));
     }
 
     static esHorasExtraordinarias(req) {
         return req && req.tipo === SOLICITUD_HORAS_EXTRA_CONFIG.tipo;
     }
 
-    /** Quienes deben ver la tarjeta en "Pendientes" al gestionar solicitudes */
-    static necesitaMiAprobacion(req, user) {
-        if (!req || !user) return false;
-        if (req.estado === 'aprobada' || req.estado === 'rechazada') return false;
+    static esConstancia(req) {
+        return req && req.tipo === SOLICITUD_CONSTANCIA_CONFIG.tipo;
+    }
 
-        const esHe = this.esHorasExtraordinarias(req);
+    // ========================================================
+    // FLUJO DE APROBACIÓN
+    // ========================================================
 
-        // Etapa 1: Encargado de Área (del departamento del solicitante)
-        if (req.estado === 'pendiente') {
-            if (user.rol === 'admin') return true; // fallback: admin puede firmar si no hay encargado
-            return user.rol === 'encargado' && AuthManager.encargadoGestionaDepartamento(user, req.departamento);
-        }
+    /** Etapas del flujo del tipo de solicitud (acepta la solicitud o el código del tipo) */
+    static getFlujo(reqOrTipo) {
+        const tipo = typeof reqOrTipo === 'string' ? reqOrTipo : reqOrTipo?.tipo;
+        const flujo = TIPOS_SOLICITUD[tipo]?.flujo;
+        return Array.isArray(flujo) && flujo.length > 0 ? flujo : FLUJO_SOLICITUD_DEFAULT;
+    }
+
+    /** Etapa en la que espera la solicitud; las anteriores al flujo configurable solo traen el estado */
+    static getEtapaActual(req) {
+        if (!req || !this.isEstadoPendienteEmpleado(req.estado)) return null;
+        const flujo = this.getFlujo(req);
+        return flujo.find(e => e.id === req.etapa) || flujo.find(e => e.estado === req.estado) || null;
+    }
+
+    static getSiguienteEtapa(req, etapa) {
+        const flujo = this.getFlujo(req);
+        const idx = flujo.findIndex(e => e.id === etapa?.id);
+        return idx >= 0 ? flujo[idx + 1] || null : null;
+    }
+
+    /** Código del departamento cuyos encargados resuelven la etapa (null = solo administradores) */
+    static departamentoEtapa(etapa, req) {
+        if (!etapa || !etapa.departamento) return null;
+        return etapa.departamento === FLUJO_DEPTO_SOLICITANTE ? (req?.departamento || null) : etapa.departamento;
+    }
+
+    static puedeResolverEtapa(etapa, req, user) {
+        if (!etapa || !user) return false;
+        if (user.rol === 'admin') return true; // fallback: admin puede firmar si no hay encargado
+        if (etapa.rol === 'admin') return false;
+        const depto = this.departamentoEtapa(etapa, req);
+        if (user.rol === 'encargado' && depto && AuthManager.encargadoGestionaDepartamento(user, depto)) return true;
+        return !!this.getDelegacionAplicada(etapa, req, user);
+    }
+
+    /** Delegación con la que user firma la etapa como sustituto (null si la firma por derecho propio) */
+    static getDelegacionAplicada(etapa, req, user) {
+        if (!etapa || !user || user.rol === 'admin') return null;
+        const depto = this.departamentoEtapa(etapa, req);
+        if (user.rol === 'encargado' && depto && AuthManager.encargadoGestionaDepartamento(user, depto)) return null;
+        return DelegacionManager.getDelegacionEtapa(etapa, req, user);
+    }
+
+    static _registroDelegacion(delegacion) {
+        return delegacion
+            ? { userId: delegacion.delegante, nombre: delegacion.deleganteNombre, delegacionId: delegacion.id }
+            : null;
+    }
+
+    /** Firma con la que se resolvió la etapa (firmas/{etapa.id}) o null */
+    static getFirmaEtapa(req, etapa) {
+        return (etapa && req?.firmas?.[etapa.id]) || null;
+    }
+
+    /** Firmas registradas en el flujo, en orden: [{ etapa, firma }] (solo etapas ya resueltas) */
+    static getFirmasFlujo(req) {
+        if (!req) return [];
+        return this.getFlujo(req)
+            .map(etapa => ({ etapa, firma: this.getFirmaEtapa(req, etapa) }))
+            .filter(x => x.firma);
+    }
 
-        // Etapa 2 (solo horas extra): Departamento de TI
-        if (req.estado === 'pendiente_ti') {
-            if (!esHe) return false;
-            if (user.rol === 'admin') return true;
-            return user.rol === 'encargado' && AuthManager.encargadoGestionaDepartamento(user, SOLICITUD_HORAS_EXTRA_CONFIG.deptoTI);
+    /**
+     * Publica en flujosSolicitudCatalog/{tipo} la primera etapa de cada flujo ({ etapa, departamento }):
+     * las reglas validan con ella la etapa con la que el solicitante crea o reenvía. Solo escribe lo que cambió.
+     */
+    static async syncFlujosCatalog() {
+        if (!AuthManager.isAdmin()) return;
+        try {
+            const actual = (await dbRef.flujosSolicitudCatalog.once('value')).val() || {};
+            const updates = {};
+            Object.keys(TIPOS_SOLICITUD).forEach(tipo => {
+                const etapa = this.getFlujo(tipo)[0];
+                const departamento = etapa.departamento || null;
+                if (actual[tipo]?.etapa !== etapa.id || (actual[tipo]?.departamento || null) !== departamento) {
+                    updates[tipo] = { etapa: etapa.id, departamento };
+                }
+            });
+            Object.keys(actual).filter(tipo => !TIPOS_SOLICITUD[tipo]).forEach(tipo => { updates[tipo] = null; });
+            if (Object.keys(updates).length) await dbRef.flujosSolicitudCatalog.update(updates);
+        } catch (e) {
+            console.warn('RequestManager syncFlujosCatalog:', e);
         }
+    }
+
+    // Clave en migraciones/ de migrarFirmasEtapas (las solicitudes nuevas ya firman en firmas/)
+    static MIGRACION_FIRMAS = 'firmasSolicitudes';
 
-        // Etapa final: Gerencia General (admin)
-        if (req.estado === 'pendiente_gerencia') {
-            if (user.rol === 'admin') return true;
-            return user.rol === 'encargado' && AuthManager.encargadoGestionaDepartamento(user, SOLICITUD_HORAS_EXTRA_CONFIG.deptoGerencia);
+    /** Última ejecución de migrarFirmasEtapas ({ fecha, userId, nombre, cambios } o null). */
+    static async getMigracionFirmas() {
+        const snapshot = await dbRef.migraciones.child(this.MIGRACION_FIRMAS).once('value');
+        return snapshot.val();
+    }
+
+    /**
+     * Migración única al actualizar: pasa las firmas de etapa que las solicitudes anteriores guardaban en
+     * etapa.campo (firmaEncargado, revisionTI...) a firmas/{etapa.id}; sin ella esas firmas no se muestran
+     * ni se imprimen. La ejecuta un admin desde Contadores y queda registrada en migraciones/firmasSolicitudes.
+     * Retorna { success, cambios }.
+     */
+    static async migrarFirmasEtapas() {
+        if (!AuthManager.isAdmin()) return { success: false, message: 'Solo un administrador puede migrar las solicitudes' };
+        try {
+            const snapshot = await dbRef.requests.once('value');
+            const updates = {};
+            snapshotToArray(snapshot).forEach(req => {
+                this.getFlujo(req).forEach(etapa => {
+                    const anterior = etapa.campo ? req[etapa.campo] : null;
+                    if (!anterior) return;
+                    if (!req.firmas?.[etapa.id]) updates[`requests/${req.id}/firmas/${etapa.id}`] = anterior;
+                    updates[`requests/${req.id}/${etapa.campo}`] = null;
+                });
+            });
+            const cambios = Object.keys(updates).length;
+            const user = AuthManager.getUser();
+            updates[`migraciones/${this.MIGRACION_FIRMAS}`] = {
+                fecha: new Date().toISOString(),
+                userId: user.id,
+                nombre: user.nombre + ' ' + user.apellido,
+                cambios
+            };
+            await db.ref().update(updates);
+            return { success: true, cambios };
+        } catch (error) {
+            console.error('Error migrando firmas de solicitudes anteriores:', error);
+            return { success: false, message: 'Error al migrar las solicitudes: ' + error.message };
         }
+    }
 
-        return false;
+    /** Encargados del departamento de la etapa + admins, sin repetir ni incluir a excluirId */
+    static async getResponsablesEtapa(etapa, req, excluirId = null) {
+        const depto = this.departamentoEtapa(etapa, req);
+        const encargados = depto && etapa.rol !== 'admin' ? await AuthManager.getEncargadosDepartamento(depto) : [];
+        const allUsers = await AuthManager.getAllUsers();
+        const admins = allUsers.filter(u => u.rol === 'admin' && u.activo);
+        // Sustitutos vigentes del encargado del área
+        const sustitutos = depto && etapa.rol !== 'admin'
+            ? allUsers.filter(u => DelegacionManager.getSustitutosDepartamento(depto).includes(u.id))
+            : [];
+        return [...encargados, ...sustitutos, ...admins].filter((u, i, arr) =>
+            arr.findIndex(x => x.id === u.id) === i && u.id !== excluirId
+        );
     }
 
-    /** Etiqueta descriptiva de la etapa que corresponde al usuario actual */
+    /** Quienes deben ver la tarjeta en "Pendientes" al gestionar solicitudes */
+    static necesitaMiAprobacion(req, user) {
+        if (!req || !user) return false;
+        if (this.necesitaAprobarCancelacion(req, user)) return true;
+        return this.puedeResolverEtapa(this.getEtapaActual(req), req, user);
+    }
+
+    /** Id de la etapa en curso ('encargado', 'ti', 'rrhh', 'gerencia', ...) o null si ya se resolvió */
     static etapaSolicitud(req) {
-        if (!req) return null;
-        if (req.estado === 'pendiente') return 'encargado';
-        if (req.estado === 'pendiente_ti') return 'ti';
-        if (req.estado === 'pendiente_gerencia') return 'gerencia';
-        return null;
+        return this.getEtapaActual(req)?.id || null;
     }
 
     /** Solicitudes que el usuario (encargado/admin) debe atender en el tab Pendientes */
@@ -108,6 +239,26 @@ class RequestManager {
         }
     }
 
+    /**
+     * Solicitudes con una etapa esperando respuesta: estado pendiente o pendiente_* y aprobadas
+     * con la cancelación pendiente (consultas por índice, sin descargar todas las solicitudes)
+     */
+    static async getEnEspera() {
+        try {
+            const [pendientes, cancelaciones] = await Promise.all([
+                dbRef.requests.orderByChild('estado').startAt('pendiente').endAt('pendiente\uf8ff').once('value'),
+                dbRef.requests.orderByChild('cancelacion/estado').equalTo('pendiente').once('value')
+            ]);
+            return [
+                ...snapshotToArray(pendientes),
+                ...snapshotToArray(cancelaciones).filter(r => r.estado === 'aprobada')
+            ];
+        } catch (error) {
+            console.error('Error obteniendo solicitudes en espera:', error);
+            return [];
+        }
+    }
+
     // Obtener solicitudes pendientes
     static async getPending() {
         try {
@@ -130,10 +281,35 @@ class RequestManager {
         }
     }
 
-    // Crear solicitud — siempre inicia en 'pendiente' (Encargado de Área)
+    /** Datos listos para guardar (al crear o al reenviar una corrección); lanza error si hay traslape */
+    static async _prepararDatos(tipo, datosForm, user, reqId = null) {
+        const datos = { ...(datosForm || {}) };
+        // Vacaciones: se fijan los días hábiles que debitará del saldo al aprobarse
+        if (tipo === VACACIONES_CONFIG.tipo) {
+            datos.dias_habiles = CalendarioLaboralManager.contarDiasHabiles(datos.fecha_inicio, datos.fecha_fin, user);
+        }
+        if (tipo === INCAPACIDAD_CONFIG.tipo) {
+            const error = this.validarDatosIncapacidad(datos);
+            if (error) throw new Error(error);
+            datos.numero_certificado = String(datos.numero_certificado || '').trim();
+        }
+        // Una persona no puede tener dos ausencias en trámite o aprobadas en las mismas fechas
+        const solapes = await this.getSolapesAusencia({ id: reqId, tipo, datos, solicitante: user.id });
+        if (solapes.length > 0) {
+            throw new Error(`Ya tiene ${this.describirAusencia(solapes[0])} que se traslapa con esas fechas`);
+        }
+        return datos;
+    }
+
+    // Crear solicitud — inicia en la primera etapa del flujo de su tipo
     static async create(requestData) {
         try {
             const user = AuthManager.getUser();
+            const etapa = this.getFlujo(requestData.tipo)[0];
+            const datos = await this._prepararDatos(requestData.tipo, requestData.datos, user);
+
+            const error = this.validarAdjuntos(requestData.tipo, requestData.archivos || []);
+            if (error) throw new Error(error);
 
             const newReqRef = dbRef.requests.push();
             const newRequest = {
@@ -142,9 +318,11 @@ class RequestManager {
                 solicitante: user.id,
                 solicitanteNombre: user.nombre + ' ' + user.apellido,
                 departamento: user.departamento,
-                estado: 'pendiente',
+                estado: etapa.estado,
+                etapa: etapa.id,
+                etapaDepartamento: this.departamentoEtapa(etapa, { departamento: user.departamento }),
                 fechaSolicitud: new Date().toISOString(),
-                datos: requestData.datos || {},
+                datos,
                 observaciones: requestData.observaciones || '',
                 firma: requestData.firma || null,
                 respuesta: null,
@@ -154,30 +332,25 @@ class RequestManager {
                 justificacion: ''
             };
 
-            await newReqRef.set(newRequest);
-
-            // Notificar a los encargados del mismo departamento del solicitante + admins
-            const encargados = await AuthManager.getEncargadosDepartamento(user.departamento);
-            const allUsers = await AuthManager.getAllUsers();
-            const admins = allUsers.filter(u => u.rol === 'admin' && u.activo);
-
-            const notificar = [...encargados, ...admins].filter((u, i, arr) =>
-                arr.findIndex(x => x.id === u.id) === i && u.id !== user.id
-            );
+            // La solicitud y sus adjuntos en una sola escritura: no queda una sin los otros
+            const { archivos, metadatos } = await this._prepararAdjuntos(newReqRef.key, requestData.archivos || [], user);
+            if (Object.keys(metadatos).length > 0) newRequest.adjuntos = metadatos;
+            await db.ref().update({ [`requests/${newReqRef.key}`]: newRequest, ...archivos });
 
+            // Notificar a los responsables de la primera etapa + admins
+            const notificar = await this.getResponsablesEtapa(etapa, newRequest, user.id);
             const mensajeNueva = `${user.nombre} ${user.apellido} ha solicitado: ${newRequest.tipoNombre}`;
 
-            const notifPromises = notificar.map(enc =>
+            await Promise.all(notificar.map(enc =>
                 NotificationManager.create({
                     tipo: 'solicitud_nueva',
-                    titulo: 'Nueva solicitud — firma del encargado',
+                    titulo: `Nueva solicitud — ${etapa.nombre}`,
                     mensaje: mensajeNueva,
                     destinatario: enc.id,
                     referencia: newReqRef.key,
                     referenciaType: 'request'
                 })
-            );
-            await Promise.all(notifPromises);
+            ));
 
             return { id: newReqRef.key, ...newRequest };
         } catch (error) {
@@ -186,59 +359,64 @@ class RequestManager {
         }
     }
 
-    // Aprobación por Encargado de Área (primer paso del flujo)
-    static async approveEncargado(reqId, comentario = '', firma = null) {
+    /**
+     * Aprueba la etapa en curso: guarda la firma en firmas/{etapa.id} y pasa a la siguiente etapa,
+     * o cierra la solicitud como aprobada si era la última. Retorna la solicitud actualizada, null si
+     * falla o { success: false, message } si la regla de negocio la impide (saldo de vacaciones).
+     */
+    static async approveStage(reqId, comentario = '', firma = null) {
         try {
             const user = AuthManager.getUser();
             const req = await this.getById(reqId);
-            if (!req || req.estado !== 'pendiente') return null;
+            const etapa = this.getEtapaActual(req);
+            if (!etapa || !this.puedeResolverEtapa(etapa, req, user)) return null;
+            if (etapa.firma && !firma?.firmaDibujo) return null;
+
+            // Vacaciones que exceden el saldo con bloquearExceso: no se aprueban en ninguna etapa
+            const saldoVacaciones = await VacacionesManager.evaluarAprobacion(req);
+            if (saldoVacaciones?.nivel === 'bloqueo') return { success: false, message: saldoVacaciones.mensaje };
 
-            const firmaEncargado = {
+            const registro = {
                 userId: user.id,
                 nombre: user.nombre + ' ' + user.apellido,
                 rol: user.rol,
                 departamento: user.departamento,
                 fecha: new Date().toISOString(),
                 comentario: comentario || '',
-                firmaDibujo: firma?.firmaDibujo || null
+                firmaDibujo: firma?.firmaDibujo || null,
+                porDelegacionDe: this._registroDelegacion(this.getDelegacionAplicada(etapa, req, user))
             };
 
-            const esHe = this.esHorasExtraordinarias(req);
-            const nuevoEstado = esHe ? 'pendiente_ti' : 'pendiente_gerencia';
-
-            await dbRef.requests.child(reqId).update({
-                estado: nuevoEstado,
-                firmaEncargado
-            });
+            // Se deja constancia de los conflictos que había a la vista al firmar la etapa
+            const conflictos = await this.detectarConflictos(req);
+            if (this.tieneConflictos(conflictos)) {
+                registro.conflictos = {
+                    solapes: conflictos.solapes.map(r => r.id),
+                    diasBajoMinimo: conflictos.diasBajoMinimo.map(d => d.fecha)
+                };
+            }
 
-            // Notificar a siguiente etapa
-            const allUsers = await AuthManager.getAllUsers();
-            const admins = allUsers.filter(u => u.rol === 'admin' && u.activo);
-
-            let destinatarios = [];
-            let titulo = '';
-            let mensajeSig = '';
-            if (esHe) {
-                const encTi = await AuthManager.getEncargadosDepartamento(SOLICITUD_HORAS_EXTRA_CONFIG.deptoTI);
-                destinatarios = [...encTi, ...admins];
-                titulo = 'Horas extraordinarias — revisión TI';
-                mensajeSig = `La solicitud de ${req.solicitanteNombre} fue firmada por el encargado de área. Pendiente de revisión por TI.`;
-            } else {
-                const encGer = await AuthManager.getEncargadosDepartamento(SOLICITUD_HORAS_EXTRA_CONFIG.deptoGerencia);
-                destinatarios = [...encGer, ...admins];
-                titulo = 'Solicitud pendiente de Gerencia';
-                mensajeSig = `La solicitud de ${req.solicitanteNombre} fue firmada por el encargado de área. Pendiente de resolución de Gerencia.`;
+            const siguiente = this.getSiguienteEtapa(req, etapa);
+            if (!siguiente) {
+                const aprobada = await this._aprobarFinal(req, etapa, registro, comentario);
+                if (aprobada && registro.porDelegacionDe) await DelegacionManager.notificarAccion(registro.porDelegacionDe, req, 'firmada');
+                return aprobada;
             }
 
-            const notificar = destinatarios.filter((u, i, arr) =>
-                arr.findIndex(x => x.id === u.id) === i && u.id !== user.id
-            );
+            const updates = {
+                estado: siguiente.estado,
+                etapa: siguiente.id,
+                etapaDepartamento: this.departamentoEtapa(siguiente, req),
+                [`firmas/${etapa.id}`]: registro
+            };
+            await dbRef.requests.child(reqId).update(updates);
 
+            const notificar = await this.getResponsablesEtapa(siguiente, req, user.id);
             await Promise.all(notificar.map(enc =>
                 NotificationManager.create({
                     tipo: 'solicitud_nueva',
-                    titulo,
-                    mensaje: mensajeSig,
+                    titulo: `${req.tipoNombre} — ${siguiente.nombre}`,
+                    mensaje: `La solicitud de ${req.solicitanteNombre} fue firmada por ${etapa.nombre}. Pendiente de ${siguiente.nombre}.`,
                     destinatario: enc.id,
                     referencia: reqId,
                     referenciaType: 'request'
@@ -249,121 +427,85 @@ class RequestManager {
             await NotificationManager.create({
                 tipo: 'solicitud_nueva',
                 titulo: 'Solicitud en avance',
-                mensaje: esHe
-                    ? 'Su solicitud fue firmada por el encargado de área y pasó a revisión del Departamento de TI.'
-                    : 'Su solicitud fue firmada por el encargado de área y pasó a la Gerencia General.',
+                mensaje: `Su solicitud fue firmada por ${etapa.nombre} y pasó a ${siguiente.nombre}.`,
                 destinatario: req.solicitante,
                 referencia: reqId,
                 referenciaType: 'request'
             });
+            if (registro.porDelegacionDe) await DelegacionManager.notificarAccion(registro.porDelegacionDe, req, 'firmada');
 
-            return { ...req, estado: nuevoEstado, firmaEncargado };
+            return { ...req, ...updates };
         } catch (error) {
-            console.error('Error en aprobación Encargado:', error);
+            console.error('Error aprobando etapa de solicitud:', error);
             return null;
         }
     }
 
-    // Revisión TI (solo horas extraordinarias): pasa a pendiente de Gerencia General
-    static async approveRevisionTI(reqId, comentario = '', firmaTI = null) {
-        try {
-            const user = AuthManager.getUser();
-            const req = await this.getById(reqId);
-            if (!req || req.tipo !== SOLICITUD_HORAS_EXTRA_CONFIG.tipo || req.estado !== 'pendiente_ti') return null;
+    // Última etapa: cierra la solicitud (y emite la constancia si la etapa lo indica)
+    static async _aprobarFinal(req, etapa, registro, comentario) {
+        const user = AuthManager.getUser();
+        const updates = {
+            estado: 'aprobada',
+            etapa: null,
+            etapaDepartamento: null,
+            respondidoPor: user.id,
+            respondidoPorNombre: user.nombre + ' ' + user.apellido,
+            fechaRespuesta: new Date().toISOString(),
+            justificacion: comentario || '',
+            porDelegacionDe: registro.porDelegacionDe,
+            [`firmas/${etapa.id}`]: registro
+        };
 
-            const revisionTI = {
+        let doc = null;
+        let errorFirma = null;
+        if (etapa.accion === 'emitir_constancia') {
+            const solicitante = await AuthManager.getUserById(req.solicitante);
+            if (!solicitante || DocumentManager.faltantesConstancia(req, solicitante).length > 0) return null;
+            // El id del documento se guarda en la solicitud antes de emitirlo: si la aprobación
+            // falla después, el reintento retoma ese documento en vez de emitir otro
+            let docId = req.documentoGenerado?.id;
+            if (!docId) {
+                docId = dbRef.documents.push().key;
+                await dbRef.requests.child(req.id).child('documentoGenerado').set({ id: docId, codigo: null });
+            }
+            ({ doc, errorFirma } = await DocumentManager.crearConstancia(req, solicitante, registro.firmaDibujo, docId));
+            updates.documentoGenerado = { id: doc.id, codigo: doc.codigo };
+        }
+
+        if (this.esHorasExtraordinarias(req)) {
+            updates.resolucionGerencia = {
+                decision: 'aprobada',
                 userId: user.id,
                 nombre: user.nombre + ' ' + user.apellido,
-                rol: user.rol,
-                fecha: new Date().toISOString(),
-                comentario: comentario || '',
-                firmaDibujo: firmaTI?.firmaDibujo || null
-            };
-
-            const updates = {
-                estado: 'pendiente_gerencia',
-                revisionTI
+                fecha: updates.fechaRespuesta
             };
-
-            await dbRef.requests.child(reqId).update(updates);
-
-            const encGe = await AuthManager.getEncargadosDepartamento(SOLICITUD_HORAS_EXTRA_CONFIG.deptoGerencia);
-            const allUsers = await AuthManager.getAllUsers();
-            const admins = allUsers.filter(u => u.rol === 'admin' && u.activo);
-            const notificar = [...encGe, ...admins].filter((u, i, arr) =>
-                arr.findIndex(x => x.id === u.id) === i && u.id !== user.id
-            );
-
-            await Promise.all(notificar.map(enc =>
-                NotificationManager.create({
-                    tipo: 'solicitud_nueva',
-                    titulo: 'Horas extraordinarias — resolución Gerencia',
-                    mensaje: `TI certificó la solicitud de ${req.solicitanteNombre}. Pendiente de Gerencia General.`,
-                    destinatario: enc.id,
-                    referencia: reqId,
-                    referenciaType: 'request'
-                })
-            ));
-
-            await NotificationManager.create({
-                tipo: 'solicitud_nueva',
-                titulo: 'Solicitud en Gerencia',
-                mensaje: 'Su solicitud de horas extraordinarias fue revisada por TI y está pendiente de resolución de Gerencia General.',
-                destinatario: req.solicitante,
-                referencia: reqId,
-                referenciaType: 'request'
-            });
-
-            return { ...req, ...updates };
-        } catch (error) {
-            console.error('Error en aprobación TI:', error);
-            return null;
         }
-    }
-
-    // Aprobación final Gerencia — únicamente desde 'pendiente_gerencia'
-    static async approve(reqId, justificacion = '', firmaAdmin = null) {
-        try {
-            const user = AuthManager.getUser();
-            const req = await this.getById(reqId);
-            if (!req) return null;
-            if (req.estado !== 'pendiente_gerencia') return null;
-
-            const updates = {
-                estado: 'aprobada',
-                respondidoPor: user.id,
-                respondidoPorNombre: user.nombre + ' ' + user.apellido,
-                fechaRespuesta: new Date().toISOString(),
-                justificacion: justificacion
-            };
-
-            if (req.tipo === SOLICITUD_HORAS_EXTRA_CONFIG.tipo) {
-                updates.resolucionGerencia = {
-                    decision: 'aprobada',
-                    userId: user.id,
-                    nombre: user.nombre + ' ' + user.apellido,
-                    fecha: new Date().toISOString()
-                };
-            }
 
-            if (firmaAdmin) updates.firmaAdmin = firmaAdmin;
+        await dbRef.requests.child(req.id).update(updates);
 
-            await dbRef.requests.child(reqId).update(updates);
+        await NotificationManager.create(doc ? {
+            tipo: 'solicitud_aprobada',
+            titulo: 'Constancia emitida',
+            mensaje: `Su solicitud de ${req.tipoNombre} fue aprobada. El documento ${doc.codigo} está firmado y listo para descargar.`,
+            destinatario: req.solicitante,
+            referencia: doc.id,
+            referenciaType: 'document'
+        } : {
+            tipo: 'solicitud_aprobada',
+            titulo: 'Solicitud aprobada',
+            mensaje: `Su solicitud de ${req.tipoNombre} ha sido aprobada`,
+            destinatario: req.solicitante,
+            referencia: req.id,
+            referenciaType: 'request'
+        });
 
-            await NotificationManager.create({
-                tipo: 'solicitud_aprobada',
-                titulo: 'Solicitud aprobada',
-                mensaje: `Su solicitud de ${req.tipoNombre} ha sido aprobada`,
-                destinatario: req.solicitante,
-                referencia: reqId,
-                referenciaType: 'request'
-            });
+        // errorFirma: la constancia quedó emitida sin la firma de quien aprueba (debe firmarla en Documentos)
+        return { ...req, ...updates, errorFirma };
+    }
 
-            return { ...req, ...updates };
-        } catch (error) {
-            console.error('Error aprobando solicitud:', error);
-            return null;
-        }
+    // Aprobación sin firma dibujada (etapas con firma: false)
+    static async approve(reqId, justificacion = '', firma = null) {
+        return this.approveStage(reqId, justificacion, firma);
     }
 
     // Rechazar solicitud — puede realizarse en cualquier etapa pendiente
@@ -373,18 +515,19 @@ class RequestManager {
             const req = await this.getById(reqId);
             if (!req) return null;
 
-            const etapaRechazo = req.estado === 'pendiente' ? 'encargado'
-                : req.estado === 'pendiente_ti' ? 'ti'
-                : req.estado === 'pendiente_gerencia' ? 'gerencia'
-                : 'otro';
+            const etapaRechazo = this.etapaSolicitud(req) || 'otro';
+            const porDelegacionDe = this._registroDelegacion(this.getDelegacionAplicada(this.getEtapaActual(req), req, user));
 
             const updates = {
                 estado: 'rechazada',
+                etapa: null,
+                etapaDepartamento: null,
                 respondidoPor: user.id,
                 respondidoPorNombre: user.nombre + ' ' + user.apellido,
                 fechaRespuesta: new Date().toISOString(),
                 justificacion: justificacion,
-                etapaRechazo
+                etapaRechazo,
+                porDelegacionDe
             };
 
             if (this.esHorasExtraordinarias(req)) {
@@ -408,6 +551,7 @@ class RequestManager {
                 referencia: reqId,
                 referenciaType: 'request'
             });
+            if (porDelegacionDe) await DelegacionManager.notificarAccion(porDelegacionDe, req, 'rechazada');
 
             return { ...req, ...updates };
         } catch (error) {
@@ -427,11 +571,622 @@ class RequestManager {
         };
     }
 
-    // Calcular días entre fechas
-    static calcDays(startDate, endDate) {
+    // Días hábiles entre fechas: excluye feriados/cierres y los días de descanso del colaborador
+    static calcDays(startDate, endDate, user = null) {
+        return CalendarioLaboralManager.contarDiasHabiles(startDate, endDate, user);
+    }
+
+    // Días naturales (calendario) entre fechas, ambas inclusive
+    static calcDiasNaturales(startDate, endDate) {
         const start = new Date(startDate);
         const end = new Date(endDate);
         const diff = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
         return diff > 0 ? diff : 0;
     }
+
+    // ---------- Adjuntos (metadatos en requests/{id}/adjuntos; archivo en requestAttachments/{id}/{adjId}) ----------
+
+    static ADJUNTOS_MAX = 3;
+    // Todos los archivos se guardan en una sola escritura junto con la solicitud
+    static ADJUNTOS_MAX_BYTES_TOTAL = 8 * 1024 * 1024;
+
+    /** { requerido, descripcion } según TIPOS_SOLICITUD[tipo].adjuntos */
+    static getConfigAdjuntos(tipo) {
+        return { requerido: false, descripcion: '', ...(TIPOS_SOLICITUD[tipo]?.adjuntos || {}) };
+    }
+
+    static getAdjuntos(req) {
+        return Object.entries(req?.adjuntos || {})
+            .map(([id, a]) => ({ id, ...a }))
+            .sort((a, b) => String(a.fecha || '').localeCompare(String(b.fecha || '')));
+    }
+
+    /** Motivo por el que los archivos no se pueden enviar con la solicitud, o null */
+    static validarAdjuntos(tipo, files, existentes = 0) {
+        const config = this.getConfigAdjuntos(tipo);
+        if (config.requerido && files.length + existentes === 0) {
+            return `Debe adjuntar: ${config.descripcion || 'el comprobante'}`;
+        }
+        if (files.length + existentes > this.ADJUNTOS_MAX) return `Máximo ${this.ADJUNTOS_MAX} archivos por solicitud`;
+        for (const file of files) {
+            const error = DocumentManager.validarAdjunto(file);
+            if (error) return error;
+        }
+        const total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+        if (total > this.ADJUNTOS_MAX_BYTES_TOTAL) {
+            return `Los archivos suman más de ${PoliticaInternaManager.formatBytes(this.ADJUNTOS_MAX_BYTES_TOTAL)}`;
+        }
+        return null;
+    }
+
+    /**
+     * Prepara los adjuntos para guardarlos con db.ref().update():
+     * { archivos: { 'requestAttachments/{reqId}/{adjId}': { base64 } }, metadatos: { adjId: meta } }
+     */
+    static async _prepararAdjuntos(reqId, files, user) {
+        const archivos = {};
+        const metadatos = {};
+        for (const file of files) {
+            const adjId = dbRef.requestAttachments.child(reqId).push().key;
+            archivos[`requestAttachments/${reqId}/${adjId}`] = { base64: await PoliticaInternaManager.fileToBase64Data(file) };
+            metadatos[adjId] = {
+                nombreArchivo: file.name,
+                mimeType: DocumentManager._mimeAdjunto(file),
+                tamañoBytes: file.size,
+                subidoPor: user.id,
+                subidoPorNombre: user.nombre + ' ' + user.apellido,
+                fecha: new Date().toISOString()
+            };
+        }
+        return { archivos, metadatos };
+    }
+
+    /**
+     * Carga el adjunto desde RTDB y devuelve un Blob listo para ver o descargar.
+     */
+    static async getAdjuntoBlob(reqId, adjId) {
+        const [metaSnap, fileSnap] = await Promise.all([
+            dbRef.requests.child(reqId).child('adjuntos').child(adjId).once('value'),
+            dbRef.requestAttachments.child(reqId).child(adjId).once('value')
+        ]);
+        if (!metaSnap.exists()) throw new Error('Adjunto no encontrado');
+        if (!fileSnap.exists()) throw new Error('Contenido del adjunto no encontrado');
+        const meta = metaSnap.val();
+        const b64 = fileSnap.val().base64;
+        if (!b64 || typeof b64 !== 'string') throw new Error('Archivo corrupto o incompleto');
+        return {
+            blob: PoliticaInternaManager.base64ToBlob(b64, meta.mimeType),
+            nombreArchivo: meta.nombreArchivo || 'adjunto'
+        };
+    }
+
+    // ---------- Ausencias del equipo ----------
+
+    static esAusencia(req) {
+        return !!(req && TIPOS_SOLICITUD[req.tipo]?.ausencia);
+    }
+
+    /** Rango de una ausencia: fecha_inicio–fecha_fin, o un solo día (salida anticipada) */
+    static getRangoAusencia(req) {
+        const datos = req?.datos || {};
+        const inicio = datos.fecha_inicio || datos.fecha;
+        const fin = datos.fecha_fin || datos.fecha;
+        if (!parseFechaLocal(inicio) || !parseFechaLocal(fin)) return null;
+        return { inicio, fin: fin < inicio ? inicio : fin };
+    }
+
+    /** Ausencias aprobadas o en trámite que tocan el rango [desde, hasta] (YYYY-MM-DD) */
+    static filtrarAusencias(requests, desde, hasta) {
+        return (requests || []).filter(r => {
+            if (!this.esAusencia(r)) return false;
+            if (r.estado !== 'aprobada' && !this.isEstadoPendienteEmpleado(r.estado)) return false;
+            const rango = this.getRangoAusencia(r);
+            return rango && rango.inicio <= hasta && rango.fin >= desde;
+        });
+    }
+
+    /**
+     * Agrupa ausencias por día y área: { 'YYYY-MM-DD': { [departamento]: [req, ...] } }.
+     * Solo se cuentan los días laborables de cada colaborador (usuariosMap: uid → perfil), sin feriados.
+     */
+    static agruparAusenciasPorDia(ausencias, desde, hasta, usuariosMap = new Map()) {
+        const dias = {};
+        ausencias.forEach(r => {
+            const rango = this.getRangoAusencia(r);
+            if (!rango) return;
+            const empleado = usuariosMap.get(r.solicitante) || null;
+            const hastaReq = parseFechaLocal(rango.fin < hasta ? rango.fin : hasta);
+            for (const d = parseFechaLocal(rango.inicio > desde ? rango.inicio : desde); d <= hastaReq; d.setDate(d.getDate() + 1)) {
+                if (CalendarioLaboralManager.tipoDia(d, empleado) !== 'habil') continue;
+                const ymd = fechaYMD(d);
+                const dep = r.departamento || '';
+                if (!dias[ymd]) dias[ymd] = {};
+                if (!dias[ymd][dep]) dias[ymd][dep] = [];
+                dias[ymd][dep].push(r);
+            }
+        });
+        return dias;
+    }
+
+    /** Áreas de un día con más personas ausentes de las permitidas */
+    static areasSobreLimite(ausenciasDia) {
+        return Object.keys(ausenciasDia || {}).filter(dep =>
+            new Set(ausenciasDia[dep].map(r => r.solicitante)).size > AUSENCIAS_EQUIPO_CONFIG.maxAusentesPorArea);
+    }
+
+    // ---------- Conflictos de ausencias ----------
+
+    /**
+     * Otras ausencias propias (aprobadas o en trámite) que se traslapan con la solicitud.
+     * Una incapacidad puede caer dentro de unas vacaciones: las interrumpe (ver VacacionesManager).
+     */
+    static async getSolapesAusencia(req) {
+        const rango = this.esAusencia(req) ? this.getRangoAusencia(req) : null;
+        if (!rango) return [];
+        const propias = await this.getByUser(req.solicitante);
+        return this.filtrarAusencias(propias, rango.inicio, rango.fin).filter(r => r.id !== req.id &&
+            !(this.esIncapacidad(req) && VacacionesManager.esVacaciones(r)));
+    }
+
+    /** "Disfrute de Vacaciones del 14/09/2026 al 18/09/2026 (aprobada)" */
+    static describirAusencia(req) {
+        const rango = this.getRangoAusencia(req);
+        const fechas = rango.inicio === rango.fin
+            ? `el ${formatDate(rango.inicio)}`
+            : `del ${formatDate(rango.inicio)} al ${formatDate(rango.fin)}`;
+        return `${req.tipoNombre || TIPOS_SOLICITUD[req.tipo]?.nombre || req.tipo} ${fechas} (${req.estado === 'aprobada' ? 'aprobada' : 'en trámite'})`;
+    }
+
+    /**
+     * Días de la ausencia en que el área quedaría con menos personal que departamentos/{id}/minimoPersonal.
+     * cache (opcional) evita repetir lecturas del mismo departamento al revisar varias solicitudes.
+     */
+    static async getDiasBajoMinimo(req, cache = {}) {
+        const rango = this.esAusencia(req) ? this.getRangoAusencia(req) : null;
+        if (!rango || !req.departamento) return { minimoPersonal: 0, dias: [] };
+
+        if (!cache[req.departamento]) {
+            const [dep, delArea, usuarios] = await Promise.all([
+                DepartamentoManager.getById(req.departamento),
+                this.getByDepartment(req.departamento),
+                AuthManager.getUsersByDepartment(req.departamento)
+            ]);
+            // Los usuarios desactivados ya no cuentan como personal del área
+            cache[req.departamento] = { minimoPersonal: Number(dep?.minimoPersonal) || 0, delArea, usuarios: usuarios.filter(u => u.activo !== false) };
+        }
+        const { minimoPersonal, delArea, usuarios } = cache[req.departamento];
+        if (minimoPersonal <= 0) return { minimoPersonal, dias: [] };
+
+        const usuariosMap = new Map(usuarios.map(u => [u.id, u]));
+        const ausencias = [...this.filtrarAusencias(delArea, rango.inicio, rango.fin).filter(r => r.id !== req.id), req];
+        const porDia = this.agruparAusenciasPorDia(ausencias, rango.inicio, rango.fin, usuariosMap);
+        const dias = [];
+        Object.keys(porDia).sort().forEach(ymd => {
+            const delDia = porDia[ymd][req.departamento] || [];
+            if (!delDia.includes(req)) return;
+            const trabajan = usuarios.filter(u => CalendarioLaboralManager.tipoDia(ymd, u) === 'habil').length;
+            const ausentes = new Set(delDia.map(r => r.solicitante)).size;
+            const disponibles = Math.max(0, trabajan - ausentes);
+            if (disponibles < minimoPersonal) dias.push({ fecha: ymd, disponibles, ausentes });
+        });
+        return { minimoPersonal, dias };
+    }
+
+    /** Personal mínimo para una ausencia que aún no se guarda (formulario de creación o corrección) */
+    static async getDiasBajoMinimoSolicitud(tipo, datos, user, reqId = null) {
+        try {
+            return await this.getDiasBajoMinimo({ id: reqId, tipo, datos, solicitante: user.id, departamento: user.departamento });
+        } catch (error) {
+            console.error('Error revisando el personal mínimo:', error);
+            return { minimoPersonal: 0, dias: [] };
+        }
+    }
+
+    /** "14/09/2026 (1 disponible), 15/09/2026 (0 disponibles)" */
+    static describirDiasBajoMinimo(dias) {
+        return dias.map(d => `${formatDate(d.fecha)} (${d.disponibles} disponible${d.disponibles === 1 ? '' : 's'})`).join(', ');
+    }
+
+    /** Traslapes propios y faltante de personal mínimo, para mostrarlos antes de firmar */
+    static async detectarConflictos(req, cache = {}) {
+        try {
+            const [solapes, personal] = await Promise.all([
+                this.getSolapesAusencia(req),
+                this.getDiasBajoMinimo(req, cache)
+            ]);
+            return { solapes, minimoPersonal: personal.minimoPersonal, diasBajoMinimo: personal.dias };
+        } catch (error) {
+            console.error('Error detectando conflictos de la solicitud:', error);
+            return { solapes: [], minimoPersonal: 0, diasBajoMinimo: [] };
+        }
+    }
+
+    static tieneConflictos(conflictos) {
+        return !!conflictos && (conflictos.solapes.length > 0 || conflictos.diasBajoMinimo.length > 0);
+    }
+
+    // ---------- Incapacidades ----------
+
+    static esIncapacidad(req) {
+        return !!req && req.tipo === INCAPACIDAD_CONFIG.tipo;
+    }
+
+    /** Entidad emisora según INCAPACIDAD_CONFIG.entidades; si la clave ya no existe, una genérica con ese nombre */
+    static getEntidadIncapacidad(req) {
+        const clave = req?.datos?.entidad_emisora;
+        return INCAPACIDAD_CONFIG.entidades[clave] || { nombre: clave || '—', descripcion: '', requiereNumero: false };
+    }
+
+    /** Motivo por el que los datos de la incapacidad no se pueden guardar, o null */
+    static validarDatosIncapacidad(datos) {
+        const entidad = INCAPACIDAD_CONFIG.entidades[datos?.entidad_emisora];
+        if (!entidad) return 'Seleccione la entidad que emitió la incapacidad';
+        if (entidad.requiereNumero && !String(datos.numero_certificado || '').trim()) {
+            return `Indique el número de boleta emitida por ${entidad.nombre}`;
+        }
+        if (!parseFechaLocal(datos.fecha_inicio) || !parseFechaLocal(datos.fecha_fin) || datos.fecha_fin < datos.fecha_inicio) {
+            return 'Indique un rango de fechas válido';
+        }
+        return null;
+    }
+
+    /** Incapacidades aprobadas o en trámite de la lista, las más recientes primero */
+    static filtrarIncapacidades(requests) {
+        return (requests || [])
+            .filter(r => this.esIncapacidad(r) && (r.estado === 'aprobada' || this.isEstadoPendienteEmpleado(r.estado)))
+            .sort((a, b) => String(b.datos?.fecha_inicio || '').localeCompare(String(a.datos?.fecha_inicio || '')));
+    }
+
+    // ---------- Plazos de respuesta (SLA) y escalamiento ----------
+
+    static getSlaHoras(reqOrTipo) {
+        const tipo = typeof reqOrTipo === 'string' ? reqOrTipo : reqOrTipo?.tipo;
+        return TIPOS_SOLICITUD[tipo]?.slaHoras || SLA_SOLICITUDES_CONFIG.horasPorDefecto;
+    }
+
+    /** Etapa que espera respuesta: la del flujo o, si se pidió anular una aprobada, la del encargado */
+    static getEtapaEnEspera(req) {
+        if (req?.estado === 'aprobada' && req.cancelacion?.estado === 'pendiente') return ETAPAS_SOLICITUD.encargado;
+        return this.getEtapaActual(req);
+    }
+
+    /** Desde cuándo espera la etapa en curso: la firma anterior, el reenvío o la fecha de solicitud */
+    static getInicioEtapa(req) {
+        const etapa = this.getEtapaEnEspera(req);
+        if (!etapa) return null;
+        if (req.estado === 'aprobada') return req.cancelacion.fechaSolicitud;
+        const flujo = this.getFlujo(req);
+        const anteriores = flujo.slice(0, flujo.findIndex(e => e.id === etapa.id)).reverse();
+        const previa = anteriores.map(e => this.getFirmaEtapa(req, e)?.fecha).find(Boolean);
+        return previa || req.fechaReenvio || req.fechaSolicitud;
+    }
+
+    /**
+     * { etapa, inicio, horas, slaHoras, nivel: 'ok' | 'alerta' | 'vencida' } o null si nada espera respuesta.
+     * horas: horas hábiles en espera (el plazo no corre en feriados ni días de descanso).
+     */
+    static getAntiguedadEtapa(req, ahora = new Date()) {
+        const etapa = this.getEtapaEnEspera(req);
+        const inicio = etapa ? this.getInicioEtapa(req) : null;
+        if (!inicio) return null;
+        const horas = CalendarioLaboralManager.horasHabiles(new Date(inicio), ahora);
+        const slaHoras = this.getSlaHoras(req);
+        let nivel = 'ok';
+        if (horas > slaHoras) nivel = 'vencida';
+        else if (horas >= slaHoras * SLA_SOLICITUDES_CONFIG.proporcionAlerta) nivel = 'alerta';
+        return { etapa, inicio, horas, slaHoras, nivel };
+    }
+
+    /**
+     * Escala las solicitudes con la etapa vencida (se ejecuta al cargar la app por admins y encargados).
+     * solicitudesEscaladas/{reqId}/{etapa}-{inicio} se reclama con una transacción, así cada espera
+     * se escala una sola vez aunque varios usuarios abran la app.
+     */
+    static async runEscalamientos() {
+        const user = AuthManager.getUser();
+        if (!user || !AuthManager.isEncargado()) return 0;
+
+        try {
+            await CalendarioLaboralManager.ensureLoaded();
+            const ahora = new Date();
+            const vencidas = (await this.getEnEspera())
+                .map(req => ({ req, antiguedad: this.getAntiguedadEtapa(req, ahora) }))
+                .filter(x => x.antiguedad?.nivel === 'vencida');
+
+            let escaladas = 0;
+            for (const { req, antiguedad } of vencidas) {
+                const clave = `${antiguedad.etapa.id}-${new Date(antiguedad.inicio).getTime()}`;
+                const result = await dbRef.solicitudesEscaladas.child(req.id).child(clave)
+                    .transaction(current => (current ? undefined : true));
+                if (!result.committed) continue;
+
+                // Siguiente nivel del flujo (incluye admins); en la última etapa, solo los admins
+                const siguiente = req.estado === 'aprobada' ? null : this.getSiguienteEtapa(req, antiguedad.etapa);
+                const destinatarios = siguiente
+                    ? await this.getResponsablesEtapa(siguiente, req)
+                    : (await AuthManager.getAllUsers()).filter(u => u.rol === 'admin' && u.activo);
+                const espera = req.estado === 'aprobada' ? 'La cancelación de la solicitud' : 'La solicitud';
+                await Promise.all(destinatarios.map(u =>
+                    NotificationManager.create({
+                        tipo: 'solicitud_escalada',
+                        titulo: `Solicitud sin respuesta — ${antiguedad.etapa.nombre}`,
+                        mensaje: `${espera} de ${req.tipoNombre} de ${req.solicitanteNombre} lleva ${Math.floor(antiguedad.horas)} h hábiles en ${antiguedad.etapa.nombre} (plazo: ${antiguedad.slaHoras} h).`,
+                        destinatario: u.id,
+                        referencia: req.id,
+                        referenciaType: 'request'
+                    })
+                ));
+                escaladas++;
+            }
+            return escaladas;
+        } catch (error) {
+            console.warn('RequestManager runEscalamientos:', error);
+            return 0;
+        }
+    }
+
+    /** Horas hábiles que tomó cada etapa resuelta (firmada o rechazada): [{ etapa, horas }] */
+    static getDuracionesEtapas(req) {
+        const duraciones = [];
+        let desde = req.fechaReenvio || req.fechaSolicitud;
+        for (const etapa of this.getFlujo(req)) {
+            const hasta = this.getFirmaEtapa(req, etapa)?.fecha ||
+                (req.estado === 'rechazada' && req.etapaRechazo === etapa.id ? req.fechaRespuesta : null);
+            if (!hasta || !desde) break;
+            duraciones.push({ etapa, horas: CalendarioLaboralManager.horasHabiles(new Date(desde), new Date(hasta)) });
+            desde = hasta;
+        }
+        return duraciones;
+    }
+
+    /**
+     * Tiempos de aprobación por etapa y por departamento del solicitante.
+     * Cada fila: { clave, n, promedioHoras, maxHoras, fueraDeSla }
+     */
+    static calcularTiemposAprobacion(requests) {
+        const porEtapa = {};
+        const porDepartamento = {};
+        const acumular = (grupo, clave, horas, sla) => {
+            const fila = grupo[clave] || (grupo[clave] = { clave, n: 0, totalHoras: 0, maxHoras: 0, fueraDeSla: 0 });
+            fila.n++;
+            fila.totalHoras += horas;
+            fila.maxHoras = Math.max(fila.maxHoras, horas);
+            if (horas > sla) fila.fueraDeSla++;
+        };
+        requests.forEach(req => {
+            const sla = this.getSlaHoras(req);
+            this.getDuracionesEtapas(req).forEach(({ etapa, horas }) => {
+                acumular(porEtapa, etapa.nombre, horas, sla);
+                acumular(porDepartamento, req.departamento || '—', horas, sla);
+            });
+        });
+        const filas = grupo => Object.values(grupo)
+            .map(({ totalHoras, ...f }) => ({ ...f, promedioHoras: totalHoras / f.n }))
+            .sort((a, b) => b.promedioHoras - a.promedioHoras);
+        return { porEtapa: filas(porEtapa), porDepartamento: filas(porDepartamento) };
+    }
+
+    // ---------- Cancelación y corrección por el solicitante ----------
+
+    /** El solicitante retira su solicitud mientras sigue en trámite o devuelta para corrección */
+    static puedeCancelar(req, user) {
+        return !!req && !!user && req.solicitante === user.id &&
+            (this.isEstadoPendienteEmpleado(req.estado) || req.estado === 'devuelta');
+    }
+
+    /** Una ausencia aprobada que aún no comienza se puede anular con el visto bueno del encargado */
+    static puedeSolicitarCancelacion(req, user) {
+        if (!req || !user || req.solicitante !== user.id || req.estado !== 'aprobada') return false;
+        if (req.cancelacion?.estado === 'pendiente') return false;
+        const rango = this.esAusencia(req) ? this.getRangoAusencia(req) : null;
+        return !!rango && rango.inicio >= fechaYMD(new Date());
+    }
+
+    static necesitaAprobarCancelacion(req, user) {
+        return !!req && req.estado === 'aprobada' && req.cancelacion?.estado === 'pendiente' &&
+            this.puedeResolverEtapa(ETAPAS_SOLICITUD.encargado, req, user);
+    }
+
+    static _registroResolucion(user, comentario, delegacion) {
+        return {
+            userId: user.id,
+            nombre: user.nombre + ' ' + user.apellido,
+            rol: user.rol,
+            departamento: user.departamento,
+            fecha: new Date().toISOString(),
+            comentario: comentario || '',
+            porDelegacionDe: this._registroDelegacion(delegacion)
+        };
+    }
+
+    static async cancelar(reqId, motivo = '') {
+        try {
+            const user = AuthManager.getUser();
+            const req = await this.getById(reqId);
+            if (!this.puedeCancelar(req, user)) return { success: false, message: 'La solicitud ya no se puede cancelar' };
+
+            const etapa = this.getEtapaActual(req);
+            const ahora = new Date().toISOString();
+            const updates = {
+                estado: 'cancelada',
+                etapa: null,
+                etapaDepartamento: null,
+                cancelacion: { estado: 'aprobada', motivo: motivo || '', fechaSolicitud: ahora, fechaResolucion: ahora }
+            };
+            await dbRef.requests.child(reqId).update(updates);
+
+            // Quien la tenía pendiente de firma deja de verla
+            if (etapa) {
+                const notificar = await this.getResponsablesEtapa(etapa, req, user.id);
+                await Promise.all(notificar.map(enc =>
+                    NotificationManager.create({
+                        tipo: 'solicitud_rechazada',
+                        titulo: 'Solicitud cancelada',
+                        mensaje: `${req.solicitanteNombre} canceló su solicitud de ${req.tipoNombre}.`,
+                        destinatario: enc.id,
+                        referencia: reqId,
+                        referenciaType: 'request'
+                    })
+                ));
+            }
+            return { success: true, message: 'Solicitud cancelada' };
+        } catch (error) {
+            console.error('Error cancelando solicitud:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    static async solicitarCancelacion(reqId, motivo) {
+        try {
+            const user = AuthManager.getUser();
+            const req = await this.getById(reqId);
+            if (!this.puedeSolicitarCancelacion(req, user)) return { success: false, message: 'Esta solicitud ya no se puede anular' };
+            if (!String(motivo || '').trim()) return { success: false, message: 'Indique el motivo de la cancelación' };
+
+            // etapaDepartamento vuelve a apuntar al área para que su encargado (o sustituto) pueda resolver
+            await dbRef.requests.child(reqId).update({
+                etapaDepartamento: req.departamento,
+                cancelacion: { estado: 'pendiente', motivo: String(motivo).trim(), fechaSolicitud: new Date().toISOString() }
+            });
+
+            const notificar = await this.getResponsablesEtapa(ETAPAS_SOLICITUD.encargado, req, user.id);
+            await Promise.all(notificar.map(enc =>
+                NotificationManager.create({
+                    tipo: 'solicitud_nueva',
+                    titulo: 'Cancelación por aprobar',
+                    mensaje: `${req.solicitanteNombre} pide anular su ${this.describirAusencia(req)}.`,
+                    destinatario: enc.id,
+                    referencia: reqId,
+                    referenciaType: 'request'
+                })
+            ));
+            return { success: true, message: 'Cancelación enviada al encargado' };
+        } catch (error) {
+            console.error('Error solicitando cancelación:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /** El encargado acepta (la solicitud pasa a cancelada y libera los días) o rechaza la cancelación */
+    static async resolverCancelacion(reqId, aprobar, comentario = '') {
+        try {
+            const user = AuthManager.getUser();
+            const req = await this.getById(reqId);
+            if (!this.necesitaAprobarCancelacion(req, user)) return { success: false, message: 'No puede resolver esta cancelación' };
+            if (!aprobar && !String(comentario || '').trim()) return { success: false, message: 'Indique el motivo del rechazo' };
+
+            const delegacion = this.getDelegacionAplicada(ETAPAS_SOLICITUD.encargado, req, user);
+            const cancelacion = {
+                ...req.cancelacion,
+                estado: aprobar ? 'aprobada' : 'rechazada',
+                fechaResolucion: new Date().toISOString(),
+                resolucion: this._registroResolucion(user, comentario, delegacion)
+            };
+            const updates = { etapaDepartamento: null, cancelacion };
+            if (aprobar) updates.estado = 'cancelada';
+            await dbRef.requests.child(reqId).update(updates);
+
+            await NotificationManager.create({
+                tipo: aprobar ? 'solicitud_aprobada' : 'solicitud_rechazada',
+                titulo: aprobar ? 'Cancelación aprobada' : 'Cancelación rechazada',
+                mensaje: aprobar
+                    ? `Se anuló su solicitud de ${req.tipoNombre}.${VacacionesManager.esVacaciones(req) ? ' Los días vuelven a su saldo de vacaciones.' : ''}`
+                    : `Su solicitud de ${req.tipoNombre} sigue aprobada. Motivo: ${comentario}`,
+                destinatario: req.solicitante,
+                referencia: reqId,
+                referenciaType: 'request'
+            });
+            if (cancelacion.resolucion.porDelegacionDe) {
+                await DelegacionManager.notificarAccion(cancelacion.resolucion.porDelegacionDe, req, aprobar ? 'cancelada' : 'mantenida');
+            }
+            return { success: true, message: aprobar ? 'Solicitud cancelada' : 'Cancelación rechazada' };
+        } catch (error) {
+            console.error('Error resolviendo cancelación:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /** En lugar de rechazar, la etapa en curso devuelve la solicitud al solicitante con observaciones */
+    static async devolver(reqId, comentario) {
+        try {
+            const user = AuthManager.getUser();
+            const req = await this.getById(reqId);
+            const etapa = this.getEtapaActual(req);
+            if (!etapa || !this.puedeResolverEtapa(etapa, req, user)) return { success: false, message: 'No puede devolver esta solicitud' };
+            if (!String(comentario || '').trim()) return { success: false, message: 'Indique qué debe corregir el solicitante' };
+
+            const devolucion = {
+                ...this._registroResolucion(user, String(comentario).trim(), this.getDelegacionAplicada(etapa, req, user)),
+                etapa: etapa.id,
+                etapaNombre: etapa.nombre
+            };
+            await dbRef.requests.child(reqId).update({
+                estado: 'devuelta',
+                etapa: null,
+                etapaDepartamento: null,
+                devolucion
+            });
+
+            await NotificationManager.create({
+                tipo: 'solicitud_rechazada',
+                titulo: 'Solicitud devuelta para corrección',
+                mensaje: `${etapa.nombre} devolvió su solicitud de ${req.tipoNombre}: ${devolucion.comentario}`,
+                destinatario: req.solicitante,
+                referencia: reqId,
+                referenciaType: 'request'
+            });
+            if (devolucion.porDelegacionDe) await DelegacionManager.notificarAccion(devolucion.porDelegacionDe, req, 'devuelta');
+            return { success: true, message: 'Solicitud devuelta al solicitante' };
+        } catch (error) {
+            console.error('Error devolviendo solicitud:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /** El solicitante corrige una solicitud devuelta: vuelve a la primera etapa y se descartan las firmas previas */
+    static async reenviar(reqId, { datos, observaciones, firma, archivos = [] }) {
+        try {
+            const user = AuthManager.getUser();
+            const req = await this.getById(reqId);
+            if (!req || req.solicitante !== user.id || req.estado !== 'devuelta') {
+                throw new Error('La solicitud no está devuelta para corrección');
+            }
+            const error = this.validarAdjuntos(req.tipo, archivos, this.getAdjuntos(req).length);
+            if (error) throw new Error(error);
+
+            const etapa = this.getFlujo(req)[0];
+            const updates = {
+                estado: etapa.estado,
+                etapa: etapa.id,
+                etapaDepartamento: this.departamentoEtapa(etapa, req),
+                datos: await this._prepararDatos(req.tipo, datos, user, reqId),
+                observaciones: observaciones || '',
+                firma: firma || null,
+                fechaReenvio: new Date().toISOString(),
+                'devolucion/atendida': new Date().toISOString(),
+                firmas: null
+            };
+            const adjuntos = await this._prepararAdjuntos(reqId, archivos, user);
+            Object.keys(adjuntos.metadatos).forEach(adjId => { updates[`adjuntos/${adjId}`] = adjuntos.metadatos[adjId]; });
+            const rutas = { ...adjuntos.archivos };
+            Object.keys(updates).forEach(k => { rutas[`requests/${reqId}/${k}`] = updates[k]; });
+            await db.ref().update(rutas);
+
+            const notificar = await this.getResponsablesEtapa(etapa, req, user.id);
+            await Promise.all(notificar.map(enc =>
+                NotificationManager.create({
+                    tipo: 'solicitud_nueva',
+                    titulo: `Solicitud corregida — ${etapa.nombre}`,
+                    mensaje: `${req.solicitanteNombre} corrigió y reenvió su solicitud de ${req.tipoNombre}.`,
+                    destinatario: enc.id,
+                    referencia: reqId,
+                    referenciaType: 'request'
+                })
+            ));
+            return { ...req, ...updates };
+        } catch (error) {
+            console.error('Error reenviando solicitud:', error);
+            throw error;
+        }
+    }
 }
@@ -0,0 +1,187 @@
+// ============================================================
+// VACACIONES.JS — Saldo de vacaciones por colaborador
+// Veterinaria San Martín de Porres
+// Acumula desde users/{uid}/fechaIngreso (VACACIONES_CONFIG) y debita las
+// solicitudes de vacaciones aprobadas en días hábiles, menos los días cubiertos
+// por una incapacidad aprobada (INCAPACIDAD_CONFIG); no guarda nada propio.
+// ============================================================
+
+class VacacionesManager {
+    static _redondear(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    static esVacaciones(req) {
+        return !!req && req.tipo === VACACIONES_CONFIG.tipo;
+    }
+
+    /**
+     * Días hábiles que debita la solicitud: los guardados al crearla, o calculados del rango
+     * con el calendario laboral y el patrón semanal del colaborador (si se conoce).
+     */
+    static getDiasSolicitud(req, empleado = null) {
+        const datos = req?.datos || {};
+        const guardados = Number(datos.dias_habiles);
+        if (datos.dias_habiles != null && datos.dias_habiles !== '' && Number.isFinite(guardados)) return guardados;
+        return CalendarioLaboralManager.contarDiasHabiles(datos.fecha_inicio, datos.fecha_fin, empleado);
+    }
+
+    /** Días hábiles de la solicitud que caen dentro de incapacidades aprobadas (no se debitan) */
+    static getDiasIncapacidad(req, incapacidades, empleado = null) {
+        const datos = req?.datos || {};
+        if (!datos.fecha_inicio || !datos.fecha_fin) return 0;
+        const cubiertos = (incapacidades || []).reduce((total, inc) => {
+            const rango = RequestManager.getRangoAusencia(inc);
+            if (!rango) return total;
+            const desde = rango.inicio > datos.fecha_inicio ? rango.inicio : datos.fecha_inicio;
+            const hasta = rango.fin < datos.fecha_fin ? rango.fin : datos.fecha_fin;
+            return desde <= hasta ? total + CalendarioLaboralManager.contarDiasHabiles(desde, hasta, empleado) : total;
+        }, 0);
+        return Math.min(cubiertos, this.getDiasSolicitud(req, empleado));
+    }
+
+    /** Días que debita del saldo: los hábiles de la solicitud menos los cubiertos por incapacidad */
+    static getDiasDebito(req, incapacidades, empleado = null) {
+        return this._redondear(this.getDiasSolicitud(req, empleado) - this.getDiasIncapacidad(req, incapacidades, empleado));
+    }
+
+    /** Días hábiles ganados por período: las semanas de disfrute según los días que labora el colaborador */
+    static getDiasPorPeriodo(empleado = null) {
+        return VACACIONES_CONFIG.semanasDisfrute * CalendarioLaboralManager.getDiasLaborables(empleado).length;
+    }
+
+    /**
+     * Semanas laboradas, períodos de 50 semanas cumplidos y días ganados. Los días se acreditan
+     * al cumplir cada período; proporcional es solo informativo (lo que lleva el período en curso).
+     */
+    static calcularAcumulado(fechaIngreso, hasta = new Date(), diasPorPeriodo = this.getDiasPorPeriodo()) {
+        const ingreso = parseFechaLocal(fechaIngreso);
+        if (!ingreso || ingreso > hasta) return { semanas: 0, periodos: 0, dias: 0, proporcional: 0 };
+        const cfg = VACACIONES_CONFIG;
+        const semanas = Math.floor((hasta - ingreso) / (7 * 24 * 60 * 60 * 1000));
+        const periodos = Math.floor(semanas / cfg.semanasPorPeriodo);
+        return {
+            semanas,
+            periodos,
+            dias: periodos * diasPorPeriodo,
+            proporcional: this._redondear((semanas - periodos * cfg.semanasPorPeriodo) * diasPorPeriodo / cfg.semanasPorPeriodo)
+        };
+    }
+
+    /**
+     * Libro de vacaciones: movimientos (períodos cumplidos y disfrutes aprobados) con saldo corrido.
+     * comprometidos = días de solicitudes todavía pendientes; disponible = saldo - comprometidos.
+     * periodoEnCurso: semanas y días proporcionales aún no acreditados (informativo).
+     */
+    static construirLedger(empleado, solicitudes, hasta = new Date()) {
+        const cfg = VACACIONES_CONFIG;
+        const fechaIngreso = empleado?.fechaIngreso || '';
+        const ingreso = parseFechaLocal(fechaIngreso);
+        const diasPorPeriodo = this.getDiasPorPeriodo(empleado);
+        const acumulado = this.calcularAcumulado(fechaIngreso, hasta, diasPorPeriodo);
+        const movimientos = [];
+
+        if (ingreso) {
+            for (let p = 1; p <= acumulado.periodos; p++) {
+                const fecha = new Date(ingreso);
+                fecha.setDate(fecha.getDate() + p * cfg.semanasPorPeriodo * 7);
+                movimientos.push({ fecha, concepto: `Período ${p} cumplido (${cfg.semanasPorPeriodo} semanas)`, dias: diasPorPeriodo });
+            }
+        }
+
+        const deVacaciones = (solicitudes || []).filter(r => this.esVacaciones(r));
+        const incapacidades = (solicitudes || []).filter(r => RequestManager.esIncapacidad(r) && r.estado === 'aprobada');
+        deVacaciones.filter(r => r.estado === 'aprobada').forEach(r => {
+            const d = r.datos || {};
+            const porIncapacidad = this.getDiasIncapacidad(r, incapacidades, empleado);
+            movimientos.push({
+                fecha: parseFechaLocal(d.fecha_inicio) || new Date(r.fechaSolicitud),
+                concepto: `Vacaciones del ${formatDate(d.fecha_inicio)} al ${formatDate(d.fecha_fin)}` +
+                    (porIncapacidad > 0 ? ` (${porIncapacidad} día(s) cubiertos por incapacidad)` : ''),
+                dias: -this.getDiasDebito(r, incapacidades, empleado),
+                reqId: r.id
+            });
+        });
+
+        movimientos.sort((a, b) => a.fecha - b.fecha);
+        let corrido = 0;
+        movimientos.forEach(m => {
+            corrido = this._redondear(corrido + m.dias);
+            m.saldo = corrido;
+        });
+
+        const pendientes = deVacaciones
+            .filter(r => RequestManager.isEstadoPendienteEmpleado(r.estado))
+            .map(r => ({ reqId: r.id, dias: this.getDiasDebito(r, incapacidades, empleado), fechaInicio: r.datos?.fecha_inicio || '', fechaFin: r.datos?.fecha_fin || '' }));
+
+        const usados = this._redondear(movimientos.filter(m => m.dias < 0).reduce((s, m) => s - m.dias, 0));
+        const comprometidos = this._redondear(pendientes.reduce((s, p) => s + p.dias, 0));
+        const saldo = this._redondear(acumulado.dias - usados);
+
+        return {
+            fechaIngreso,
+            sinFechaIngreso: !ingreso,
+            semanas: acumulado.semanas,
+            diasPorPeriodo,
+            ganados: acumulado.dias,
+            periodoEnCurso: {
+                semanas: acumulado.semanas - acumulado.periodos * cfg.semanasPorPeriodo,
+                proporcional: acumulado.proporcional
+            },
+            usados,
+            comprometidos,
+            saldo,
+            disponible: this._redondear(saldo - comprometidos),
+            movimientos,
+            pendientes
+        };
+    }
+
+    static async getLedger(userId) {
+        try {
+            const [empleado, solicitudes] = await Promise.all([
+                AuthManager.getUserById(userId),
+                RequestManager.getByUser(userId)
+            ]);
+            return this.construirLedger(empleado, solicitudes);
+        } catch (error) {
+            console.error('Error calculando saldo de vacaciones:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Compara los días solicitados contra el disponible. excluirReqId: solicitud ya pendiente
+     * que se está evaluando (al aprobar), para no descontarla dos veces.
+     * nivel: 'ok' | 'advertencia' | 'bloqueo' | 'sin_datos'
+     */
+    static evaluarSolicitud(ledger, dias, excluirReqId = null) {
+        if (!ledger || ledger.sinFechaIngreso) {
+            return { nivel: 'sin_datos', mensaje: 'El perfil no tiene fecha de ingreso registrada; no se puede calcular el saldo de vacaciones.' };
+        }
+        const propia = excluirReqId ? ledger.pendientes.find(p => p.reqId === excluirReqId) : null;
+        const disponible = this._redondear(ledger.disponible + (propia ? propia.dias : 0));
+        if (dias > disponible) {
+            const exceso = this._redondear(dias - disponible);
+            return {
+                nivel: VACACIONES_CONFIG.bloquearExceso ? 'bloqueo' : 'advertencia',
+                disponible,
+                exceso,
+                mensaje: `Se solicitan ${dias} día(s) hábiles y el saldo disponible es de ${disponible}; excede en ${exceso}.`
+            };
+        }
+        return { nivel: 'ok', disponible, exceso: 0, mensaje: `Quedarían ${this._redondear(disponible - dias)} día(s) hábiles disponibles.` };
+    }
+
+    /**
+     * Solicitud de vacaciones pendiente contra el saldo del solicitante (null si no es de vacaciones):
+     * { ...evaluarSolicitud, dias, ledger }. Los días son los mismos que el libro cuenta como comprometidos.
+     */
+    static async evaluarAprobacion(req) {
+        if (!this.esVacaciones(req)) return null;
+        const ledger = await this.getLedger(req.solicitante);
+        const propia = ledger?.pendientes.find(p => p.reqId === req.id);
+        const dias = propia ? propia.dias : this.getDiasSolicitud(req, await AuthManager.getUserById(req.solicitante));
+        return { ...this.evaluarSolicitud(ledger, dias, req.id), dias, ledger };
+    }
+}